@@ -16,6 +16,13 @@ const configureCloudinary = () => {
   return cloudinary;
 };
 
+// Stored reports need a signed URL to download; reports uploaded before that were public 'upload' assets
+const XML_DELIVERY_TYPE = 'authenticated';
+const LEGACY_XML_DELIVERY_TYPE = 'upload';
+
+// Signed download URLs are only used by the backend straight away
+const SIGNED_URL_TTL_SECONDS = 60;
+
 /**
  * Upload raw XML file to Cloudinary
  * @param {string} filePath - Local file path
@@ -27,13 +34,13 @@ const uploadXmlFile = async (filePath, fileName) => {
     const cloudinaryInstance = configureCloudinary();
     const result = await cloudinaryInstance.uploader.upload(filePath, {
       resource_type: 'raw',
+      type: XML_DELIVERY_TYPE,
       public_id: `credit-reports/${Date.now()}-${fileName}`,
       use_filename: true,
       unique_filename: true,
     });
 
     return {
-      url: result.secure_url,
       public_id: result.public_id,
       bytes: result.bytes,
       format: result.format,
@@ -46,13 +53,15 @@ const uploadXmlFile = async (filePath, fileName) => {
 /**
  * Delete file from Cloudinary
  * @param {string} publicId - Cloudinary public ID
- * @returns {Promise<Object>} Deletion result
+ * @param {string} type - Delivery type of the file
+ * @returns {Promise<Object>} Deletion result, { result: 'not found' } when no file of that type exists
  */
-const deleteXmlFile = async (publicId) => {
+const deleteXmlFile = async (publicId, type = XML_DELIVERY_TYPE) => {
   try {
     const cloudinaryInstance = configureCloudinary();
     const result = await cloudinaryInstance.uploader.destroy(publicId, {
       resource_type: 'raw',
+      type,
     });
     return result;
   } catch (error) {
@@ -60,8 +69,45 @@ const deleteXmlFile = async (publicId) => {
   }
 };
 
+/**
+ * Build a short-lived signed download URL of a raw XML file
+ * @param {string} publicId - Cloudinary public ID
+ * @param {string} type - Delivery type of the file
+ * @returns {string} Download URL that expires after SIGNED_URL_TTL_SECONDS
+ */
+const getSignedXmlFileUrl = (publicId, type = XML_DELIVERY_TYPE) => {
+  const cloudinaryInstance = configureCloudinary();
+  return cloudinaryInstance.utils.private_download_url(publicId, undefined, {
+    resource_type: 'raw',
+    type,
+    expires_at: Math.floor(Date.now() / 1000) + SIGNED_URL_TTL_SECONDS,
+  });
+};
+
+/**
+ * Turn a public raw XML file uploaded before private delivery into an authenticated one
+ * @param {string} publicId - Cloudinary public ID
+ * @returns {Promise<Object>} Rename result
+ */
+const makeXmlFilePrivate = async (publicId) => {
+  try {
+    const cloudinaryInstance = configureCloudinary();
+    return await cloudinaryInstance.uploader.rename(publicId, publicId, {
+      resource_type: 'raw',
+      type: LEGACY_XML_DELIVERY_TYPE,
+      to_type: XML_DELIVERY_TYPE,
+    });
+  } catch (error) {
+    throw new Error(`Cloudinary update failed: ${error.message}`);
+  }
+};
+
 export {
+  XML_DELIVERY_TYPE,
+  LEGACY_XML_DELIVERY_TYPE,
   uploadXmlFile,
   deleteXmlFile,
+  getSignedXmlFileUrl,
+  makeXmlFilePrivate,
   cloudinary,
 };
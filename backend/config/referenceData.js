@@ -0,0 +1,215 @@
+// Experian code tables shared by the transformer, the CreditReport model and the frontend.
+// Bump REFERENCE_DATA_VERSION whenever a table changes so stored reports can be traced to the tables used.
+const REFERENCE_DATA_VERSION = '2024.1';
+
+// Account_Type codes (CICRA layout, also used by CIBIL, Equifax and CRIF High Mark)
+const ACCOUNT_TYPES = {
+  '00': { label: 'Other', description: 'Other', secured: false },
+  '01': { label: 'Auto Loan', description: 'Auto Loan (Personal)', secured: true },
+  '02': { label: 'Home Loan', description: 'Housing Loan', secured: true },
+  '03': { label: 'Loan Against Property', description: 'Property Loan', secured: true },
+  '04': { label: 'Loan Against Securities', description: 'Loan Against Shares/Securities', secured: true },
+  '05': { label: 'Personal Loan', description: 'Personal Loan', secured: false },
+  '06': { label: 'Consumer Loan', description: 'Consumer Loan', secured: false },
+  '07': { label: 'Gold Loan', description: 'Gold Loan', secured: true },
+  '08': { label: 'Education Loan', description: 'Education Loan', secured: false },
+  '09': { label: 'Professional Loan', description: 'Loan to Professional', secured: false },
+  '10': { label: 'Credit Card', description: 'Credit Card', secured: false },
+  '11': { label: 'Leasing', description: 'Leasing', secured: true },
+  '12': { label: 'Overdraft', description: 'Overdraft', secured: false },
+  '13': { label: 'Two Wheeler Loan', description: 'Two-Wheeler Loan', secured: true },
+  '14': { label: 'Non-Funded Credit Facility', description: 'Non-Funded Credit Facility', secured: false },
+  '15': { label: 'Loan Against Bank Deposits', description: 'Loan Against Bank Deposits', secured: true },
+  '16': { label: 'Fleet Card', description: 'Fleet Card', secured: false },
+  '17': { label: 'Commercial Vehicle Loan', description: 'Commercial Vehicle Loan', secured: true },
+  '18': { label: 'Telco', description: 'Telco - Wireless', secured: false },
+  '19': { label: 'Telco', description: 'Telco - Broadband', secured: false },
+  '20': { label: 'Telco', description: 'Telco - Landline', secured: false },
+  '31': { label: 'Credit Card', description: 'Secured Credit Card', secured: true },
+  '32': { label: 'Auto Loan', description: 'Used Car Loan', secured: true },
+  '33': { label: 'Construction Equipment Loan', description: 'Construction Equipment Loan', secured: true },
+  '34': { label: 'Tractor Loan', description: 'Tractor Loan', secured: true },
+  '35': { label: 'Credit Card', description: 'Corporate Credit Card', secured: false },
+  '36': { label: 'Kisan Credit Card', description: 'Kisan Credit Card', secured: false },
+  '37': { label: 'Loan on Credit Card', description: 'Loan on Credit Card', secured: false },
+  '38': { label: 'Overdraft', description: 'Prime Minister Jan Dhan Yojana - Overdraft', secured: false },
+  '39': { label: 'Mudra Loan', description: 'Mudra Loans - Shishu / Kishor / Tarun', secured: false },
+  '40': { label: 'Microfinance Loan', description: 'Microfinance - Business Loan', secured: false },
+  '41': { label: 'Microfinance Loan', description: 'Microfinance - Personal Loan', secured: false },
+  '42': { label: 'Microfinance Loan', description: 'Microfinance - Housing Loan', secured: false },
+  '43': { label: 'Microfinance Loan', description: 'Microfinance - Others', secured: false },
+  '44': { label: 'Home Loan', description: 'Pradhan Mantri Awas Yojana - CLSS', secured: true },
+  '45': { label: 'Personal Loan', description: 'P2P Personal Loan', secured: false },
+  '46': { label: 'Auto Loan', description: 'P2P Auto Loan', secured: true },
+  '47': { label: 'Education Loan', description: 'P2P Education Loan', secured: false },
+  '50': { label: 'Business Loan', description: 'Business Loan - Secured', secured: true },
+  '51': { label: 'Business Loan', description: 'Business Loan - General', secured: false },
+  '52': { label: 'Business Loan', description: 'Business Loan - Priority Sector - Small Business', secured: false },
+  '53': { label: 'Business Loan', description: 'Business Loan - Priority Sector - Agriculture', secured: false },
+  '54': { label: 'Business Loan', description: 'Business Loan - Priority Sector - Others', secured: false },
+  '55': { label: 'Non-Funded Credit Facility', description: 'Business Non-Funded Credit Facility - General', secured: false },
+  '56': { label: 'Non-Funded Credit Facility', description: 'Business Non-Funded Credit Facility - Priority Sector - Small Business', secured: false },
+  '57': { label: 'Non-Funded Credit Facility', description: 'Business Non-Funded Credit Facility - Priority Sector - Agriculture', secured: false },
+  '58': { label: 'Non-Funded Credit Facility', description: 'Business Non-Funded Credit Facility - Priority Sector - Others', secured: false },
+  '59': { label: 'Loan Against Bank Deposits', description: 'Business Loan Against Bank Deposits', secured: true },
+  '61': { label: 'Business Loan', description: 'Business Loan - Unsecured', secured: false },
+  '69': { label: 'Personal Loan', description: 'Short Term Personal Loan', secured: false },
+  '70': { label: 'Gold Loan', description: 'Priority Sector - Gold Loan', secured: true },
+  '71': { label: 'Overdraft', description: 'Temporary Overdraft', secured: false }
+};
+
+// Account status labels and the category driving risk logic and UI badges
+const ACCOUNT_STATUS_CATEGORIES = {
+  'Active': 'active',
+  'Active - Regular': 'active',
+  'Active - Irregular': 'delinquent',
+  'Closed': 'closed',
+  'Closed - Regular': 'closed',
+  'Closed - Irregular': 'closed',
+  'Settled': 'settled',
+  'Written Off': 'writtenOff',
+  'Restructured': 'restructured',
+  'Wilful Default': 'default',
+  'Sub-standard': 'delinquent',
+  'Doubtful': 'delinquent',
+  'Loss': 'writtenOff',
+  'Unknown': 'unknown'
+};
+
+// Account_Status codes. This is not the complete Experian list: it holds only the 20 codes the
+// transformer mapped before this module existed. Experian's code appendix is not part of this
+// repository, so the other two-digit codes (00-10, 15-20, 23-30, 33-40, 43-50, 54-70, 72-77, 79, 81,
+// 85-88 and 90-99) are left out rather than guessed, because the category of a status drives risk
+// metrics and badges. lookupAccountStatus reports those codes as 'Unknown' and keeps the raw code in
+// statusCode. Add a code here once its meaning is confirmed, and bump REFERENCE_DATA_VERSION.
+const ACCOUNT_STATUSES = {
+  '11': { label: 'Active - Regular', description: 'Active' },
+  '12': { label: 'Active - Regular', description: 'Active' },
+  '13': { label: 'Closed - Regular', description: 'Closed' },
+  '14': { label: 'Closed - Regular', description: 'Closed' },
+  '21': { label: 'Active - Irregular', description: 'Active, past due' },
+  '22': { label: 'Active - Irregular', description: 'Active, past due' },
+  '31': { label: 'Active - Irregular', description: 'Active, past due' },
+  '32': { label: 'Active - Irregular', description: 'Active, past due' },
+  '41': { label: 'Active - Irregular', description: 'Active, past due' },
+  '42': { label: 'Active - Irregular', description: 'Active, past due' },
+  '51': { label: 'Active - Irregular', description: 'Active, past due' },
+  '52': { label: 'Active - Irregular', description: 'Active, past due' },
+  '53': { label: 'Active - Irregular', description: 'Active, past due' },
+  '71': { label: 'Active - Irregular', description: 'Active, past due' },
+  '78': { label: 'Settled', description: 'Settled' },
+  '80': { label: 'Settled', description: 'Settled' },
+  '82': { label: 'Settled', description: 'Settled' },
+  '83': { label: 'Settled', description: 'Settled' },
+  '84': { label: 'Settled', description: 'Settled' },
+  '89': { label: 'Closed', description: 'Closed' }
+};
+
+// Portfolio_Type codes
+const PORTFOLIO_TYPES = {
+  R: 'Revolving',
+  I: 'Installment',
+  M: 'Mortgage',
+  O: 'Open',
+  C: 'Line of Credit'
+};
+
+// Enquiry_Reason codes of Current_Application and CAPS records
+const ENQUIRY_REASONS = {
+  '1': 'Agricultural Machinery',
+  '2': 'Animal Husbandry',
+  '3': 'Aquaculture',
+  '4': 'Biogas Plant',
+  '5': 'Crop Loan',
+  '6': 'Horticulture',
+  '7': 'Irrigation System',
+  '8': 'New Car',
+  '9': 'Overdraft',
+  '10': 'Two Wheeler',
+  '11': 'Used Car',
+  '12': 'General',
+  '13': 'Small & Medium Business',
+  '14': 'Professionals',
+  '15': 'Trade',
+  '16': 'Bank Guarantee',
+  '99': 'Others'
+};
+
+// Gender_Code values
+const GENDER_CODES = {
+  '1': 'Male',
+  '2': 'Female',
+  '3': 'Other'
+};
+
+// AccountHoldertypeCode values
+const HOLDER_TYPES = {
+  '1': 'Individual',
+  '2': 'Authorised User',
+  '3': 'Guarantor',
+  '4': 'Joint'
+};
+
+// Asset_Classification values of CAIS_Account_History
+const ASSET_CLASSIFICATIONS = {
+  S: 'Standard',
+  M: 'Special Mention',
+  B: 'Sub-standard',
+  D: 'Doubtful',
+  L: 'Loss'
+};
+
+// State codes of address segments
+const STATE_CODES = {
+  '01': 'Jammu & Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '25': 'Daman & Diu',
+  '26': 'Dadra & Nagar Haveli',
+  '27': 'Maharashtra',
+  '28': 'Andhra Pradesh',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman & Nicobar Islands',
+  '36': 'Telangana',
+  '38': 'Ladakh',
+  '99': 'APO Address'
+};
+
+export {
+  REFERENCE_DATA_VERSION,
+  ACCOUNT_TYPES,
+  ACCOUNT_STATUS_CATEGORIES,
+  ACCOUNT_STATUSES,
+  PORTFOLIO_TYPES,
+  ENQUIRY_REASONS,
+  GENDER_CODES,
+  HOLDER_TYPES,
+  ASSET_CLASSIFICATIONS,
+  STATE_CODES
+};
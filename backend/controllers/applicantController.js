@@ -0,0 +1,93 @@
+import CreditReport from '../models/CreditReport.js';
+import { resolveApplicantIndex, buildApplicantHistory, buildApplicantPipeline } from '../services/applicantService.js';
+import { decryptValue } from '../services/encryptionService.js';
+import { maskPan } from '../services/maskingService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * List applicants grouped by PAN, with masked PANs
+ * @route GET /api/applicants
+ */
+const getApplicants = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+    const search = String(req.query.search || '').trim();
+
+    const [result] = await CreditReport.aggregate(buildApplicantPipeline({ organisation: req.organisation.id, page, limit, search }));
+    const applicants = (result?.applicants || []).map(({ _id, pan, ...applicant }) => ({ id: _id, pan: maskPan(decryptValue(pan)), ...applicant }));
+    const total = result?.total?.[0]?.count || 0;
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        applicants,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalApplicants: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch applicants', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Get every report of one applicant with score and balance trends
+ * @route GET /api/applicants/:applicantId
+ */
+const getApplicant = async (req, res, next) => {
+  try {
+    const applicantId = resolveApplicantIndex(req.params.applicantId);
+    if (!applicantId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid applicant id or PAN format'
+      });
+    }
+
+    const reports = await CreditReport
+      .find({ organisation: req.organisation.id, 'blindIndex.pan': applicantId, deletedAt: null })
+      .select('bureau basicDetails reportSummary derogatorySummary reportDate createdAt');
+
+    if (!reports || reports.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No reports found for this applicant'
+      });
+    }
+
+    const { timeline, trends } = buildApplicantHistory(reports);
+    const latest = timeline[timeline.length - 1];
+    const latestReport = reports.find(report => String(report._id) === String(latest.id));
+
+    res.json({
+      success: true,
+      data: {
+        id: applicantId,
+        pan: maskPan(decryptValue(latestReport?.basicDetails?.pan)) || null,
+        name: latestReport?.basicDetails?.name || '',
+        reportCount: timeline.length,
+        bureaus: [...new Set(timeline.map(entry => entry.bureau).filter(Boolean))],
+        timeline,
+        trends
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch applicant', { error: error.message });
+    next(error);
+  }
+};
+
+export {
+  getApplicants,
+  getApplicant
+};
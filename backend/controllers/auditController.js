@@ -0,0 +1,46 @@
+import AuditLog from '../models/AuditLog.js';
+import { buildAuditFilter, toPublicAuditEntry } from '../services/auditService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Query the audit log of the selected organisation, newest first
+ * @route GET /api/audit-logs
+ */
+const getAuditLogs = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { ...buildAuditFilter(req.query), organisation: req.organisation.id };
+
+    const [total, entries] = await Promise.all([
+      AuditLog.countDocuments(filter),
+      AuditLog.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        entries: entries.map(toPublicAuditEntry),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalEntries: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch audit logs', { error: error.message });
+    next(error);
+  }
+};
+
+export {
+  getAuditLogs
+};
@@ -0,0 +1,73 @@
+import User from '../models/User.js';
+import {
+  verifyPassword,
+  signToken,
+  toPublicUser,
+  createAuthenticationError
+} from '../services/authService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Sign in with email and password
+ * @route POST /api/auth/login
+ */
+const login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body || {};
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() }).select('+passwordHash');
+    const valid = user && user.active && await verifyPassword(password, user.passwordHash);
+
+    if (!valid) {
+      logger.warn('Failed login attempt', { email, ip: req.ip });
+      throw createAuthenticationError('Invalid email or password');
+    }
+
+    await User.updateOne({ _id: user._id }, { lastLoginAt: new Date() });
+
+    logger.info('User signed in', { userId: user._id, role: user.role });
+
+    res.json({
+      success: true,
+      data: {
+        token: signToken(user),
+        user: toPublicUser(user)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the signed in user
+ * @route GET /api/auth/me
+ */
+const getCurrentUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      throw createAuthenticationError('Account no longer exists');
+    }
+
+    res.json({
+      success: true,
+      data: toPublicUser(user)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  login,
+  getCurrentUser
+};
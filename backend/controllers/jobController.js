@@ -0,0 +1,26 @@
+import { getJob } from '../services/jobQueueService.js';
+
+/**
+ * Get the status of an upload or batch processing job
+ * @route GET /api/jobs/:id
+ */
+const getJobStatus = (req, res) => {
+  const job = getJob(req.params.id);
+
+  // Jobs are visible to the user who queued them and to admins
+  if (!job || (job.metadata.userId !== req.user.id && req.user.role !== 'admin')) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+};
+
+export {
+  getJobStatus
+};
@@ -0,0 +1,115 @@
+import Organisation from '../models/Organisation.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Shape an organisation for API responses
+ * @param {Object} organisation - Organisation document
+ * @returns {Object} Public organisation fields
+ */
+const toPublicOrganisation = (organisation) => ({
+  id: organisation._id,
+  name: organisation.name,
+  slug: organisation.slug,
+  active: organisation.active,
+  createdAt: organisation.createdAt
+});
+
+/**
+ * List the organisations the signed in user can select; admins see all of them
+ * @route GET /api/organisations
+ */
+const getOrganisations = async (req, res, next) => {
+  try {
+    const filter = req.user.role === 'admin'
+      ? {}
+      : { _id: { $in: req.user.organisations }, active: true };
+
+    const organisations = await Organisation.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: organisations.map(toPublicOrganisation)
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch organisations', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Create an organisation
+ * @route POST /api/organisations
+ */
+const createOrganisation = async (req, res, next) => {
+  try {
+    const { name, slug } = req.body || {};
+
+    if (!name || !slug) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name and slug are required'
+      });
+    }
+
+    const existing = await Organisation.findOne({ slug: String(slug).trim().toLowerCase() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'An organisation with this slug already exists'
+      });
+    }
+
+    const organisation = await Organisation.create({ name, slug });
+
+    logger.info('Organisation created', { organisationId: organisation._id, by: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: toPublicOrganisation(organisation)
+    });
+
+  } catch (error) {
+    logger.error('Failed to create organisation', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Rename, activate or deactivate an organisation
+ * @route PATCH /api/organisations/:id
+ */
+const updateOrganisation = async (req, res, next) => {
+  try {
+    const { name, active } = req.body || {};
+
+    const organisation = await Organisation.findById(req.params.id);
+    if (!organisation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organisation not found'
+      });
+    }
+
+    if (name !== undefined) organisation.name = name;
+    if (active !== undefined) organisation.active = Boolean(active);
+    await organisation.save();
+
+    logger.info('Organisation updated', { organisationId: organisation._id, by: req.user.id });
+
+    res.json({
+      success: true,
+      data: toPublicOrganisation(organisation)
+    });
+
+  } catch (error) {
+    logger.error('Failed to update organisation', { organisationId: req.params.id, error: error.message });
+    next(error);
+  }
+};
+
+export {
+  getOrganisations,
+  createOrganisation,
+  updateOrganisation
+};
@@ -0,0 +1,16 @@
+import { getReferenceData } from '../services/referenceDataService.js';
+
+/**
+ * Get the bureau code tables shared with the frontend
+ * @route GET /api/reference-data
+ */
+const getReferenceDataTables = (req, res) => {
+  res.json({
+    success: true,
+    data: getReferenceData()
+  });
+};
+
+export {
+  getReferenceDataTables
+};
@@ -1,13 +1,233 @@
 import crypto from 'crypto';
+import path from 'path';
 import { promises as fs } from 'fs';
 import CreditReport from '../models/CreditReport.js';
-import { uploadXmlFile, deleteXmlFile } from '../config/cloudinary.js';
-import { parseXmlFile, validateExperianXml } from '../services/xmlParserService.js';
-import { transformCreditReportData } from '../services/dataTransformerService.js';
+import AuditLog from '../models/AuditLog.js';
+import { parseXmlFile } from '../services/xmlParserService.js';
+import { detectBureau } from '../services/bureaus/index.js';
+import { applyCreditMetrics } from '../services/creditMetricsService.js';
+import { buildReportFilter, buildReportSort } from '../services/reportQueryService.js';
+import { diffReports, orderReports } from '../services/reportDiffService.js';
+import { isZipFile, extractXmlFiles } from '../services/archiveService.js';
+import { enqueueJob } from '../services/jobQueueService.js';
+import { getStorageDriver, getReportStorage } from '../services/storage/index.js';
+import { buildAuditEntry } from '../services/auditService.js';
+import { buildDownloadFileName, buildListExportFileName, buildContentDisposition } from '../services/downloadService.js';
+import {
+  MAX_LIST_EXPORT,
+  CONTENT_TYPES,
+  parseExportFormat,
+  parseExportSheet,
+  describeExportFilters,
+  buildReportSheets,
+  buildReportListSheet,
+  toCsv,
+  toXlsx
+} from '../services/exportService.js';
+import { encryptReportFields, decryptReportFields, decryptValue } from '../services/encryptionService.js';
+import { maskPan, maskAccountNumber, maskReportFields } from '../services/maskingService.js';
+import { getRetentionPolicy, getTrashPurgeDate } from '../services/retentionService.js';
+import { REFERENCE_DATA_VERSION } from '../config/referenceData.js';
 import logger from '../utils/logger.js';
 
+// Per-file outcomes of a batch upload
+const BATCH_STATUSES = ['created', 'duplicate', 'invalid', 'failed'];
+
+// Stages reported by GET /api/jobs/:id
+const UPLOAD_JOB_STAGES = ['checking-duplicate', 'parsing', 'detecting-bureau', 'storing-file', 'transforming', 'saving'];
+const BATCH_JOB_STAGES = ['extracting', 'processing'];
+
+const DUPLICATE_MESSAGE = 'This file has already been processed';
+const DUPLICATE_IN_TRASH_MESSAGE = 'This file belongs to a report in the trash. Restore the report instead of uploading it again';
+
+const INVALID_FORMAT_MESSAGE = 'Invalid XML format. Please ensure this is a valid Experian, TransUnion CIBIL, Equifax or CRIF High Mark credit report.';
+
+/**
+ * Create an error for a file that is not a supported credit report
+ * @returns {Error} XML parsing error
+ */
+const createInvalidFormatError = () => {
+  const error = new Error(INVALID_FORMAT_MESSAGE);
+  error.name = 'XMLParsingError';
+  return error;
+};
+
+/**
+ * Hash a file to detect duplicate uploads
+ * @param {string} filePath - Local file path
+ * @returns {Promise<string>} SHA-256 hex digest
+ */
+const hashFile = async (filePath) => {
+  const fileBuffer = await fs.readFile(filePath);
+  return crypto.createHash('sha256').update(fileBuffer).digest('hex');
+};
+
+/**
+ * Hash, parse, store and save one uploaded XML file; the local file is always removed
+ * @param {string} filePath - Local path of the uploaded file
+ * @param {string} fileName - Original file name
+ * @param {Object} options - { organisation, uploadedBy, onStage }; onStage is called with each stage name in UPLOAD_JOB_STAGES as it starts
+ * @returns {Promise<Object>} { status: 'created' | 'duplicate', report?, reportId?, inTrash? }; unsupported files throw XMLParsingError
+ */
+const ingestXmlFile = async (filePath, fileName, { organisation, uploadedBy, onStage = () => {} } = {}) => {
+  try {
+    // Check again inside the job: an identical file may have been queued meanwhile
+    onStage('checking-duplicate');
+    const fileHash = await hashFile(filePath);
+    const existingReport = await CreditReport.findOne({ organisation, fileHash });
+    if (existingReport) {
+      return { status: 'duplicate', reportId: existingReport._id, inTrash: Boolean(existingReport.deletedAt) };
+    }
+
+    // Parse XML file
+    onStage('parsing');
+    const parsedXml = await parseXmlFile(filePath);
+
+    // Detect the issuing bureau from the XML structure
+    onStage('detecting-bureau');
+    const bureauAdapter = detectBureau(parsedXml);
+    if (!bureauAdapter) {
+      throw createInvalidFormatError();
+    }
+
+    // Keep the original file with the configured storage driver
+    onStage('storing-file');
+    const storageDriver = getStorageDriver();
+    const stored = await storageDriver.upload(filePath, fileName);
+
+    let creditReport;
+    try {
+      // Transform XML data with the bureau-specific adapter and derive risk metrics
+      onStage('transforming');
+      const transformedData = applyCreditMetrics(bureauAdapter.transform(parsedXml));
+
+      // Create credit report record with the applicant's PII encrypted
+      onStage('saving');
+      creditReport = new CreditReport({
+        organisation,
+        fileHash,
+        storageDriver: storageDriver.id,
+        storageKey: stored.key,
+        uploadedBy,
+        bureau: bureauAdapter.id,
+        referenceDataVersion: REFERENCE_DATA_VERSION,
+        ...encryptReportFields(transformedData)
+      });
+
+      await creditReport.save();
+    } catch (error) {
+      // Do not leave a stored file behind for a report that was never saved
+      await storageDriver.delete(stored.key).catch(() => {});
+      throw error;
+    }
+
+    logger.info('Credit report processed successfully', { 
+      reportId: creditReport._id,
+      bureau: bureauAdapter.id,
+      fileName 
+    });
+
+    return { status: 'created', report: creditReport };
+  } finally {
+    // Clean up local file
+    await fs.unlink(filePath).catch(() => {});
+  }
+};
+
+/**
+ * Filter for one report of the selected organisation that is not in the trash
+ * @param {Object} req - Express request with req.organisation
+ * @param {string} id - Report ID
+ * @returns {Object} Mongo filter
+ */
+const activeReportFilter = (req, id) => ({ _id: id, organisation: req.organisation.id, deletedAt: null });
+
+/**
+ * Filter for one report of the selected organisation that is in the trash
+ * @param {Object} req - Express request with req.organisation
+ * @param {string} id - Report ID
+ * @returns {Object} Mongo filter
+ */
+const trashedReportFilter = (req, id) => ({ _id: id, organisation: req.organisation.id, deletedAt: { $ne: null } });
+
+// Fields of a report shown in lists and list exports
+const SUMMARY_FIELDS = 'bureau basicDetails reportSummary derogatorySummary reportDate createdAt';
+
+/**
+ * Summarise a report for the report list, with the PAN masked
+ * @param {Object} report - Credit report selected with SUMMARY_FIELDS
+ * @returns {Object} Report summary
+ */
+const toReportSummary = (report) => ({
+  id: report._id,
+  bureau: report.bureau,
+  name: report.basicDetails.name,
+  pan: maskPan(decryptValue(report.basicDetails.pan)),
+  creditScore: report.basicDetails.creditScore,
+  totalAccounts: report.reportSummary.totalAccounts,
+  activeAccounts: report.reportSummary.activeAccounts,
+  currentBalance: report.reportSummary.currentBalanceAmount,
+  hasDerogatory: Boolean(report.derogatorySummary?.hasDerogatory),
+  reportDate: report.reportDate,
+  createdAt: report.createdAt
+});
+
+/**
+ * Send an export file; exports are never cached
+ * @param {Object} res - Express response
+ * @param {string} format - 'xlsx' or 'csv'
+ * @param {string} fileName - Download file name
+ * @param {Buffer|string} body - File content
+ */
+const sendExport = (res, format, fileName, body) => {
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': buildContentDisposition(fileName),
+    'Cache-Control': 'no-store'
+  });
+  res.send(body);
+};
+
+/**
+ * Write an audit log entry for an action on a report
+ * @param {Object} req - Express request of the signed in user
+ * @param {Object} entry - { action, reportId, details }
+ * @returns {Promise<Object>} Saved audit entry
+ */
+const recordAudit = (req, entry) => AuditLog.create(buildAuditEntry(req, entry));
+
+/**
+ * Record an upload from a background job; the report already exists, so a failed write is logged rather than thrown
+ * @param {Object} req - Express request that queued the job
+ * @param {Object} report - Saved credit report
+ * @param {Object} details - { fileName, archive }
+ */
+const recordUpload = (req, report, details) => recordAudit(req, {
+  action: 'report.upload',
+  reportId: report._id,
+  details: { ...details, bureau: report.bureau }
+}).catch((error) => {
+  logger.error('Failed to write upload audit entry', { reportId: report._id, error: error.message });
+});
+
 /**
- * Upload and process XML credit report
+ * Build the 202 response body for a queued job
+ * @param {Object} job - Job snapshot
+ * @param {string} message - Response message
+ * @returns {Object} Response body with the job id and status URL
+ */
+const toQueuedResponse = (job, message) => ({
+  success: true,
+  message,
+  data: {
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`
+  }
+});
+
+/**
+ * Upload an XML credit report and queue it for processing
  * @route POST /api/upload
  */
 const uploadReport = async (req, res, next) => {
@@ -24,82 +244,195 @@ const uploadReport = async (req, res, next) => {
 
     logger.info('Processing XML file upload', { fileName, filePath });
 
-    // Generate file hash to prevent duplicates
-    const fileBuffer = await fs.readFile(filePath);
-    const fileHash = crypto.createHash('sha256').update(fileBuffer).digest('hex');
-
-    // Check if file already exists
-    const existingReport = await CreditReport.findOne({ fileHash });
+    // Known duplicates within the organisation are rejected immediately rather than queued
+    const existingReport = await CreditReport.findOne({
+      organisation: req.organisation.id,
+      fileHash: await hashFile(filePath)
+    });
     if (existingReport) {
-      // Clean up uploaded file
       await fs.unlink(filePath).catch(() => {});
-      
+
       return res.status(409).json({
         success: false,
-        message: 'This file has already been processed',
+        message: existingReport.deletedAt ? DUPLICATE_IN_TRASH_MESSAGE : DUPLICATE_MESSAGE,
         reportId: existingReport._id
       });
     }
 
-    // Parse XML file
-    const parsedXml = await parseXmlFile(filePath);
-    console.log("FileLocation", filePath);
-    // Validate XML structure
-    if (!validateExperianXml(parsedXml)) {
-      await fs.unlink(filePath).catch(() => {});
-      return res.status(422).json({
+    const job = enqueueJob(
+      {
+        type: 'upload',
+        stages: UPLOAD_JOB_STAGES,
+        metadata: { fileName, userId: req.user.id, organisationId: req.organisation.id }
+      },
+      async ({ startStage }) => {
+        const result = await ingestXmlFile(filePath, fileName, {
+          organisation: req.organisation.id,
+          uploadedBy: req.user.id,
+          onStage: startStage
+        });
+
+        if (result.status === 'created') {
+          await recordUpload(req, result.report, { fileName });
+        }
+
+        return result.status === 'created'
+          ? { status: 'created', reportId: result.report._id, bureau: result.report.bureau }
+          : { status: 'duplicate', reportId: result.reportId, inTrash: result.inTrash };
+      }
+    );
+
+    res.status(202).json(toQueuedResponse(job, 'Credit report queued for processing'));
+
+  } catch (error) {
+    // Clean up file on error
+    if (req.file) {
+      await fs.unlink(req.file.path).catch(() => {});
+    }
+    
+    logger.error('Upload processing failed', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Process one file of a batch without failing the rest of the batch
+ * @param {Object} file - { path, fileName, archive }
+ * @param {Object} req - Express request that queued the batch
+ * @returns {Promise<Object>} Per-file outcome
+ */
+const processBatchFile = async ({ path: filePath, fileName, archive }, req) => {
+  const outcome = { fileName, archive: archive || null };
+
+  try {
+    const result = await ingestXmlFile(filePath, fileName, {
+      organisation: req.organisation.id,
+      uploadedBy: req.user.id
+    });
+
+    if (result.status === 'created') {
+      await recordUpload(req, result.report, { fileName, archive: archive || undefined });
+
+      return {
+        ...outcome,
+        status: 'created',
+        reportId: result.report._id,
+        bureau: result.report.bureau,
+        name: result.report.basicDetails?.name || ''
+      };
+    }
+
+    return {
+      ...outcome,
+      status: 'duplicate',
+      reportId: result.reportId,
+      inTrash: result.inTrash,
+      message: result.inTrash ? DUPLICATE_IN_TRASH_MESSAGE : DUPLICATE_MESSAGE
+    };
+  } catch (error) {
+    logger.error('Batch file processing failed', { fileName, archive, error: error.message });
+
+    // Unparseable or unsupported XML is the file's fault; anything else is a processing failure
+    return error.name === 'XMLParsingError'
+      ? { ...outcome, status: 'invalid', message: error.message }
+      : { ...outcome, status: 'failed', message: error.message };
+  }
+};
+
+/**
+ * Expand uploaded ZIP archives into their XML files
+ * @param {Array} uploadedFiles - Multer files
+ * @returns {Promise<Object>} { files, results } where results holds entries rejected before processing
+ */
+const collectBatchFiles = async (uploadedFiles) => {
+  const files = [];
+  const results = [];
+
+  for (const file of uploadedFiles) {
+    if (!isZipFile(file.originalname)) {
+      files.push({ path: file.path, fileName: file.originalname });
+      continue;
+    }
+
+    const archive = file.originalname;
+    try {
+      const extracted = await extractXmlFiles(file.path, path.dirname(file.path));
+      extracted.rejected.forEach(entry => results.push({ ...entry, archive, status: 'invalid' }));
+      extracted.files.forEach(entry => files.push({ ...entry, archive }));
+    } catch (error) {
+      results.push({
+        fileName: archive,
+        archive: null,
+        status: error.name === 'ArchiveError' ? 'invalid' : 'failed',
+        message: error.message
+      });
+    } finally {
+      await fs.unlink(file.path).catch(() => {});
+    }
+  }
+
+  return { files, results };
+};
+
+/**
+ * Upload many XML files or ZIP archives of XML files and queue them for processing
+ * @route POST /api/upload/batch
+ */
+const uploadBatch = async (req, res, next) => {
+  const uploadedFiles = req.files || [];
+
+  try {
+    if (uploadedFiles.length === 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid XML format. Please ensure this is a valid Experian credit report.'
+        message: 'No files uploaded'
       });
     }
 
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadXmlFile(filePath, fileName);
+    logger.info('Processing batch upload', { files: uploadedFiles.length });
 
-    // Transform XML data
-    const transformedData = transformCreditReportData(parsedXml);
+    const job = enqueueJob(
+      {
+        type: 'batch',
+        stages: BATCH_JOB_STAGES,
+        metadata: {
+          files: uploadedFiles.map(file => file.originalname),
+          userId: req.user.id,
+          organisationId: req.organisation.id
+        }
+      },
+      async ({ startStage, setProgress }) => {
+        startStage('extracting');
+        const { files, results } = await collectBatchFiles(uploadedFiles);
 
-    // Create credit report record
-    const creditReport = new CreditReport({
-      fileHash,
-      rawXmlUrl: cloudinaryResult.url,
-      cloudinaryPublicId: cloudinaryResult.public_id,
-      ...transformedData
-    });
+        startStage('processing');
+        const total = files.length + results.length;
+        setProgress(results.length, total);
 
-    await creditReport.save();
+        // Files are processed one at a time so duplicates inside the same batch are caught
+        for (const file of files) {
+          results.push(await processBatchFile(file, req));
+          setProgress(results.length, total);
+        }
 
-    // Clean up local file
-    await fs.unlink(filePath).catch(() => {});
+        const summary = BATCH_STATUSES.reduce((counts, status) => ({
+          ...counts,
+          [status]: results.filter(result => result.status === status).length
+        }), { total: results.length });
 
-    logger.info('Credit report processed successfully', { 
-      reportId: creditReport._id,
-      fileName 
-    });
+        logger.info('Batch upload processed', summary);
 
-    // Return success response with full report data
-    res.status(201).json({
-      success: true,
-      message: 'Credit report processed successfully',
-      data: {
-        _id: creditReport._id,
-        fileHash: creditReport.fileHash,
-        basicDetails: creditReport.basicDetails,
-        reportSummary: creditReport.reportSummary,
-        creditAccounts: creditReport.creditAccounts,
-        enquiries: creditReport.enquiries,
-        rawXmlUrl: creditReport.rawXmlUrl,
-        createdAt: creditReport.createdAt
+        return { summary, results };
       }
-    });
+    );
+
+    res.status(202).json(toQueuedResponse(job, `Batch of ${uploadedFiles.length} file(s) queued for processing`));
 
   } catch (error) {
-    // Clean up file on error
-    if (req.file) {
-      await fs.unlink(req.file.path).catch(() => {});
-    }
-    
-    logger.error('Upload processing failed', { error: error.message });
+    // Clean up any files that were not processed
+    await Promise.all(uploadedFiles.map(file => fs.unlink(file.path).catch(() => {})));
+
+    logger.error('Batch upload failed', { error: error.message });
     next(error);
   }
 };
@@ -110,18 +443,22 @@ const uploadReport = async (req, res, next) => {
  */
 const getReports = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
     const skip = (page - 1) * limit;
 
+    // Search, filter and sort parameters, always within the selected organisation
+    const filter = { ...buildReportFilter(req.query), organisation: req.organisation.id, deletedAt: null };
+    const sort = buildReportSort(req.query);
+
     // Get total count
-    const total = await CreditReport.countDocuments();
+    const total = await CreditReport.countDocuments(filter);
 
     // Get reports with pagination
     const reports = await CreditReport
-      .find()
-      .select('basicDetails reportSummary rawXmlUrl createdAt')
-      .sort({ createdAt: -1 })
+      .find(filter)
+      .select(SUMMARY_FIELDS)
+      .sort(sort)
       .skip(skip)
       .limit(limit);
 
@@ -130,16 +467,7 @@ const getReports = async (req, res, next) => {
     res.json({
       success: true,
       data: {
-        reports: reports.map(report => ({
-          id: report._id,
-          name: report.basicDetails.name,
-          creditScore: report.basicDetails.creditScore,
-          totalAccounts: report.reportSummary.totalAccounts,
-          activeAccounts: report.reportSummary.activeAccounts,
-          currentBalance: report.reportSummary.currentBalanceAmount,
-          createdAt: report.createdAt,
-          rawXmlUrl: report.rawXmlUrl
-        })),
+        reports: reports.map(toReportSummary),
         pagination: {
           currentPage: page,
           totalPages,
@@ -156,6 +484,45 @@ const getReports = async (req, res, next) => {
   }
 };
 
+/**
+ * Export the reports matching the list filters as one CSV or Excel sheet
+ * Takes the search, filter and sort parameters of GET /api/reports; every export is audited.
+ * @route GET /api/reports/export?format=xlsx|csv
+ */
+const exportReports = async (req, res, next) => {
+  try {
+    const format = parseExportFormat(req.query);
+    const filter = { ...buildReportFilter(req.query), organisation: req.organisation.id, deletedAt: null };
+    const sort = buildReportSort(req.query);
+
+    const total = await CreditReport.countDocuments(filter);
+    if (total > MAX_LIST_EXPORT) {
+      return res.status(400).json({
+        success: false,
+        message: `${total} reports match these filters; narrow them to at most ${MAX_LIST_EXPORT} to export`
+      });
+    }
+
+    const reports = await CreditReport.find(filter).select(SUMMARY_FIELDS).sort(sort);
+    const sheet = buildReportListSheet(reports.map(toReportSummary));
+    const fileName = buildListExportFileName(format);
+
+    // Exports span many reports, so they are audited once without a report id
+    await recordAudit(req, {
+      action: 'report.export',
+      details: { format, fileName, reportCount: reports.length, filters: describeExportFilters(req.query) }
+    });
+
+    logger.info('Credit reports exported', { format, count: reports.length, userId: req.user.id });
+
+    sendExport(res, format, fileName, format === 'csv' ? toCsv(sheet) : await toXlsx([sheet]));
+
+  } catch (error) {
+    logger.error('Failed to export reports', { error: error.message });
+    next(error);
+  }
+};
+
 /**
  * Get specific credit report by ID
  * @route GET /api/reports/:id
@@ -164,7 +531,7 @@ const getReport = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const report = await CreditReport.findById(id);
+    const report = await CreditReport.findOne(activeReportFilter(req, id));
 
     if (!report) {
       return res.status(404).json({
@@ -173,19 +540,34 @@ const getReport = async (req, res, next) => {
       });
     }
 
+    await recordAudit(req, { action: 'report.view', reportId: report._id });
+
     logger.info('Credit report retrieved', { reportId: id });
 
+    // PII is masked for everyone; callers with reports:reveal fetch it through the audited reveal endpoint
+    const { basicDetails, creditAccounts } = maskReportFields(decryptReportFields(report));
+
     res.json({
       success: true,
       data: {
         id: report._id,
-        basicDetails: report.basicDetails,
+        bureau: report.bureau,
+        // Opaque applicant key (the PAN blind index) for the applicant history page
+        applicantId: report.blindIndex?.pan || null,
+        bureauMetadata: report.bureauMetadata,
+        reportDate: report.reportDate,
+        basicDetails,
         reportSummary: report.reportSummary,
-        creditAccounts: report.creditAccounts,
+        creditMetrics: report.creditMetrics,
+        creditAccounts,
+        derogatorySummary: report.derogatorySummary,
         enquiries: report.enquiries,
-        rawXmlUrl: report.rawXmlUrl,
+        enquirySummary: report.enquirySummary,
         accountSummary: report.accountSummary,
         totalDebt: report.totalDebt,
+        legalHold: Boolean(report.legalHold),
+        legalHoldReason: report.legalHoldReason || null,
+        rawXmlPurgedAt: report.rawXmlPurgedAt || null,
         createdAt: report.createdAt,
         updatedAt: report.updatedAt
       }
@@ -198,14 +580,233 @@ const getReport = async (req, res, next) => {
 };
 
 /**
- * Delete credit report
+ * Export a report as an Excel workbook (applicant, accounts, enquiries and history sheets) or one sheet as CSV
+ * PII stays masked as in GET /api/reports/:id; every export is audited.
+ * @route GET /api/reports/:id/export?format=xlsx|csv&sheet=
+ */
+const exportReport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const format = parseExportFormat(req.query);
+    const sheetKey = format === 'csv' ? parseExportSheet(req.query) : null;
+
+    const report = await CreditReport.findOne(activeReportFilter(req, id));
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit report not found'
+      });
+    }
+
+    const sheets = buildReportSheets(maskReportFields(decryptReportFields(report)));
+    const fileName = buildDownloadFileName(report, format, sheetKey);
+
+    await recordAudit(req, {
+      action: 'report.export',
+      reportId: report._id,
+      details: { format, fileName, ...(sheetKey && { sheet: sheetKey }) }
+    });
+
+    logger.info('Credit report exported', { reportId: id, format });
+
+    sendExport(res, format, fileName, sheetKey ? toCsv(sheets[sheetKey]) : await toXlsx(Object.values(sheets)));
+
+  } catch (error) {
+    logger.error('Failed to export report', { reportId: req.params.id, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Get the unmasked PAN, phone, email and account numbers of a report
+ * Every reveal is written to the audit log before the values are returned.
+ * @route POST /api/reports/:id/reveal
+ */
+const revealReportPii = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const report = await CreditReport
+      .findOne(activeReportFilter(req, id))
+      .select('basicDetails creditAccounts');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit report not found'
+      });
+    }
+
+    await recordAudit(req, { action: 'report.reveal', reportId: report._id });
+
+    logger.info('Credit report PII revealed', { reportId: id, userId: req.user.id });
+
+    const { basicDetails, creditAccounts } = decryptReportFields(report);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: {
+        basicDetails,
+        creditAccounts
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to reveal report PII', { reportId: req.params.id, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Stream the original XML of a report from whichever storage holds it
+ * Every download is written to the audit log before any bytes are sent.
+ * @route GET /api/reports/:id/raw
+ */
+const downloadRawReport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const report = await CreditReport
+      .findOne(activeReportFilter(req, id))
+      .select('bureau basicDetails.name reportDate createdAt storageDriver storageKey cloudinaryPublicId');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit report not found'
+      });
+    }
+
+    const { driver, key } = getReportStorage(report);
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        message: 'Original XML is not available for this report'
+      });
+    }
+
+    const stream = await driver.download(key);
+    const fileName = buildDownloadFileName(report, 'xml');
+
+    await recordAudit(req, {
+      action: 'report.download',
+      reportId: report._id,
+      details: { fileName, storageDriver: driver.id }
+    });
+
+    logger.info('Raw XML downloaded', { reportId: id, driver: driver.id });
+
+    res.set({
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Content-Disposition': buildContentDisposition(fileName),
+      'Cache-Control': 'no-store'
+    });
+
+    stream.on('error', (error) => {
+      logger.error('Failed to stream raw XML', { reportId: id, error: error.message });
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        next(error);
+      }
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    logger.error('Failed to download raw XML', { reportId: req.params.id, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Compare two reports of the same applicant, earlier bureau pull first
+ * @route GET /api/reports/compare?from=:id&to=:id
+ */
+const compareReports = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    if (!from || !to || from === to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide two different report ids as from and to'
+      });
+    }
+
+    const [firstDocument, secondDocument] = await Promise.all([
+      CreditReport.findOne(activeReportFilter(req, from)),
+      CreditReport.findOne(activeReportFilter(req, to))
+    ]);
+
+    if (!firstDocument || !secondDocument) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit report not found'
+      });
+    }
+
+    // Account numbers are part of the account match key, so diff the decrypted reports
+    const first = decryptReportFields(firstDocument);
+    const second = decryptReportFields(secondDocument);
+
+    const firstPan = first.basicDetails?.pan;
+    const secondPan = second.basicDetails?.pan;
+    if (firstPan && secondPan && firstPan !== secondPan) {
+      return res.status(422).json({
+        success: false,
+        message: 'Reports belong to different applicants'
+      });
+    }
+
+    const [fromReport, toReport] = orderReports(first, second);
+    const diff = diffReports(fromReport, toReport);
+    const maskAccounts = (accounts) => accounts.map(account => ({
+      ...account,
+      accountNumber: maskAccountNumber(account.accountNumber)
+    }));
+    const describe = (report) => ({
+      id: report._id,
+      bureau: report.bureau,
+      reportDate: report.reportDate,
+      createdAt: report.createdAt
+    });
+
+    logger.info('Credit reports compared', { from: fromReport._id, to: toReport._id });
+
+    res.json({
+      success: true,
+      data: {
+        applicant: {
+          id: secondDocument.blindIndex?.pan || firstDocument.blindIndex?.pan || null,
+          name: toReport.basicDetails?.name || fromReport.basicDetails?.name || '',
+          pan: maskPan(secondPan || firstPan) || null
+        },
+        from: describe(fromReport),
+        to: describe(toReport),
+        ...diff,
+        openedAccounts: maskAccounts(diff.openedAccounts),
+        closedAccounts: maskAccounts(diff.closedAccounts),
+        removedAccounts: maskAccounts(diff.removedAccounts),
+        changedAccounts: maskAccounts(diff.changedAccounts)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to compare reports', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Move a credit report to the trash; it is permanently deleted once TRASH_RETENTION_DAYS have passed
  * @route DELETE /api/reports/:id
  */
 const deleteReport = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const report = await CreditReport.findById(id);
+    const report = await CreditReport.findOne(activeReportFilter(req, id));
 
     if (!report) {
       return res.status(404).json({
@@ -214,19 +815,33 @@ const deleteReport = async (req, res, next) => {
       });
     }
 
-    // Delete from Cloudinary
-    await deleteXmlFile(report.cloudinaryPublicId).catch(() => {
-      logger.warn('Failed to delete file from Cloudinary', { publicId: report.cloudinaryPublicId });
-    });
+    if (report.legalHold) {
+      return res.status(409).json({
+        success: false,
+        message: 'Report is under legal hold and cannot be deleted'
+      });
+    }
 
-    // Delete from database
-    await CreditReport.findByIdAndDelete(id);
+    const { trashDays } = getRetentionPolicy();
+    const deletedAt = new Date();
+    await CreditReport.updateOne(activeReportFilter(req, report._id), { $set: { deletedAt, deletedBy: req.user.id } });
 
-    logger.info('Credit report deleted', { reportId: id });
+    await recordAudit(req, {
+      action: 'report.delete',
+      reportId: report._id,
+      details: { bureau: report.bureau, fileHash: report.fileHash }
+    });
+
+    logger.info('Credit report moved to the trash', { reportId: id });
 
     res.json({
       success: true,
-      message: 'Credit report deleted successfully'
+      message: 'Credit report moved to the trash',
+      data: {
+        id: report._id,
+        deletedAt,
+        purgeAt: getTrashPurgeDate(deletedAt, trashDays)
+      }
     });
 
   } catch (error) {
@@ -235,6 +850,202 @@ const deleteReport = async (req, res, next) => {
   }
 };
 
+/**
+ * List the reports in the trash of the selected organisation, most recently deleted first
+ * @route GET /api/reports/trash
+ */
+const getTrash = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { organisation: req.organisation.id, deletedAt: { $ne: null } };
+    const { trashDays } = getRetentionPolicy();
+
+    const [total, reports] = await Promise.all([
+      CreditReport.countDocuments(filter),
+      CreditReport
+        .find(filter)
+        .select('bureau basicDetails.name basicDetails.pan reportDate createdAt deletedAt deletedBy')
+        .populate('deletedBy', 'email name')
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        reports: reports.map(report => ({
+          id: report._id,
+          bureau: report.bureau,
+          name: report.basicDetails?.name,
+          pan: maskPan(decryptValue(report.basicDetails?.pan)),
+          reportDate: report.reportDate,
+          createdAt: report.createdAt,
+          deletedAt: report.deletedAt,
+          deletedBy: report.deletedBy?.email || null,
+          purgeAt: getTrashPurgeDate(report.deletedAt, trashDays)
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalReports: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch trash', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Restore a report from the trash
+ * @route POST /api/reports/trash/:id/restore
+ */
+const restoreReport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const report = await CreditReport.findOne(trashedReportFilter(req, id));
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found in the trash'
+      });
+    }
+
+    await CreditReport.updateOne(trashedReportFilter(req, report._id), {
+      $set: { deletedAt: null },
+      $unset: { deletedBy: '' }
+    });
+
+    await recordAudit(req, {
+      action: 'report.restore',
+      reportId: report._id,
+      details: { deletedAt: report.deletedAt }
+    });
+
+    logger.info('Credit report restored from the trash', { reportId: id });
+
+    res.json({
+      success: true,
+      message: 'Credit report restored',
+      data: { id: report._id }
+    });
+
+  } catch (error) {
+    logger.error('Failed to restore report', { reportId: req.params.id, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Permanently delete a report in the trash and its raw XML
+ * @route DELETE /api/reports/trash/:id
+ */
+const deleteReportPermanently = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const report = await CreditReport.findOne(trashedReportFilter(req, id));
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found in the trash'
+      });
+    }
+
+    // Delete the raw XML from whichever storage holds it, unless a retention rule already did
+    const { driver, key } = getReportStorage(report);
+    if (key) {
+      await driver.delete(key).catch((error) => {
+        logger.warn('Failed to delete stored file', { driver: driver.id, key, error: error.message });
+      });
+    }
+
+    await CreditReport.deleteOne(trashedReportFilter(req, report._id));
+
+    await recordAudit(req, {
+      action: 'report.purge',
+      reportId: report._id,
+      details: { bureau: report.bureau, fileHash: report.fileHash }
+    });
+
+    logger.info('Credit report permanently deleted', { reportId: id });
+
+    res.json({
+      success: true,
+      message: 'Credit report permanently deleted'
+    });
+
+  } catch (error) {
+    logger.error('Failed to permanently delete report', { reportId: req.params.id, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Place or lift a legal hold on a report
+ * @route PATCH /api/reports/:id/legal-hold
+ */
+const setLegalHold = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { legalHold, reason } = req.body || {};
+
+    if (typeof legalHold !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'legalHold must be true or false'
+      });
+    }
+
+    const report = await CreditReport.findOne(activeReportFilter(req, id));
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit report not found'
+      });
+    }
+
+    const legalHoldReason = legalHold && reason ? String(reason).trim() : undefined;
+    await CreditReport.updateOne(
+      { _id: report._id, organisation: req.organisation.id },
+      legalHoldReason
+        ? { $set: { legalHold, legalHoldReason } }
+        : { $set: { legalHold }, $unset: { legalHoldReason: '' } }
+    );
+
+    await recordAudit(req, {
+      action: 'report.legal-hold',
+      reportId: report._id,
+      details: { legalHold, ...(legalHoldReason && { reason: legalHoldReason }) }
+    });
+
+    logger.info(legalHold ? 'Legal hold placed' : 'Legal hold lifted', { reportId: id });
+
+    res.json({
+      success: true,
+      data: { id: report._id, legalHold, legalHoldReason: legalHoldReason || null }
+    });
+
+  } catch (error) {
+    logger.error('Failed to update legal hold', { reportId: req.params.id, error: error.message });
+    next(error);
+  }
+};
+
 /**
  * Get credit report statistics
  * @route GET /api/reports/stats
@@ -242,20 +1053,24 @@ const deleteReport = async (req, res, next) => {
 const getReportStats = async (req, res, next) => {
   try {
     const stats = await CreditReport.aggregate([
+      // aggregate() does not cast, so match on the ObjectId itself
+      { $match: { organisation: req.organisation.id, deletedAt: null } },
       {
         $group: {
           _id: null,
           totalReports: { $sum: 1 },
           avgCreditScore: { $avg: '$basicDetails.creditScore' },
           totalAccounts: { $sum: '$reportSummary.totalAccounts' },
-          totalBalance: { $sum: '$reportSummary.currentBalanceAmount' }
+          totalBalance: { $sum: '$reportSummary.currentBalanceAmount' },
+          oldestReportDate: { $min: '$reportDate' },
+          newestReportDate: { $max: '$reportDate' }
         }
       }
     ]);
 
     const recentReports = await CreditReport
-      .find()
-      .select('createdAt')
+      .find({ organisation: req.organisation.id, deletedAt: null })
+      .select('reportDate createdAt')
       .sort({ createdAt: -1 })
       .limit(30);
 
@@ -266,10 +1081,14 @@ const getReportStats = async (req, res, next) => {
           totalReports: 0,
           avgCreditScore: 0,
           totalAccounts: 0,
-          totalBalance: 0
+          totalBalance: 0,
+          oldestReportDate: null,
+          newestReportDate: null
         },
+        // Upload activity is keyed by upload time; reportDate is the bureau's own date
         recentActivity: recentReports.map(report => ({
           date: report.createdAt.toISOString().split('T')[0],
+          reportDate: report.reportDate ? report.reportDate.toISOString().split('T')[0] : null,
           count: 1
         }))
       }
@@ -283,8 +1102,18 @@ const getReportStats = async (req, res, next) => {
 
 export {
   uploadReport,
+  uploadBatch,
   getReports,
   getReport,
+  exportReports,
+  exportReport,
+  revealReportPii,
+  downloadRawReport,
+  setLegalHold,
   deleteReport,
-  getReportStats
+  getTrash,
+  restoreReport,
+  deleteReportPermanently,
+  getReportStats,
+  compareReports
 };
@@ -0,0 +1,319 @@
+import CreditReport from '../models/CreditReport.js';
+import PurgeRun from '../models/PurgeRun.js';
+import { getReportStorage } from '../services/storage/index.js';
+import { getRetentionPolicy, buildPurgeFilters, toPublicPurgeRun } from '../services/retentionService.js';
+import logger from '../utils/logger.js';
+
+// Reports listed per rule by the dry-run preview
+const PREVIEW_LIMIT = 100;
+
+const CANDIDATE_FIELDS = 'organisation createdAt storageDriver storageKey cloudinaryPublicId';
+
+// Run log list each rule records its removed reports in, in the order the rules run
+const RULE_LOGS = {
+  emptyTrash: 'emptiedTrash',
+  deleteReports: 'deletedReports',
+  purgeRawXml: 'purgedRawXml'
+};
+
+// Only one purge runs at a time, whether scheduled or started by an admin
+let purgeInProgress = false;
+
+/**
+ * Find the oldest reports matching a purge filter
+ * @param {Object} filter - Filter from buildPurgeFilters
+ * @param {number} limit - Maximum reports
+ * @returns {Promise<Array>} Lean reports with their storage fields
+ */
+const findPurgeCandidates = (filter, limit) => CreditReport.find(filter)
+  .select(CANDIDATE_FIELDS)
+  .sort({ createdAt: 1 })
+  .limit(limit)
+  .lean();
+
+/**
+ * Describe a report and the stored file a purge removes
+ * @param {Object} report - Lean report
+ * @returns {Object} Purged report entry
+ */
+const toPurgedReport = (report) => {
+  const storage = report.storageKey || report.cloudinaryPublicId ? getReportStorage(report) : null;
+
+  return {
+    reportId: report._id,
+    organisation: report.organisation,
+    storageDriver: storage?.driver.id || null,
+    storageKey: storage?.key || null,
+    uploadedAt: report.createdAt
+  };
+};
+
+/**
+ * Delete a purged report's raw XML from storage
+ * @param {Object} report - Lean report
+ * @returns {Promise<void>}
+ */
+const deleteStoredFile = async (report) => {
+  if (!report.storageKey && !report.cloudinaryPublicId) return;
+  const { driver, key } = getReportStorage(report);
+  await driver.delete(key);
+};
+
+/**
+ * Apply one retention rule to a batch of reports
+ * The database change comes first and re-checks the legal hold, so a hold placed while the run
+ * is in progress still protects the file. A file that then fails to delete is logged as a failure
+ * with its storage key for manual clean up.
+ * @param {Object} run - PurgeRun document, updated in place
+ * @param {string} rule - Key of RULE_LOGS
+ * @param {Array} reports - Lean reports selected by the rule
+ * @returns {Promise<void>}
+ */
+const applyRule = async (run, rule, reports) => {
+  const removed = run[RULE_LOGS[rule]];
+
+  for (const report of reports) {
+    const filter = { _id: report._id, legalHold: { $ne: true } };
+
+    try {
+      let result;
+      if (rule === 'emptyTrash') {
+        // Skip reports restored while the run was in progress
+        result = await CreditReport.deleteOne({ ...filter, deletedAt: { $ne: null } });
+      } else if (rule === 'deleteReports') {
+        result = await CreditReport.deleteOne(filter);
+      } else {
+        result = await CreditReport.updateOne(
+          { ...filter, rawXmlPurgedAt: null },
+          {
+            $set: { rawXmlPurgedAt: new Date() },
+            $unset: { storageKey: '', rawXmlUrl: '', cloudinaryPublicId: '' }
+          }
+        );
+      }
+
+      if (!(result.deletedCount || result.modifiedCount)) continue;
+      removed.push(toPurgedReport(report));
+
+      await deleteStoredFile(report);
+    } catch (error) {
+      logger.warn('Retention purge failed for report', { reportId: report._id, rule, error: error.message });
+      run.failures.push({ reportId: report._id, rule, message: error.message });
+    }
+  }
+};
+
+/**
+ * Run the retention rules once and log what was removed
+ * Used by the scheduler and by POST /api/retention/purge.
+ * @param {Object} options - { trigger: 'schedule' or 'manual', actor: signed in user for manual runs }
+ * @returns {Promise<Object|null>} The purge run, or null when another run is in progress
+ */
+const runRetentionPurge = async ({ trigger, actor } = {}) => {
+  if (purgeInProgress) return null;
+  purgeInProgress = true;
+
+  try {
+    const policy = getRetentionPolicy();
+    const filters = buildPurgeFilters(policy);
+
+    const run = await PurgeRun.create({
+      trigger,
+      triggeredBy: actor ? { id: String(actor.id), email: actor.email } : undefined,
+      policy: { rawXmlDays: policy.rawXmlDays, reportDays: policy.reportDays, trashDays: policy.trashDays }
+    });
+
+    try {
+      for (const rule of Object.keys(RULE_LOGS)) {
+        if (filters[rule]) {
+          await applyRule(run, rule, await findPurgeCandidates(filters[rule], policy.batchSize));
+        }
+      }
+      run.status = 'completed';
+    } catch (error) {
+      logger.error('Retention purge stopped', { runId: run._id, error: error.message });
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.completedAt = new Date();
+    await run.save();
+
+    logger.info('Retention purge finished', {
+      runId: run._id,
+      trigger,
+      status: run.status,
+      emptiedTrash: run.emptiedTrash.length,
+      deletedReports: run.deletedReports.length,
+      purgedRawXml: run.purgedRawXml.length,
+      failures: run.failures.length
+    });
+
+    return run;
+  } finally {
+    purgeInProgress = false;
+  }
+};
+
+/**
+ * Show the retention rules in force
+ * @route GET /api/retention/policy
+ */
+const getPolicy = (req, res, next) => {
+  try {
+    const { rawXmlDays, reportDays, trashDays, intervalHours, batchSize } = getRetentionPolicy();
+
+    res.json({
+      success: true,
+      data: { rawXmlDays, reportDays, trashDays, intervalHours, batchSize }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Dry run: list what a purge would remove right now, without removing anything
+ * @route GET /api/retention/preview
+ */
+const previewPurge = async (req, res, next) => {
+  try {
+    const policy = getRetentionPolicy();
+    const filters = buildPurgeFilters(policy);
+
+    const preview = async (filter) => {
+      if (!filter) return { total: 0, reports: [] };
+
+      const [total, reports] = await Promise.all([
+        CreditReport.countDocuments(filter),
+        findPurgeCandidates(filter, PREVIEW_LIMIT)
+      ]);
+      return { total, reports: reports.map(toPurgedReport) };
+    };
+
+    const [emptyTrash, deleteReports, purgeRawXml] = await Promise.all([
+      preview(filters.emptyTrash),
+      preview(filters.deleteReports),
+      preview(filters.purgeRawXml)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        policy: {
+          rawXmlDays: policy.rawXmlDays,
+          reportDays: policy.reportDays,
+          trashDays: policy.trashDays,
+          batchSize: policy.batchSize
+        },
+        cutoffs: filters.cutoffs,
+        emptyTrash,
+        deleteReports,
+        purgeRawXml
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to preview retention purge', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Run the retention rules now
+ * @route POST /api/retention/purge
+ */
+const purgeNow = async (req, res, next) => {
+  try {
+    const run = await runRetentionPurge({ trigger: 'manual', actor: req.user });
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        message: 'A retention purge is already running'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: toPublicPurgeRun(run, true)
+    });
+
+  } catch (error) {
+    logger.error('Failed to run retention purge', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * List purge runs, newest first
+ * @route GET /api/retention/runs
+ */
+const getPurgeRuns = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const [total, runs] = await Promise.all([
+      PurgeRun.countDocuments(),
+      PurgeRun.find().sort({ startedAt: -1 }).skip(skip).limit(limit)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        runs: runs.map(run => toPublicPurgeRun(run)),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalRuns: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch purge runs', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Get a purge run with every report and file it removed
+ * @route GET /api/retention/runs/:id
+ */
+const getPurgeRun = async (req, res, next) => {
+  try {
+    const run = await PurgeRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purge run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toPublicPurgeRun(run, true)
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch purge run', { runId: req.params.id, error: error.message });
+    next(error);
+  }
+};
+
+export {
+  runRetentionPurge,
+  getPolicy,
+  previewPurge,
+  purgeNow,
+  getPurgeRuns,
+  getPurgeRun
+};
@@ -0,0 +1,168 @@
+import User from '../models/User.js';
+import Organisation from '../models/Organisation.js';
+import {
+  USER_ROLES,
+  validatePassword,
+  hashPassword,
+  toPublicUser
+} from '../services/authService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Check that every organisation id given for a user exists
+ * @param {*} organisations - Value of the organisations field in the request body
+ * @returns {Promise<string|null>} Problem with the list, or null when valid
+ */
+const validateOrganisations = async (organisations) => {
+  if (!Array.isArray(organisations)) {
+    return 'organisations must be a list of organisation ids';
+  }
+
+  const ids = [...new Set(organisations.map(String))];
+  const found = await Organisation.countDocuments({ _id: { $in: ids } });
+  return found === ids.length ? null : 'One or more organisations do not exist';
+};
+
+/**
+ * List user accounts
+ * @route GET /api/users
+ */
+const getUsers = async (req, res, next) => {
+  try {
+    const users = await User.find().sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: users.map(toPublicUser)
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch users', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Create a user account
+ * @route POST /api/users
+ */
+const createUser = async (req, res, next) => {
+  try {
+    const { email, name, password, role, organisations = [] } = req.body || {};
+
+    if (!email || !USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Email and a role (${USER_ROLES.join(', ')}) are required`
+      });
+    }
+
+    const passwordProblem = validatePassword(password);
+    if (passwordProblem) {
+      return res.status(400).json({ success: false, message: passwordProblem });
+    }
+
+    const organisationProblem = await validateOrganisations(organisations);
+    if (organisationProblem) {
+      return res.status(400).json({ success: false, message: organisationProblem });
+    }
+
+    const existing = await User.findOne({ email: String(email).trim().toLowerCase() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
+
+    const user = await User.create({
+      email,
+      name,
+      role,
+      organisations,
+      passwordHash: await hashPassword(password)
+    });
+
+    logger.info('User created', { userId: user._id, role, by: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: toPublicUser(user)
+    });
+
+  } catch (error) {
+    logger.error('Failed to create user', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Change the name, role, status, organisations or password of a user account
+ * @route PATCH /api/users/:id
+ */
+const updateUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, role, active, password, organisations } = req.body || {};
+
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${USER_ROLES.join(', ')}`
+      });
+    }
+
+    // Admins cannot lock themselves out
+    if (id === req.user.id && ((role !== undefined && role !== 'admin') || active === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own admin access'
+      });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (password !== undefined) {
+      const passwordProblem = validatePassword(password);
+      if (passwordProblem) {
+        return res.status(400).json({ success: false, message: passwordProblem });
+      }
+      user.passwordHash = await hashPassword(password);
+    }
+    if (organisations !== undefined) {
+      const organisationProblem = await validateOrganisations(organisations);
+      if (organisationProblem) {
+        return res.status(400).json({ success: false, message: organisationProblem });
+      }
+      user.organisations = organisations;
+    }
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = Boolean(active);
+
+    await user.save();
+
+    logger.info('User updated', { userId: id, by: req.user.id });
+
+    res.json({
+      success: true,
+      data: toPublicUser(user)
+    });
+
+  } catch (error) {
+    logger.error('Failed to update user', { userId: req.params.id, error: error.message });
+    next(error);
+  }
+};
+
+export {
+  getUsers,
+  createUser,
+  updateUser
+};
@@ -0,0 +1,96 @@
+import User from '../models/User.js';
+import Organisation from '../models/Organisation.js';
+import {
+  verifyToken,
+  hasPermission,
+  createAuthenticationError,
+  createAuthorizationError
+} from '../services/authService.js';
+
+/**
+ * Require a valid bearer token and attach the signed in user as req.user
+ * The user is reloaded on every request so deactivation and role changes apply immediately.
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      throw createAuthenticationError();
+    }
+
+    const payload = verifyToken(token);
+    const user = await User.findById(payload.sub);
+    if (!user || !user.active) {
+      throw createAuthenticationError('Account is disabled or no longer exists');
+    }
+
+    req.user = {
+      id: String(user._id),
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      organisations: (user.organisations || []).map(String)
+    };
+    next();
+  } catch (error) {
+    next(error.name === 'CastError' ? createAuthenticationError('Invalid authentication token') : error);
+  }
+};
+
+/**
+ * Allow only users whose role grants a permission
+ * @param {string} permission - Permission such as 'reports:delete'
+ * @returns {Function} Express middleware
+ */
+const authorize = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return next(createAuthenticationError());
+  }
+  if (!hasPermission(req.user.role, permission)) {
+    return next(createAuthorizationError());
+  }
+  next();
+};
+
+/**
+ * Resolve the organisation a request works in and attach it as req.organisation
+ * The organisation comes from the X-Organisation-Id header, or is implied when the user belongs to exactly one.
+ */
+const requireOrganisation = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      throw createAuthenticationError();
+    }
+
+    const isAdmin = req.user.role === 'admin';
+    const organisationId = req.get('x-organisation-id')
+      || (req.user.organisations.length === 1 ? req.user.organisations[0] : null);
+
+    if (!organisationId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select an organisation with the X-Organisation-Id header'
+      });
+    }
+
+    if (!isAdmin && !req.user.organisations.includes(organisationId)) {
+      throw createAuthorizationError('You do not belong to this organisation');
+    }
+
+    const organisation = await Organisation.findById(organisationId);
+    if (!organisation || !organisation.active) {
+      throw createAuthorizationError('Organisation not found or inactive');
+    }
+
+    req.organisation = { id: organisation._id, name: organisation.name, slug: organisation.slug };
+    next();
+  } catch (error) {
+    next(error.name === 'CastError' ? createAuthorizationError('Organisation not found or inactive') : error);
+  }
+};
+
+export {
+  authenticate,
+  authorize,
+  requireOrganisation
+};
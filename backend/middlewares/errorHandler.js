@@ -30,11 +30,45 @@ const errorHandler = (err, req, res, next) => {
     error = { message: err.message, statusCode: 422 };
   }
 
+  // Invalid search, filter or sort parameters
+  if (err.name === 'QueryValidationError') {
+    error = { message: err.message, statusCode: 400 };
+  }
+
   // Cloudinary errors
   if (err.message && err.message.includes('Cloudinary')) {
     error = { message: 'File storage error', statusCode: 500 };
   }
 
+  // Storage driver errors
+  if (err.name === 'StorageError') {
+    error = { message: 'File storage error', statusCode: 500 };
+  }
+
+  if (err.name === 'StorageNotFoundError') {
+    error = { message: 'Stored file not found', statusCode: 404 };
+  }
+
+  // Missing encryption keys or tampered ciphertext; details stay in the log
+  if (err.name === 'EncryptionError') {
+    error = { message: 'Encrypted data could not be read', statusCode: 500 };
+  }
+
+  // Invalid RETENTION_* settings
+  if (err.name === 'RetentionConfigError') {
+    error = { message: err.message, statusCode: 500 };
+  }
+
+  // Missing or invalid sign in
+  if (err.name === 'AuthenticationError') {
+    error = { message: err.message, statusCode: 401 };
+  }
+
+  // Signed in without the required role
+  if (err.name === 'AuthorizationError') {
+    error = { message: err.message, statusCode: 403 };
+  }
+
   // File upload errors
   if (err.code === 'INVALID_FILE_TYPE' || err.code === 'INVALID_MIME_TYPE') {
     error = { message: err.message, statusCode: 422 };
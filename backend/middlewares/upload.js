@@ -16,21 +16,30 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter function
-const fileFilter = (req, file, cb) => {
-  const allowedExtensions = ['.xml'];
-  const allowedMimeTypes = ['application/xml', 'text/xml', 'application/octet-stream'];
+// Batch uploads: XML files or ZIP archives of XML files
+const MAX_BATCH_FILES = 200;
+const MAX_BATCH_FILE_SIZE = 50 * 1024 * 1024; // 50 MB, ZIP archives included
+
+const XML_MIME_TYPES = ['application/xml', 'text/xml', 'application/octet-stream'];
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'];
 
+/**
+ * Build a multer file filter for the given file kinds
+ * @param {Object} allowed - Extension to allowed MIME types, e.g. { '.xml': [...] }
+ * @param {string} description - Accepted formats for error messages
+ * @returns {Function} Multer file filter
+ */
+const createFileFilter = (allowed, description) => (req, file, cb) => {
   const fileExtension = path.extname(file.originalname).toLowerCase();
 
-  if (!allowedExtensions.includes(fileExtension)) {
-    const error = new Error('Only XML files are allowed');
+  if (!allowed[fileExtension]) {
+    const error = new Error(`Only ${description} files are allowed`);
     error.code = 'INVALID_FILE_TYPE';
     return cb(error, false);
   }
 
-  if (!allowedMimeTypes.includes(file.mimetype)) {
-    const error = new Error('Invalid MIME type. Only XML files are allowed');
+  if (!allowed[fileExtension].includes(file.mimetype)) {
+    const error = new Error(`Invalid MIME type. Only ${description} files are allowed`);
     error.code = 'INVALID_MIME_TYPE';
     return cb(error, false);
   }
@@ -38,6 +47,9 @@ const fileFilter = (req, file, cb) => {
   cb(null, true);
 };
 
+// File filter function
+const fileFilter = createFileFilter({ '.xml': XML_MIME_TYPES }, 'XML');
+
 // Configure multer
 const upload = multer({
   storage,
@@ -48,20 +60,35 @@ const upload = multer({
   }
 });
 
-// Error handling middleware for multer
-const handleUploadError = (error, req, res, next) => {
+const batchUpload = multer({
+  storage,
+  fileFilter: createFileFilter({ '.xml': XML_MIME_TYPES, '.zip': ZIP_MIME_TYPES }, 'XML or ZIP'),
+  limits: {
+    fileSize: MAX_BATCH_FILE_SIZE,
+    files: MAX_BATCH_FILES
+  }
+});
+
+/**
+ * Build the error handling middleware for a multer upload
+ * @param {Object} options - { maxFiles, maxSizeLabel }
+ * @returns {Function} Express error middleware
+ */
+const createUploadErrorHandler = ({ maxFiles, maxSizeLabel }) => (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     switch (error.code) {
       case 'LIMIT_FILE_SIZE':
         return res.status(400).json({
           success: false,
-          message: 'File too large. Maximum allowed size is 10MB',
+          message: `File too large. Maximum allowed size is ${maxSizeLabel}`,
           error: 'FILE_TOO_LARGE'
         });
       case 'LIMIT_FILE_COUNT':
         return res.status(400).json({
           success: false,
-          message: 'Too many files. Only one file is allowed',
+          message: maxFiles === 1
+            ? 'Too many files. Only one file is allowed'
+            : `Too many files. At most ${maxFiles} files are allowed per batch`,
           error: 'TOO_MANY_FILES'
         });
       case 'LIMIT_UNEXPECTED_FILE':
@@ -91,7 +118,20 @@ const handleUploadError = (error, req, res, next) => {
   next(error);
 };
 
+// Error handling middleware for multer
+const handleUploadError = createUploadErrorHandler({ maxFiles: 1, maxSizeLabel: '10MB' });
+const handleBatchUploadError = createUploadErrorHandler({ maxFiles: MAX_BATCH_FILES, maxSizeLabel: '50MB' });
+
 // Export correct single-file upload middleware (matches frontend key "file")
 const uploadSingle = upload.single('file');
 
-export { uploadSingle as upload, handleUploadError };
+// Batch upload middleware (matches frontend key "files")
+const uploadMultiple = batchUpload.array('files', MAX_BATCH_FILES);
+
+export {
+  uploadSingle as upload,
+  uploadMultiple as uploadFiles,
+  handleUploadError,
+  handleBatchUploadError,
+  MAX_BATCH_FILES
+};
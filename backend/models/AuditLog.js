@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import { AUDIT_ACTIONS } from '../services/auditService.js';
+
+const AuditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  },
+  reportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditReport'
+  },
+  // Signed in user who performed the action, copied from req.user by buildAuditEntry;
+  // only entries written before sign in existed lack one
+  actor: {
+    id: { type: String },
+    email: { type: String },
+    role: { type: String }
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  // Action specific context, e.g. the storage driver a file was read from
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ organisation: 1, createdAt: -1 });
+AuditLogSchema.index({ reportId: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', AuditLogSchema);
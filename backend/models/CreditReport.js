@@ -1,38 +1,216 @@
 import mongoose from 'mongoose';
+import { DPD_BUCKETS } from '../services/paymentHistoryService.js';
+import { IDENTITY_TYPES } from '../services/identityService.js';
+import {
+  ACCOUNT_TYPE_LABELS,
+  ACCOUNT_STATUS_LABELS,
+  ACCOUNT_STATUS_CATEGORY_VALUES
+} from '../services/referenceDataService.js';
+
+// Account types and statuses stored before the code tables existed; kept valid for older reports
+const LEGACY_ACCOUNT_TYPES = [
+  'Secured',
+  'Unsecured',
+  'Credit Card (Revolving)',
+  'Personal Loan (Installment)',
+  'Other Loan',
+  'Loan'
+];
+
+const IdentitySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: IDENTITY_TYPES,
+    required: true
+  },
+  // Encrypted; see services/encryptionService.js
+  number: {
+    type: String
+  },
+  issueDate: {
+    type: Date
+  },
+  expiryDate: {
+    type: Date
+  },
+  // null when the document type has no known number format
+  isValidFormat: {
+    type: Boolean,
+    default: null
+  },
+  isExpired: {
+    type: Boolean,
+    default: false
+  },
+  sources: [String]
+}, { _id: false });
+
+const AddressSchema = new mongoose.Schema({
+  // lines and fullAddress are encrypted
+  lines: [String],
+  city: {
+    type: String,
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  stateCode: {
+    type: String
+  },
+  pinCode: {
+    type: String,
+    trim: true
+  },
+  countryCode: {
+    type: String
+  },
+  fullAddress: {
+    type: String
+  },
+  sources: [String],
+  firstReported: {
+    type: Date
+  },
+  lastReported: {
+    type: Date
+  }
+}, { _id: false });
+
+const PhoneSchema = new mongoose.Schema({
+  // Encrypted
+  number: {
+    type: String
+  },
+  type: {
+    type: String
+  },
+  sources: [String],
+  firstReported: {
+    type: Date
+  },
+  lastReported: {
+    type: Date
+  }
+}, { _id: false });
+
+const AccountHistorySchema = new mongoose.Schema({
+  period: {
+    type: String,
+    trim: true
+  },
+  year: {
+    type: Number
+  },
+  month: {
+    type: Number,
+    min: 1,
+    max: 12
+  },
+  daysPastDue: {
+    type: Number
+  },
+  assetClassification: {
+    type: String,
+    trim: true
+  },
+  dpdBucket: {
+    type: String,
+    enum: DPD_BUCKETS,
+    default: 'unknown'
+  }
+}, { _id: false });
+
+const PaymentHistoryMonthSchema = new mongoose.Schema({
+  period: {
+    type: String,
+    trim: true
+  },
+  year: {
+    type: Number
+  },
+  month: {
+    type: Number,
+    min: 1,
+    max: 12
+  },
+  code: {
+    type: String
+  },
+  bucket: {
+    type: String,
+    enum: DPD_BUCKETS,
+    default: 'unknown'
+  }
+}, { _id: false });
+
+const DerogatorySchema = new mongoose.Schema({
+  isDerogatory: {
+    type: Boolean,
+    default: false
+  },
+  suitFiled: {
+    type: Boolean,
+    default: false
+  },
+  wilfulDefault: {
+    type: Boolean,
+    default: false
+  },
+  writtenOff: {
+    type: Boolean,
+    default: false
+  },
+  settled: {
+    type: Boolean,
+    default: false
+  },
+  restructured: {
+    type: Boolean,
+    default: false
+  },
+  suitFiledStatus: {
+    type: String
+  },
+  writtenOffSettledStatus: {
+    type: String
+  },
+  writtenOffAmount: {
+    type: Number,
+    default: 0
+  },
+  writtenOffPrincipal: {
+    type: Number,
+    default: 0
+  },
+  settlementAmount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
 
 const CreditAccountSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: [
-      'Secured', 
-      'Unsecured', 
-      'Credit Card', 
-      'Credit Card (Revolving)',
-      'Personal Loan',
-      'Personal Loan (Installment)',
-      'Home Loan',
-      'Auto Loan', 
-      'Business Loan',
-      'Gold Loan',
-      'Loan Against Property',
-      'Two Wheeler Loan',
-      'Other Loan',
-      'Loan', 
-      'Other'
-    ],
+    enum: [...new Set([...ACCOUNT_TYPE_LABELS, ...LEGACY_ACCOUNT_TYPES])],
     default: 'Other'
   },
-  bankName: {
+  // Raw bureau codes, kept even when they are not in the reference data
+  typeCode: {
     type: String,
     trim: true
   },
-  accountNumber: {
+  bankName: {
     type: String,
     trim: true
   },
+  // Encrypted
+  accountNumber: {
+    type: String
+  },
   address: {
-    type: String,
-    trim: true
+    type: String
   },
   amountOverdue: {
     type: Number,
@@ -54,78 +232,203 @@ const CreditAccountSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: [
-      'Active', 
-      'Active - Regular',
-      'Active - Irregular', 
-      'Closed', 
-      'Closed - Regular',
-      'Closed - Irregular',
-      'Settled', 
-      'Written Off',
-      'Restructured',
-      'Wilful Default',
-      'Sub-standard',
-      'Doubtful',
-      'Loss'
-    ],
+    enum: ACCOUNT_STATUS_LABELS,
     default: 'Active'
   },
+  statusCode: {
+    type: String,
+    trim: true
+  },
+  statusCategory: {
+    type: String,
+    enum: ACCOUNT_STATUS_CATEGORY_VALUES,
+    default: 'unknown'
+  },
+  portfolioType: {
+    type: String,
+    trim: true
+  },
+  holderType: {
+    type: String,
+    trim: true
+  },
   paymentHistory: {
     type: String,
     trim: true
+  },
+  paymentHistoryMonths: [PaymentHistoryMonthSchema],
+  history: [AccountHistorySchema],
+  derogatory: DerogatorySchema
+});
+
+const EnquirySchema = new mongoose.Schema({
+  institution: String,
+  subscriberCode: String,
+  date: Date,
+  amount: Number,
+  purposeCode: String,
+  purpose: String,
+  reason: String,
+  durationMonths: Number,
+  reportNumber: String,
+  category: {
+    type: String,
+    enum: ['credit', 'nonCredit'],
+    default: 'credit'
   }
 });
 
+const EnquiryWindowSchema = new mongoose.Schema({
+  last7Days: {
+    type: Number,
+    default: 0
+  },
+  last30Days: {
+    type: Number,
+    default: 0
+  },
+  last90Days: {
+    type: Number,
+    default: 0
+  },
+  last180Days: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
 const CreditReportSchema = new mongoose.Schema({
+  // Lending partner the report belongs to; every query is scoped to it
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation',
+    required: true
+  },
+  // Unique per organisation, so two tenants may upload the same file
   fileHash: {
     type: String,
-    unique: true,
     required: true
   },
-  rawXmlUrl: {
+  // User who uploaded the file; empty for reports uploaded before sign in existed
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Where the raw XML is kept: the storage driver id and the driver's key for the file
+  storageDriver: {
     type: String,
-    required: true
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // Cleared when a retention rule purges the raw XML
+  storageKey: {
+    type: String,
+    required: function() {
+      return !this.rawXmlPurgedAt;
+    }
+  },
+  rawXmlPurgedAt: {
+    type: Date,
+    default: null
+  },
+  // Reports under legal hold are exempt from retention purges
+  legalHold: {
+    type: Boolean,
+    default: false
+  },
+  legalHoldReason: {
+    type: String,
+    trim: true
+  },
+  // Set when the report is moved to the trash; trashed reports are hidden from every query but the trash
+  deletedAt: {
+    type: Date,
+    default: null
   },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Legacy public Cloudinary URL, cleared by migrate:cloudinary
+  rawXmlUrl: {
+    type: String
+  },
+  // Legacy field of reports stored before storage drivers existed
   cloudinaryPublicId: {
+    type: String
+  },
+  bureau: {
     type: String,
-    required: true
+    trim: true,
+    lowercase: true,
+    default: 'experian'
+  },
+  bureauMetadata: {
+    reportTime: String,
+    reportNumber: String,
+    version: String,
+    enquiryUsername: String,
+    subscriberName: String
   },
+  // Version of the code tables used to decode the report
+  referenceDataVersion: {
+    type: String,
+    default: null
+  },
+  // PAN, mobile, email, date of birth, addresses, identity and phone numbers are encrypted
+  // before saving (normalized first, so no case or trim setters here); the name stays
+  // searchable in plaintext
   basicDetails: {
     name: {
       type: String,
       trim: true
     },
     mobilePhone: {
-      type: String,
-      trim: true
+      type: String
     },
     pan: {
-      type: String,
-      trim: true,
-      uppercase: true
+      type: String
     },
     creditScore: {
       type: Number,
       min: 300,
       max: 900
     },
+    // Encrypted ISO string; reports stored before encryption hold a Date, read back as its ISO form
     dateOfBirth: {
-      type: Date
+      type: String,
+      cast: (value) => {
+        if (!(value instanceof Date)) return String(value);
+        return Number.isNaN(value.getTime()) ? null : value.toISOString();
+      }
     },
     gender: {
       type: String,
       enum: ['Male', 'Female', 'Other']
     },
     email: {
-      type: String,
-      trim: true,
-      lowercase: true
+      type: String
     },
     address: {
+      type: String
+    },
+    identities: [IdentitySchema],
+    addresses: [AddressSchema],
+    phones: [PhoneSchema]
+  },
+  // Keyed HMACs of the plaintext PAN and phone numbers for exact-match lookups
+  blindIndex: {
+    pan: {
       type: String,
-      trim: true
-    }
+      default: null
+    },
+    phones: [String]
+  },
+  // Key the PII fields are encrypted with; reports under older keys are re-encrypted by
+  // npm run migrate:encryption
+  encryptionKeyId: {
+    type: String
   },
   reportSummary: {
     totalAccounts: {
@@ -163,16 +466,121 @@ const CreditReportSchema = new mongoose.Schema({
       type: Date
     }
   },
+  // Underwriting metrics derived from accounts and enquiries; percentages and ages are null when not computable
+  creditMetrics: {
+    revolvingBalance: {
+      type: Number,
+      default: 0
+    },
+    revolvingLimit: {
+      type: Number,
+      default: 0
+    },
+    creditUtilisation: {
+      type: Number,
+      default: null
+    },
+    averageAccountAgeMonths: {
+      type: Number,
+      default: null
+    },
+    oldestAccountAgeMonths: {
+      type: Number,
+      default: null
+    },
+    maxDpd12Months: {
+      type: Number,
+      default: null
+    },
+    maxDpd24Months: {
+      type: Number,
+      default: null
+    },
+    accountsEver30Dpd: {
+      type: Number,
+      default: 0
+    },
+    accountsEver60Dpd: {
+      type: Number,
+      default: 0
+    },
+    accountsEver90Dpd: {
+      type: Number,
+      default: 0
+    },
+    overdueToBalanceRatio: {
+      type: Number,
+      default: null
+    },
+    enquiryVelocity: {
+      last30Days: { type: Number, default: 0 },
+      last90Days: { type: Number, default: 0 },
+      last180Days: { type: Number, default: 0 },
+      perMonth: { type: Number, default: 0 }
+    }
+  },
   creditAccounts: [CreditAccountSchema],
-  enquiries: [{
-    institution: String,
-    date: Date,
-    amount: Number,
-    purpose: String
-  }],
+  derogatorySummary: {
+    hasDerogatory: {
+      type: Boolean,
+      default: false
+    },
+    defaultAccounts: {
+      type: Number,
+      default: 0
+    },
+    suitFiledCurrentBalance: {
+      type: Number,
+      default: 0
+    },
+    suitFiledAccounts: {
+      type: Number,
+      default: 0
+    },
+    wilfulDefaultAccounts: {
+      type: Number,
+      default: 0
+    },
+    writtenOffAccounts: {
+      type: Number,
+      default: 0
+    },
+    settledAccounts: {
+      type: Number,
+      default: 0
+    },
+    restructuredAccounts: {
+      type: Number,
+      default: 0
+    },
+    totalWrittenOffAmount: {
+      type: Number,
+      default: 0
+    },
+    totalSettlementAmount: {
+      type: Number,
+      default: 0
+    }
+  },
+  enquiries: [EnquirySchema],
+  enquirySummary: {
+    credit: {
+      type: EnquiryWindowSchema,
+      default: () => ({})
+    },
+    nonCredit: {
+      type: EnquiryWindowSchema,
+      default: () => ({})
+    },
+    total: {
+      type: EnquiryWindowSchema,
+      default: () => ({})
+    }
+  },
+  // Date the bureau generated the report, not the upload time
   reportDate: {
     type: Date,
-    default: Date.now
+    default: null
   },
   createdAt: {
     type: Date,
@@ -184,10 +592,31 @@ const CreditReportSchema = new mongoose.Schema({
   }
 });
 
-// Indexes for better query performance
-CreditReportSchema.index({ fileHash: 1 });
-CreditReportSchema.index({ 'basicDetails.pan': 1 });
-CreditReportSchema.index({ createdAt: -1 });
+// Indexes for better query performance; list queries always filter by organisation first
+CreditReportSchema.index({ organisation: 1, fileHash: 1 }, { unique: true });
+CreditReportSchema.index({ organisation: 1, 'blindIndex.pan': 1, createdAt: -1 });
+CreditReportSchema.index({ organisation: 1, createdAt: -1 });
+CreditReportSchema.index({ createdAt: 1, legalHold: 1 });
+CreditReportSchema.index({ organisation: 1, deletedAt: -1 });
+CreditReportSchema.index({ deletedAt: 1 });
+// Report list filters and sorts, behind the organisation and trash scope every list query applies
+CreditReportSchema.index({ organisation: 1, deletedAt: 1, bureau: 1 });
+CreditReportSchema.index({ organisation: 1, deletedAt: 1, reportDate: -1 });
+CreditReportSchema.index({ organisation: 1, deletedAt: 1, 'derogatorySummary.hasDerogatory': 1, createdAt: -1 });
+CreditReportSchema.index({ organisation: 1, deletedAt: 1, 'basicDetails.name': 1 });
+CreditReportSchema.index({ organisation: 1, deletedAt: 1, 'blindIndex.phones': 1 });
+CreditReportSchema.index({ organisation: 1, deletedAt: 1, 'basicDetails.creditScore': -1 });
+CreditReportSchema.index({ organisation: 1, deletedAt: 1, 'reportSummary.currentBalanceAmount': -1 });
+CreditReportSchema.index({ organisation: 1, deletedAt: 1, 'creditAccounts.amountOverdue': 1 });
+
+// Reports stored before storage drivers existed live in Cloudinary under their public ID
+CreditReportSchema.pre('validate', function(next) {
+  if (!this.storageKey && this.cloudinaryPublicId) {
+    this.storageDriver = 'cloudinary';
+    this.storageKey = this.cloudinaryPublicId;
+  }
+  next();
+});
 
 // Update the updatedAt field before saving
 CreditReportSchema.pre('save', function(next) {
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import { PURGE_TRIGGERS } from '../services/retentionService.js';
+
+// A report a purge run touched and the stored file it removed
+const PurgedReportSchema = new mongoose.Schema({
+  reportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditReport'
+  },
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  },
+  storageDriver: {
+    type: String
+  },
+  storageKey: {
+    type: String
+  },
+  uploadedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+// A report or stored file the run could not remove
+const PurgeFailureSchema = new mongoose.Schema({
+  reportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditReport'
+  },
+  rule: {
+    type: String,
+    enum: ['emptyTrash', 'deleteReports', 'purgeRawXml']
+  },
+  message: {
+    type: String
+  }
+}, { _id: false });
+
+const PurgeRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: PURGE_TRIGGERS,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  // Admin who started a manual run
+  triggeredBy: {
+    id: { type: String },
+    email: { type: String }
+  },
+  // Rules in force when the run started
+  policy: {
+    rawXmlDays: { type: Number, default: null },
+    reportDays: { type: Number, default: null },
+    trashDays: { type: Number, default: null }
+  },
+  // Reports permanently deleted after their time in the trash
+  emptiedTrash: [PurgedReportSchema],
+  deletedReports: [PurgedReportSchema],
+  purgedRawXml: [PurgedReportSchema],
+  failures: [PurgeFailureSchema],
+  // Set when the run stopped early
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  }
+});
+
+PurgeRunSchema.index({ startedAt: -1 });
+
+export default mongoose.model('PurgeRun', PurgeRunSchema);
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import { USER_ROLES } from '../services/authService.js';
+
+const UserSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address']
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // bcrypt hash; excluded from queries unless selected explicitly
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    required: true,
+    default: 'analyst'
+  },
+  // Organisations whose reports the user may work with; admins may select any organisation
+  organisations: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  }],
+  // Deactivated users keep their audit history but can no longer sign in
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+UserSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('User', UserSchema);
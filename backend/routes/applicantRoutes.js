@@ -0,0 +1,13 @@
+import express from 'express';
+import { authenticate, authorize, requireOrganisation } from '../middlewares/auth.js';
+import { getApplicants, getApplicant } from '../controllers/applicantController.js';
+
+const router = express.Router();
+
+// List applicants grouped by PAN
+router.get('/applicants', authenticate, authorize('reports:read'), requireOrganisation, getApplicants);
+
+// Get all reports of one applicant, addressed by applicant id or PAN
+router.get('/applicants/:applicantId', authenticate, authorize('reports:read'), requireOrganisation, getApplicant);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from 'express';
+import { authenticate, authorize, requireOrganisation } from '../middlewares/auth.js';
+import { getAuditLogs } from '../controllers/auditController.js';
+
+const router = express.Router();
+
+// Query the audit log
+router.get('/audit-logs', authenticate, authorize('audit:read'), requireOrganisation, getAuditLogs);
+
+export default router;
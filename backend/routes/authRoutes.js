@@ -0,0 +1,22 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { authenticate } from '../middlewares/auth.js';
+import { login, getCurrentUser } from '../controllers/authController.js';
+
+const router = express.Router();
+
+// Slow down password guessing
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  skipSuccessfulRequests: true,
+  message: { success: false, message: 'Too many failed sign in attempts, please try again later.' }
+});
+
+// Sign in
+router.post('/auth/login', loginLimiter, login);
+
+// Get the signed in user
+router.get('/auth/me', authenticate, getCurrentUser);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from 'express';
+import { authenticate } from '../middlewares/auth.js';
+import { getJobStatus } from '../controllers/jobController.js';
+
+const router = express.Router();
+
+// Get processing job status
+router.get('/jobs/:id', authenticate, getJobStatus);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import { authenticate, authorize } from '../middlewares/auth.js';
+import { getOrganisations, createOrganisation, updateOrganisation } from '../controllers/organisationController.js';
+
+const router = express.Router();
+
+// List organisations the user can select
+router.get('/organisations', authenticate, getOrganisations);
+
+// Create an organisation
+router.post('/organisations', authenticate, authorize('organisations:manage'), createOrganisation);
+
+// Update an organisation
+router.patch('/organisations/:id', authenticate, authorize('organisations:manage'), updateOrganisation);
+
+export default router;
@@ -1,28 +1,69 @@
 import express from 'express';
-import { upload, handleUploadError } from '../middlewares/upload.js';
+import { authenticate, authorize, requireOrganisation } from '../middlewares/auth.js';
+import { upload, uploadFiles, handleUploadError, handleBatchUploadError } from '../middlewares/upload.js';
 import {
   uploadReport,
+  uploadBatch,
   getReports,
   getReport,
+  exportReports,
+  exportReport,
+  downloadRawReport,
+  revealReportPii,
+  setLegalHold,
   deleteReport,
-  getReportStats
+  getTrash,
+  restoreReport,
+  deleteReportPermanently,
+  getReportStats,
+  compareReports
 } from '../controllers/reportController.js';
+import { getReferenceDataTables } from '../controllers/referenceDataController.js';
 
 const router = express.Router();
 
 // Upload XML file
-router.post('/upload', upload, handleUploadError, uploadReport);
+router.post('/upload', authenticate, authorize('reports:upload'), requireOrganisation, upload, handleUploadError, uploadReport);
+
+// Upload many XML files or ZIP archives
+router.post('/upload/batch', authenticate, authorize('reports:upload'), requireOrganisation, uploadFiles, handleBatchUploadError, uploadBatch);
 
 // Get all reports
-router.get('/reports', getReports);
+router.get('/reports', authenticate, authorize('reports:read'), requireOrganisation, getReports);
+
+// Export the filtered report list as CSV or Excel
+router.get('/reports/export', authenticate, authorize('reports:export'), requireOrganisation, exportReports);
 
 // Get report statistics
-router.get('/reports/stats', getReportStats);
+router.get('/reports/stats', authenticate, authorize('reports:read'), requireOrganisation, getReportStats);
+
+// Compare two reports of the same applicant
+router.get('/reports/compare', authenticate, authorize('reports:read'), requireOrganisation, compareReports);
+
+// Deleted reports, restorable until the trash is emptied (admins only)
+router.get('/reports/trash', authenticate, authorize('reports:delete'), requireOrganisation, getTrash);
+router.post('/reports/trash/:id/restore', authenticate, authorize('reports:delete'), requireOrganisation, restoreReport);
+router.delete('/reports/trash/:id', authenticate, authorize('reports:delete'), requireOrganisation, deleteReportPermanently);
+
+// Get bureau code tables
+router.get('/reference-data', authenticate, authorize('reports:read'), getReferenceDataTables);
+
+// Download the original XML of a report
+router.get('/reports/:id/raw', authenticate, authorize('reports:download'), requireOrganisation, downloadRawReport);
+
+// Export a report as an Excel workbook or one sheet as CSV
+router.get('/reports/:id/export', authenticate, authorize('reports:export'), requireOrganisation, exportReport);
+
+// Unmasked PII of a report; every reveal is audited
+router.post('/reports/:id/reveal', authenticate, authorize('reports:reveal'), requireOrganisation, revealReportPii);
+
+// Place or lift a legal hold, which exempts a report from retention purges
+router.patch('/reports/:id/legal-hold', authenticate, authorize('reports:hold'), requireOrganisation, setLegalHold);
 
 // Get specific report
-router.get('/reports/:id', getReport);
+router.get('/reports/:id', authenticate, authorize('reports:read'), requireOrganisation, getReport);
 
-// Delete report
-router.delete('/reports/:id', deleteReport);
+// Move a report to the trash (admins only)
+router.delete('/reports/:id', authenticate, authorize('reports:delete'), requireOrganisation, deleteReport);
 
 export default router;
@@ -0,0 +1,28 @@
+import express from 'express';
+import { authenticate, authorize } from '../middlewares/auth.js';
+import {
+  getPolicy,
+  previewPurge,
+  purgeNow,
+  getPurgeRuns,
+  getPurgeRun
+} from '../controllers/retentionController.js';
+
+const router = express.Router();
+
+// Retention rules apply to every organisation, so these routes are not scoped to one
+
+// Rules in force
+router.get('/retention/policy', authenticate, authorize('retention:manage'), getPolicy);
+
+// Dry run of the next purge
+router.get('/retention/preview', authenticate, authorize('retention:manage'), previewPurge);
+
+// Run the retention rules now
+router.post('/retention/purge', authenticate, authorize('retention:manage'), purgeNow);
+
+// Purge run log
+router.get('/retention/runs', authenticate, authorize('retention:manage'), getPurgeRuns);
+router.get('/retention/runs/:id', authenticate, authorize('retention:manage'), getPurgeRun);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import { authenticate, authorize } from '../middlewares/auth.js';
+import { getUsers, createUser, updateUser } from '../controllers/userController.js';
+
+const router = express.Router();
+
+// List user accounts
+router.get('/users', authenticate, authorize('users:manage'), getUsers);
+
+// Create a user account
+router.post('/users', authenticate, authorize('users:manage'), createUser);
+
+// Update a user account
+router.patch('/users/:id', authenticate, authorize('users:manage'), updateUser);
+
+export default router;
@@ -0,0 +1,60 @@
+// Create or reset a user account from the command line, e.g. the first admin:
+//   npm run create-user -- --email admin@example.com --password 'S3cretpass' --role admin
+// --organisation <slug> adds the user to an existing organisation
+import dotenv from 'dotenv';
+dotenv.config();
+
+import mongoose from 'mongoose';
+import { parseArgs } from 'util';
+import User from '../models/User.js';
+import Organisation from '../models/Organisation.js';
+import { USER_ROLES, validatePassword, hashPassword } from '../services/authService.js';
+
+const { values } = parseArgs({
+  options: {
+    email: { type: 'string' },
+    password: { type: 'string' },
+    role: { type: 'string', default: 'admin' },
+    name: { type: 'string', default: '' },
+    organisation: { type: 'string' }
+  }
+});
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+if (!values.email) fail('--email is required');
+if (!USER_ROLES.includes(values.role)) fail(`--role must be one of: ${USER_ROLES.join(', ')}`);
+const passwordProblem = validatePassword(values.password);
+if (passwordProblem) fail(passwordProblem);
+
+await mongoose.connect(process.env.MONGO_URI);
+
+try {
+  const email = values.email.trim().toLowerCase();
+
+  let organisation = null;
+  if (values.organisation) {
+    organisation = await Organisation.findOne({ slug: values.organisation.trim().toLowerCase() });
+    if (!organisation) fail(`Organisation ${values.organisation} does not exist`);
+  }
+
+  const user = await User.findOneAndUpdate(
+    { email },
+    {
+      email,
+      name: values.name,
+      role: values.role,
+      active: true,
+      passwordHash: await hashPassword(values.password),
+      updatedAt: new Date(),
+      ...(organisation && { $addToSet: { organisations: organisation._id } })
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  console.log(`User ${user.email} saved with role ${user.role}`);
+} finally {
+  await mongoose.disconnect();
+}
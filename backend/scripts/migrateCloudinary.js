@@ -0,0 +1,47 @@
+// Make raw XML files uploaded to Cloudinary as public assets private, and drop their saved public URLs.
+// Downloads keep working before and after the move; run this once after upgrading.
+//   npm run migrate:cloudinary -- [--dry-run]
+import dotenv from 'dotenv';
+dotenv.config();
+
+import mongoose from 'mongoose';
+import { parseArgs } from 'util';
+import CreditReport from '../models/CreditReport.js';
+import { makeXmlFilePrivate } from '../config/cloudinary.js';
+
+const { values } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false }
+  }
+});
+
+await mongoose.connect(process.env.MONGO_URI);
+
+try {
+  // Every file the Cloudinary driver stored as a public asset had its URL saved
+  const filter = {
+    rawXmlUrl: { $exists: true },
+    $or: [{ storageDriver: 'cloudinary' }, { storageDriver: { $exists: false } }]
+  };
+  const total = await CreditReport.countDocuments(filter);
+
+  if (values['dry-run']) {
+    console.log(`${total} report(s) have a public Cloudinary file`);
+  } else {
+    let migrated = 0;
+    for await (const report of CreditReport.find(filter).select('storageKey cloudinaryPublicId').lean().cursor()) {
+      const key = report.storageKey || report.cloudinaryPublicId;
+      try {
+        if (key) await makeXmlFilePrivate(key);
+        await CreditReport.collection.updateOne({ _id: report._id }, { $unset: { rawXmlUrl: '' } });
+        migrated += 1;
+      } catch (error) {
+        console.error(`Report ${report._id}: ${error.message}`);
+      }
+    }
+
+    console.log(`Made ${migrated} of ${total} report file(s) private`);
+  }
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,48 @@
+// Encrypt the PII of reports stored in plaintext and re-encrypt reports under a retired key.
+// Add the new key to PII_ENCRYPTION_KEYS, make it PII_ENCRYPTION_ACTIVE_KEY, run this, then
+// remove the old key. Pass --all after changing PII_BLIND_INDEX_KEY to rebuild every index.
+//   npm run migrate:encryption -- [--dry-run] [--all]
+import dotenv from 'dotenv';
+dotenv.config();
+
+import mongoose from 'mongoose';
+import { parseArgs } from 'util';
+import CreditReport from '../models/CreditReport.js';
+import { getKeyring, encryptReportFields, decryptReportFields } from '../services/encryptionService.js';
+
+const { values } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false },
+    all: { type: 'boolean', default: false }
+  }
+});
+
+await mongoose.connect(process.env.MONGO_URI);
+
+try {
+  const { activeKeyId } = getKeyring();
+  const filter = values.all ? {} : { encryptionKeyId: { $ne: activeKeyId } };
+  const total = await CreditReport.countDocuments(filter);
+
+  if (values['dry-run']) {
+    console.log(`${total} report(s) would be encrypted with key ${activeKeyId}`);
+  } else {
+    let migrated = 0;
+    // Lean documents keep legacy plaintext values (such as dates of birth) as they were stored
+    for await (const report of CreditReport.find(filter).lean().cursor()) {
+      const { basicDetails, creditAccounts, blindIndex, encryptionKeyId } = encryptReportFields(decryptReportFields(report));
+      await CreditReport.collection.updateOne(
+        { _id: report._id },
+        { $set: { basicDetails, creditAccounts, blindIndex, encryptionKeyId } }
+      );
+      migrated += 1;
+    }
+
+    // Lookups now go through the blind indexes; drop the plaintext PAN and phone indexes
+    await CreditReport.syncIndexes();
+
+    console.log(`Encrypted ${migrated} of ${total} report(s) with key ${activeKeyId}`);
+  }
+} finally {
+  await mongoose.disconnect();
+}
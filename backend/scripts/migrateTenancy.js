@@ -0,0 +1,52 @@
+// Move a single-tenant database to organisations: every report and user without an organisation
+// is assigned to the given one, and the old global fileHash unique index is replaced.
+//   npm run migrate:tenancy -- --organisation acme-finance --name 'Acme Finance'
+import dotenv from 'dotenv';
+dotenv.config();
+
+import mongoose from 'mongoose';
+import { parseArgs } from 'util';
+import CreditReport from '../models/CreditReport.js';
+import User from '../models/User.js';
+import Organisation from '../models/Organisation.js';
+
+const { values } = parseArgs({
+  options: {
+    organisation: { type: 'string' },
+    name: { type: 'string' }
+  }
+});
+
+if (!values.organisation) {
+  console.error('--organisation <slug> is required');
+  process.exit(1);
+}
+
+await mongoose.connect(process.env.MONGO_URI);
+
+try {
+  const slug = values.organisation.trim().toLowerCase();
+  const organisation = await Organisation.findOne({ slug })
+    || await Organisation.create({ slug, name: values.name || slug });
+
+  const reports = await CreditReport.updateMany(
+    { organisation: { $exists: false } },
+    { $set: { organisation: organisation._id } }
+  );
+  const users = await User.updateMany(
+    { $or: [{ organisations: { $exists: false } }, { organisations: { $size: 0 } }] },
+    { $set: { organisations: [organisation._id] } }
+  );
+
+  // The global unique index would still reject a file another organisation already uploaded
+  const indexes = await CreditReport.collection.indexes();
+  if (indexes.some(index => index.name === 'fileHash_1')) {
+    await CreditReport.collection.dropIndex('fileHash_1');
+    console.log('Dropped the global fileHash_1 index');
+  }
+  await CreditReport.syncIndexes();
+
+  console.log(`Assigned ${reports.modifiedCount} report(s) and ${users.modifiedCount} user(s) to ${organisation.slug}`);
+} finally {
+  await mongoose.disconnect();
+}
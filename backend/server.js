@@ -13,12 +13,27 @@ import { fileURLToPath } from 'url';
 
 // Routes and utilities
 import reportRoutes from './routes/reportRoutes.js';
+import applicantRoutes from './routes/applicantRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import organisationRoutes from './routes/organisationRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import retentionRoutes from './routes/retentionRoutes.js';
+import { runRetentionPurge } from './controllers/retentionController.js';
+import { getRetentionPolicy, hasRetentionRules, startRetentionScheduler } from './services/retentionService.js';
+import { getJwtSecret } from './services/authService.js';
+import { getKeyring } from './services/encryptionService.js';
 import errorHandler from './middlewares/errorHandler.js';
 import logger from './utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Refuse to start without the token signing secret or a valid PII key ring
+getJwtSecret();
+getKeyring();
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -29,12 +44,19 @@ app.use(helmet());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100,
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Job status is polled while uploads are processed
+  skip: (req) => req.method === 'GET' && req.path.startsWith('/api/jobs/')
 });
 app.use(limiter);
 
-// CORS
-app.use(cors({ origin: '*' }));
+// CORS: only the configured frontend(s) may call the API
+// Content-Disposition carries the file name of downloads
+const allowedOrigins = (process.env.FRONTEND_URL || 'http://localhost:5173')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+app.use(cors({ origin: allowedOrigins, exposedHeaders: ['Content-Disposition'] }));
 
 // Body parsing
 app.use(express.json({ limit: '10mb' }));
@@ -44,7 +66,14 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Routes
+app.use('/api', authRoutes);
+app.use('/api', userRoutes);
+app.use('/api', organisationRoutes);
+app.use('/api', auditRoutes);
+app.use('/api', retentionRoutes);
 app.use('/api', reportRoutes);
+app.use('/api', applicantRoutes);
+app.use('/api', jobRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -96,6 +125,12 @@ if (process.env.NODE_ENV !== 'test') {
     logger.info(`Server running on port ${PORT}`);
     console.log(`🚀 Server running on http://localhost:${PORT}`);
   });
+
+  // Scheduled retention purges; the trash is always emptied, other rules only when configured
+  const retentionPolicy = getRetentionPolicy();
+  if (hasRetentionRules(retentionPolicy)) {
+    startRetentionScheduler(() => runRetentionPurge({ trigger: 'schedule' }), retentionPolicy.intervalHours);
+  }
 }
 
 export default app;
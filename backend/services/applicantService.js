@@ -0,0 +1,128 @@
+import { normalizeIdentityNumber, validateIdentityNumber } from './identityService.js';
+import { escapeRegex } from './reportQueryService.js';
+import { createPanIndex } from './encryptionService.js';
+
+// Applicant ids are the hex PAN blind index
+const APPLICANT_ID_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Normalize and validate a PAN from a request
+ * @param {string} pan - Raw PAN
+ * @returns {string|null} Uppercase PAN, or null when it is not a valid PAN
+ */
+const normalizePan = (pan) => {
+  const normalized = normalizeIdentityNumber(pan);
+  return validateIdentityNumber('pan', normalized) ? normalized : null;
+};
+
+/**
+ * Resolve an applicant id or a PAN from a request to the PAN blind index
+ * @param {string} value - Applicant id or PAN
+ * @returns {string|null} PAN blind index, or null when the value is neither
+ */
+const resolveApplicantIndex = (value) => {
+  const text = String(value || '').trim();
+  if (APPLICANT_ID_PATTERN.test(text)) return text;
+
+  const pan = normalizePan(text);
+  return pan ? createPanIndex(pan) : null;
+};
+
+/**
+ * Summarize how a numeric value moved across an applicant's reports
+ * @param {Array<number|null>} values - Values in chronological order
+ * @returns {Object} First, latest, change, min and max; null fields when no values exist
+ */
+const summarizeTrend = (values) => {
+  const present = values.filter(value => typeof value === 'number' && !isNaN(value));
+  if (present.length === 0) {
+    return { first: null, latest: null, change: null, min: null, max: null };
+  }
+
+  const first = present[0];
+  const latest = present[present.length - 1];
+  return {
+    first,
+    latest,
+    change: latest - first,
+    min: Math.min(...present),
+    max: Math.max(...present)
+  };
+};
+
+/**
+ * Build the timeline and trends of an applicant's reports
+ * @param {Array} reports - CreditReport documents of one applicant
+ * @returns {Object} { timeline, trends } ordered by bureau report date
+ */
+const buildApplicantHistory = (reports) => {
+  const timeline = reports
+    .map(report => ({
+      id: report._id,
+      bureau: report.bureau,
+      reportDate: report.reportDate || null,
+      createdAt: report.createdAt,
+      creditScore: report.basicDetails?.creditScore ?? null,
+      currentBalance: report.reportSummary?.currentBalanceAmount ?? null,
+      totalAccounts: report.reportSummary?.totalAccounts ?? 0,
+      activeAccounts: report.reportSummary?.activeAccounts ?? 0,
+      hasDerogatory: Boolean(report.derogatorySummary?.hasDerogatory)
+    }))
+    // Reports without a bureau date fall back to their upload date
+    .sort((a, b) => new Date(a.reportDate || a.createdAt) - new Date(b.reportDate || b.createdAt));
+
+  return {
+    timeline,
+    trends: {
+      creditScore: summarizeTrend(timeline.map(entry => entry.creditScore)),
+      currentBalance: summarizeTrend(timeline.map(entry => entry.currentBalance))
+    }
+  };
+};
+
+/**
+ * Build the aggregation that groups the reports of one organisation into one entry per PAN
+ * @param {Object} options - { organisation, page, limit, search }; organisation must be an ObjectId
+ * @returns {Array} Aggregation pipeline returning { applicants, total }; applicant PANs are still encrypted
+ */
+const buildApplicantPipeline = ({ organisation, page = 1, limit = 10, search = '' } = {}) => {
+  // PANs are encrypted with a random IV, so reports are grouped by the PAN blind index
+  const match = { organisation, deletedAt: null, 'blindIndex.pan': { $nin: [null, ''] } };
+  if (search) {
+    match['basicDetails.name'] = { $regex: escapeRegex(search), $options: 'i' };
+  }
+
+  return [
+    { $match: match },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: '$blindIndex.pan',
+        pan: { $first: '$basicDetails.pan' },
+        name: { $first: '$basicDetails.name' },
+        latestReportId: { $first: '$_id' },
+        latestCreditScore: { $first: '$basicDetails.creditScore' },
+        latestBalance: { $first: '$reportSummary.currentBalanceAmount' },
+        bureaus: { $addToSet: '$bureau' },
+        reportCount: { $sum: 1 },
+        firstUploadedAt: { $min: '$createdAt' },
+        lastUploadedAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { lastUploadedAt: -1 } },
+    {
+      $facet: {
+        applicants: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ];
+};
+
+export {
+  normalizePan,
+  resolveApplicantIndex,
+  summarizeTrend,
+  buildApplicantHistory,
+  buildApplicantPipeline
+};
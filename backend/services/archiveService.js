@@ -0,0 +1,99 @@
+import AdmZip from 'adm-zip';
+import path from 'path';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+
+// Guards against oversized or malicious archives
+const MAX_ARCHIVE_ENTRIES = 500;
+const MAX_ENTRY_SIZE = 10 * 1024 * 1024; // same limit as a single XML upload
+const MAX_ARCHIVE_SIZE = 500 * 1024 * 1024; // total uncompressed size
+
+/**
+ * Create an error for an archive that cannot be processed
+ * @param {string} message - Error message
+ * @returns {Error} Archive error
+ */
+const createArchiveError = (message) => {
+  const error = new Error(message);
+  error.name = 'ArchiveError';
+  return error;
+};
+
+/**
+ * Check whether an uploaded file is a ZIP archive
+ * @param {string} fileName - Original file name
+ * @returns {boolean} True for .zip files
+ */
+const isZipFile = (fileName) => path.extname(fileName || '').toLowerCase() === '.zip';
+
+/**
+ * Skip directory entries and OS metadata such as __MACOSX/ or ._file.xml
+ * @param {Object} entry - ZIP entry
+ * @returns {boolean} True when the entry should be ignored
+ */
+const isIgnoredEntry = (entry) => {
+  if (entry.isDirectory) return true;
+  const name = path.posix.basename(entry.entryName);
+  return entry.entryName.startsWith('__MACOSX/') || name.startsWith('.');
+};
+
+/**
+ * Extract the XML files of a ZIP archive to a directory
+ * Entries are written under generated names, so paths inside the archive never leave destDir.
+ * @param {string} zipPath - Path of the uploaded archive
+ * @param {string} destDir - Directory to extract into
+ * @returns {Promise<Object>} { files: [{ path, fileName }], rejected: [{ fileName, message }] }
+ */
+const extractXmlFiles = async (zipPath, destDir) => {
+  let zip;
+  try {
+    zip = new AdmZip(zipPath);
+  } catch (error) {
+    throw createArchiveError(`Invalid ZIP archive: ${error.message}`);
+  }
+
+  const entries = zip.getEntries().filter(entry => !isIgnoredEntry(entry));
+  if (entries.length > MAX_ARCHIVE_ENTRIES) {
+    throw createArchiveError(`ZIP archive contains more than ${MAX_ARCHIVE_ENTRIES} files`);
+  }
+
+  const totalSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (totalSize > MAX_ARCHIVE_SIZE) {
+    throw createArchiveError('ZIP archive is too large to extract');
+  }
+
+  const files = [];
+  const rejected = [];
+
+  for (const entry of entries) {
+    const fileName = entry.entryName;
+
+    if (path.extname(fileName).toLowerCase() !== '.xml') {
+      rejected.push({ fileName, message: 'Only XML files are allowed' });
+      continue;
+    }
+
+    if (entry.header.size > MAX_ENTRY_SIZE) {
+      rejected.push({ fileName, message: 'File too large. Maximum allowed size is 10MB' });
+      continue;
+    }
+
+    const safeName = path.posix.basename(fileName, '.xml').replace(/[^\w.-]+/g, '_');
+    const filePath = path.join(destDir, `${safeName}-${Date.now()}-${crypto.randomBytes(8).toString('hex')}.xml`);
+
+    try {
+      await fs.writeFile(filePath, entry.getData());
+      files.push({ path: filePath, fileName });
+    } catch (error) {
+      rejected.push({ fileName, message: `Failed to extract file: ${error.message}` });
+    }
+  }
+
+  return { files, rejected };
+};
+
+export {
+  MAX_ARCHIVE_ENTRIES,
+  isZipFile,
+  extractXmlFiles
+};
@@ -0,0 +1,91 @@
+import { createQueryError, parseDateParam, addRange } from './reportQueryService.js';
+
+// Actions recorded in the audit log
+const AUDIT_ACTIONS = [
+  'report.upload',
+  'report.view',
+  'report.download',
+  'report.reveal',
+  'report.delete',
+  'report.restore',
+  'report.purge',
+  'report.legal-hold',
+  'report.export'
+];
+
+/**
+ * Build an audit log entry for an action taken in a request
+ * @param {Object} req - Express request, with req.user and req.organisation when signed in
+ * @param {Object} entry - { action, reportId, details }
+ * @returns {Object} Audit log document data
+ */
+const buildAuditEntry = (req, { action, reportId, details = {} }) => {
+  if (!AUDIT_ACTIONS.includes(action)) {
+    throw new Error(`Unknown audit action "${action}"`);
+  }
+
+  const user = req.user;
+
+  return {
+    action,
+    organisation: req.organisation?.id,
+    reportId,
+    actor: user ? { id: String(user.id), email: user.email, role: user.role } : undefined,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    details
+  };
+};
+
+/**
+ * Build the Mongo filter for GET /api/audit-logs
+ * @param {Object} query - Request query: action, reportId, actorId, actorEmail, from, to
+ * @returns {Object} Mongo filter
+ */
+const buildAuditFilter = (query = {}) => {
+  const filter = {};
+
+  if (query.action) {
+    if (!AUDIT_ACTIONS.includes(query.action)) {
+      throw createQueryError(`action must be one of: ${AUDIT_ACTIONS.join(', ')}`);
+    }
+    filter.action = query.action;
+  }
+
+  if (query.reportId) {
+    if (!/^[a-f\d]{24}$/i.test(query.reportId)) throw createQueryError('reportId must be a report id');
+    filter.reportId = query.reportId;
+  }
+
+  if (query.actorId) filter['actor.id'] = String(query.actorId);
+
+  const actorEmail = String(query.actorEmail || '').trim().toLowerCase();
+  if (actorEmail) filter['actor.email'] = actorEmail;
+
+  addRange(filter, 'createdAt', parseDateParam(query, 'from'), parseDateParam(query, 'to', true));
+
+  return filter;
+};
+
+/**
+ * Shape an audit log entry for API responses
+ * @param {Object} entry - AuditLog document
+ * @returns {Object} Public audit entry
+ */
+const toPublicAuditEntry = (entry) => ({
+  id: entry._id,
+  action: entry.action,
+  reportId: entry.reportId || null,
+  actor: entry.actor?.id ? entry.actor : null,
+  ip: entry.ip,
+  userAgent: entry.userAgent,
+  details: entry.details || {},
+  createdAt: entry.createdAt
+});
+
+export {
+  AUDIT_ACTIONS,
+  buildAuditEntry,
+  buildAuditFilter,
+  toPublicAuditEntry
+};
@@ -0,0 +1,190 @@
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+
+const USER_ROLES = ['uploader', 'analyst', 'admin'];
+
+// Roles allowed to perform each action
+const PERMISSIONS = {
+  'reports:upload': ['uploader', 'admin'],
+  'reports:read': ['uploader', 'analyst', 'admin'],
+  'reports:download': ['analyst', 'admin'],
+  // CSV and Excel exports of reports and report lists (each export is audited)
+  'reports:export': ['analyst', 'admin'],
+  // See unmasked PAN, phone, email and account numbers (each reveal is audited)
+  'reports:reveal': ['analyst', 'admin'],
+  'reports:delete': ['admin'],
+  // Legal holds exempt reports from retention purges
+  'reports:hold': ['admin'],
+  'retention:manage': ['admin'],
+  'users:manage': ['admin'],
+  'organisations:manage': ['admin'],
+  'audit:read': ['admin']
+};
+
+const PASSWORD_MIN_LENGTH = 8;
+const BCRYPT_ROUNDS = 12;
+const DEFAULT_TOKEN_TTL = '8h';
+
+/**
+ * Create an error for a missing or invalid login
+ * @param {string} message - Error message
+ * @returns {Error} Authentication error, answered with 401
+ */
+const createAuthenticationError = (message = 'Authentication required') => {
+  const error = new Error(message);
+  error.name = 'AuthenticationError';
+  return error;
+};
+
+/**
+ * Create an error for a signed in user lacking a permission
+ * @param {string} message - Error message
+ * @returns {Error} Authorization error, answered with 403
+ */
+const createAuthorizationError = (message = 'You do not have permission to perform this action') => {
+  const error = new Error(message);
+  error.name = 'AuthorizationError';
+  return error;
+};
+
+// Signs tokens in the test suite only; any other environment must set JWT_SECRET
+const TEST_JWT_SECRET = 'creditsea-test-secret';
+
+// Shortest accepted JWT_SECRET, and the placeholder older .env.example files shipped with
+const MIN_JWT_SECRET_LENGTH = 32;
+const PLACEHOLDER_JWT_SECRET = 'change-me-to-a-long-random-string';
+
+const JWT_SECRET_HINT = 'Generate one with: node -e "console.log(require(\'crypto\').randomBytes(48).toString(\'base64\'))"';
+
+/**
+ * Read the token signing secret; only tests may run without one
+ * Called at startup so a server without a usable JWT_SECRET refuses to start.
+ * @returns {string} JWT secret
+ */
+const getJwtSecret = () => {
+  const secret = process.env.JWT_SECRET;
+
+  if (secret) {
+    if (secret === PLACEHOLDER_JWT_SECRET) {
+      throw new Error(`JWT_SECRET is still the example placeholder. ${JWT_SECRET_HINT}`);
+    }
+    if (secret.length < MIN_JWT_SECRET_LENGTH) {
+      throw new Error(`JWT_SECRET must be at least ${MIN_JWT_SECRET_LENGTH} characters. ${JWT_SECRET_HINT}`);
+    }
+    return secret;
+  }
+
+  if (process.env.NODE_ENV !== 'test') {
+    throw new Error(`JWT_SECRET must be set. ${JWT_SECRET_HINT}`);
+  }
+  return TEST_JWT_SECRET;
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission such as 'reports:delete'
+ * @returns {boolean} True when allowed
+ */
+const hasPermission = (role, permission) => (PERMISSIONS[permission] || []).includes(role);
+
+/**
+ * List the permissions of a role, used by the frontend to hide actions
+ * @param {string} role - User role
+ * @returns {string[]} Permissions granted to the role
+ */
+const getRolePermissions = (role) => Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission));
+
+/**
+ * Check a new password against the password policy
+ * @param {string} password - Plain text password
+ * @returns {string|null} Problem with the password, or null when acceptable
+ */
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain letters and numbers';
+  }
+  return null;
+};
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+/**
+ * Compare a password with a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} passwordHash - Stored bcrypt hash
+ * @returns {Promise<boolean>} True when they match
+ */
+const verifyPassword = (password, passwordHash) => {
+  if (!password || !passwordHash) return Promise.resolve(false);
+  return bcrypt.compare(password, passwordHash);
+};
+
+/**
+ * Issue an access token for a user
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT carrying the user id and role
+ */
+const signToken = (user) => jwt.sign(
+  { sub: String(user._id), role: user.role },
+  getJwtSecret(),
+  { expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_TOKEN_TTL }
+);
+
+/**
+ * Verify an access token
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Object} Token payload
+ */
+const verifyToken = (token) => {
+  const secret = getJwtSecret();
+
+  try {
+    return jwt.verify(token, secret);
+  } catch (error) {
+    throw createAuthenticationError(error.name === 'TokenExpiredError'
+      ? 'Session expired, please sign in again'
+      : 'Invalid authentication token');
+  }
+};
+
+/**
+ * Shape a user for API responses, never including the password hash
+ * @param {Object} user - User document
+ * @returns {Object} Public user fields
+ */
+const toPublicUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  active: user.active,
+  organisations: (user.organisations || []).map(String),
+  permissions: getRolePermissions(user.role),
+  lastLoginAt: user.lastLoginAt,
+  createdAt: user.createdAt
+});
+
+export {
+  USER_ROLES,
+  PERMISSIONS,
+  createAuthenticationError,
+  createAuthorizationError,
+  getJwtSecret,
+  hasPermission,
+  getRolePermissions,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  toPublicUser
+};
@@ -0,0 +1,218 @@
+import { extractText } from '../xmlParserService.js';
+import { formatPeriod, getDpdBucket } from '../paymentHistoryService.js';
+import { lookupAccountType, findAccountTypeByName, isSecuredAccountType } from '../referenceDataService.js';
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Wrap a possibly repeated XML node in an array
+ * @param {*} node - XML node
+ * @returns {Array} Node list
+ */
+const toArray = (node) => {
+  if (node === undefined || node === null || node === '') return [];
+  return Array.isArray(node) ? node : [node];
+};
+
+/**
+ * Parse bureau date strings in the layouts Indian bureaus use
+ * @param {*} node - XML node holding the date
+ * @param {string} format - One of YYYYMMDD, DDMMYYYY, DD-MM-YYYY or ISO
+ * @returns {Date|null} Parsed date (UTC midnight)
+ */
+const parseBureauDate = (node, format) => {
+  const text = extractText(node);
+  if (!text) return null;
+
+  let year;
+  let month;
+  let day;
+
+  if (format === 'YYYYMMDD' && /^\d{8}$/.test(text)) {
+    [year, month, day] = [text.substring(0, 4), text.substring(4, 6), text.substring(6, 8)];
+  } else if (format === 'DDMMYYYY' && /^\d{7,8}$/.test(text)) {
+    // Leading zero of the day may have been dropped by numeric parsing
+    const padded = text.padStart(8, '0');
+    [day, month, year] = [padded.substring(0, 2), padded.substring(2, 4), padded.substring(4, 8)];
+  } else if (format === 'DD-MM-YYYY' && /^\d{2}-\d{2}-\d{4}$/.test(text)) {
+    [day, month, year] = text.split('-');
+  } else {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  if (year === '0001' || year === '0000') return null;
+
+  const date = new Date(`${year}-${month}-${day}T00:00:00Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Apply a bureau report time to a report date
+ * @param {Date|null} date - Report date at UTC midnight
+ * @param {*} timeNode - Time as HHMMSS or HH:MM:SS
+ * @returns {Date|null} Report timestamp, times are kept as reported without timezone conversion
+ */
+const applyReportTime = (date, timeNode) => {
+  if (!date) return null;
+
+  const digits = extractText(timeNode).replace(/:/g, '');
+  if (!/^\d{1,6}$/.test(digits)) return date;
+
+  // Leading zeros of the hour may have been dropped by numeric parsing
+  const padded = digits.padStart(6, '0');
+  const [hours, minutes, seconds] = [0, 2, 4].map(start => parseInt(padded.substring(start, start + 2), 10));
+  if (hours > 23 || minutes > 59 || seconds > 59) return date;
+
+  const timestamp = new Date(date.getTime());
+  timestamp.setUTCHours(hours, minutes, seconds, 0);
+  return timestamp;
+};
+
+/**
+ * Map a CICRA account type code to the shared account type reference data
+ * @param {*} node - XML node holding the code
+ * @param {*} nameNode - Optional XML node with a descriptive type, used when the code is missing or unknown
+ * @returns {Object} { code, label }, label 'Unknown' with the raw code or name when neither matches
+ */
+const mapCicraAccountType = (node, nameNode) => {
+  const byCode = lookupAccountType(extractText(node));
+  if (byCode.label !== 'Unknown') return { code: byCode.code, label: byCode.label };
+
+  const name = extractText(nameNode);
+  const byName = findAccountTypeByName(name);
+  if (byName) return { code: byCode.code, label: byName };
+
+  return { code: byCode.code || name || null, label: 'Unknown' };
+};
+
+/**
+ * Build a history entry in the same shape as normalized CAIS history
+ * @param {number} year - Four digit year
+ * @param {number} month - Month (1-12)
+ * @param {string} status - Bureau DPD or asset classification token (e.g. "030", "STD", "XXX")
+ * @returns {Object|null} History entry
+ */
+const buildHistoryEntry = (year, month, status) => {
+  if (!year || !month || month < 1 || month > 12) return null;
+
+  const token = String(status ?? '').trim().toUpperCase();
+  let daysPastDue = null;
+  let assetClassification = null;
+
+  if (/^\d+/.test(token)) {
+    daysPastDue = parseInt(token, 10);
+  } else if (['STD', 'SMA', 'SUB', 'DBT', 'LSS'].includes(token)) {
+    assetClassification = token;
+    if (token === 'STD') daysPastDue = 0;
+  }
+
+  return {
+    period: formatPeriod(year, month),
+    year,
+    month,
+    daysPastDue,
+    assetClassification,
+    dpdBucket: getDpdBucket(daysPastDue)
+  };
+};
+
+/**
+ * Convert a three letter month name to its number
+ * @param {string} name - Month name, e.g. "Jan"
+ * @returns {number} Month (1-12) or 0 when unknown
+ */
+const monthFromName = (name) => MONTH_NAMES.indexOf(String(name).trim().toUpperCase().substring(0, 3)) + 1;
+
+/**
+ * Sort history entries newest first and drop duplicate months
+ * @param {Array} entries - History entries
+ * @returns {Array} Sorted history
+ */
+const finalizeHistory = (entries) => {
+  const byPeriod = new Map();
+  entries.filter(Boolean).forEach(entry => {
+    if (!byPeriod.has(entry.period)) byPeriod.set(entry.period, entry);
+  });
+  return Array.from(byPeriod.values()).sort((a, b) => b.period.localeCompare(a.period));
+};
+
+/**
+ * Derive the report summary from normalized accounts and enquiries
+ * @param {Array} accounts - Normalized credit accounts
+ * @param {Array} enquiries - Normalized enquiries
+ * @param {Date|null} reportDate - Bureau report date used for the 90 day enquiry window
+ * @returns {Object} Report summary
+ */
+const summarizeAccounts = (accounts, enquiries = [], reportDate = null) => {
+  const summary = {
+    totalAccounts: accounts.length,
+    activeAccounts: 0,
+    closedAccounts: 0,
+    currentBalanceAmount: 0,
+    securedAmount: 0,
+    unsecuredAmount: 0,
+    recentEnquiries: 0
+  };
+
+  accounts.forEach(account => {
+    if (account.status?.startsWith('Closed') || account.dateClosed) {
+      summary.closedAccounts++;
+    } else {
+      summary.activeAccounts++;
+    }
+
+    summary.currentBalanceAmount += account.currentBalance || 0;
+    if (isSecuredAccountType(account.type)) {
+      summary.securedAmount += account.currentBalance || 0;
+    } else {
+      summary.unsecuredAmount += account.currentBalance || 0;
+    }
+  });
+
+  const windowEnd = reportDate || new Date();
+  const windowStart = new Date(windowEnd.getTime() - 90 * 24 * 60 * 60 * 1000);
+  summary.recentEnquiries = enquiries.filter(enquiry =>
+    enquiry.date && enquiry.date >= windowStart && enquiry.date <= windowEnd
+  ).length;
+
+  return summary;
+};
+
+/**
+ * Count enquiries in the 7/30/90/180 day windows before the report date
+ * @param {Array} enquiries - Normalized enquiries, optionally with a credit/nonCredit category
+ * @param {Date|null} reportDate - Bureau report date the windows end on
+ * @returns {Object} Credit, non-credit and total enquiry windows
+ */
+const summarizeEnquiryWindows = (enquiries = [], reportDate = null) => {
+  const windowEnd = reportDate || new Date();
+  const countWithin = (list, days) => {
+    const windowStart = new Date(windowEnd.getTime() - days * 24 * 60 * 60 * 1000);
+    return list.filter(enquiry => enquiry.date && enquiry.date >= windowStart && enquiry.date <= windowEnd).length;
+  };
+  const toWindows = (list) => ({
+    last7Days: countWithin(list, 7),
+    last30Days: countWithin(list, 30),
+    last90Days: countWithin(list, 90),
+    last180Days: countWithin(list, 180)
+  });
+
+  return {
+    credit: toWindows(enquiries.filter(enquiry => enquiry.category !== 'nonCredit')),
+    nonCredit: toWindows(enquiries.filter(enquiry => enquiry.category === 'nonCredit')),
+    total: toWindows(enquiries)
+  };
+};
+
+export {
+  toArray,
+  parseBureauDate,
+  applyReportTime,
+  mapCicraAccountType,
+  buildHistoryEntry,
+  monthFromName,
+  finalizeHistory,
+  summarizeAccounts,
+  summarizeEnquiryWindows
+};
@@ -0,0 +1,207 @@
+import { extractText, extractNumber } from '../xmlParserService.js';
+import {
+  toArray,
+  parseBureauDate,
+  applyReportTime,
+  mapCicraAccountType,
+  buildHistoryEntry,
+  finalizeHistory,
+  summarizeAccounts,
+  summarizeEnquiryWindows
+} from './adapterUtils.js';
+import { mergeIdentities } from '../identityService.js';
+import { mergeAddresses, mergePhones } from '../contactHistoryService.js';
+import { decodeDerogatoryFlags, getDerogatoryStatus, summarizeDerogatory } from '../derogatoryService.js';
+import { getStatusCategory } from '../referenceDataService.js';
+import logger from '../../utils/logger.js';
+
+// IDSegment IDType codes
+const CIBIL_ID_TYPES = {
+  '01': 'pan',
+  '02': 'passport',
+  '03': 'voterId',
+  '04': 'drivingLicence',
+  '05': 'rationCard',
+  '06': 'universalId'
+};
+
+// TelephoneSegment TelephoneType codes
+const CIBIL_PHONE_TYPES = {
+  '01': 'Mobile',
+  '02': 'Home',
+  '03': 'Office'
+};
+
+// Wrapper elements TransUnion CIBIL responses are delivered in
+const CIBIL_ROOTS = ['CibilReport', 'CIBILReport', 'TUEFResponse', 'CreditReport'];
+
+/**
+ * Find the CIBIL report body (the element holding NameSegment / ScoreSegment)
+ * @param {Object} parsedXml - Parsed XML data
+ * @returns {Object|null} Report root
+ */
+const findCibilRoot = (parsedXml) => {
+  if (!parsedXml || typeof parsedXml !== 'object') return null;
+
+  const isCibilBody = (node) => node && typeof node === 'object' && (node.NameSegment || node.ScoreSegment);
+
+  for (const rootKey of CIBIL_ROOTS) {
+    const root = parsedXml[rootKey];
+    if (isCibilBody(root)) return root;
+    if (isCibilBody(root?.CreditReport)) return root.CreditReport;
+  }
+  return null;
+};
+
+/**
+ * Decode CIBIL PaymentHistory1/2 (three characters per month, newest first)
+ * @param {Object} account - Account segment
+ * @returns {Array} History entries
+ */
+const decodeCibilPaymentHistory = (account) => {
+  const history = `${extractText(account.PaymentHistory1)}${extractText(account.PaymentHistory2)}`;
+  const startDate = parseBureauDate(account.PaymentHistoryStartDate, 'DDMMYYYY');
+  if (!history || !startDate) return [];
+
+  const entries = [];
+  for (let index = 0; index * 3 < history.length; index++) {
+    const monthIndex = startDate.getUTCMonth() - index;
+    const year = startDate.getUTCFullYear() + Math.floor(monthIndex / 12);
+    const month = ((monthIndex % 12) + 12) % 12 + 1;
+    entries.push(buildHistoryEntry(year, month, history.substring(index * 3, index * 3 + 3)));
+  }
+  return finalizeHistory(entries);
+};
+
+/**
+ * TransUnion CIBIL adapter (TUEF XML)
+ */
+const cibilAdapter = {
+  id: 'cibil',
+  name: 'TransUnion CIBIL',
+
+  detect: (parsedXml) => (findCibilRoot(parsedXml) ? 1 : 0),
+
+  transform: (parsedXml) => {
+    const root = findCibilRoot(parsedXml);
+    if (!root) {
+      throw new Error('Could not find CIBIL report data in XML');
+    }
+
+    const nameSegment = root.NameSegment || {};
+    const ids = toArray(root.IDSegment);
+    const phones = toArray(root.TelephoneSegment);
+    const addresses = toArray(root.Address);
+    const score = extractNumber(toArray(root.ScoreSegment)[0]?.Score);
+    const genderCode = extractText(nameSegment.Gender);
+
+    const panSegment = ids.find(id => extractText(id.IDType).padStart(2, '0') === '01');
+    const firstAddress = addresses[0];
+
+    const basicDetails = {
+      name: [nameSegment.ConsumerName1, nameSegment.ConsumerName2, nameSegment.ConsumerName3]
+        .map(part => extractText(part))
+        .filter(Boolean)
+        .join(' '),
+      mobilePhone: extractText(phones[0]?.TelephoneNumber),
+      pan: extractText(panSegment?.IDNumber),
+      email: extractText(toArray(root.EmailContactSegment)[0]?.EmailID),
+      address: firstAddress
+        ? [firstAddress.AddressLine1, firstAddress.AddressLine2, firstAddress.AddressLine3, firstAddress.PinCode]
+          .map(part => extractText(part))
+          .filter(Boolean)
+          .join(', ')
+        : ''
+    };
+
+    const dateOfBirth = parseBureauDate(nameSegment.DateOfBirth, 'DDMMYYYY');
+    if (dateOfBirth) basicDetails.dateOfBirth = dateOfBirth;
+    if (genderCode === '1') basicDetails.gender = 'Female';
+    if (genderCode === '2') basicDetails.gender = 'Male';
+    if (score > 0) basicDetails.creditScore = score;
+
+    const creditAccounts = toArray(root.Account).map(account => {
+      const dateClosed = parseBureauDate(account.DateClosed, 'DDMMYYYY');
+      const derogatory = decodeDerogatoryFlags({
+        suitFiled: account.SuitFiledOrWilfulDefault,
+        writtenOffSettled: account.WrittenOffAndSettledStatus,
+        writtenOffAmount: account.WrittenOffAmountTotal,
+        writtenOffPrincipal: account.WrittenOffAmountPrincipal,
+        settlementAmount: account.SettlementAmount
+      });
+      const accountType = mapCicraAccountType(account.AccountType);
+      const status = getDerogatoryStatus(derogatory) || (dateClosed ? 'Closed' : 'Active');
+      return {
+        type: accountType.label,
+        typeCode: accountType.code,
+        bankName: extractText(account.ReportingMemberShortName) || 'Unknown Bank',
+        accountNumber: extractText(account.AccountNumber) || 'N/A',
+        address: '',
+        amountOverdue: extractNumber(account.AmountOverdue),
+        currentBalance: extractNumber(account.CurrentBalance),
+        sanctionedAmount: extractNumber(account.HighCreditOrSanctionedAmount) || extractNumber(account.CreditLimit),
+        dateOpened: parseBureauDate(account.DateOpenedOrDisbursed, 'DDMMYYYY'),
+        dateClosed,
+        status,
+        statusCategory: getStatusCategory(status),
+        paymentHistory: `${extractText(account.PaymentHistory1)}${extractText(account.PaymentHistory2)}`,
+        lastReported: parseBureauDate(account.DateReportedAndCertified, 'DDMMYYYY'),
+        history: decodeCibilPaymentHistory(account),
+        derogatory
+      };
+    });
+
+    const enquiries = toArray(root.Enquiry).map(enquiry => ({
+      institution: extractText(enquiry.EnquiringMemberShortName),
+      date: parseBureauDate(enquiry.DateOfEnquiryFields, 'DDMMYYYY'),
+      amount: extractNumber(enquiry.EnquiryAmount),
+      purpose: extractText(enquiry.EnquiryPurpose)
+    }));
+
+    const header = root.Header || {};
+    const headerDate = parseBureauDate(header.DateProceed, 'DDMMYYYY');
+
+    basicDetails.identities = mergeIdentities(ids.map(id => ({
+      type: CIBIL_ID_TYPES[extractText(id.IDType).padStart(2, '0')],
+      number: extractText(id.IDNumber),
+      issueDate: parseBureauDate(id.IssueDate, 'DDMMYYYY'),
+      expiryDate: parseBureauDate(id.ExpirationDate, 'DDMMYYYY'),
+      source: 'IDSegment'
+    })), headerDate);
+
+    basicDetails.addresses = mergeAddresses(addresses.map(address => ({
+      lines: [address.AddressLine1, address.AddressLine2, address.AddressLine3, address.AddressLine4, address.AddressLine5]
+        .map(part => extractText(part)),
+      state: extractText(address.StateCode),
+      pinCode: extractText(address.PinCode),
+      source: 'Address',
+      lastReported: parseBureauDate(address.DateReported, 'DDMMYYYY')
+    })));
+    basicDetails.phones = mergePhones(phones.map(phone => ({
+      number: extractText(phone.TelephoneNumber),
+      type: CIBIL_PHONE_TYPES[extractText(phone.TelephoneType).padStart(2, '0')],
+      source: 'TelephoneSegment'
+    })));
+
+    logger.info('CIBIL report transformed successfully', { accountsCount: creditAccounts.length });
+
+    return {
+      basicDetails,
+      reportSummary: summarizeAccounts(creditAccounts, enquiries, headerDate),
+      creditAccounts,
+      enquiries,
+      enquirySummary: summarizeEnquiryWindows(enquiries, headerDate),
+      derogatorySummary: summarizeDerogatory(creditAccounts),
+      reportDate: applyReportTime(headerDate, header.TimeProceed),
+      bureauMetadata: {
+        reportTime: extractText(header.TimeProceed) || null,
+        reportNumber: extractText(header.MemberReferenceNumber) || extractText(header.ReferenceNumber) || null,
+        version: extractText(header.Version) || null,
+        enquiryUsername: extractText(header.EnquiryMemberUserID) || null,
+        subscriberName: null
+      }
+    };
+  }
+};
+
+export default cibilAdapter;
@@ -0,0 +1,208 @@
+import { extractText, extractNumber, getNestedValue } from '../xmlParserService.js';
+import {
+  toArray,
+  parseBureauDate,
+  mapCicraAccountType,
+  buildHistoryEntry,
+  monthFromName,
+  finalizeHistory,
+  summarizeAccounts,
+  summarizeEnquiryWindows
+} from './adapterUtils.js';
+import { mergeIdentities } from '../identityService.js';
+import { mergeAddresses, mergePhones } from '../contactHistoryService.js';
+import { decodeDerogatoryFlags, getDerogatoryStatus, summarizeDerogatory } from '../derogatoryService.js';
+import { getStatusCategory } from '../referenceDataService.js';
+import logger from '../../utils/logger.js';
+
+// Keywords in REQUEST IDS TYPE values per identity type
+const CRIF_ID_KEYWORDS = [
+  ['PAN', 'pan'],
+  ['PASSPORT', 'passport'],
+  ['VOTER', 'voterId'],
+  ['DRIV', 'drivingLicence'],
+  ['RATION', 'rationCard'],
+  ['UID', 'universalId'],
+  ['AADHAAR', 'universalId']
+];
+
+/**
+ * Map a CRIF ID TYPE value to an identity type
+ * @param {*} node - TYPE element
+ * @returns {string|undefined} Identity type
+ */
+const mapCrifIdType = (node) => {
+  const text = extractText(node).toUpperCase();
+  return CRIF_ID_KEYWORDS.find(([keyword]) => text.includes(keyword))?.[1];
+};
+
+// Paths to the INDV-REPORT element in CRIF High Mark responses
+const CRIF_REPORT_PATHS = [
+  'INDV-REPORT-FILE.INDV-REPORTS.INDV-REPORT',
+  'B2C-REPORT',
+  'BASE-REPORT-FILE.BASE-REPORTS.BASE-REPORT',
+  'INDV-REPORTS.INDV-REPORT'
+];
+
+/**
+ * Find the CRIF High Mark report element
+ * @param {Object} parsedXml - Parsed XML data
+ * @returns {Object|null} Report root
+ */
+const findCrifRoot = (parsedXml) => {
+  if (!parsedXml || typeof parsedXml !== 'object') return null;
+
+  for (const path of CRIF_REPORT_PATHS) {
+    const node = toArray(getNestedValue(parsedXml, path))[0];
+    if (node && (node.HEADER || node.RESPONSES || node['ACCOUNTS-SUMMARY'])) {
+      return node;
+    }
+  }
+  return null;
+};
+
+/**
+ * Decode COMBINED-PAYMENT-HISTORY ("Jan:2019,000/XXX|Dec:2018,030/STD|...")
+ * @param {*} node - COMBINED-PAYMENT-HISTORY element
+ * @returns {Array} History entries
+ */
+const decodeCrifHistory = (node) => finalizeHistory(
+  extractText(node).split('|').filter(Boolean).map(segment => {
+    const [period, status = ''] = segment.split(',');
+    const [monthName, year] = period.split(':');
+    const [dpd, assetClass] = status.split('/');
+    const token = /^\d+$/.test(dpd) ? dpd : assetClass;
+    return buildHistoryEntry(parseInt(year, 10), monthFromName(monthName), token);
+  })
+);
+
+/**
+ * CRIF High Mark adapter (INDV-REPORT-FILE / B2C-REPORT XML)
+ */
+const crifHighMarkAdapter = {
+  id: 'crif',
+  name: 'CRIF High Mark',
+
+  detect: (parsedXml) => (findCrifRoot(parsedXml) ? 1 : 0),
+
+  transform: (parsedXml) => {
+    const root = findCrifRoot(parsedXml);
+    if (!root) {
+      throw new Error('Could not find CRIF High Mark report data in XML');
+    }
+
+    const request = root.REQUEST || {};
+    const ids = toArray(request.IDS?.ID || request.IDS);
+    const panId = ids.find(id => extractText(id.TYPE).toUpperCase().includes('PAN'));
+    const score = extractNumber(toArray(root.SCORES?.SCORE || root.SCORES)[0]?.['SCORE-VALUE']);
+
+    const basicDetails = {
+      name: extractText(request.NAME),
+      mobilePhone: extractText(toArray(request.PHONES?.PHONE || request.PHONES)[0]?.VALUE || request.PHONE),
+      pan: extractText(panId?.VALUE),
+      email: extractText(toArray(request.EMAILS?.EMAIL || request.EMAILS)[0]?.VALUE || request.EMAIL),
+      address: extractText(toArray(request.ADDRESSES?.ADDRESS || request.ADDRESSES)[0]?.VALUE || request.ADDRESS)
+    };
+
+    const dateOfBirth = parseBureauDate(request.DOB, 'DD-MM-YYYY');
+    if (dateOfBirth) basicDetails.dateOfBirth = dateOfBirth;
+    const gender = extractText(request.GENDER).toLowerCase();
+    if (gender === 'male') basicDetails.gender = 'Male';
+    if (gender === 'female') basicDetails.gender = 'Female';
+    if (score > 0) basicDetails.creditScore = score;
+
+    const creditAccounts = toArray(root.RESPONSES?.RESPONSE).map(response => {
+      const loan = response['LOAN-DETAILS'] || response;
+      const dateClosed = parseBureauDate(loan['CLOSED-DATE'], 'DD-MM-YYYY');
+      const accountStatus = extractText(loan['ACCOUNT-STATUS']).toLowerCase();
+      const derogatory = decodeDerogatoryFlags({
+        suitFiled: loan['SUIT-FILED_WILFUL-DEFAULT'],
+        writtenOffSettled: loan['WRITTEN-OFF_SETTLED-STATUS'],
+        writtenOffAmount: loan['WRITE-OFF-AMT'],
+        writtenOffPrincipal: loan['PRINCIPAL-WRITE-OFF-AMT'],
+        settlementAmount: loan['SETTLEMENT-AMT']
+      });
+      const accountType = mapCicraAccountType(loan['ACCT-TYPE-CODE'], loan['ACCT-TYPE']);
+      const status = getDerogatoryStatus(derogatory) || (dateClosed || accountStatus === 'closed' ? 'Closed' : 'Active');
+      return {
+        type: accountType.label,
+        typeCode: accountType.code,
+        bankName: extractText(loan['CREDIT-GUARANTOR']) || 'Unknown Bank',
+        accountNumber: extractText(loan['ACCT-NUMBER']) || 'N/A',
+        address: '',
+        amountOverdue: extractNumber(loan['OVERDUE-AMT']),
+        currentBalance: extractNumber(loan['CURRENT-BAL']),
+        sanctionedAmount: extractNumber(loan['DISBURSED-AMT']) || extractNumber(loan['CREDIT-LIMIT']),
+        dateOpened: parseBureauDate(loan['DISBURSED-DT'], 'DD-MM-YYYY'),
+        dateClosed,
+        status,
+        statusCategory: getStatusCategory(status),
+        paymentHistory: extractText(loan['COMBINED-PAYMENT-HISTORY']),
+        lastReported: parseBureauDate(loan['DATE-REPORTED'], 'DD-MM-YYYY'),
+        history: decodeCrifHistory(loan['COMBINED-PAYMENT-HISTORY']),
+        derogatory
+      };
+    });
+
+    const enquiries = toArray(root['INQUIRY-HISTORY']?.HISTORY).map(enquiry => ({
+      institution: extractText(enquiry['MEMBER-NAME']),
+      date: parseBureauDate(enquiry['INQUIRY-DATE'], 'DD-MM-YYYY'),
+      amount: extractNumber(enquiry.AMOUNT),
+      purpose: extractText(enquiry.PURPOSE)
+    }));
+
+    const header = root.HEADER || {};
+    const headerDate = parseBureauDate(header['DATE-OF-ISSUE'], 'DD-MM-YYYY');
+    const reportSummary = summarizeAccounts(creditAccounts, enquiries, headerDate);
+
+    basicDetails.identities = mergeIdentities(ids.map(id => ({
+      type: mapCrifIdType(id.TYPE),
+      number: extractText(id.VALUE),
+      source: 'Request'
+    })), headerDate);
+
+    basicDetails.addresses = mergeAddresses(
+      toArray(request.ADDRESSES?.ADDRESS || request.ADDRESSES || request.ADDRESS).map(address => ({
+        lines: [extractText(address?.VALUE ?? address)],
+        source: 'Request'
+      }))
+    );
+    basicDetails.phones = mergePhones(
+      toArray(request.PHONES?.PHONE || request.PHONES).map(phone => ({
+        number: extractText(phone.VALUE),
+        type: extractText(phone.TYPE) || null,
+        source: 'Request'
+      }))
+    );
+
+    // Prefer the bureau's own primary account totals when present
+    const primarySummary = root['ACCOUNTS-SUMMARY']?.['PRIMARY-ACCOUNTS-SUMMARY'];
+    if (primarySummary) {
+      reportSummary.totalAccounts = extractNumber(primarySummary['PRIMARY-NUMBER-OF-ACCOUNTS']) || reportSummary.totalAccounts;
+      reportSummary.activeAccounts = extractNumber(primarySummary['PRIMARY-ACTIVE-NUMBER-OF-ACCOUNTS']) || reportSummary.activeAccounts;
+      reportSummary.closedAccounts = Math.max(reportSummary.totalAccounts - reportSummary.activeAccounts, 0);
+      reportSummary.currentBalanceAmount = extractNumber(primarySummary['PRIMARY-CURRENT-BALANCE']) || reportSummary.currentBalanceAmount;
+    }
+
+    logger.info('CRIF High Mark report transformed successfully', { accountsCount: creditAccounts.length });
+
+    return {
+      basicDetails,
+      reportSummary,
+      creditAccounts,
+      enquiries,
+      enquirySummary: summarizeEnquiryWindows(enquiries, headerDate),
+      derogatorySummary: summarizeDerogatory(creditAccounts),
+      reportDate: headerDate,
+      bureauMetadata: {
+        reportTime: null,
+        reportNumber: extractText(header['REPORT-ID']) || null,
+        version: null,
+        enquiryUsername: null,
+        subscriberName: extractText(header['PREPARED-FOR']) || null
+      }
+    };
+  }
+};
+
+export default crifHighMarkAdapter;
@@ -0,0 +1,232 @@
+import { extractText, extractNumber, getNestedValue } from '../xmlParserService.js';
+import {
+  toArray,
+  parseBureauDate,
+  applyReportTime,
+  mapCicraAccountType,
+  buildHistoryEntry,
+  finalizeHistory,
+  summarizeAccounts,
+  summarizeEnquiryWindows
+} from './adapterUtils.js';
+import { mergeIdentities } from '../identityService.js';
+import { mergeAddresses, mergePhones } from '../contactHistoryService.js';
+import { decodeDerogatoryFlags, getDerogatoryStatus, summarizeDerogatory } from '../derogatoryService.js';
+import { getStatusCategory } from '../referenceDataService.js';
+import logger from '../../utils/logger.js';
+
+// IdentityInfo element names per identity type
+const EQUIFAX_ID_ELEMENTS = {
+  PANId: 'pan',
+  PassportID: 'passport',
+  VoterID: 'voterId',
+  DriverLicence: 'drivingLicence',
+  RationCard: 'rationCard',
+  NationalIDCard: 'universalId'
+};
+
+// SuitFiledStatus / AccountStatus text mapped to SuitFiled_WilfulDefault codes
+const EQUIFAX_SUIT_FILED_CODES = [
+  ['suit filed (wilful', '03'],
+  ['wilful', '02'],
+  ['suit filed', '01']
+];
+
+// AccountStatus text mapped to Written_off_Settled_Status codes
+const EQUIFAX_WRITTEN_OFF_CODES = [
+  ['post (wo) settled', '04'],
+  ['written', '02'],
+  ['write', '02'],
+  ['settled', '03'],
+  ['restructured', '00']
+];
+
+/**
+ * Map Equifax status text to a derogatory status code
+ * @param {string} text - Status text
+ * @param {Array} codes - Keyword to code pairs, most specific first
+ * @returns {string} Status code, or '' when no keyword matches
+ */
+const matchStatusCode = (text, codes) => {
+  const lower = text.toLowerCase();
+  return codes.find(([keyword]) => lower.includes(keyword))?.[1] || '';
+};
+
+// Paths to the CIRReportData element in Equifax India responses
+const EQUIFAX_REPORT_PATHS = [
+  'InquiryResponse.ReportData',
+  'InquiryResponse.CCRResponse.CIRReportDataLst.CIRReportData',
+  'CCRResponse.CIRReportDataLst.CIRReportData',
+  'CIRReportDataLst.CIRReportData'
+];
+
+/**
+ * Find the Equifax CIRReportData element
+ * @param {Object} parsedXml - Parsed XML data
+ * @returns {Object|null} Report root
+ */
+const findEquifaxRoot = (parsedXml) => {
+  if (!parsedXml || typeof parsedXml !== 'object') return null;
+
+  for (const path of EQUIFAX_REPORT_PATHS) {
+    const node = toArray(getNestedValue(parsedXml, path))[0];
+    if (node && (node.IDAndContactInfo || node.RetailAccountDetails || node.ScoreDetails)) {
+      return node;
+    }
+  }
+  return null;
+};
+
+/**
+ * Decode History48Months entries ("MM-YY" keys with DPD or asset class status)
+ * @param {Object} account - RetailAccountDetails element
+ * @returns {Array} History entries
+ */
+const decodeEquifaxHistory = (account) => finalizeHistory(
+  toArray(account.History48Months?.Month || account.History48Months).map(entry => {
+    const [month, year] = extractText(entry['@_key'] || entry.key).split('-').map(part => parseInt(part, 10));
+    return buildHistoryEntry(year < 100 ? 2000 + year : year, month, extractText(entry.PaymentStatus));
+  })
+);
+
+/**
+ * Equifax India adapter (InquiryResponse / CCRResponse XML)
+ */
+const equifaxAdapter = {
+  id: 'equifax',
+  name: 'Equifax',
+
+  detect: (parsedXml) => (findEquifaxRoot(parsedXml) ? 1 : 0),
+
+  transform: (parsedXml) => {
+    const root = findEquifaxRoot(parsedXml);
+    if (!root) {
+      throw new Error('Could not find Equifax report data in XML');
+    }
+
+    const contactInfo = root.IDAndContactInfo || {};
+    const personalInfo = contactInfo.PersonalInfo || {};
+    const name = personalInfo.Name || {};
+    const firstAddress = toArray(contactInfo.AddressInfo)[0];
+    const score = extractNumber(toArray(root.ScoreDetails?.Score || root.ScoreDetails)[0]?.Value);
+
+    const basicDetails = {
+      name: extractText(name.FullName) ||
+        [name.FirstName, name.MiddleName, name.LastName].map(part => extractText(part)).filter(Boolean).join(' '),
+      mobilePhone: extractText(toArray(contactInfo.PhoneInfo)[0]?.Number),
+      pan: extractText(toArray(contactInfo.IdentityInfo?.PANId)[0]?.IdNumber),
+      email: extractText(toArray(contactInfo.EmailAddressInfo)[0]?.EmailAddress),
+      address: firstAddress
+        ? [firstAddress.Address, firstAddress.State, firstAddress.Postal].map(part => extractText(part)).filter(Boolean).join(', ')
+        : ''
+    };
+
+    const dateOfBirth = parseBureauDate(personalInfo.DateOfBirth, 'ISO');
+    if (dateOfBirth) basicDetails.dateOfBirth = dateOfBirth;
+    const gender = extractText(personalInfo.Gender).toLowerCase();
+    if (gender === 'male') basicDetails.gender = 'Male';
+    if (gender === 'female') basicDetails.gender = 'Female';
+    if (score > 0) basicDetails.creditScore = score;
+
+    const creditAccounts = toArray(root.RetailAccountDetails).map(account => {
+      const dateClosed = parseBureauDate(account.DateClosed, 'ISO');
+      const open = extractText(account.Open).toLowerCase();
+      const accountStatus = extractText(account.AccountStatus);
+      const derogatory = decodeDerogatoryFlags({
+        suitFiled: matchStatusCode(`${extractText(account.SuitFiledStatus)} ${accountStatus}`, EQUIFAX_SUIT_FILED_CODES),
+        writtenOffSettled: matchStatusCode(accountStatus, EQUIFAX_WRITTEN_OFF_CODES),
+        writtenOffAmount: account.WriteOffAmount,
+        settlementAmount: account.SettlementAmount
+      });
+      const accountType = mapCicraAccountType(account.AccountTypeCode, account.AccountType);
+      const status = getDerogatoryStatus(derogatory) || (dateClosed || open === 'no' ? 'Closed' : 'Active');
+      return {
+        type: accountType.label,
+        typeCode: accountType.code,
+        bankName: extractText(account.Institution) || 'Unknown Bank',
+        accountNumber: extractText(account.AccountNumber) || 'N/A',
+        address: '',
+        amountOverdue: extractNumber(account.PastDueAmount),
+        currentBalance: extractNumber(account.Balance),
+        sanctionedAmount: extractNumber(account.SanctionAmount) || extractNumber(account.CreditLimit),
+        dateOpened: parseBureauDate(account.DateOpened, 'ISO'),
+        dateClosed,
+        status,
+        statusCategory: getStatusCategory(status),
+        paymentHistory: '',
+        lastReported: parseBureauDate(account.DateReported, 'ISO'),
+        history: decodeEquifaxHistory(account),
+        derogatory
+      };
+    });
+
+    const enquiries = toArray(root.Enquiries).map(enquiry => ({
+      institution: extractText(enquiry.Institution),
+      date: parseBureauDate(enquiry.Date, 'ISO'),
+      amount: extractNumber(enquiry.Amount),
+      purpose: extractText(enquiry.RequestPurpose)
+    }));
+
+    const header = getNestedValue(parsedXml, 'InquiryResponse.InquiryResponseHeader') || {};
+    const headerDate = parseBureauDate(header.Date, 'ISO');
+    const reportSummary = summarizeAccounts(creditAccounts, enquiries, headerDate);
+
+    const identityInfo = contactInfo.IdentityInfo || {};
+    basicDetails.identities = mergeIdentities(
+      Object.entries(EQUIFAX_ID_ELEMENTS).flatMap(([element, type]) =>
+        toArray(identityInfo[element]).map(id => ({
+          type,
+          number: extractText(id.IdNumber),
+          issueDate: parseBureauDate(id.IssueDate, 'ISO'),
+          expiryDate: parseBureauDate(id.ExpirationDate, 'ISO'),
+          source: 'IdentityInfo'
+        }))
+      ),
+      headerDate
+    );
+
+    basicDetails.addresses = mergeAddresses(toArray(contactInfo.AddressInfo).map(address => ({
+      lines: [extractText(address.Address)],
+      state: extractText(address.State),
+      pinCode: extractText(address.Postal),
+      source: 'AddressInfo',
+      lastReported: parseBureauDate(address.ReportedDate, 'ISO')
+    })));
+    basicDetails.phones = mergePhones(toArray(contactInfo.PhoneInfo).map(phone => ({
+      number: extractText(phone.Number),
+      type: extractText(phone.typeCode) || null,
+      source: 'PhoneInfo',
+      lastReported: parseBureauDate(phone.ReportedDate, 'ISO')
+    })));
+
+    // Prefer the bureau's own totals when RetailAccountsSummary is present
+    const retailSummary = root.RetailAccountsSummary;
+    if (retailSummary) {
+      reportSummary.totalAccounts = extractNumber(retailSummary.NoOfAccounts) || reportSummary.totalAccounts;
+      reportSummary.activeAccounts = extractNumber(retailSummary.NoOfActiveAccounts) || reportSummary.activeAccounts;
+      reportSummary.closedAccounts = Math.max(reportSummary.totalAccounts - reportSummary.activeAccounts, 0);
+      reportSummary.currentBalanceAmount = extractNumber(retailSummary.TotalBalanceAmount) || reportSummary.currentBalanceAmount;
+    }
+
+    logger.info('Equifax report transformed successfully', { accountsCount: creditAccounts.length });
+
+    return {
+      basicDetails,
+      reportSummary,
+      creditAccounts,
+      enquiries,
+      enquirySummary: summarizeEnquiryWindows(enquiries, headerDate),
+      derogatorySummary: summarizeDerogatory(creditAccounts),
+      reportDate: applyReportTime(headerDate, header.Time),
+      bureauMetadata: {
+        reportTime: extractText(header.Time) || null,
+        reportNumber: extractText(header.ReportOrderNO) || null,
+        version: extractText(header.ProductVersion) || null,
+        enquiryUsername: extractText(header.ClientID) || null,
+        subscriberName: extractText(header.CustRefField) || null
+      }
+    };
+  }
+};
+
+export default equifaxAdapter;
@@ -0,0 +1,24 @@
+import { validateExperianXml } from '../xmlParserService.js';
+import { transformCreditReportData } from '../dataTransformerService.js';
+
+/**
+ * Experian adapter - INProfileResponse reports plus the legacy roots the parser always accepted
+ */
+const experianAdapter = {
+  id: 'experian',
+  name: 'Experian',
+
+  /**
+   * Score how confidently the XML is an Experian report
+   * @param {Object} parsedXml - Parsed XML data
+   * @returns {number} 1 for INProfileResponse, 0.25 for legacy roots, 0 otherwise
+   */
+  detect: (parsedXml) => {
+    if (!validateExperianXml(parsedXml)) return 0;
+    return parsedXml.INProfileResponse ? 1 : 0.25;
+  },
+
+  transform: (parsedXml) => transformCreditReportData(parsedXml)
+};
+
+export default experianAdapter;
@@ -0,0 +1,75 @@
+import experianAdapter from './experianAdapter.js';
+import cibilAdapter from './cibilAdapter.js';
+import equifaxAdapter from './equifaxAdapter.js';
+import crifHighMarkAdapter from './crifHighMarkAdapter.js';
+import logger from '../../utils/logger.js';
+
+// Registered bureau adapters, keyed by bureau id
+const adapters = new Map();
+
+/**
+ * Register a bureau adapter
+ * @param {Object} adapter - Adapter with id, name, detect(parsedXml) and transform(parsedXml)
+ * @returns {Object} The registered adapter
+ */
+const registerBureauAdapter = (adapter) => {
+  if (!adapter?.id || !adapter.name || typeof adapter.detect !== 'function' || typeof adapter.transform !== 'function') {
+    throw new Error('Bureau adapters must provide id, name, detect() and transform()');
+  }
+
+  if (adapters.has(adapter.id)) {
+    logger.warn('Replacing registered bureau adapter', { bureau: adapter.id });
+  }
+
+  adapters.set(adapter.id, adapter);
+  return adapter;
+};
+
+/**
+ * List registered bureau adapters
+ * @returns {Array} Adapters in registration order
+ */
+const getBureauAdapters = () => Array.from(adapters.values());
+
+/**
+ * Get a registered adapter by bureau id
+ * @param {string} id - Bureau id
+ * @returns {Object|undefined} Adapter
+ */
+const getBureauAdapter = (id) => adapters.get(id);
+
+/**
+ * Detect which bureau produced the parsed XML
+ * @param {Object} parsedXml - Parsed XML data
+ * @returns {Object|null} Adapter with the highest detection score, or null if none match
+ */
+const detectBureau = (parsedXml) => {
+  let bestAdapter = null;
+  let bestScore = 0;
+
+  for (const adapter of adapters.values()) {
+    let score = 0;
+    try {
+      score = Number(adapter.detect(parsedXml)) || 0;
+    } catch (error) {
+      logger.warn('Bureau detection failed', { bureau: adapter.id, error: error.message });
+    }
+
+    if (score > bestScore) {
+      bestAdapter = adapter;
+      bestScore = score;
+    }
+  }
+
+  return bestAdapter;
+};
+
+// Built-in adapters
+[experianAdapter, cibilAdapter, equifaxAdapter, crifHighMarkAdapter].forEach(registerBureauAdapter);
+
+export {
+  registerBureauAdapter,
+  getBureauAdapters,
+  getBureauAdapter,
+  detectBureau
+};
@@ -0,0 +1,148 @@
+import { STATE_CODES } from '../config/referenceData.js';
+
+/**
+ * Resolve a state code or name to a state name
+ * @param {string} state - Numeric state code or state name
+ * @returns {Object} State name and the numeric code when one was given
+ */
+const resolveState = (state) => {
+  const text = String(state || '').trim();
+  if (/^\d{1,2}$/.test(text)) {
+    const code = text.padStart(2, '0');
+    return { state: STATE_CODES[code] || text, stateCode: code };
+  }
+  return { state: text, stateCode: null };
+};
+
+/**
+ * Build a comparison key from address parts
+ * @param {Array<string>} parts - Address parts
+ * @returns {string} Key ignoring case, punctuation and spacing
+ */
+const toAddressKey = (parts) => parts
+  .join(' ')
+  .toUpperCase()
+  .replace(/[^A-Z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Normalize a phone number to its national significant digits
+ * @param {string} number - Raw phone number
+ * @returns {string} Digits without country code or trunk prefix
+ */
+const normalizePhoneNumber = (number) => {
+  const digits = String(number || '').replace(/\D/g, '');
+  if (digits.length === 12 && digits.startsWith('91')) return digits.substring(2);
+  if (digits.length === 11 && digits.startsWith('0')) return digits.substring(1);
+  return digits;
+};
+
+/**
+ * Widen the first/last reported range of an aggregated entry
+ * @param {Object} entry - Aggregated address or phone
+ * @param {Object} record - Record with firstReported/lastReported dates
+ */
+const extendReportedRange = (entry, record) => {
+  const first = record.firstReported || record.lastReported || null;
+  const last = record.lastReported || record.firstReported || null;
+
+  if (first && (!entry.firstReported || first < entry.firstReported)) entry.firstReported = first;
+  if (last && (!entry.lastReported || last > entry.lastReported)) entry.lastReported = last;
+};
+
+/**
+ * Append a source reference once
+ * @param {Object} entry - Aggregated address or phone
+ * @param {string} source - Source reference
+ */
+const addSource = (entry, source) => {
+  if (source && !entry.sources.includes(source)) entry.sources.push(source);
+};
+
+/**
+ * Merge raw address records into a deduplicated address history
+ * @param {Array} records - Records of { lines, city, state, pinCode, countryCode, source, firstReported, lastReported }
+ * @returns {Array} Addresses, most recently reported first
+ */
+const mergeAddresses = (records) => {
+  const byKey = new Map();
+
+  records.forEach(record => {
+    const lines = (record.lines || []).map(line => String(line || '').trim()).filter(Boolean);
+    const city = String(record.city || '').trim();
+    const pinCode = String(record.pinCode || '').trim();
+    if (lines.length === 0 && !city && !pinCode) return;
+
+    const { state, stateCode } = resolveState(record.state);
+    const key = toAddressKey([...lines, city, pinCode]);
+
+    if (!byKey.has(key)) {
+      byKey.set(key, {
+        lines,
+        city,
+        state,
+        stateCode,
+        pinCode,
+        countryCode: String(record.countryCode || '').trim() || null,
+        fullAddress: [...lines, city, state, pinCode].filter(Boolean).join(', '),
+        sources: [],
+        firstReported: null,
+        lastReported: null
+      });
+    }
+
+    const entry = byKey.get(key);
+    addSource(entry, record.source);
+    extendReportedRange(entry, record);
+  });
+
+  return sortByLastReported(Array.from(byKey.values()));
+};
+
+/**
+ * Merge raw phone records into a deduplicated phone list
+ * @param {Array} records - Records of { number, type, source, firstReported, lastReported }
+ * @returns {Array} Phones, most recently reported first
+ */
+const mergePhones = (records) => {
+  const byNumber = new Map();
+
+  records.forEach(record => {
+    const number = normalizePhoneNumber(record.number);
+    if (!number) return;
+
+    if (!byNumber.has(number)) {
+      byNumber.set(number, {
+        number,
+        type: record.type || null,
+        sources: [],
+        firstReported: null,
+        lastReported: null
+      });
+    }
+
+    const entry = byNumber.get(number);
+    entry.type = entry.type || record.type || null;
+    addSource(entry, record.source);
+    extendReportedRange(entry, record);
+  });
+
+  return sortByLastReported(Array.from(byNumber.values()));
+};
+
+/**
+ * Sort aggregated entries by last reported date, undated entries last
+ * @param {Array} entries - Aggregated addresses or phones
+ * @returns {Array} Sorted entries
+ */
+const sortByLastReported = (entries) => entries.sort((a, b) =>
+  (b.lastReported?.getTime() || 0) - (a.lastReported?.getTime() || 0)
+);
+
+export {
+  STATE_CODES,
+  resolveState,
+  normalizePhoneNumber,
+  mergeAddresses,
+  mergePhones
+};
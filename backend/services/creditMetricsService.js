@@ -0,0 +1,178 @@
+import { summarizeEnquiryWindows } from './bureaus/adapterUtils.js';
+
+// Account types treated as revolving when a bureau does not report a portfolio type
+const REVOLVING_ACCOUNT_TYPES = ['Credit Card', 'Kisan Credit Card', 'Fleet Card', 'Overdraft'];
+
+// Lowest days past due implied by each delinquency bucket
+const BUCKET_MIN_DPD = {
+  'current': 0,
+  '1-29': 1,
+  '30': 30,
+  '60': 60,
+  '90': 90,
+  '120+': 120
+};
+
+const MS_PER_MONTH = 365.25 / 12 * 24 * 60 * 60 * 1000;
+
+/**
+ * Round a number to a fixed number of decimals
+ * @param {number} value - Value to round
+ * @param {number} decimals - Decimal places
+ * @returns {number} Rounded value
+ */
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Check whether an account is closed
+ * @param {Object} account - Credit account
+ * @returns {boolean} True when closed
+ */
+const isClosedAccount = (account) => Boolean(account.dateClosed) ||
+  account.statusCategory === 'closed' ||
+  Boolean(account.status?.startsWith('Closed'));
+
+/**
+ * Check whether an account is revolving credit
+ * @param {Object} account - Credit account
+ * @returns {boolean} True for revolving accounts
+ */
+const isRevolvingAccount = (account) => {
+  if (account.portfolioType) return account.portfolioType === 'Revolving';
+  return REVOLVING_ACCOUNT_TYPES.includes(account.type);
+};
+
+/**
+ * List the monthly days past due observations of an account
+ * @param {Object} account - Credit account with history and paymentHistoryMonths
+ * @returns {Array} Observations of { monthIndex, daysPastDue }
+ */
+const getDpdObservations = (account) => {
+  const entries = [...(account.history || []), ...(account.paymentHistoryMonths || [])];
+
+  return entries.map(entry => {
+    const daysPastDue = typeof entry.daysPastDue === 'number'
+      ? entry.daysPastDue
+      : BUCKET_MIN_DPD[entry.dpdBucket || entry.bucket];
+    if (daysPastDue === undefined || !entry.year || !entry.month) return null;
+    return { monthIndex: entry.year * 12 + entry.month - 1, daysPastDue };
+  }).filter(Boolean);
+};
+
+/**
+ * Worst days past due across accounts within a number of months before the report date
+ * @param {Array} observations - Observations of all accounts
+ * @param {Date} referenceDate - Report date
+ * @param {number} months - Window length in months
+ * @returns {number|null} Max days past due, or null when no month falls in the window
+ */
+const maxDpdWithin = (observations, referenceDate, months) => {
+  const currentIndex = referenceDate.getUTCFullYear() * 12 + referenceDate.getUTCMonth();
+  const inWindow = observations.filter(observation =>
+    observation.monthIndex <= currentIndex && observation.monthIndex > currentIndex - months
+  );
+  if (inWindow.length === 0) return null;
+  return Math.max(...inWindow.map(observation => observation.daysPastDue));
+};
+
+/**
+ * Account age in months at the reference date
+ * @param {Date} dateOpened - Account open date
+ * @param {Date} referenceDate - Report date
+ * @returns {number|null} Age in whole months
+ */
+const getAccountAgeMonths = (dateOpened, referenceDate) => {
+  const opened = dateOpened instanceof Date ? dateOpened : new Date(dateOpened);
+  if (!dateOpened || isNaN(opened.getTime())) return null;
+  return Math.max(0, Math.floor((referenceDate.getTime() - opened.getTime()) / MS_PER_MONTH));
+};
+
+/**
+ * Compute the underwriting metrics of a transformed report
+ * @param {Object} report - Transformed report with creditAccounts, enquiries, enquirySummary and reportDate
+ * @returns {Object} Credit risk metrics
+ */
+const computeCreditMetrics = ({ creditAccounts = [], enquiries = [], enquirySummary, reportDate } = {}) => {
+  const referenceDate = reportDate instanceof Date && !isNaN(reportDate.getTime()) ? reportDate : new Date();
+
+  // Utilisation of open revolving accounts that report a limit
+  const revolvingAccounts = creditAccounts.filter(account => isRevolvingAccount(account) && !isClosedAccount(account));
+  const revolvingBalance = revolvingAccounts.reduce((sum, account) => sum + Math.max(account.currentBalance || 0, 0), 0);
+  const revolvingLimit = revolvingAccounts.reduce((sum, account) => sum + (account.sanctionedAmount || 0), 0);
+
+  const ages = creditAccounts
+    .map(account => getAccountAgeMonths(account.dateOpened, referenceDate))
+    .filter(age => age !== null);
+
+  const observationsByAccount = creditAccounts.map(getDpdObservations);
+  const allObservations = observationsByAccount.flat();
+  const countEver = (threshold) => observationsByAccount
+    .filter(observations => observations.some(observation => observation.daysPastDue >= threshold))
+    .length;
+
+  const totalBalance = creditAccounts.reduce((sum, account) => sum + Math.max(account.currentBalance || 0, 0), 0);
+  const totalOverdue = creditAccounts.reduce((sum, account) => sum + (account.amountOverdue || 0), 0);
+
+  const enquiryWindows = enquirySummary?.total || summarizeEnquiryWindows(enquiries, reportDate || null).total;
+
+  return {
+    revolvingBalance,
+    revolvingLimit,
+    creditUtilisation: revolvingLimit > 0 ? round(revolvingBalance / revolvingLimit * 100) : null,
+    averageAccountAgeMonths: ages.length > 0 ? round(ages.reduce((sum, age) => sum + age, 0) / ages.length, 1) : null,
+    oldestAccountAgeMonths: ages.length > 0 ? Math.max(...ages) : null,
+    maxDpd12Months: maxDpdWithin(allObservations, referenceDate, 12),
+    maxDpd24Months: maxDpdWithin(allObservations, referenceDate, 24),
+    accountsEver30Dpd: countEver(30),
+    accountsEver60Dpd: countEver(60),
+    accountsEver90Dpd: countEver(90),
+    overdueToBalanceRatio: totalBalance > 0 ? round(totalOverdue / totalBalance * 100) : null,
+    enquiryVelocity: {
+      last30Days: enquiryWindows.last30Days || 0,
+      last90Days: enquiryWindows.last90Days || 0,
+      last180Days: enquiryWindows.last180Days || 0,
+      perMonth: round((enquiryWindows.last180Days || 0) / 6)
+    }
+  };
+};
+
+/**
+ * Open dates of the oldest and newest accounts
+ * @param {Array} creditAccounts - Credit accounts
+ * @returns {Object} { oldestAccount, newestAccount }, null when no account has an open date
+ */
+const getAccountDateRange = (creditAccounts = []) => {
+  const openDates = creditAccounts
+    .map(account => account.dateOpened)
+    .filter(date => date instanceof Date && !isNaN(date.getTime()))
+    .sort((a, b) => a - b);
+
+  return {
+    oldestAccount: openDates[0] || null,
+    newestAccount: openDates[openDates.length - 1] || null
+  };
+};
+
+/**
+ * Add credit metrics and the account date range to a transformed report
+ * @param {Object} report - Transformed report data
+ * @returns {Object} Report data with creditMetrics and a completed reportSummary
+ */
+const applyCreditMetrics = (report) => ({
+  ...report,
+  reportSummary: {
+    ...report.reportSummary,
+    ...getAccountDateRange(report.creditAccounts)
+  },
+  creditMetrics: computeCreditMetrics(report)
+});
+
+export {
+  REVOLVING_ACCOUNT_TYPES,
+  computeCreditMetrics,
+  getAccountDateRange,
+  applyCreditMetrics
+};
@@ -1,5 +1,29 @@
 import logger from '../utils/logger.js';
-import { extractText, extractNumber, extractDate, getNestedValue } from './xmlParserService.js';
+import { extractText, extractNumber, extractNullableNumber, extractDate, getNestedValue } from './xmlParserService.js';
+import { normalizeAccountHistory, decodePaymentHistoryProfile } from './paymentHistoryService.js';
+import { mergeIdentities } from './identityService.js';
+import { mergeAddresses, mergePhones } from './contactHistoryService.js';
+import { decodeDerogatoryFlags, getDerogatoryStatus, summarizeDerogatory } from './derogatoryService.js';
+import { toArray, parseBureauDate, applyReportTime } from './bureaus/adapterUtils.js';
+import {
+  lookupAccountType,
+  lookupAccountStatus,
+  getStatusCategory,
+  lookupPortfolioType,
+  lookupHolderType,
+  lookupGender,
+  lookupEnquiryReason
+} from './referenceDataService.js';
+
+// Identity document fields shared by Current_Applicant_Details, CAIS_Holder_Details and CAIS_Holder_ID_Details
+const EXPERIAN_IDENTITY_FIELDS = [
+  { type: 'pan', numberFields: ['IncomeTaxPan', 'Income_TAX_PAN'], issueField: 'PAN_Issue_Date', expiryField: 'PAN_Expiration_Date' },
+  { type: 'passport', numberFields: ['Passport_number', 'Passport_Number'], issueField: 'Passport_Issue_Date', expiryField: 'Passport_Expiration_Date' },
+  { type: 'voterId', numberFields: ['Voter_s_Identity_Card', 'Voter_ID_Number'], issueField: 'Voter_ID_Issue_Date', expiryField: 'Voter_ID_Expiration_Date' },
+  { type: 'drivingLicence', numberFields: ['Driver_License_Number'], issueField: 'Driver_License_Issue_Date', expiryField: 'Driver_License_Expiration_Date' },
+  { type: 'rationCard', numberFields: ['Ration_Card_Number'], issueField: 'Ration_Card_Issue_Date', expiryField: 'Ration_Card_Expiration_Date' },
+  { type: 'universalId', numberFields: ['Universal_ID_Number'], issueField: 'Universal_ID_Issue_Date', expiryField: 'Universal_ID_Expiration_Date' }
+];
 
 /**
  * Transform parsed XML into structured credit report data
@@ -16,17 +40,23 @@ const transformCreditReportData = (parsedXml) => {
     }
 
     // Extract different sections
-    const basicDetails = extractBasicDetails(reportRoot);
+    const { reportDate, ...bureauMetadata } = extractBureauMetadata(reportRoot);
+    const basicDetails = extractBasicDetails(reportRoot, reportDate);
     const reportSummary = extractReportSummary(reportRoot);
     const creditAccounts = extractCreditAccounts(reportRoot);
     const enquiries = extractEnquiries(reportRoot);
+    const enquirySummary = extractEnquirySummary(reportRoot);
+    const derogatorySummary = extractDerogatorySummary(reportRoot, creditAccounts);
 
     const transformedData = {
       basicDetails,
       reportSummary,
       creditAccounts,
       enquiries,
-      reportDate: new Date()
+      enquirySummary,
+      derogatorySummary,
+      reportDate,
+      bureauMetadata
     };
 
     logger.info('Credit report data transformed successfully', {
@@ -81,12 +111,154 @@ const findReportRoot = (parsedXml) => {
   return null;
 };
 
+/**
+ * Extract bureau header details such as the report date and report number
+ * @param {Object} reportRoot - Report root element
+ * @returns {Object} Bureau metadata including the bureau report date
+ */
+const extractBureauMetadata = (reportRoot) => {
+  // CreditProfileHeader carries the full header; Header only has the date and time
+  const profileHeader = reportRoot.CreditProfileHeader || {};
+  const header = reportRoot.Header || {};
+
+  const rawDate = extractText(profileHeader.ReportDate) || extractText(header.ReportDate);
+  const rawTime = extractText(profileHeader.ReportTime) || extractText(header.ReportTime);
+  const reportTime = /^\d{1,6}$/.test(rawTime) ? rawTime.padStart(6, '0') : rawTime;
+
+  return {
+    reportDate: applyReportTime(parseBureauDate(rawDate, 'YYYYMMDD'), reportTime),
+    reportTime: reportTime || null,
+    reportNumber: extractText(profileHeader.ReportNumber) || null,
+    version: extractText(profileHeader.Version) || null,
+    enquiryUsername: extractText(profileHeader.Enquiry_Username) || null,
+    subscriberName: extractText(profileHeader.Subscriber_Name) || null
+  };
+};
+
+/**
+ * Collect identity documents from the applicant and every CAIS account holder
+ * @param {Object} reportRoot - Report root element
+ * @param {Date|null} reportDate - Bureau report date used for expiry checks
+ * @returns {Array} Deduplicated identities
+ */
+const extractIdentities = (reportRoot, reportDate = null) => {
+  const records = [];
+
+  const collect = (node, source) => {
+    if (!node) return;
+    EXPERIAN_IDENTITY_FIELDS.forEach(({ type, numberFields, issueField, expiryField }) => {
+      const number = numberFields.map(field => extractText(node[field])).find(Boolean);
+      if (!number) return;
+      records.push({
+        type,
+        number,
+        issueDate: parseBureauDate(node[issueField], 'YYYYMMDD'),
+        expiryDate: parseBureauDate(node[expiryField], 'YYYYMMDD'),
+        source
+      });
+    });
+  };
+
+  collect(
+    reportRoot.Current_Application?.Current_Application_Details?.Current_Applicant_Details,
+    'Current Application'
+  );
+
+  const caisAccounts = reportRoot.CAIS_Account?.CAIS_Account_DETAILS;
+  const accountList = Array.isArray(caisAccounts) ? caisAccounts : caisAccounts ? [caisAccounts] : [];
+
+  accountList.forEach(account => {
+    const source = `Account ${extractText(account.Account_Number) || 'N/A'}`;
+    const idDetails = Array.isArray(account.CAIS_Holder_ID_Details)
+      ? account.CAIS_Holder_ID_Details
+      : [account.CAIS_Holder_ID_Details];
+
+    idDetails.forEach(details => collect(details, source));
+    collect(account.CAIS_Holder_Details, source);
+  });
+
+  return mergeIdentities(records, reportDate);
+};
+
+/**
+ * Aggregate addresses and phones from the applicant and every CAIS account
+ * @param {Object} reportRoot - Report root element
+ * @returns {Object} Address history and phones
+ */
+const extractContactHistory = (reportRoot) => {
+  const addressRecords = [];
+  const phoneRecords = [];
+
+  const applicationDetails = reportRoot.Current_Application?.Current_Application_Details;
+  const applicantAddress = applicationDetails?.Current_Applicant_Address_Details;
+  if (applicantAddress) {
+    addressRecords.push({
+      lines: [
+        extractText(applicantAddress.FlatNoPlotNoHouseNo),
+        extractText(applicantAddress.BldgNoSocietyName),
+        extractText(applicantAddress.RoadNoNameAreaLocality),
+        extractText(applicantAddress.Landmark)
+      ],
+      city: extractText(applicantAddress.City),
+      state: extractText(applicantAddress.State),
+      pinCode: extractText(applicantAddress.PINCode),
+      countryCode: extractText(applicantAddress.Country_Code),
+      source: 'Current Application'
+    });
+  }
+
+  const applicant = applicationDetails?.Current_Applicant_Details;
+  if (applicant) {
+    phoneRecords.push(
+      { number: extractText(applicant.MobilePhoneNumber), type: 'Mobile', source: 'Current Application' },
+      { number: extractText(applicant.Telephone_Number_Applicant_1st), type: extractText(applicant.Telephone_Type), source: 'Current Application' }
+    );
+  }
+
+  toArray(reportRoot.CAIS_Account?.CAIS_Account_DETAILS).forEach(account => {
+    const source = `Account ${extractText(account.Account_Number) || 'N/A'}`;
+    const firstReported = parseBureauDate(account.DateOfAddition, 'YYYYMMDD');
+    const lastReported = parseBureauDate(account.Date_Reported, 'YYYYMMDD');
+
+    toArray(account.CAIS_Holder_Address_Details).forEach(address => {
+      addressRecords.push({
+        lines: [
+          extractText(address.First_Line_Of_Address_non_normalized),
+          extractText(address.Second_Line_Of_Address_non_normalized),
+          extractText(address.Third_Line_Of_Address_non_normalized),
+          extractText(address.Fifth_Line_Of_Address_non_normalized)
+        ],
+        city: extractText(address.City_non_normalized),
+        state: extractText(address.State_non_normalized),
+        pinCode: extractText(address.ZIP_Postal_Code_non_normalized),
+        countryCode: extractText(address.CountryCode_non_normalized),
+        source,
+        firstReported,
+        lastReported
+      });
+    });
+
+    toArray(account.CAIS_Holder_Phone_Details).forEach(phone => {
+      phoneRecords.push(
+        { number: extractText(phone.Telephone_Number), type: extractText(phone.Telephone_Type), source, firstReported, lastReported },
+        { number: extractText(phone.Mobile_Telephone_Number), type: 'Mobile', source, firstReported, lastReported }
+      );
+    });
+  });
+
+  return {
+    addresses: mergeAddresses(addressRecords),
+    phones: mergePhones(phoneRecords)
+  };
+};
+
 /**
  * Extract basic personal details
  * @param {Object} reportRoot - Report root element
+ * @param {Date|null} reportDate - Bureau report date used for identity expiry checks
  * @returns {Object} Basic details
  */
-const extractBasicDetails = (reportRoot) => {
+const extractBasicDetails = (reportRoot, reportDate = null) => {
   const basicDetails = {};
 
   // Handle Experian INProfileResponse format
@@ -175,11 +347,9 @@ const extractBasicDetails = (reportRoot) => {
       }
       
       // Extract gender
-      const genderCode = extractText(holderDetails.Gender_Code);
-      if (genderCode === '1') {
-        basicDetails.gender = 'Male';
-      } else if (genderCode === '2') {
-        basicDetails.gender = 'Female';
+      const gender = lookupGender(extractText(holderDetails.Gender_Code)).label;
+      if (gender) {
+        basicDetails.gender = gender;
       }
     }
     
@@ -218,6 +388,12 @@ const extractBasicDetails = (reportRoot) => {
     basicDetails.name = findValueFromPaths(reportRoot, namePaths) || '';
   }
 
+  basicDetails.identities = extractIdentities(reportRoot, reportDate);
+
+  const { addresses, phones } = extractContactHistory(reportRoot);
+  basicDetails.addresses = addresses;
+  basicDetails.phones = phones;
+
   return basicDetails;
 };
 
@@ -351,6 +527,21 @@ const extractReportSummary = (reportRoot) => {
   return summary;
 };
 
+/**
+ * Extract the derogatory summary from CAIS_Summary totals and account flags
+ * @param {Object} reportRoot - Report root element
+ * @param {Array} creditAccounts - Extracted credit accounts
+ * @returns {Object} Derogatory summary
+ */
+const extractDerogatorySummary = (reportRoot, creditAccounts) => {
+  const creditAccount = reportRoot.CAIS_Account?.CAIS_Summary?.Credit_Account || {};
+
+  return summarizeDerogatory(creditAccounts, {
+    defaultAccounts: extractNumber(creditAccount.CreditAccountDefault),
+    suitFiledCurrentBalance: extractNumber(creditAccount.CADSuitFiledCurrentBalance)
+  });
+};
+
 /**
  * Extract credit accounts information
  * @param {Object} reportRoot - Report root element
@@ -365,54 +556,10 @@ const extractCreditAccounts = (reportRoot) => {
     const accountsArray = Array.isArray(accountDetails) ? accountDetails : [accountDetails];
     
     accounts = accountsArray.map(account => {
-      const accountType = extractText(account.Account_Type);
-      const portfolioType = extractText(account.Portfolio_Type);
-      
-      // Map account type codes to readable names
-      const getAccountTypeString = (typeCode, portfolio) => {
-        const typeMap = {
-          '10': 'Credit Card',
-          '51': 'Personal Loan',
-          '52': 'Personal Loan', 
-          '53': 'Auto Loan',
-          '61': 'Housing Loan',
-          '71': 'Gold Loan',
-          '81': 'Two Wheeler Loan'
-        };
-        
-        let type = typeMap[typeCode] || 'Other';
-        if (portfolio === 'R') type += ' (Revolving)';
-        if (portfolio === 'I') type += ' (Installment)';
-        
-        return type;
-      };
-      
-      // Map account status codes
-      const getAccountStatus = (statusCode) => {
-        const statusMap = {
-          '11': 'Active - Regular',
-          '12': 'Active - Regular', 
-          '13': 'Closed - Regular',
-          '14': 'Closed - Regular',
-          '21': 'Active - Irregular',
-          '22': 'Active - Irregular',
-          '31': 'Active - Irregular',
-          '32': 'Active - Irregular',
-          '41': 'Active - Irregular',
-          '42': 'Active - Irregular',
-          '51': 'Active - Irregular',
-          '52': 'Active - Irregular',
-          '53': 'Active - Irregular',
-          '71': 'Active - Irregular',
-          '78': 'Settled',
-          '80': 'Settled',
-          '82': 'Settled',
-          '83': 'Settled', 
-          '84': 'Settled',
-          '89': 'Closed'
-        };
-        return statusMap[statusCode] || `Status ${statusCode}`;
-      };
+      // Unknown codes keep their raw value in typeCode/statusCode rather than being mapped to a guess
+      const accountType = lookupAccountType(extractText(account.Account_Type));
+      const accountStatus = lookupAccountStatus(extractText(account.Account_Status));
+      const portfolioType = lookupPortfolioType(extractText(account.Portfolio_Type));
       
       // Convert date from YYYYMMDD format
       const convertDate = (dateString) => {
@@ -423,8 +570,21 @@ const extractCreditAccounts = (reportRoot) => {
         return new Date(`${year}-${month}-${day}`);
       };
       
+      const lastReported = convertDate(extractText(account.Date_Reported));
+      const paymentHistory = extractText(account.Payment_History_Profile) || '';
+      const derogatory = decodeDerogatoryFlags({
+        suitFiled: account.SuitFiled_WilfulDefault,
+        writtenOffSettled: account.Written_off_Settled_Status,
+        writtenOffAmount: account.Written_Off_Amt_Total,
+        writtenOffPrincipal: account.Written_Off_Amt_Principal,
+        settlementAmount: account.Settlement_Amount
+      });
+
+      const status = getDerogatoryStatus(derogatory) || accountStatus.label;
+
       return {
-        type: getAccountTypeString(accountType, portfolioType),
+        type: accountType.label,
+        typeCode: accountType.code,
         bankName: extractText(account.Subscriber_Name)?.trim() || 'Unknown Bank',
         accountNumber: extractText(account.Account_Number) || 'N/A',
         address: '', // Not available in this format
@@ -434,11 +594,17 @@ const extractCreditAccounts = (reportRoot) => {
                          extractNumber(account.Highest_Credit_or_Original_Loan_Amount) || 0,
         dateOpened: convertDate(extractText(account.Open_Date)),
         dateClosed: convertDate(extractText(account.Date_Closed)),
-        status: getAccountStatus(extractText(account.Account_Status)),
-        paymentHistory: extractText(account.Payment_History_Profile) || '',
+        status,
+        statusCode: accountStatus.code,
+        statusCategory: getStatusCategory(status),
+        paymentHistory,
+        paymentHistoryMonths: decodePaymentHistoryProfile(paymentHistory, lastReported),
         paymentRating: extractText(account.Payment_Rating) || '0',
-        portfolioType: portfolioType,
-        lastReported: convertDate(extractText(account.Date_Reported))
+        portfolioType: portfolioType.label || portfolioType.code,
+        holderType: lookupHolderType(extractText(account.AccountHoldertypeCode)).label,
+        lastReported,
+        history: normalizeAccountHistory(account.CAIS_Account_History),
+        derogatory
       };
     });
   }
@@ -457,19 +623,23 @@ const extractCreditAccounts = (reportRoot) => {
     if (accountsData) {
       const accountsArray = Array.isArray(accountsData) ? accountsData : [accountsData];
       
-      accounts = accountsArray.map(account => ({
-        type: extractText(getNestedValue(account, 'Type') || getNestedValue(account, 'AccountType')) || 'Other',
-        bankName: extractText(getNestedValue(account, 'BankName') || getNestedValue(account, 'Institution') || getNestedValue(account, 'Creditor')),
-        accountNumber: extractText(getNestedValue(account, 'AccountNumber') || getNestedValue(account, 'AccNum')),
-        address: extractText(getNestedValue(account, 'Address')),
-        amountOverdue: extractNumber(getNestedValue(account, 'AmountOverdue') || getNestedValue(account, 'PastDue')),
-        currentBalance: extractNumber(getNestedValue(account, 'CurrentBalance') || getNestedValue(account, 'Balance')),
-        sanctionedAmount: extractNumber(getNestedValue(account, 'SanctionedAmount') || getNestedValue(account, 'CreditLimit')),
-        dateOpened: extractDate(getNestedValue(account, 'DateOpened') || getNestedValue(account, 'OpenDate')),
-        dateClosed: extractDate(getNestedValue(account, 'DateClosed') || getNestedValue(account, 'CloseDate')),
-        status: extractText(getNestedValue(account, 'Status') || getNestedValue(account, 'AccountStatus')) || 'Active',
-        paymentHistory: extractText(getNestedValue(account, 'PaymentHistory'))
-      }));
+      accounts = accountsArray.map(account => {
+        const status = extractText(getNestedValue(account, 'Status') || getNestedValue(account, 'AccountStatus')) || 'Active';
+        return {
+          type: extractText(getNestedValue(account, 'Type') || getNestedValue(account, 'AccountType')) || 'Other',
+          bankName: extractText(getNestedValue(account, 'BankName') || getNestedValue(account, 'Institution') || getNestedValue(account, 'Creditor')),
+          accountNumber: extractText(getNestedValue(account, 'AccountNumber') || getNestedValue(account, 'AccNum')),
+          address: extractText(getNestedValue(account, 'Address')),
+          amountOverdue: extractNumber(getNestedValue(account, 'AmountOverdue') || getNestedValue(account, 'PastDue')),
+          currentBalance: extractNumber(getNestedValue(account, 'CurrentBalance') || getNestedValue(account, 'Balance')),
+          sanctionedAmount: extractNumber(getNestedValue(account, 'SanctionedAmount') || getNestedValue(account, 'CreditLimit')),
+          dateOpened: extractDate(getNestedValue(account, 'DateOpened') || getNestedValue(account, 'OpenDate')),
+          dateClosed: extractDate(getNestedValue(account, 'DateClosed') || getNestedValue(account, 'CloseDate')),
+          status,
+          statusCategory: getStatusCategory(status),
+          paymentHistory: extractText(getNestedValue(account, 'PaymentHistory'))
+        };
+      });
     }
   }
 
@@ -484,26 +654,27 @@ const extractCreditAccounts = (reportRoot) => {
 const extractEnquiries = (reportRoot) => {
   let enquiries = [];
 
-  // Handle Experian INProfileResponse format
-  // Note: The sample XML doesn't have specific enquiry details in a separate section
-  // Enquiries are typically in CAPS section but may not have detailed information
-  if (reportRoot.CAPS) {
-    // For now, we'll create a summary entry based on CAPS data
-    const capsSummary = reportRoot.CAPS.CAPS_Summary;
-    if (capsSummary) {
-      const recent90Days = extractNumber(capsSummary.CAPSLast90Days) || 0;
-      const recent30Days = extractNumber(capsSummary.CAPSLast30Days) || 0;
-      const recent7Days = extractNumber(capsSummary.CAPSLast7Days) || 0;
-      
-      if (recent90Days > 0) {
-        enquiries.push({
-          institution: 'Various Institutions',
-          date: new Date(), // Current date as we don't have specific dates
-          amount: 0, // Not available in summary
-          purpose: `${recent90Days} enquiries in last 90 days (${recent30Days} in last 30 days, ${recent7Days} in last 7 days)`
-        });
-      }
-    }
+  // Handle Experian INProfileResponse format; only itemised CAPS records become enquiries,
+  // the window counts are kept separately in enquirySummary
+  if (reportRoot.CAPS || reportRoot.NonCreditCAPS) {
+    const toEnquiry = (application, category) => ({
+      institution: extractText(application.Subscriber_Name)?.trim() || 'Unknown Institution',
+      subscriberCode: extractText(application.Subscriber_code) || null,
+      date: parseBureauDate(application.Date_of_Request, 'YYYYMMDD'),
+      amount: extractNumber(application.Amount_Financed),
+      purposeCode: extractText(application.Enquiry_Reason) || null,
+      purpose: extractText(application.Finance_Purpose) || null,
+      reason: lookupEnquiryReason(extractText(application.Enquiry_Reason)).label,
+      durationMonths: extractNullableNumber(application.Duration_Of_Agreement),
+      reportNumber: extractText(application.ReportNumber) || null,
+      category
+    });
+
+    enquiries = [
+      ...toArray(reportRoot.CAPS?.CAPS_Application_Details).map(application => toEnquiry(application, 'credit')),
+      ...toArray(reportRoot.NonCreditCAPS?.NonCreditCAPS_Application_Details || reportRoot.NonCreditCAPS?.CAPS_Application_Details)
+        .map(application => toEnquiry(application, 'nonCredit'))
+    ].sort((a, b) => (b.date?.getTime() || 0) - (a.date?.getTime() || 0));
   }
 
   // Handle legacy format if available
@@ -531,6 +702,30 @@ const extractEnquiries = (reportRoot) => {
   return enquiries;
 };
 
+/**
+ * Extract 7/30/90/180 day enquiry counts from CAPS, NonCreditCAPS and TotalCAPS summaries
+ * @param {Object} reportRoot - Report root element
+ * @returns {Object} Credit, non-credit and total enquiry windows
+ */
+const extractEnquirySummary = (reportRoot) => {
+  const toWindows = (summary, prefix) => ({
+    last7Days: extractNumber(summary?.[`${prefix}Last7Days`]),
+    last30Days: extractNumber(summary?.[`${prefix}Last30Days`]),
+    last90Days: extractNumber(summary?.[`${prefix}Last90Days`]),
+    last180Days: extractNumber(summary?.[`${prefix}Last180Days`])
+  });
+
+  const credit = toWindows(reportRoot.CAPS?.CAPS_Summary, 'CAPS');
+  const nonCredit = toWindows(reportRoot.NonCreditCAPS?.NonCreditCAPS_Summary, 'NonCreditCAPS');
+
+  // Fall back to credit plus non-credit counts when TotalCAPS_Summary is absent
+  const total = reportRoot.TotalCAPS_Summary
+    ? toWindows(reportRoot.TotalCAPS_Summary, 'TotalCAPS')
+    : Object.fromEntries(Object.keys(credit).map(window => [window, credit[window] + nonCredit[window]]));
+
+  return { credit, nonCredit, total };
+};
+
 /**
  * Find value from multiple possible paths
  * @param {Object} obj - Object to search in
@@ -549,8 +744,13 @@ const findValueFromPaths = (obj, paths) => {
 
 export {
   transformCreditReportData,
+  extractBureauMetadata,
+  extractIdentities,
+  extractContactHistory,
   extractBasicDetails,
   extractReportSummary,
   extractCreditAccounts,
-  extractEnquiries
+  extractDerogatorySummary,
+  extractEnquiries,
+  extractEnquirySummary
 };
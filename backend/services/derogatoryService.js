@@ -0,0 +1,136 @@
+import { extractText, extractNumber } from './xmlParserService.js';
+
+// SuitFiled_WilfulDefault codes
+const SUIT_FILED_CODES = {
+  '00': 'No Suit Filed',
+  '01': 'Suit Filed',
+  '02': 'Wilful Default',
+  '03': 'Suit Filed (Wilful Default)'
+};
+
+// Written_off_Settled_Status codes
+const WRITTEN_OFF_SETTLED_CODES = {
+  '00': 'Restructured Loan',
+  '01': 'Restructured Loan (Govt. Mandated)',
+  '02': 'Written Off',
+  '03': 'Settled',
+  '04': 'Post (WO) Settled',
+  '05': 'Account Sold',
+  '06': 'Written Off and Account Sold',
+  '07': 'Account Purchased',
+  '08': 'Account Purchased and Written Off',
+  '09': 'Account Purchased and Settled',
+  '10': 'Account Purchased and Restructured',
+  '11': 'Restructured due to Natural Calamity',
+  '12': 'Restructured due to COVID-19',
+  '99': 'Clear Existing Status'
+};
+
+const WRITTEN_OFF_CODES = ['02', '04', '06', '08'];
+const SETTLED_CODES = ['03', '04', '09'];
+const RESTRUCTURED_CODES = ['00', '01', '10', '11', '12'];
+
+/**
+ * Normalize a two digit status code
+ * @param {*} node - XML node holding the code
+ * @returns {string} Zero padded code, or '' when absent
+ */
+const toStatusCode = (node) => {
+  const text = extractText(node);
+  return /^\d{1,2}$/.test(text) ? text.padStart(2, '0') : '';
+};
+
+/**
+ * Decode suit-filed, wilful default, written-off and settlement fields of an account
+ * @param {Object} fields - Raw { suitFiled, writtenOffSettled, writtenOffAmount, writtenOffPrincipal, settlementAmount } nodes
+ * @returns {Object} Derogatory flags and amounts
+ */
+const decodeDerogatoryFlags = ({ suitFiled, writtenOffSettled, writtenOffAmount, writtenOffPrincipal, settlementAmount } = {}) => {
+  const suitFiledCode = toStatusCode(suitFiled);
+  const writtenOffSettledCode = toStatusCode(writtenOffSettled);
+
+  const derogatory = {
+    suitFiled: suitFiledCode === '01' || suitFiledCode === '03',
+    wilfulDefault: suitFiledCode === '02' || suitFiledCode === '03',
+    writtenOff: WRITTEN_OFF_CODES.includes(writtenOffSettledCode),
+    settled: SETTLED_CODES.includes(writtenOffSettledCode),
+    restructured: RESTRUCTURED_CODES.includes(writtenOffSettledCode),
+    suitFiledStatus: SUIT_FILED_CODES[suitFiledCode] || null,
+    writtenOffSettledStatus: WRITTEN_OFF_SETTLED_CODES[writtenOffSettledCode] || null,
+    writtenOffAmount: extractNumber(writtenOffAmount),
+    writtenOffPrincipal: extractNumber(writtenOffPrincipal),
+    settlementAmount: extractNumber(settlementAmount)
+  };
+
+  // A write-off amount is derogatory even when the status code is missing
+  if (derogatory.writtenOffAmount > 0) derogatory.writtenOff = true;
+
+  derogatory.isDerogatory = derogatory.suitFiled || derogatory.wilfulDefault ||
+    derogatory.writtenOff || derogatory.settled;
+
+  return derogatory;
+};
+
+/**
+ * Pick the account status implied by derogatory flags, most severe first
+ * @param {Object} derogatory - Decoded derogatory flags
+ * @returns {string|null} Account status, or null when flags do not override the status
+ */
+const getDerogatoryStatus = (derogatory) => {
+  if (!derogatory) return null;
+  if (derogatory.wilfulDefault) return 'Wilful Default';
+  if (derogatory.writtenOff) return 'Written Off';
+  if (derogatory.settled) return 'Settled';
+  if (derogatory.restructured) return 'Restructured';
+  return null;
+};
+
+/**
+ * Summarize derogatory flags across accounts
+ * @param {Array} accounts - Credit accounts with derogatory flags
+ * @param {Object} bureauTotals - Bureau reported { defaultAccounts, suitFiledCurrentBalance }
+ * @returns {Object} Report level derogatory summary
+ */
+const summarizeDerogatory = (accounts = [], bureauTotals = {}) => {
+  const summary = {
+    defaultAccounts: bureauTotals.defaultAccounts || 0,
+    suitFiledCurrentBalance: bureauTotals.suitFiledCurrentBalance || 0,
+    suitFiledAccounts: 0,
+    wilfulDefaultAccounts: 0,
+    writtenOffAccounts: 0,
+    settledAccounts: 0,
+    restructuredAccounts: 0,
+    totalWrittenOffAmount: 0,
+    totalSettlementAmount: 0
+  };
+
+  accounts.forEach(account => {
+    const derogatory = account.derogatory;
+    if (!derogatory) return;
+
+    if (derogatory.suitFiled) summary.suitFiledAccounts++;
+    if (derogatory.wilfulDefault) summary.wilfulDefaultAccounts++;
+    if (derogatory.writtenOff) summary.writtenOffAccounts++;
+    if (derogatory.settled) summary.settledAccounts++;
+    if (derogatory.restructured) summary.restructuredAccounts++;
+    summary.totalWrittenOffAmount += derogatory.writtenOffAmount || 0;
+    summary.totalSettlementAmount += derogatory.settlementAmount || 0;
+  });
+
+  summary.hasDerogatory = summary.defaultAccounts > 0 ||
+    summary.suitFiledCurrentBalance > 0 ||
+    summary.suitFiledAccounts > 0 ||
+    summary.wilfulDefaultAccounts > 0 ||
+    summary.writtenOffAccounts > 0 ||
+    summary.settledAccounts > 0;
+
+  return summary;
+};
+
+export {
+  SUIT_FILED_CODES,
+  WRITTEN_OFF_SETTLED_CODES,
+  decodeDerogatoryFlags,
+  getDerogatoryStatus,
+  summarizeDerogatory
+};
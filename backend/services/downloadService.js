@@ -0,0 +1,64 @@
+/**
+ * Turn an applicant name into a file name segment, e.g. "Jöhn  Doe" -> "john-doe"
+ * @param {string} value - Text to slugify
+ * @returns {string} Lowercase ASCII slug, empty when nothing usable remains
+ */
+const slugify = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60)
+  .replace(/-+$/, '');
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date|string} value - Date to format
+ * @returns {string|null} Formatted date, or null when missing or invalid
+ */
+const formatFileDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Build the download file name of a report from its applicant and report date
+ * e.g. credit-report-john-doe-2024-01-15.xml, or credit-report-john-doe-2024-01-15-accounts.csv with a suffix
+ * @param {Object} report - Credit report
+ * @param {string} extension - File extension without the dot
+ * @param {string} suffix - Optional part such as the exported sheet
+ * @returns {string} File name
+ */
+const buildDownloadFileName = (report, extension = 'xml', suffix) => {
+  const parts = [
+    'credit-report',
+    slugify(report.basicDetails?.name) || 'unknown-applicant',
+    formatFileDate(report.reportDate || report.createdAt),
+    slugify(suffix)
+  ].filter(Boolean);
+
+  return `${parts.join('-')}.${extension}`;
+};
+
+/**
+ * Build the file name of an export of many reports, e.g. credit-reports-2024-01-15.xlsx
+ * @param {string} extension - File extension without the dot
+ * @param {Date} now - Export time
+ * @returns {string} File name
+ */
+const buildListExportFileName = (extension, now = new Date()) => `credit-reports-${formatFileDate(now)}.${extension}`;
+
+/**
+ * Build a Content-Disposition header that makes the browser save the response
+ * @param {string} fileName - File name built by buildDownloadFileName
+ * @returns {string} Header value
+ */
+const buildContentDisposition = (fileName) => `attachment; filename="${fileName}"`;
+
+export {
+  buildDownloadFileName,
+  buildListExportFileName,
+  buildContentDisposition
+};
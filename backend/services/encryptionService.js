@@ -0,0 +1,286 @@
+import crypto from 'crypto';
+import { normalizePhoneNumber } from './contactHistoryService.js';
+
+// Stored ciphertexts look like enc:v1:<keyId>:<iv>:<auth tag>:<ciphertext>, all base64url
+const ENCRYPTION_PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+
+// Keys derived from this constant encrypt PII in the test suite only
+const TEST_KEY_ID = 'test';
+const TEST_SECRET = 'creditsea-test-pii-key';
+
+const KEY_HINT = `Generate a key with: node -e "console.log(require('crypto').randomBytes(${KEY_LENGTH}).toString('base64'))"`;
+
+let cachedKeyring = null;
+
+/**
+ * Create an error for missing keys or stored values that cannot be decrypted
+ * @param {string} message - Error message
+ * @returns {Error} Error named EncryptionError
+ */
+const createEncryptionError = (message) => {
+  const error = new Error(message);
+  error.name = 'EncryptionError';
+  return error;
+};
+
+/**
+ * Derive a fixed key so tests run without configuration; every other environment must set real keys
+ * @param {string} purpose - What the key is used for
+ * @returns {Buffer} 32-byte key
+ */
+const deriveTestKey = (purpose) => {
+  if (process.env.NODE_ENV !== 'test') {
+    throw createEncryptionError(`PII_ENCRYPTION_KEYS and PII_BLIND_INDEX_KEY must be set. ${KEY_HINT}`);
+  }
+  return crypto.createHash('sha256').update(`${TEST_SECRET}:${purpose}`).digest();
+};
+
+/**
+ * Parse a base64 key and check its length
+ * @param {string} value - Base64 encoded key
+ * @param {string} label - Key name for error messages
+ * @returns {Buffer} 32-byte key
+ */
+const parseKey = (value, label) => {
+  const key = Buffer.from(String(value || '').trim(), 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw createEncryptionError(`${label} must be a base64 encoded ${KEY_LENGTH}-byte key. ${KEY_HINT}`);
+  }
+  return key;
+};
+
+/**
+ * Load the encryption keys from the environment
+ * PII_ENCRYPTION_KEYS lists keyId:base64key pairs; new values are encrypted with
+ * PII_ENCRYPTION_ACTIVE_KEY (the first listed key by default) and older keys stay
+ * available for decryption until the rotation migration has run. Called at startup so a
+ * server with missing or malformed keys refuses to start.
+ * @returns {Object} { activeKeyId, keys: Map<keyId, Buffer>, blindIndexKey }
+ */
+const getKeyring = () => {
+  const source = [
+    process.env.PII_ENCRYPTION_KEYS,
+    process.env.PII_ENCRYPTION_ACTIVE_KEY,
+    process.env.PII_BLIND_INDEX_KEY
+  ].join('|');
+  if (cachedKeyring?.source === source) return cachedKeyring;
+
+  const keys = new Map();
+  String(process.env.PII_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf(':');
+      const keyId = entry.substring(0, separator).trim();
+      if (separator < 1) {
+        throw createEncryptionError('PII_ENCRYPTION_KEYS entries must look like keyId:base64key');
+      }
+      keys.set(keyId, parseKey(entry.substring(separator + 1), `Encryption key ${keyId}`));
+    });
+
+  if (keys.size === 0) {
+    keys.set(TEST_KEY_ID, deriveTestKey('encryption'));
+  }
+
+  const activeKeyId = process.env.PII_ENCRYPTION_ACTIVE_KEY || keys.keys().next().value;
+  if (!keys.has(activeKeyId)) {
+    throw createEncryptionError(`Active encryption key ${activeKeyId} is not listed in PII_ENCRYPTION_KEYS`);
+  }
+
+  const blindIndexKey = process.env.PII_BLIND_INDEX_KEY
+    ? parseKey(process.env.PII_BLIND_INDEX_KEY, 'PII_BLIND_INDEX_KEY')
+    : deriveTestKey('blind-index');
+
+  cachedKeyring = { source, activeKeyId, keys, blindIndexKey };
+  return cachedKeyring;
+};
+
+/**
+ * Check whether a stored value is an encrypted payload
+ * @param {*} value - Stored value
+ * @returns {boolean} True for enc:v1 strings
+ */
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(ENCRYPTION_PREFIX);
+
+/**
+ * Encrypt a value with the active key
+ * @param {*} value - Plaintext; null, undefined and empty strings are stored as they are
+ * @returns {*} Encrypted payload string
+ */
+const encryptValue = (value) => {
+  if (value === null || value === undefined || value === '' || isEncrypted(value)) return value;
+
+  const { activeKeyId, keys } = getKeyring();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return ENCRYPTION_PREFIX + [
+    activeKeyId,
+    iv.toString('base64url'),
+    cipher.getAuthTag().toString('base64url'),
+    ciphertext.toString('base64url')
+  ].join(':');
+};
+
+/**
+ * Decrypt a stored value with the key it was encrypted with
+ * Values written before encryption was enabled are returned unchanged.
+ * @param {*} value - Stored value
+ * @returns {*} Plaintext string
+ */
+const decryptValue = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [keyId, iv, tag, ciphertext] = value.substring(ENCRYPTION_PREFIX.length).split(':');
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw createEncryptionError(`Encryption key ${keyId} is not configured`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64url')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch {
+    throw createEncryptionError('Stored value could not be decrypted');
+  }
+};
+
+/**
+ * Build the deterministic blind index of a value
+ * Equal inputs give equal indexes, so exact-match lookups work without storing the plaintext.
+ * @param {string} value - Normalized plaintext
+ * @returns {string|null} Hex HMAC-SHA256, or null for empty values
+ */
+const createBlindIndex = (value) => {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  return crypto.createHmac('sha256', getKeyring().blindIndexKey).update(text).digest('hex');
+};
+
+/**
+ * Blind index of a PAN, ignoring case and surrounding spaces
+ * @param {string} pan - PAN
+ * @returns {string|null} Blind index
+ */
+const createPanIndex = (pan) => createBlindIndex(String(pan ?? '').trim().toUpperCase());
+
+/**
+ * Blind index of a phone number, ignoring country code and formatting
+ * @param {string} number - Phone number
+ * @returns {string|null} Blind index
+ */
+const createPhoneIndex = (number) => createBlindIndex(normalizePhoneNumber(number));
+
+const toTrimmed = (value) => (typeof value === 'string' ? value.trim() : value);
+const toUpper = (value) => (typeof value === 'string' ? value.trim().toUpperCase() : value);
+const toLower = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+const toIsoDate = (value) => (value instanceof Date ? value.toISOString() : value);
+
+/**
+ * Apply a mapper to every PII field of a report
+ * The mapper receives the value and the normalizer for that field.
+ * @param {Object} report - Plain report data
+ * @param {Function} map - (value, normalize) => mapped value
+ * @returns {Object} Copy of the report with mapped fields
+ */
+const mapPiiFields = (report, map) => {
+  const mapped = { ...report };
+  const details = report.basicDetails;
+
+  if (details) {
+    mapped.basicDetails = {
+      ...details,
+      pan: map(details.pan, toUpper),
+      mobilePhone: map(details.mobilePhone, toTrimmed),
+      email: map(details.email, toLower),
+      dateOfBirth: map(details.dateOfBirth, toIsoDate),
+      address: map(details.address, toTrimmed),
+      ...(details.identities && {
+        identities: details.identities.map(identity => ({ ...identity, number: map(identity.number, toUpper) }))
+      }),
+      ...(details.addresses && {
+        addresses: details.addresses.map(address => ({
+          ...address,
+          lines: (address.lines || []).map(line => map(line, toTrimmed)),
+          fullAddress: map(address.fullAddress, toTrimmed)
+        }))
+      }),
+      ...(details.phones && {
+        phones: details.phones.map(phone => ({ ...phone, number: map(phone.number, toTrimmed) }))
+      })
+    };
+  }
+
+  if (report.creditAccounts) {
+    mapped.creditAccounts = report.creditAccounts.map(account => ({
+      ...account,
+      accountNumber: map(account.accountNumber, toTrimmed),
+      address: map(account.address, toTrimmed)
+    }));
+  }
+
+  return mapped;
+};
+
+/**
+ * Build the blind indexes of a report's plaintext PAN and phone numbers
+ * @param {Object} basicDetails - Plaintext basic details
+ * @returns {Object} { pan, phones }
+ */
+const buildReportBlindIndex = (basicDetails = {}) => ({
+  pan: createPanIndex(basicDetails.pan),
+  phones: [...new Set(
+    [basicDetails.mobilePhone, ...(basicDetails.phones || []).map(phone => phone.number)]
+      .map(createPhoneIndex)
+      .filter(Boolean)
+  )]
+});
+
+/**
+ * Encrypt the PII of report data before it is saved
+ * @param {Object} report - Plaintext report data
+ * @returns {Object} Report data with encrypted fields, blind indexes and the key id used
+ */
+const encryptReportFields = (report) => ({
+  ...mapPiiFields(report, (value, normalize) => encryptValue(normalize(value))),
+  blindIndex: buildReportBlindIndex(report.basicDetails),
+  encryptionKeyId: getKeyring().activeKeyId
+});
+
+/**
+ * Decrypt the PII of a stored report for a response
+ * @param {Object} report - CreditReport document or plain object
+ * @returns {Object} Plain report with decrypted fields
+ */
+const decryptReportFields = (report) => {
+  const source = typeof report?.toObject === 'function' ? report.toObject() : report;
+  const decrypted = mapPiiFields(source, value => decryptValue(value));
+
+  // Dates are encrypted as ISO strings
+  if (isEncrypted(source.basicDetails?.dateOfBirth)) {
+    decrypted.basicDetails.dateOfBirth = new Date(decrypted.basicDetails.dateOfBirth);
+  }
+  return decrypted;
+};
+
+export {
+  createEncryptionError,
+  getKeyring,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  createBlindIndex,
+  createPanIndex,
+  createPhoneIndex,
+  encryptReportFields,
+  decryptReportFields
+};
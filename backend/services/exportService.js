@@ -0,0 +1,293 @@
+import ExcelJS from 'exceljs';
+import { createQueryError } from './reportQueryService.js';
+import { maskPan, maskPhoneNumber } from './maskingService.js';
+
+const EXPORT_FORMATS = ['xlsx', 'csv'];
+
+// Sheets of a single report export, in workbook order
+const REPORT_SHEETS = ['applicant', 'accounts', 'enquiries', 'history'];
+
+// A CSV holds one sheet; the accounts are what credit committees ask for first
+const DEFAULT_CSV_SHEET = 'accounts';
+
+// Most reports one list export may contain
+const MAX_LIST_EXPORT = 5000;
+
+const CONTENT_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8'
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Read the export format from a request query
+ * @param {Object} query - Request query
+ * @returns {string} 'xlsx' or 'csv', xlsx when absent
+ */
+const parseExportFormat = (query = {}) => {
+  const format = String(query.format || 'xlsx').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw createQueryError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  return format;
+};
+
+/**
+ * Read the sheet of a single report CSV export from a request query
+ * @param {Object} query - Request query
+ * @returns {string} Key of REPORT_SHEETS
+ */
+const parseExportSheet = (query = {}) => {
+  const sheet = String(query.sheet || DEFAULT_CSV_SHEET).toLowerCase();
+  if (!REPORT_SHEETS.includes(sheet)) {
+    throw createQueryError(`sheet must be one of: ${REPORT_SHEETS.join(', ')}`);
+  }
+  return sheet;
+};
+
+/**
+ * Describe the list filters of an export for its audit entry, masking PAN and phone searches
+ * @param {Object} query - Request query of GET /api/reports/export
+ * @returns {Object} Filter parameters without paging or format
+ */
+const describeExportFilters = (query = {}) => {
+  const { format, page, limit, ...filters } = query;
+
+  return {
+    ...filters,
+    ...(filters.pan && { pan: maskPan(String(filters.pan)) }),
+    ...(filters.mobile && { mobile: maskPhoneNumber(String(filters.mobile)) })
+  };
+};
+
+/**
+ * Name the derogatory flags set on an account
+ * @param {Object} derogatory - Account derogatory details
+ * @returns {string} Comma separated flags, empty when none
+ */
+const describeDerogatory = (derogatory = {}) => [
+  derogatory.suitFiled && 'Suit filed',
+  derogatory.wilfulDefault && 'Wilful default',
+  derogatory.writtenOff && 'Written off',
+  derogatory.settled && 'Settled',
+  derogatory.restructured && 'Restructured'
+].filter(Boolean).join(', ');
+
+/**
+ * Build the sheets of a single report export
+ * @param {Object} report - Report with decrypted and masked PII
+ * @returns {Object} Sheets keyed by REPORT_SHEETS, each { name, columns: [{ header, key }], rows }
+ */
+const buildReportSheets = (report) => {
+  const details = report.basicDetails || {};
+  const summary = report.reportSummary || {};
+  const accounts = report.creditAccounts || [];
+
+  const applicantRows = [
+    ['Name', details.name],
+    ['PAN', details.pan],
+    ['Date of Birth', details.dateOfBirth],
+    ['Gender', details.gender],
+    ['Mobile Phone', details.mobilePhone],
+    ['Email', details.email],
+    ['Address', details.address],
+    ['Credit Score', details.creditScore],
+    ['Bureau', report.bureau],
+    ['Report Number', report.bureauMetadata?.reportNumber],
+    ['Report Date', report.reportDate],
+    ['Total Accounts', summary.totalAccounts],
+    ['Active Accounts', summary.activeAccounts],
+    ['Closed Accounts', summary.closedAccounts],
+    ['Current Balance', summary.currentBalanceAmount],
+    ['Secured Balance', summary.securedAmount],
+    ['Unsecured Balance', summary.unsecuredAmount],
+    ['Recent Enquiries', summary.recentEnquiries],
+    ['Credit Utilisation (%)', report.creditMetrics?.creditUtilisation],
+    ['Has Derogatory', report.derogatorySummary?.hasDerogatory ? 'Yes' : 'No'],
+    ['Uploaded', report.createdAt]
+  ].map(([field, value]) => ({ field, value }));
+
+  const accountRows = accounts.map(account => ({
+    bankName: account.bankName,
+    type: account.type,
+    accountNumber: account.accountNumber,
+    holderType: account.holderType,
+    status: account.status,
+    dateOpened: account.dateOpened,
+    dateClosed: account.dateClosed,
+    sanctionedAmount: account.sanctionedAmount,
+    currentBalance: account.currentBalance,
+    amountOverdue: account.amountOverdue,
+    paymentHistory: account.paymentHistory,
+    derogatory: describeDerogatory(account.derogatory)
+  }));
+
+  const enquiryRows = (report.enquiries || []).map(enquiry => ({
+    date: enquiry.date,
+    institution: enquiry.institution,
+    purpose: enquiry.purpose,
+    amount: enquiry.amount,
+    category: enquiry.category === 'nonCredit' ? 'Non-credit' : 'Credit',
+    reason: enquiry.reason
+  }));
+
+  // Detailed bureau history when present, otherwise the months decoded from the payment profile
+  const historyRows = accounts.flatMap(account => {
+    const months = account.history?.length ? account.history : account.paymentHistoryMonths || [];
+    return months.map(month => ({
+      bankName: account.bankName,
+      accountNumber: account.accountNumber,
+      period: month.period,
+      daysPastDue: month.daysPastDue,
+      assetClassification: month.assetClassification,
+      paymentCode: month.code,
+      dpdBucket: month.dpdBucket || month.bucket
+    }));
+  });
+
+  return {
+    applicant: {
+      name: 'Applicant',
+      columns: [
+        { header: 'Field', key: 'field' },
+        { header: 'Value', key: 'value' }
+      ],
+      rows: applicantRows
+    },
+    accounts: {
+      name: 'Accounts',
+      columns: [
+        { header: 'Lender', key: 'bankName' },
+        { header: 'Account Type', key: 'type' },
+        { header: 'Account Number', key: 'accountNumber' },
+        { header: 'Ownership', key: 'holderType' },
+        { header: 'Status', key: 'status' },
+        { header: 'Date Opened', key: 'dateOpened' },
+        { header: 'Date Closed', key: 'dateClosed' },
+        { header: 'Sanctioned Amount', key: 'sanctionedAmount' },
+        { header: 'Current Balance', key: 'currentBalance' },
+        { header: 'Amount Overdue', key: 'amountOverdue' },
+        { header: 'Payment History', key: 'paymentHistory' },
+        { header: 'Derogatory', key: 'derogatory' }
+      ],
+      rows: accountRows
+    },
+    enquiries: {
+      name: 'Enquiries',
+      columns: [
+        { header: 'Date', key: 'date' },
+        { header: 'Institution', key: 'institution' },
+        { header: 'Purpose', key: 'purpose' },
+        { header: 'Amount', key: 'amount' },
+        { header: 'Category', key: 'category' },
+        { header: 'Reason', key: 'reason' }
+      ],
+      rows: enquiryRows
+    },
+    // Excel reserves the sheet name "History"
+    history: {
+      name: 'Payment History',
+      columns: [
+        { header: 'Lender', key: 'bankName' },
+        { header: 'Account Number', key: 'accountNumber' },
+        { header: 'Period', key: 'period' },
+        { header: 'Days Past Due', key: 'daysPastDue' },
+        { header: 'Asset Classification', key: 'assetClassification' },
+        { header: 'Payment Code', key: 'paymentCode' },
+        { header: 'DPD Bucket', key: 'dpdBucket' }
+      ],
+      rows: historyRows
+    }
+  };
+};
+
+/**
+ * Build the single sheet of a report list export
+ * @param {Array} reports - Report summaries as listed by GET /api/reports, PAN already masked
+ * @returns {Object} Sheet { name, columns, rows }
+ */
+const buildReportListSheet = (reports) => ({
+  name: 'Reports',
+  columns: [
+    { header: 'Report ID', key: 'id' },
+    { header: 'Applicant', key: 'name' },
+    { header: 'PAN', key: 'pan' },
+    { header: 'Bureau', key: 'bureau' },
+    { header: 'Credit Score', key: 'creditScore' },
+    { header: 'Total Accounts', key: 'totalAccounts' },
+    { header: 'Active Accounts', key: 'activeAccounts' },
+    { header: 'Current Balance', key: 'currentBalance' },
+    { header: 'Has Derogatory', key: 'hasDerogatory' },
+    { header: 'Report Date', key: 'reportDate' },
+    { header: 'Uploaded', key: 'createdAt' }
+  ],
+  rows: reports.map(report => ({ ...report, id: String(report.id), hasDerogatory: report.hasDerogatory ? 'Yes' : 'No' }))
+});
+
+/**
+ * Format one CSV cell: dates as ISO (date only at midnight UTC), text guarded against formula injection
+ * @param {*} value - Cell value
+ * @returns {string} Escaped CSV cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = Number.isNaN(value.getTime()) ? '' : value.toISOString().replace(/T00:00:00\.000Z$/, '');
+  } else {
+    text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise a sheet as CSV with a header row
+ * @param {Object} sheet - Sheet from buildReportSheets or buildReportListSheet
+ * @returns {string} CSV text
+ */
+const toCsv = (sheet) => [
+  sheet.columns.map(column => toCsvCell(column.header)),
+  ...sheet.rows.map(row => sheet.columns.map(column => toCsvCell(row[column.key])))
+].map(cells => cells.join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Write sheets to an Excel workbook
+ * @param {Array} sheets - Sheets in workbook order
+ * @returns {Promise<Buffer>} XLSX file
+ */
+const toXlsx = async (sheets) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'CreditSea';
+  workbook.created = new Date();
+
+  for (const sheet of sheets) {
+    const worksheet = workbook.addWorksheet(sheet.name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    worksheet.columns = sheet.columns.map(column => ({
+      ...column,
+      width: Math.max(12, column.header.length + 2)
+    }));
+    worksheet.getRow(1).font = { bold: true };
+    sheet.rows.forEach(row => worksheet.addRow(row));
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+export {
+  EXPORT_FORMATS,
+  REPORT_SHEETS,
+  MAX_LIST_EXPORT,
+  CONTENT_TYPES,
+  parseExportFormat,
+  parseExportSheet,
+  describeExportFilters,
+  buildReportSheets,
+  buildReportListSheet,
+  toCsv,
+  toXlsx
+};
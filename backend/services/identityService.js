@@ -0,0 +1,83 @@
+// Identity document types captured on basicDetails.identities
+const IDENTITY_TYPES = ['pan', 'passport', 'voterId', 'drivingLicence', 'rationCard', 'universalId'];
+
+// Format checks per document type; ration cards have no national format
+const IDENTITY_FORMATS = {
+  pan: /^[A-Z]{5}[0-9]{4}[A-Z]$/,
+  passport: /^[A-Z][0-9]{7}$/,
+  voterId: /^[A-Z]{3}[0-9]{7}$/,
+  drivingLicence: /^[A-Z]{2}[0-9]{13}$/,
+  // Aadhaar, either full or masked to the last four digits
+  universalId: /^([2-9][0-9]{11}|X{8}[0-9]{4})$/
+};
+
+/**
+ * Normalize an identity number for comparison and validation
+ * @param {string} number - Raw identity number
+ * @returns {string} Uppercased number without spaces or hyphens
+ */
+const normalizeIdentityNumber = (number) => String(number || '').toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * Check an identity number against the known format for its type
+ * @param {string} type - Identity type
+ * @param {string} number - Identity number
+ * @returns {boolean|null} Whether the format is valid, null when the type has no known format
+ */
+const validateIdentityNumber = (type, number) => {
+  const format = IDENTITY_FORMATS[type];
+  if (!format) return null;
+  return format.test(normalizeIdentityNumber(number));
+};
+
+/**
+ * Merge raw identity records into a deduplicated identities list
+ * @param {Array} records - Records of { type, number, issueDate, expiryDate, source }
+ * @param {Date|null} referenceDate - Date expiry is checked against, usually the bureau report date
+ * @returns {Array} Identities with format and expiry flags
+ */
+const mergeIdentities = (records, referenceDate = null) => {
+  const byKey = new Map();
+
+  records.forEach(record => {
+    const number = normalizeIdentityNumber(record.number);
+    if (!number || !IDENTITY_TYPES.includes(record.type)) return;
+
+    const key = `${record.type}:${number}`;
+    const existing = byKey.get(key);
+
+    if (existing) {
+      // The same document repeats across accounts; keep any dates the first copy lacked
+      existing.issueDate = existing.issueDate || record.issueDate || null;
+      existing.expiryDate = existing.expiryDate || record.expiryDate || null;
+      if (record.source && !existing.sources.includes(record.source)) {
+        existing.sources.push(record.source);
+      }
+      return;
+    }
+
+    byKey.set(key, {
+      type: record.type,
+      number,
+      issueDate: record.issueDate || null,
+      expiryDate: record.expiryDate || null,
+      sources: record.source ? [record.source] : []
+    });
+  });
+
+  const asOf = referenceDate || new Date();
+
+  return Array.from(byKey.values()).map(identity => ({
+    ...identity,
+    isValidFormat: validateIdentityNumber(identity.type, identity.number),
+    isExpired: identity.expiryDate ? identity.expiryDate.getTime() < asOf.getTime() : false
+  }));
+};
+
+export {
+  IDENTITY_TYPES,
+  IDENTITY_FORMATS,
+  normalizeIdentityNumber,
+  validateIdentityNumber,
+  mergeIdentities
+};
@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+
+// Finished jobs stay queryable for an hour, then are pruned
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+// Jobs processed at the same time; parsing is CPU bound so one is the default
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY) || 1);
+
+const jobs = new Map();
+const pending = [];
+let running = 0;
+let idleWaiters = [];
+
+/**
+ * Copy a job for API responses so callers cannot mutate queue state
+ * @param {Object} job - Internal job
+ * @returns {Object} Job snapshot
+ */
+const toSnapshot = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  stage: job.stage,
+  stages: job.stages.map(stage => ({ ...stage })),
+  progress: job.progress ? { ...job.progress } : null,
+  metadata: { ...job.metadata },
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt
+});
+
+/**
+ * Remove finished jobs older than the retention window
+ * @param {number} now - Current time in ms
+ */
+const pruneJobs = (now = Date.now()) => {
+  jobs.forEach((job, id) => {
+    if (job.completedAt && now - job.completedAt.getTime() > JOB_RETENTION_MS) {
+      jobs.delete(id);
+    }
+  });
+};
+
+/**
+ * Finish the running stage of a job
+ * @param {Object} job - Internal job
+ * @param {string} status - Final stage status, 'completed' or 'failed'
+ */
+const finishStage = (job, status) => {
+  const stage = job.stages.find(entry => entry.status === 'running');
+  if (stage) {
+    stage.status = status;
+    stage.completedAt = new Date();
+  }
+};
+
+/**
+ * Build the context a job handler uses to report its stage and progress
+ * @param {Object} job - Internal job
+ * @returns {Object} { startStage(name), setProgress(processed, total) }
+ */
+const createJobContext = (job) => ({
+  startStage: (name) => {
+    const stage = job.stages.find(entry => entry.name === name);
+    if (!stage) throw new Error(`Unknown stage "${name}" for ${job.type} job`);
+
+    finishStage(job, 'completed');
+    stage.status = 'running';
+    stage.startedAt = new Date();
+    job.stage = name;
+  },
+  setProgress: (processed, total) => {
+    job.progress = { processed, total };
+  }
+});
+
+/**
+ * Run one job and record its result or error
+ * @param {Object} job - Internal job
+ */
+const runJob = async (job) => {
+  job.status = 'processing';
+  job.startedAt = new Date();
+
+  try {
+    job.result = await job.handler(createJobContext(job));
+    finishStage(job, 'completed');
+    job.status = 'completed';
+  } catch (error) {
+    finishStage(job, 'failed');
+    job.status = 'failed';
+    job.error = { message: error.message, stage: job.stage };
+    logger.error('Job failed', { jobId: job.id, type: job.type, stage: job.stage, error: error.message });
+  } finally {
+    job.completedAt = new Date();
+    job.stage = job.status;
+    // The handler closes over request data that is no longer needed
+    delete job.handler;
+  }
+};
+
+/**
+ * Start queued jobs while there is free capacity
+ */
+const drain = () => {
+  while (running < JOB_CONCURRENCY && pending.length > 0) {
+    const job = pending.shift();
+    running += 1;
+
+    runJob(job).finally(() => {
+      running -= 1;
+      if (running === 0 && pending.length === 0) {
+        idleWaiters.forEach(resolve => resolve());
+        idleWaiters = [];
+      }
+      drain();
+    });
+  }
+};
+
+/**
+ * Queue a job for background processing
+ * @param {Object} options - { type, stages, metadata }
+ * @param {Function} handler - async (context) => result; context has startStage and setProgress
+ * @returns {Object} Snapshot of the queued job
+ */
+const enqueueJob = ({ type, stages = [], metadata = {} }, handler) => {
+  pruneJobs();
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    stage: 'queued',
+    stages: stages.map(name => ({ name, status: 'pending', startedAt: null, completedAt: null })),
+    progress: null,
+    metadata,
+    result: null,
+    error: null,
+    createdAt: new Date(),
+    startedAt: null,
+    completedAt: null,
+    handler
+  };
+
+  jobs.set(job.id, job);
+  pending.push(job);
+  logger.info('Job queued', { jobId: job.id, type });
+
+  // Start on the next tick so the caller can respond before processing begins
+  setImmediate(drain);
+
+  return toSnapshot(job);
+};
+
+/**
+ * Get the current state of a job
+ * @param {string} id - Job id
+ * @returns {Object|null} Job snapshot, or null when unknown or pruned
+ */
+const getJob = (id) => {
+  const job = jobs.get(id);
+  return job ? toSnapshot(job) : null;
+};
+
+/**
+ * Wait until no jobs are queued or running
+ * @returns {Promise<void>} Resolves when the queue is idle
+ */
+const waitForIdle = () => new Promise((resolve) => {
+  setImmediate(() => {
+    if (running === 0 && pending.length === 0) {
+      resolve();
+    } else {
+      idleWaiters.push(resolve);
+    }
+  });
+});
+
+export {
+  JOB_RETENTION_MS,
+  enqueueJob,
+  getJob,
+  pruneJobs,
+  waitForIdle
+};
@@ -0,0 +1,110 @@
+/**
+ * Replace the middle of a value with asterisks
+ * @param {string} value - Value to mask
+ * @param {number} start - Leading characters to keep
+ * @param {number} end - Trailing characters to keep
+ * @returns {string} Masked value; values too short to keep anything are fully masked
+ */
+const maskMiddle = (value, start, end) => {
+  const text = String(value);
+  if (text.length <= start + end) return '****';
+  return `${text.substring(0, start)}****${text.substring(text.length - end)}`;
+};
+
+/**
+ * Mask a value only when it is present
+ * @param {Function} mask - Masking function
+ * @returns {Function} Mask that passes null, undefined and empty strings through
+ */
+const whenPresent = (mask) => (value) => (value === null || value === undefined || value === '' ? value : mask(value));
+
+/**
+ * Mask a PAN, keeping the holder type and entity letters and the check digit
+ * @param {string} pan - PAN
+ * @returns {string} Masked PAN such as AOZPB****S
+ */
+const maskPan = whenPresent(pan => maskMiddle(pan, 5, 1));
+
+/**
+ * Mask a phone number, keeping the last four digits and any formatting
+ * @param {string} number - Phone number
+ * @returns {string} Masked number such as XXXXXX7672
+ */
+const maskPhoneNumber = whenPresent((number) => {
+  const text = String(number);
+  if (text.length <= 4) return '****';
+  const visibleFrom = text.length - 4;
+  return text.replace(/\d/g, (digit, index) => (index < visibleFrom ? 'X' : digit));
+});
+
+/**
+ * Mask an email address, keeping the first character and the domain
+ * @param {string} email - Email address
+ * @returns {string} Masked address such as j****@example.com
+ */
+const maskEmail = whenPresent((email) => {
+  const text = String(email);
+  const at = text.lastIndexOf('@');
+  if (at < 1) return maskMiddle(text, 1, 0);
+  return `${text[0]}****${text.substring(at)}`;
+});
+
+/**
+ * Mask an account number, keeping the first and last four characters
+ * @param {string} accountNumber - Account number
+ * @returns {string} Masked number such as ICIC****0994
+ */
+const maskAccountNumber = whenPresent(accountNumber => maskMiddle(accountNumber, 4, 4));
+
+/**
+ * Mask an identity document number; other documents keep only their last four characters
+ * @param {string} type - Identity type such as 'pan' or 'aadhaar'
+ * @param {string} number - Document number
+ * @returns {string} Masked number
+ */
+const maskIdentityNumber = (type, number) => (type === 'pan'
+  ? maskPan(number)
+  : whenPresent(value => maskMiddle(value, 0, 4))(number));
+
+/**
+ * Mask the PAN, phone numbers, email and account numbers of a decrypted report
+ * @param {Object} report - Plain report with decrypted fields
+ * @returns {Object} Copy of the report with masked fields
+ */
+const maskReportFields = (report) => {
+  const masked = { ...report };
+  const details = report.basicDetails;
+
+  if (details) {
+    masked.basicDetails = {
+      ...details,
+      pan: maskPan(details.pan),
+      mobilePhone: maskPhoneNumber(details.mobilePhone),
+      email: maskEmail(details.email),
+      ...(details.identities && {
+        identities: details.identities.map(identity => ({ ...identity, number: maskIdentityNumber(identity.type, identity.number) }))
+      }),
+      ...(details.phones && {
+        phones: details.phones.map(phone => ({ ...phone, number: maskPhoneNumber(phone.number) }))
+      })
+    };
+  }
+
+  if (report.creditAccounts) {
+    masked.creditAccounts = report.creditAccounts.map(account => ({
+      ...account,
+      accountNumber: maskAccountNumber(account.accountNumber)
+    }));
+  }
+
+  return masked;
+};
+
+export {
+  maskPan,
+  maskPhoneNumber,
+  maskEmail,
+  maskAccountNumber,
+  maskIdentityNumber,
+  maskReportFields
+};
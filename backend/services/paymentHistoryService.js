@@ -0,0 +1,118 @@
+import { extractText, extractNullableNumber } from './xmlParserService.js';
+
+// Delinquency buckets shared by account history entries
+const DPD_BUCKETS = ['current', '1-29', '30', '60', '90', '120+', 'unknown'];
+
+// Payment_History_Profile characters, most recent month first
+const PAYMENT_PROFILE_CODES = {
+  '0': 'current',
+  '1': '30',
+  '2': '60',
+  '3': '90',
+  '4': '120+',
+  '5': '120+',
+  '6': '120+',
+  '?': 'unknown'
+};
+
+/**
+ * Map days past due to a delinquency bucket
+ * @param {number|null} daysPastDue - Days past due
+ * @returns {string} Delinquency bucket
+ */
+const getDpdBucket = (daysPastDue) => {
+  if (daysPastDue === null || daysPastDue === undefined || isNaN(daysPastDue)) return 'unknown';
+  if (daysPastDue <= 0) return 'current';
+  if (daysPastDue < 30) return '1-29';
+  if (daysPastDue < 60) return '30';
+  if (daysPastDue < 90) return '60';
+  if (daysPastDue < 120) return '90';
+  return '120+';
+};
+
+/**
+ * Format year and month as a YYYY-MM period key
+ * @param {number} year - Four digit year
+ * @param {number} month - Month (1-12)
+ * @returns {string} Period key
+ */
+const formatPeriod = (year, month) => `${year}-${String(month).padStart(2, '0')}`;
+
+/**
+ * Normalize CAIS_Account_History entries into a monthly delinquency timeline
+ * @param {Object|Array} historyNodes - CAIS_Account_History element(s)
+ * @returns {Array} History entries, newest month first
+ */
+const normalizeAccountHistory = (historyNodes) => {
+  if (!historyNodes) return [];
+
+  const entries = Array.isArray(historyNodes) ? historyNodes : [historyNodes];
+  const byPeriod = new Map();
+
+  entries.forEach(entry => {
+    const year = parseInt(extractText(entry?.Year), 10);
+    const month = parseInt(extractText(entry?.Month), 10);
+
+    // Skip entries without a usable month reference
+    if (!year || !month || month < 1 || month > 12) return;
+
+    const period = formatPeriod(year, month);
+    const daysPastDue = extractNullableNumber(entry.Days_Past_Due);
+    const assetClassification = extractText(entry.Asset_Classification);
+
+    // Bureaus occasionally repeat a month in no particular order; keep the most delinquent entry
+    const existing = byPeriod.get(period);
+    if (existing && (daysPastDue ?? -1) <= (existing.daysPastDue ?? -1)) return;
+
+    byPeriod.set(period, {
+      period,
+      year,
+      month,
+      daysPastDue,
+      assetClassification: assetClassification && assetClassification !== '?' ? assetClassification : null,
+      dpdBucket: getDpdBucket(daysPastDue)
+    });
+  });
+
+  return Array.from(byPeriod.values()).sort((a, b) => b.period.localeCompare(a.period));
+};
+
+/**
+ * Decode a Payment_History_Profile string into dated month buckets
+ * @param {string} profile - Raw profile, e.g. "11110000000000001???"
+ * @param {Date|null} dateReported - Date_Reported of the account, anchors the first character
+ * @returns {Array} Month entries, newest month first
+ */
+const decodePaymentHistoryProfile = (profile, dateReported) => {
+  const text = extractText(profile);
+  if (!text || !(dateReported instanceof Date) || isNaN(dateReported.getTime())) {
+    return [];
+  }
+
+  const anchorYear = dateReported.getUTCFullYear();
+  const anchorMonth = dateReported.getUTCMonth();
+
+  return text.split('').map((code, index) => {
+    // Each character steps one month further back from the reporting month
+    const monthIndex = anchorMonth - index;
+    const year = anchorYear + Math.floor(monthIndex / 12);
+    const month = ((monthIndex % 12) + 12) % 12 + 1;
+
+    return {
+      period: formatPeriod(year, month),
+      year,
+      month,
+      code,
+      bucket: PAYMENT_PROFILE_CODES[code.toUpperCase()] || 'unknown'
+    };
+  });
+};
+
+export {
+  DPD_BUCKETS,
+  PAYMENT_PROFILE_CODES,
+  getDpdBucket,
+  formatPeriod,
+  normalizeAccountHistory,
+  decodePaymentHistoryProfile
+};
@@ -0,0 +1,148 @@
+import {
+  REFERENCE_DATA_VERSION,
+  ACCOUNT_TYPES,
+  ACCOUNT_STATUS_CATEGORIES,
+  ACCOUNT_STATUSES,
+  PORTFOLIO_TYPES,
+  ENQUIRY_REASONS,
+  GENDER_CODES,
+  HOLDER_TYPES,
+  ASSET_CLASSIFICATIONS,
+  STATE_CODES
+} from '../config/referenceData.js';
+
+const UNKNOWN_LABEL = 'Unknown';
+
+// Labels accepted by the CreditReport model, derived from the code tables
+const ACCOUNT_TYPE_LABELS = [...new Set([...Object.values(ACCOUNT_TYPES).map(type => type.label), UNKNOWN_LABEL])];
+const ACCOUNT_STATUS_LABELS = Object.keys(ACCOUNT_STATUS_CATEGORIES);
+const ACCOUNT_STATUS_CATEGORY_VALUES = [...new Set(Object.values(ACCOUNT_STATUS_CATEGORIES))];
+
+/**
+ * Normalize a raw code from an XML node value
+ * @param {*} code - Raw code (string or number)
+ * @param {number} width - Zero padded width, 0 to keep the code as is
+ * @returns {string|null} Normalized code, or null when absent
+ */
+const normalizeCode = (code, width = 0) => {
+  if (code === undefined || code === null) return null;
+  const text = String(code).trim().toUpperCase();
+  if (!text) return null;
+  return width && /^\d+$/.test(text) ? text.padStart(width, '0') : text;
+};
+
+/**
+ * Look up a code in a simple code → label table
+ * @param {Object} table - Code table
+ * @param {*} code - Raw code
+ * @param {number} width - Zero padded width of numeric codes
+ * @returns {Object} Raw code and label, label null when the code is not in the table
+ */
+const lookupCode = (table, code, width = 0) => {
+  const normalized = normalizeCode(code, width);
+  const numeric = normalized && /^\d+$/.test(normalized) ? String(Number(normalized)) : null;
+  const label = normalized ? table[normalized] ?? (numeric !== null ? table[numeric] : undefined) : undefined;
+  return { code: normalized, label: label ?? null };
+};
+
+/**
+ * Look up an Account_Type code
+ * @param {*} code - Raw account type code
+ * @returns {Object} { code, label, description, secured }, label 'Unknown' for codes not in the table
+ */
+const lookupAccountType = (code) => {
+  const normalized = normalizeCode(code, 2);
+  const entry = normalized ? ACCOUNT_TYPES[normalized] : null;
+  if (!entry) {
+    return { code: normalized, label: UNKNOWN_LABEL, description: null, secured: false };
+  }
+  return { code: normalized, ...entry };
+};
+
+/**
+ * Look up an Account_Status code
+ * @param {*} code - Raw account status code
+ * @returns {Object} { code, label, description, category }, label 'Unknown' for codes not in the table
+ */
+const lookupAccountStatus = (code) => {
+  const normalized = normalizeCode(code, 2);
+  const entry = normalized ? ACCOUNT_STATUSES[normalized] : null;
+  if (!entry) {
+    return { code: normalized, label: UNKNOWN_LABEL, description: null, category: 'unknown' };
+  }
+  return { code: normalized, ...entry, category: getStatusCategory(entry.label) };
+};
+
+/**
+ * Get the category of an account status label
+ * @param {string} label - Account status label
+ * @returns {string} Status category, 'unknown' for labels not in the table
+ */
+const getStatusCategory = (label) => ACCOUNT_STATUS_CATEGORIES[label] || 'unknown';
+
+/**
+ * Check whether an account type label is backed by collateral
+ * @param {string} label - Account type label
+ * @returns {boolean} True when every code with this label is secured
+ */
+const isSecuredAccountType = (label) => {
+  const entries = Object.values(ACCOUNT_TYPES).filter(type => type.label === label);
+  return entries.length > 0 && entries.every(type => type.secured);
+};
+
+/**
+ * Find an account type label by its (case-insensitive) name
+ * @param {string} name - Descriptive account type name
+ * @returns {string|null} Matching label or description label, null when not found
+ */
+const findAccountTypeByName = (name) => {
+  const text = String(name || '').trim().toLowerCase();
+  if (!text) return null;
+  const entry = Object.values(ACCOUNT_TYPES).find(type =>
+    type.label.toLowerCase() === text || type.description.toLowerCase() === text
+  );
+  return entry ? entry.label : null;
+};
+
+const lookupPortfolioType = (code) => lookupCode(PORTFOLIO_TYPES, code);
+const lookupEnquiryReason = (code) => lookupCode(ENQUIRY_REASONS, code);
+const lookupGender = (code) => lookupCode(GENDER_CODES, code);
+const lookupHolderType = (code) => lookupCode(HOLDER_TYPES, code);
+const lookupAssetClassification = (code) => lookupCode(ASSET_CLASSIFICATIONS, code);
+const lookupStateCode = (code) => lookupCode(STATE_CODES, code, 2);
+
+/**
+ * Get all code tables with their version
+ * @returns {Object} Reference data served to the frontend
+ */
+const getReferenceData = () => ({
+  version: REFERENCE_DATA_VERSION,
+  accountTypes: ACCOUNT_TYPES,
+  accountStatuses: ACCOUNT_STATUSES,
+  accountStatusCategories: ACCOUNT_STATUS_CATEGORIES,
+  portfolioTypes: PORTFOLIO_TYPES,
+  enquiryReasons: ENQUIRY_REASONS,
+  genderCodes: GENDER_CODES,
+  holderTypes: HOLDER_TYPES,
+  assetClassifications: ASSET_CLASSIFICATIONS,
+  stateCodes: STATE_CODES
+});
+
+export {
+  UNKNOWN_LABEL,
+  ACCOUNT_TYPE_LABELS,
+  ACCOUNT_STATUS_LABELS,
+  ACCOUNT_STATUS_CATEGORY_VALUES,
+  lookupAccountType,
+  lookupAccountStatus,
+  getStatusCategory,
+  isSecuredAccountType,
+  findAccountTypeByName,
+  lookupPortfolioType,
+  lookupEnquiryReason,
+  lookupGender,
+  lookupHolderType,
+  lookupAssetClassification,
+  lookupStateCode,
+  getReferenceData
+};
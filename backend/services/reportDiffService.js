@@ -0,0 +1,140 @@
+/**
+ * Build the key that matches the same account across two reports
+ * @param {Object} account - Credit account
+ * @returns {string} Subscriber and account number key, ignoring case and spacing
+ */
+const getAccountKey = (account) => [account.bankName, account.accountNumber]
+  .map(part => String(part || '').toUpperCase().replace(/\s+/g, ' ').trim())
+  .join('|');
+
+/**
+ * Build the key that matches the same enquiry across two reports
+ * @param {Object} enquiry - Enquiry
+ * @returns {string} Institution, enquiry day and amount key
+ */
+const getEnquiryKey = (enquiry) => {
+  const date = enquiry.date ? new Date(enquiry.date) : null;
+  const day = date && !isNaN(date.getTime()) ? date.toISOString().substring(0, 10) : '';
+  return [String(enquiry.institution || '').toUpperCase().trim(), day, enquiry.amount || 0].join('|');
+};
+
+/**
+ * Check whether an account is closed
+ * @param {Object} account - Credit account
+ * @returns {boolean} True when closed
+ */
+const isClosed = (account) => Boolean(account.dateClosed) ||
+  account.statusCategory === 'closed' ||
+  Boolean(account.status?.startsWith('Closed'));
+
+/**
+ * Reduce an account to the fields shown in a diff
+ * @param {Object} account - Credit account
+ * @returns {Object} Account snapshot
+ */
+const toAccountSnapshot = (account) => ({
+  // Stored account id when there is one, so the row key does not carry the account number
+  key: account._id ? String(account._id) : getAccountKey(account),
+  bankName: account.bankName,
+  accountNumber: account.accountNumber,
+  type: account.type,
+  status: account.status,
+  currentBalance: account.currentBalance || 0,
+  amountOverdue: account.amountOverdue || 0,
+  dateOpened: account.dateOpened || null,
+  dateClosed: account.dateClosed || null
+});
+
+/**
+ * Difference between two optional numbers
+ * @param {number|null} from - Earlier value
+ * @param {number|null} to - Later value
+ * @returns {number|null} to - from, or null when either is missing
+ */
+const delta = (from, to) => (typeof from === 'number' && typeof to === 'number' ? to - from : null);
+
+/**
+ * Compare an earlier and a later report of the same applicant
+ * @param {Object} fromReport - Earlier report
+ * @param {Object} toReport - Later report
+ * @returns {Object} Opened, closed, removed and changed accounts, score delta and new enquiries
+ */
+const diffReports = (fromReport, toReport) => {
+  const fromAccounts = new Map((fromReport.creditAccounts || []).map(account => [getAccountKey(account), account]));
+  const toAccounts = new Map((toReport.creditAccounts || []).map(account => [getAccountKey(account), account]));
+
+  const openedAccounts = [];
+  const closedAccounts = [];
+  const changedAccounts = [];
+
+  toAccounts.forEach((account, key) => {
+    const previous = fromAccounts.get(key);
+    if (!previous) {
+      openedAccounts.push(toAccountSnapshot(account));
+      return;
+    }
+
+    if (isClosed(account) && !isClosed(previous)) {
+      closedAccounts.push(toAccountSnapshot(account));
+    }
+
+    const balanceChange = (account.currentBalance || 0) - (previous.currentBalance || 0);
+    const overdueChange = (account.amountOverdue || 0) - (previous.amountOverdue || 0);
+    const statusChanged = account.status !== previous.status;
+
+    if (balanceChange !== 0 || overdueChange !== 0 || statusChanged) {
+      changedAccounts.push({
+        ...toAccountSnapshot(account),
+        previousStatus: previous.status,
+        previousBalance: previous.currentBalance || 0,
+        previousOverdue: previous.amountOverdue || 0,
+        balanceChange,
+        overdueChange
+      });
+    }
+  });
+
+  // Accounts the later report no longer lists at all
+  const removedAccounts = Array.from(fromAccounts.entries())
+    .filter(([key]) => !toAccounts.has(key))
+    .map(([, account]) => toAccountSnapshot(account));
+
+  const previousEnquiries = new Set((fromReport.enquiries || []).map(getEnquiryKey));
+  const newEnquiries = (toReport.enquiries || []).filter(enquiry => !previousEnquiries.has(getEnquiryKey(enquiry)));
+
+  const fromScore = fromReport.basicDetails?.creditScore ?? null;
+  const toScore = toReport.basicDetails?.creditScore ?? null;
+  const fromBalance = fromReport.reportSummary?.currentBalanceAmount ?? null;
+  const toBalance = toReport.reportSummary?.currentBalanceAmount ?? null;
+  const fromOverdue = (fromReport.creditAccounts || []).reduce((sum, account) => sum + (account.amountOverdue || 0), 0);
+  const toOverdue = (toReport.creditAccounts || []).reduce((sum, account) => sum + (account.amountOverdue || 0), 0);
+
+  return {
+    score: { from: fromScore, to: toScore, delta: delta(fromScore, toScore) },
+    totalBalance: { from: fromBalance, to: toBalance, delta: delta(fromBalance, toBalance) },
+    totalOverdue: { from: fromOverdue, to: toOverdue, delta: toOverdue - fromOverdue },
+    openedAccounts,
+    closedAccounts,
+    removedAccounts,
+    changedAccounts,
+    newEnquiries
+  };
+};
+
+/**
+ * Order two reports so the earlier bureau pull comes first
+ * @param {Object} first - Report
+ * @param {Object} second - Report
+ * @returns {Array} [earlier, later]
+ */
+const orderReports = (first, second) => {
+  const dateOf = (report) => new Date(report.reportDate || report.createdAt).getTime() || 0;
+  return dateOf(first) <= dateOf(second) ? [first, second] : [second, first];
+};
+
+export {
+  getAccountKey,
+  getEnquiryKey,
+  diffReports,
+  orderReports
+};
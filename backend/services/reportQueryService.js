@@ -0,0 +1,151 @@
+import { normalizePhoneNumber } from './contactHistoryService.js';
+import { createPanIndex, createPhoneIndex } from './encryptionService.js';
+
+// Public sort keys mapped to CreditReport paths
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  reportDate: 'reportDate',
+  name: 'basicDetails.name',
+  creditScore: 'basicDetails.creditScore',
+  currentBalance: 'reportSummary.currentBalanceAmount',
+  totalAccounts: 'reportSummary.totalAccounts',
+  bureau: 'bureau'
+};
+
+/**
+ * Create a 400 error for an invalid query parameter
+ * @param {string} message - Error message
+ * @returns {Error} Query validation error
+ */
+const createQueryError = (message) => {
+  const error = new Error(message);
+  error.name = 'QueryValidationError';
+  return error;
+};
+
+/**
+ * Escape a user supplied string for use in a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a numeric query parameter
+ * @param {Object} query - Request query
+ * @param {string} key - Parameter name
+ * @returns {number|undefined} Parsed number, undefined when absent
+ */
+const parseNumberParam = (query, key) => {
+  const value = query[key];
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (isNaN(number)) throw createQueryError(`${key} must be a number`);
+  return number;
+};
+
+/**
+ * Parse a date query parameter; date-only upper bounds include the whole day
+ * @param {Object} query - Request query
+ * @param {string} key - Parameter name
+ * @param {boolean} endOfDay - Treat a date-only value as the end of that day
+ * @returns {Date|undefined} Parsed date, undefined when absent
+ */
+const parseDateParam = (query, key, endOfDay = false) => {
+  const value = query[key];
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw createQueryError(`${key} must be a valid date`);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+};
+
+/**
+ * Add a $gte/$lte range condition when either bound is present
+ * @param {Object} filter - Mongo filter being built
+ * @param {string} path - Document path
+ * @param {*} min - Lower bound
+ * @param {*} max - Upper bound
+ */
+const addRange = (filter, path, min, max) => {
+  if (min === undefined && max === undefined) return;
+  filter[path] = {
+    ...(min !== undefined && { $gte: min }),
+    ...(max !== undefined && { $lte: max })
+  };
+};
+
+/**
+ * Build the Mongo filter for GET /api/reports
+ * @param {Object} query - Request query parameters
+ * @returns {Object} Mongo filter
+ */
+const buildReportFilter = (query = {}) => {
+  const filter = {};
+
+  if (query.derogatory === 'true') {
+    filter['derogatorySummary.hasDerogatory'] = true;
+  } else if (query.derogatory === 'false') {
+    filter['derogatorySummary.hasDerogatory'] = { $ne: true };
+  }
+
+  const search = String(query.search || '').trim();
+  if (search) {
+    filter['basicDetails.name'] = { $regex: escapeRegex(search), $options: 'i' };
+  }
+
+  // PAN and phone numbers are encrypted, so they are matched through their blind indexes
+  const pan = String(query.pan || '').trim();
+  if (pan) filter['blindIndex.pan'] = createPanIndex(pan);
+
+  if (query.mobile) {
+    const mobile = normalizePhoneNumber(query.mobile);
+    if (!mobile) throw createQueryError('mobile must contain digits');
+    filter['blindIndex.phones'] = createPhoneIndex(mobile);
+  }
+
+  if (query.bureau) filter.bureau = String(query.bureau).trim().toLowerCase();
+
+  addRange(filter, 'basicDetails.creditScore', parseNumberParam(query, 'minScore'), parseNumberParam(query, 'maxScore'));
+  addRange(filter, 'reportSummary.currentBalanceAmount', parseNumberParam(query, 'minBalance'), parseNumberParam(query, 'maxBalance'));
+  addRange(filter, 'createdAt', parseDateParam(query, 'uploadedFrom'), parseDateParam(query, 'uploadedTo', true));
+  addRange(filter, 'reportDate', parseDateParam(query, 'reportDateFrom'), parseDateParam(query, 'reportDateTo', true));
+
+  if (query.overdue === 'true') {
+    filter['creditAccounts.amountOverdue'] = { $gt: 0 };
+  }
+
+  return filter;
+};
+
+/**
+ * Build the sort for GET /api/reports
+ * @param {Object} query - Request query with sortBy and sortOrder
+ * @returns {Object} Mongo sort, newest upload first by default
+ */
+const buildReportSort = (query = {}) => {
+  const sortBy = query.sortBy || 'createdAt';
+  const path = SORT_FIELDS[sortBy];
+  if (!path) {
+    throw createQueryError(`sortBy must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+
+  const sortOrder = String(query.sortOrder || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    throw createQueryError('sortOrder must be asc or desc');
+  }
+
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  // Tie-break on _id so pagination is stable for equal sort values
+  return path === 'createdAt' ? { createdAt: direction } : { [path]: direction, _id: direction };
+};
+
+export {
+  SORT_FIELDS,
+  createQueryError,
+  escapeRegex,
+  parseDateParam,
+  addRange,
+  buildReportFilter,
+  buildReportSort
+};
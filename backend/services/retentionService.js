@@ -0,0 +1,218 @@
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Scheduled purges run daily and touch at most this many reports per rule and run
+const DEFAULT_PURGE_INTERVAL_HOURS = 24;
+const DEFAULT_PURGE_BATCH_SIZE = 500;
+
+// Deleted reports stay restorable from the trash for this many days
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// The first scheduled run waits for start up to settle, so frequent restarts still purge
+const FIRST_RUN_DELAY_MS = 5 * 60 * 1000;
+
+// Longest delay a Node timer accepts (about 24.8 days); longer ones fire after 1 ms
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+// Ways a purge run can be started
+const PURGE_TRIGGERS = ['schedule', 'manual'];
+
+let schedulerTimers = [];
+
+/**
+ * Create an error for an invalid retention setting
+ * @param {string} message - Error message
+ * @returns {Error} Retention configuration error
+ */
+const createRetentionError = (message) => {
+  const error = new Error(message);
+  error.name = 'RetentionConfigError';
+  return error;
+};
+
+/**
+ * Read a positive whole number from the environment
+ * @param {string} name - Environment variable
+ * @param {number|null} fallback - Value when the variable is unset or empty
+ * @returns {number|null} Parsed value
+ */
+const readPositiveInteger = (name, fallback) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw createRetentionError(`${name} must be a positive whole number`);
+  }
+  return value;
+};
+
+/**
+ * Read the retention rules from the environment; a rule left unset keeps data forever
+ * The trash is always emptied, after TRASH_RETENTION_DAYS.
+ * @returns {Object} { rawXmlDays, reportDays, trashDays, intervalHours, batchSize }
+ */
+const getRetentionPolicy = () => ({
+  rawXmlDays: readPositiveInteger('RETENTION_RAW_XML_DAYS', null),
+  reportDays: readPositiveInteger('RETENTION_REPORT_DAYS', null),
+  trashDays: readPositiveInteger('TRASH_RETENTION_DAYS', DEFAULT_TRASH_RETENTION_DAYS),
+  intervalHours: readPositiveInteger('RETENTION_PURGE_INTERVAL_HOURS', DEFAULT_PURGE_INTERVAL_HOURS),
+  batchSize: readPositiveInteger('RETENTION_PURGE_BATCH_SIZE', DEFAULT_PURGE_BATCH_SIZE)
+});
+
+/**
+ * Whether a policy removes anything at all
+ * @param {Object} policy - Retention policy
+ * @returns {boolean} True when at least one rule is set
+ */
+const hasRetentionRules = (policy) => Boolean(policy.rawXmlDays || policy.reportDays || policy.trashDays);
+
+/**
+ * When a report in the trash is permanently deleted
+ * @param {Date} deletedAt - Time the report was moved to the trash
+ * @param {number} trashDays - Days reports stay in the trash
+ * @returns {Date} Time of the permanent deletion
+ */
+const getTrashPurgeDate = (deletedAt, trashDays) => new Date(new Date(deletedAt).getTime() + trashDays * DAY_MS);
+
+/**
+ * Build the Mongo filters selecting reports a purge removes
+ * Reports age from their upload time. Reports under legal hold are never selected, and reports
+ * due for deletion are left out of the raw XML rule so a preview does not count them twice.
+ * @param {Object} policy - Retention policy
+ * @param {Date} now - Time the purge runs at
+ * @returns {Object} { emptyTrash, deleteReports, purgeRawXml, cutoffs }; a filter is null when its rule is unset
+ */
+const buildPurgeFilters = (policy, now = new Date()) => {
+  const notOnHold = { legalHold: { $ne: true } };
+  const reportCutoff = policy.reportDays ? new Date(now.getTime() - policy.reportDays * DAY_MS) : null;
+  const rawXmlCutoff = policy.rawXmlDays ? new Date(now.getTime() - policy.rawXmlDays * DAY_MS) : null;
+  const trashCutoff = policy.trashDays ? new Date(now.getTime() - policy.trashDays * DAY_MS) : null;
+
+  // Trashed reports age from their deletion rather than their upload
+  const emptyTrash = trashCutoff
+    ? { ...notOnHold, deletedAt: { $lt: trashCutoff } }
+    : null;
+
+  const deleteReports = reportCutoff
+    ? { ...notOnHold, createdAt: { $lt: reportCutoff } }
+    : null;
+
+  // Nothing is left for the raw XML rule when reports are deleted first
+  const rawXmlApplies = rawXmlCutoff && (!reportCutoff || rawXmlCutoff > reportCutoff);
+  const purgeRawXml = rawXmlApplies
+    ? {
+      ...notOnHold,
+      rawXmlPurgedAt: null,
+      createdAt: reportCutoff ? { $lt: rawXmlCutoff, $gte: reportCutoff } : { $lt: rawXmlCutoff }
+    }
+    : null;
+
+  return {
+    emptyTrash,
+    deleteReports,
+    purgeRawXml,
+    cutoffs: { trash: trashCutoff, reports: reportCutoff, rawXml: rawXmlApplies ? rawXmlCutoff : null }
+  };
+};
+
+/**
+ * Shape a purge run for API responses
+ * @param {Object} run - PurgeRun document
+ * @param {boolean} includeItems - Include every removed report and failure, not just the counts
+ * @returns {Object} Public purge run fields
+ */
+const toPublicPurgeRun = (run, includeItems = false) => {
+  const deletedReports = run.deletedReports || [];
+  const purgedRawXml = run.purgedRawXml || [];
+  const emptiedTrash = run.emptiedTrash || [];
+  const failures = run.failures || [];
+
+  return {
+    id: run._id,
+    trigger: run.trigger,
+    status: run.status,
+    triggeredBy: run.triggeredBy?.email ? { id: run.triggeredBy.id, email: run.triggeredBy.email } : null,
+    policy: {
+      rawXmlDays: run.policy?.rawXmlDays ?? null,
+      reportDays: run.policy?.reportDays ?? null,
+      trashDays: run.policy?.trashDays ?? null
+    },
+    counts: {
+      emptiedTrash: emptiedTrash.length,
+      deletedReports: deletedReports.length,
+      purgedRawXml: purgedRawXml.length,
+      failures: failures.length
+    },
+    ...(includeItems && { emptiedTrash, deletedReports, purgedRawXml, failures }),
+    error: run.error || null,
+    startedAt: run.startedAt,
+    completedAt: run.completedAt || null
+  };
+};
+
+/**
+ * Run a task shortly after start up and then every interval until stopped; the timers do not keep the process alive
+ * A run still in progress when the next one is due is skipped rather than overlapped.
+ * @param {Function} task - Async function to run
+ * @param {number} intervalHours - Hours between runs
+ */
+const startRetentionScheduler = (task, intervalHours = DEFAULT_PURGE_INTERVAL_HOURS) => {
+  stopRetentionScheduler();
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      logger.error('Scheduled retention purge failed', { error: error.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  // Intervals past the timer limit wait in steps of at most MAX_TIMER_DELAY_MS
+  const intervalMs = intervalHours * HOUR_MS;
+  const scheduleRun = (dueAt) => {
+    const timer = setTimeout(() => {
+      if (Date.now() < dueAt) {
+        scheduleRun(dueAt);
+        return;
+      }
+      scheduleRun(dueAt + intervalMs);
+      tick();
+    }, Math.min(Math.max(dueAt - Date.now(), 0), MAX_TIMER_DELAY_MS));
+    timer.unref();
+    schedulerTimers[1] = timer;
+  };
+
+  schedulerTimers = [setTimeout(tick, FIRST_RUN_DELAY_MS)];
+  schedulerTimers[0].unref();
+  scheduleRun(Date.now() + intervalMs);
+
+  logger.info('Retention scheduler started', { intervalHours });
+};
+
+/**
+ * Stop the retention scheduler
+ */
+const stopRetentionScheduler = () => {
+  schedulerTimers.forEach(timer => clearTimeout(timer));
+  schedulerTimers = [];
+};
+
+export {
+  PURGE_TRIGGERS,
+  createRetentionError,
+  getRetentionPolicy,
+  hasRetentionRules,
+  getTrashPurgeDate,
+  buildPurgeFilters,
+  toPublicPurgeRun,
+  startRetentionScheduler,
+  stopRetentionScheduler
+};
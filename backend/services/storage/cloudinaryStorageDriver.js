@@ -0,0 +1,77 @@
+import { Readable } from 'stream';
+import {
+  XML_DELIVERY_TYPE,
+  LEGACY_XML_DELIVERY_TYPE,
+  uploadXmlFile,
+  deleteXmlFile,
+  getSignedXmlFileUrl
+} from '../../config/cloudinary.js';
+import { createStorageError } from './storageUtils.js';
+
+/**
+ * Fetch a raw XML file of one delivery type through a signed URL
+ * @param {string} key - Cloudinary public ID
+ * @param {string} type - Delivery type
+ * @returns {Promise<Response|null>} The response, null when no file of that type exists
+ */
+const fetchXmlFile = async (key, type) => {
+  let response;
+  try {
+    response = await fetch(getSignedXmlFileUrl(key, type));
+  } catch (error) {
+    throw createStorageError(`Cloudinary download failed: ${error.message}`);
+  }
+
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw createStorageError(`Cloudinary download failed with status ${response.status}`);
+  }
+  return response;
+};
+
+// Stores reports as authenticated raw Cloudinary assets, which have no public URL
+const cloudinaryStorageDriver = {
+  id: 'cloudinary',
+  name: 'Cloudinary',
+
+  /**
+   * Upload a file to Cloudinary
+   * @param {string} filePath - Local path of the uploaded file
+   * @param {string} fileName - Original file name
+   * @returns {Promise<Object>} { key, url } with the Cloudinary public ID; url is always null
+   */
+  upload: async (filePath, fileName) => {
+    const result = await uploadXmlFile(filePath, fileName);
+    return { key: result.public_id, url: null };
+  },
+
+  /**
+   * Fetch a stored file from Cloudinary
+   * Files not yet made private by migrate:cloudinary are still found under their public type.
+   * @param {string} key - Cloudinary public ID
+   * @returns {Promise<Readable>} File stream
+   */
+  download: async (key) => {
+    const response = await fetchXmlFile(key, XML_DELIVERY_TYPE)
+      || await fetchXmlFile(key, LEGACY_XML_DELIVERY_TYPE);
+
+    if (!response) {
+      throw createStorageError(`Stored file not found: ${key}`, 'StorageNotFoundError');
+    }
+
+    return Readable.fromWeb(response.body);
+  },
+
+  /**
+   * Remove a file from Cloudinary
+   * @param {string} key - Cloudinary public ID
+   */
+  delete: async (key) => {
+    const result = await deleteXmlFile(key, XML_DELIVERY_TYPE);
+    if (result?.result === 'not found') {
+      await deleteXmlFile(key, LEGACY_XML_DELIVERY_TYPE);
+    }
+  }
+};
+
+export default cloudinaryStorageDriver;
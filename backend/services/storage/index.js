@@ -0,0 +1,77 @@
+import localStorageDriver from './localStorageDriver.js';
+import s3StorageDriver from './s3StorageDriver.js';
+import cloudinaryStorageDriver from './cloudinaryStorageDriver.js';
+import { createStorageError } from './storageUtils.js';
+import logger from '../../utils/logger.js';
+
+// Registered storage drivers, keyed by driver id
+const drivers = new Map();
+
+/**
+ * Register a storage driver
+ * @param {Object} driver - Driver with id, name, upload(filePath, fileName), download(key) and delete(key)
+ * @returns {Object} The registered driver
+ */
+const registerStorageDriver = (driver) => {
+  const methods = ['upload', 'download', 'delete'];
+  if (!driver?.id || !driver.name || methods.some(method => typeof driver[method] !== 'function')) {
+    throw new Error('Storage drivers must provide id, name, upload(), download() and delete()');
+  }
+
+  if (drivers.has(driver.id)) {
+    logger.warn('Replacing registered storage driver', { driver: driver.id });
+  }
+
+  drivers.set(driver.id, driver);
+  return driver;
+};
+
+/**
+ * List registered storage driver ids
+ * @returns {Array<string>} Driver ids
+ */
+const getStorageDriverIds = () => Array.from(drivers.keys());
+
+/**
+ * Id of the configured driver: STORAGE_DRIVER, else Cloudinary when it is configured, else local
+ * @returns {string} Driver id
+ */
+const getConfiguredDriverId = () => {
+  if (process.env.STORAGE_DRIVER) return process.env.STORAGE_DRIVER.trim().toLowerCase();
+  return process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local';
+};
+
+/**
+ * Get a storage driver
+ * @param {string} id - Driver id, defaults to the configured driver
+ * @returns {Object} Storage driver
+ */
+const getStorageDriver = (id = getConfiguredDriverId()) => {
+  const driver = drivers.get(id);
+  if (!driver) {
+    throw createStorageError(`Unknown storage driver "${id}". Use one of: ${getStorageDriverIds().join(', ')}`);
+  }
+  return driver;
+};
+
+/**
+ * Find where a report's raw XML is stored
+ * Reports saved before storage drivers existed only have a Cloudinary public ID.
+ * @param {Object} report - CreditReport document
+ * @returns {Object} { driver, key }
+ */
+const getReportStorage = (report) => ({
+  driver: getStorageDriver(report.storageDriver || 'cloudinary'),
+  key: report.storageKey || report.cloudinaryPublicId
+});
+
+// Built-in drivers
+[localStorageDriver, s3StorageDriver, cloudinaryStorageDriver].forEach(registerStorageDriver);
+
+export {
+  registerStorageDriver,
+  getStorageDriverIds,
+  getConfiguredDriverId,
+  getStorageDriver,
+  getReportStorage
+};
@@ -0,0 +1,82 @@
+import path from 'path';
+import { createReadStream, promises as fs } from 'fs';
+import { buildStorageKey, createStorageError } from './storageUtils.js';
+
+/**
+ * Directory holding stored reports, STORAGE_LOCAL_DIR or ./storage
+ * @returns {string} Absolute directory path
+ */
+const getBaseDir = () => path.resolve(process.env.STORAGE_LOCAL_DIR || 'storage');
+
+/**
+ * Resolve a storage key to a path inside the base directory
+ * @param {string} key - Storage key
+ * @returns {string} Absolute file path
+ */
+const resolveKey = (key) => {
+  const baseDir = getBaseDir();
+  const filePath = path.resolve(baseDir, String(key || ''));
+  if (!filePath.startsWith(baseDir + path.sep)) {
+    throw createStorageError(`Invalid storage key "${key}"`);
+  }
+  return filePath;
+};
+
+// Stores reports on the local filesystem, for offline and on-prem installs
+const localStorageDriver = {
+  id: 'local',
+  name: 'Local filesystem',
+
+  /**
+   * Copy an uploaded file into the storage directory
+   * @param {string} filePath - Local path of the uploaded file
+   * @param {string} fileName - Original file name
+   * @returns {Promise<Object>} { key, url } where url is always null
+   */
+  upload: async (filePath, fileName) => {
+    const key = buildStorageKey(fileName);
+    const destination = resolveKey(key);
+
+    try {
+      await fs.mkdir(path.dirname(destination), { recursive: true });
+      await fs.copyFile(filePath, destination);
+    } catch (error) {
+      throw createStorageError(`Local storage upload failed: ${error.message}`);
+    }
+
+    return { key, url: null };
+  },
+
+  /**
+   * Open a stored file for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Readable>} File stream
+   */
+  download: async (key) => {
+    const filePath = resolveKey(key);
+
+    try {
+      await fs.access(filePath);
+    } catch {
+      throw createStorageError(`Stored file not found: ${key}`, 'StorageNotFoundError');
+    }
+
+    return createReadStream(filePath);
+  },
+
+  /**
+   * Remove a stored file; missing files are ignored
+   * @param {string} key - Storage key
+   */
+  delete: async (key) => {
+    try {
+      await fs.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw createStorageError(`Local storage deletion failed: ${error.message}`);
+      }
+    }
+  }
+};
+
+export default localStorageDriver;
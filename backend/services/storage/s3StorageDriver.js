@@ -0,0 +1,116 @@
+import { promises as fs } from 'fs';
+import { buildStorageKey, createStorageError } from './storageUtils.js';
+
+let clientPromise = null;
+
+/**
+ * Create the S3 client on first use so other drivers never load the AWS SDK
+ * S3_ENDPOINT and S3_FORCE_PATH_STYLE point it at S3-compatible stores such as MinIO.
+ * @returns {Promise<Object>} { client, sdk }
+ */
+const getClient = () => {
+  if (!clientPromise) {
+    clientPromise = import('@aws-sdk/client-s3').then((sdk) => ({
+      sdk,
+      client: new sdk.S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        ...(process.env.S3_ENDPOINT && { endpoint: process.env.S3_ENDPOINT }),
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        ...(process.env.S3_ACCESS_KEY_ID && {
+          credentials: {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+          }
+        }),
+        // Plain checksums keep uploads compatible with S3-compatible stores
+        requestChecksumCalculation: 'WHEN_REQUIRED',
+        responseChecksumValidation: 'WHEN_REQUIRED'
+      })
+    }));
+  }
+  return clientPromise;
+};
+
+/**
+ * Bucket holding stored reports
+ * @returns {string} S3_BUCKET
+ */
+const getBucket = () => {
+  if (!process.env.S3_BUCKET) {
+    throw createStorageError('S3_BUCKET must be set to use S3 storage');
+  }
+  return process.env.S3_BUCKET;
+};
+
+/**
+ * Reset the cached client, e.g. after changing S3 settings in tests
+ */
+const resetS3Client = () => {
+  clientPromise = null;
+};
+
+// Stores reports in an S3 bucket or any S3-compatible object store
+const s3StorageDriver = {
+  id: 's3',
+  name: 'S3-compatible object storage',
+
+  /**
+   * Upload a file to the bucket
+   * @param {string} filePath - Local path of the uploaded file
+   * @param {string} fileName - Original file name
+   * @returns {Promise<Object>} { key, url } where url is null because the bucket is private
+   */
+  upload: async (filePath, fileName) => {
+    const key = buildStorageKey(fileName);
+    const { client, sdk } = await getClient();
+
+    try {
+      await client.send(new sdk.PutObjectCommand({
+        Bucket: getBucket(),
+        Key: key,
+        Body: await fs.readFile(filePath),
+        ContentType: 'application/xml'
+      }));
+    } catch (error) {
+      throw createStorageError(`S3 upload failed: ${error.message}`);
+    }
+
+    return { key, url: null };
+  },
+
+  /**
+   * Open a stored object for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Readable>} Object body stream
+   */
+  download: async (key) => {
+    const { client, sdk } = await getClient();
+
+    try {
+      const response = await client.send(new sdk.GetObjectCommand({ Bucket: getBucket(), Key: key }));
+      return response.Body;
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        throw createStorageError(`Stored file not found: ${key}`, 'StorageNotFoundError');
+      }
+      throw createStorageError(`S3 download failed: ${error.message}`);
+    }
+  },
+
+  /**
+   * Remove a stored object
+   * @param {string} key - Storage key
+   */
+  delete: async (key) => {
+    const { client, sdk } = await getClient();
+
+    try {
+      await client.send(new sdk.DeleteObjectCommand({ Bucket: getBucket(), Key: key }));
+    } catch (error) {
+      throw createStorageError(`S3 deletion failed: ${error.message}`);
+    }
+  }
+};
+
+export { resetS3Client };
+export default s3StorageDriver;
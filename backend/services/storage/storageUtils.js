@@ -0,0 +1,36 @@
+import path from 'path';
+import crypto from 'crypto';
+
+// Prefix shared by every stored report, whatever the driver
+const STORAGE_PREFIX = 'credit-reports';
+
+/**
+ * Create an error raised by a storage driver
+ * @param {string} message - Error message
+ * @param {string} name - Error name, StorageError or StorageNotFoundError
+ * @returns {Error} Storage error
+ */
+const createStorageError = (message, name = 'StorageError') => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+/**
+ * Build a unique storage key for an uploaded file
+ * @param {string} fileName - Original file name
+ * @returns {string} Key such as credit-reports/1700000000000-ab12cd34-report.xml
+ */
+const buildStorageKey = (fileName) => {
+  const extension = path.extname(fileName || '').toLowerCase() || '.xml';
+  const safeName = path.basename(fileName || 'report', path.extname(fileName || ''))
+    .replace(/[^\w.-]+/g, '_')
+    .substring(0, 100);
+  return `${STORAGE_PREFIX}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${safeName}${extension}`;
+};
+
+export {
+  STORAGE_PREFIX,
+  createStorageError,
+  buildStorageKey
+};
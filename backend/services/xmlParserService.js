@@ -2,6 +2,16 @@ import { XMLParser } from 'fast-xml-parser';
 import { promises as fs } from 'fs';
 import logger from '../utils/logger.js';
 
+// Payment history tags are read one character (or one DPD triplet) per month, so they must stay text;
+// an all-digit profile such as "1111000...0" would otherwise parse as a number like 1.111e+35
+const HISTORY_PROFILE_TAGS = new Set([
+  'Payment_History_Profile',
+  'PaymentHistory',
+  'PaymentHistory1',
+  'PaymentHistory2',
+  'COMBINED-PAYMENT-HISTORY'
+]);
+
 // Configure XML parser options
 const parserOptions = {
   ignoreAttributes: false,
@@ -13,6 +23,13 @@ const parserOptions = {
   parseTagValue: true,
   trimValues: true,
   parseTrueNumberOnly: false,
+  // Keep zero-padded codes such as "01" as strings
+  numberParseOptions: {
+    leadingZeros: false,
+    hex: false
+  },
+  // Returning null keeps the raw text of a tag instead of parsing it
+  tagValueProcessor: (tagName, value) => (HISTORY_PROFILE_TAGS.has(tagName) ? null : value),
   arrayMode: false,
   stopNodes: ["*.#text"]
 };
@@ -147,6 +164,19 @@ const extractNumber = (node) => {
   return isNaN(number) ? 0 : number;
 };
 
+/**
+ * Extract number from XML node, keeping empty nodes distinguishable from zero
+ * @param {*} node - XML node
+ * @returns {number|null} Extracted number or null when the node is empty
+ */
+const extractNullableNumber = (node) => {
+  if (typeof node === 'number') return node;
+  const text = extractText(node);
+  if (!text) return null;
+  const number = parseFloat(text.replace(/[^0-9.-]/g, ''));
+  return isNaN(number) ? null : number;
+};
+
 /**
  * Extract date from XML node
  * @param {*} node - XML node
@@ -177,6 +207,7 @@ export {
   validateExperianXml,
   extractText,
   extractNumber,
+  extractNullableNumber,
   extractDate,
   getNestedValue
 };
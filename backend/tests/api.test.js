@@ -2,6 +2,9 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import request from 'supertest';
 import fs from 'fs';
 import path from 'path';
+import AdmZip from 'adm-zip';
+import ExcelJS from 'exceljs';
+import { Readable } from 'stream';
 
 // Mock the CreditReport model
 vi.mock('../models/CreditReport.js', () => {
@@ -18,6 +21,7 @@ vi.mock('../models/CreditReport.js', () => {
     skip: vi.fn().mockReturnThis(),
     limit: vi.fn().mockReturnThis(),
     populate: vi.fn().mockReturnThis(),
+    lean: vi.fn().mockReturnThis(),
     exec: vi.fn().mockResolvedValue([]),
     then: vi.fn((resolve) => resolve([])),
     countDocuments: vi.fn().mockResolvedValue(0)
@@ -44,6 +48,7 @@ vi.mock('../models/CreditReport.js', () => {
     return Promise.resolve(instance);
   });
   MockCreditReport.deleteOne = vi.fn().mockResolvedValue({ deletedCount: 0 });
+  MockCreditReport.updateOne = vi.fn().mockResolvedValue({ modifiedCount: 0 });
   MockCreditReport.aggregate = vi.fn().mockResolvedValue([{
     _id: null,
     totalReports: 0,
@@ -55,17 +60,119 @@ vi.mock('../models/CreditReport.js', () => {
   return { default: MockCreditReport };
 });
 
-// Mock Cloudinary module
-vi.mock('../config/cloudinary.js', () => ({
-  uploadXmlFile: vi.fn().mockResolvedValue({
-    url: 'https://res.cloudinary.com/test/raw/upload/test.xml',
-    public_id: 'test-xml-file-id'
-  }),
-  deleteXmlFile: vi.fn().mockResolvedValue({ result: 'ok' })
-}));
+// Mock the User model with one active account per role
+vi.mock('../models/User.js', () => {
+  const users = ['uploader', 'analyst', 'admin'].map((role) => ({
+    _id: `user-${role}`,
+    email: `${role}@example.com`,
+    name: role,
+    role,
+    active: true,
+    organisations: ['org-1']
+  }));
+
+  return {
+    default: {
+      findById: vi.fn((id) => Promise.resolve(users.find(user => user._id === id) || null)),
+      findOne: vi.fn(() => ({ select: vi.fn().mockResolvedValue(null) })),
+      updateOne: vi.fn().mockResolvedValue({})
+    }
+  };
+});
+
+// Mock the Organisation model with two lending partners
+vi.mock('../models/Organisation.js', () => {
+  const organisations = ['org-1', 'org-2'].map((id) => ({ _id: id, name: `Partner ${id}`, slug: id, active: true }));
+
+  return {
+    default: {
+      findById: vi.fn((id) => Promise.resolve(organisations.find(organisation => organisation._id === id) || null)),
+      find: vi.fn(() => ({ sort: vi.fn().mockResolvedValue(organisations) }))
+    }
+  };
+});
+
+// Mock the audit log
+vi.mock('../models/AuditLog.js', () => {
+  const query = {
+    sort: vi.fn().mockReturnThis(),
+    skip: vi.fn().mockReturnThis(),
+    limit: vi.fn().mockResolvedValue([])
+  };
+
+  return {
+    default: {
+      create: vi.fn().mockResolvedValue({}),
+      countDocuments: vi.fn().mockResolvedValue(0),
+      find: vi.fn(() => query)
+    }
+  };
+});
+
+// Mock the purge run log
+vi.mock('../models/PurgeRun.js', () => {
+  const query = {
+    sort: vi.fn().mockReturnThis(),
+    skip: vi.fn().mockReturnThis(),
+    limit: vi.fn().mockResolvedValue([])
+  };
+
+  return {
+    default: {
+      create: vi.fn((data) => Promise.resolve({
+        _id: 'run-1',
+        status: 'running',
+        emptiedTrash: [],
+        deletedReports: [],
+        purgedRawXml: [],
+        failures: [],
+        startedAt: new Date(),
+        ...data,
+        save: vi.fn().mockResolvedValue()
+      })),
+      countDocuments: vi.fn().mockResolvedValue(0),
+      find: vi.fn(() => query),
+      findById: vi.fn().mockResolvedValue(null)
+    }
+  };
+});
+
+// Mock the storage drivers
+vi.mock('../services/storage/index.js', () => {
+  const driver = {
+    id: 'local',
+    name: 'Test storage',
+    upload: vi.fn().mockResolvedValue({ key: 'credit-reports/test.xml', url: null }),
+    download: vi.fn(),
+    delete: vi.fn().mockResolvedValue()
+  };
+
+  return {
+    getStorageDriver: vi.fn(() => driver),
+    getReportStorage: vi.fn(() => ({ driver, key: 'credit-reports/test.xml' }))
+  };
+});
 
 // Import app after mocks are set up
 import app from '../server.js';
+import CreditReport from '../models/CreditReport.js';
+import AuditLog from '../models/AuditLog.js';
+import PurgeRun from '../models/PurgeRun.js';
+import User from '../models/User.js';
+import { getStorageDriver } from '../services/storage/index.js';
+import { waitForIdle } from '../services/jobQueueService.js';
+import { signToken, hashPassword } from '../services/authService.js';
+import { encryptValue, createPanIndex } from '../services/encryptionService.js';
+
+/**
+ * Authorization header for a test user
+ * @param {string} role - uploader, analyst or admin
+ * @returns {string} Bearer token
+ */
+const authHeader = (role) => `Bearer ${signToken({ _id: `user-${role}`, role })}`;
+
+// Requests run as an admin unless a test signs in with another role
+const api = request.agent(app).set('Authorization', authHeader('admin'));
 
 describe('API Tests - Report Endpoints', () => {
   beforeEach(() => {
@@ -77,7 +184,10 @@ describe('API Tests - Report Endpoints', () => {
     // Clean up any test files
     const testFiles = [
       path.join(process.cwd(), 'tests', 'test-api-upload.xml'),
-      path.join(process.cwd(), 'tests', 'test-invalid.txt')
+      path.join(process.cwd(), 'tests', 'test-invalid.txt'),
+      path.join(process.cwd(), 'tests', 'test-batch-1.xml'),
+      path.join(process.cwd(), 'tests', 'test-batch-2.xml'),
+      path.join(process.cwd(), 'tests', 'test-batch.zip')
     ];
     
     testFiles.forEach(file => {
@@ -115,14 +225,34 @@ describe('API Tests - Report Endpoints', () => {
       try {
         fs.writeFileSync(testFilePath, testXmlContent);
 
-        const response = await request(app)
+        const response = await api
           .post('/api/upload')
           .attach('file', testFilePath)  // Correct field name is 'file'
-          .expect(201);
+          .expect(202);
         
         expect(response.body.success).toBe(true);
-        expect(response.body.message).toContain('processed');
-        // Note: The current API doesn't return reportId in response.data, just success message
+        expect(response.body.message).toContain('queued');
+        const { jobId, statusUrl } = response.body.data;
+        expect(statusUrl).toBe(`/api/jobs/${jobId}`);
+
+        await waitForIdle();
+
+        const jobResponse = await api
+          .get(statusUrl)
+          .expect(200);
+
+        const job = jobResponse.body.data;
+        expect(job.type).toBe('upload');
+        expect(job.status).toBe('completed');
+        expect(job.result.status).toBe('created');
+        expect(job.stages.map(stage => stage.status)).toEqual(Array(6).fill('completed'));
+        expect(CreditReport.prototype.save).toHaveBeenCalled();
+        expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+          action: 'report.upload',
+          organisation: 'org-1',
+          actor: { id: 'user-admin', email: 'admin@example.com', role: 'admin' },
+          details: expect.objectContaining({ fileName: 'test-api-upload.xml' })
+        }));
       } finally {
         if (fs.existsSync(testFilePath)) {
           fs.unlinkSync(testFilePath);
@@ -136,7 +266,7 @@ describe('API Tests - Report Endpoints', () => {
       try {
         fs.writeFileSync(testFilePath, 'This is not XML');
 
-        const response = await request(app)
+        const response = await api
           .post('/api/upload')
           .attach('file', testFilePath)
           .expect(422); // Validation error for non-XML files
@@ -151,18 +281,162 @@ describe('API Tests - Report Endpoints', () => {
     });
 
     it('should handle missing file upload', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/upload')
         .expect(400);
 
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('No file uploaded');
     });
+
+    it('should reject a file that was already processed without queueing it', async () => {
+      const testFilePath = path.join(process.cwd(), 'tests', 'test-api-upload.xml');
+      fs.writeFileSync(testFilePath, '<INProfileResponse></INProfileResponse>');
+      CreditReport.findOne.mockReturnValueOnce(Promise.resolve({ _id: 'existing-report-id' }));
+
+      const response = await api
+        .post('/api/upload')
+        .attach('file', testFilePath)
+        .expect(409);
+
+      expect(response.body.reportId).toBe('existing-report-id');
+    });
+
+    it('should record the failing stage of a job', async () => {
+      const testFilePath = path.join(process.cwd(), 'tests', 'test-api-upload.xml');
+      fs.writeFileSync(testFilePath, '');
+
+      const response = await api
+        .post('/api/upload')
+        .attach('file', testFilePath)
+        .expect(202);
+
+      await waitForIdle();
+
+      const jobResponse = await api
+        .get(`/api/jobs/${response.body.data.jobId}`)
+        .expect(200);
+
+      expect(jobResponse.body.data.status).toBe('failed');
+      expect(jobResponse.body.data.error).toEqual({ message: 'XML file is empty', stage: 'parsing' });
+    });
+  });
+
+  describe('GET /api/jobs/:id', () => {
+    it('should return 404 for an unknown job', async () => {
+      const response = await api
+        .get('/api/jobs/unknown-job')
+        .expect(404);
+
+      expect(response.body.message).toBe('Job not found');
+    });
+
+    it('should hide a job from users other than its owner', async () => {
+      const testFilePath = path.join(process.cwd(), 'tests', 'test-api-upload.xml');
+      fs.writeFileSync(testFilePath, '');
+
+      const response = await request(app)
+        .post('/api/upload')
+        .set('Authorization', authHeader('uploader'))
+        .attach('file', testFilePath)
+        .expect(202);
+
+      await waitForIdle();
+
+      await request(app)
+        .get(`/api/jobs/${response.body.data.jobId}`)
+        .set('Authorization', authHeader('uploader'))
+        .expect(200);
+
+      await request(app)
+        .get(`/api/jobs/${response.body.data.jobId}`)
+        .set('Authorization', authHeader('analyst'))
+        .expect(404);
+
+      // Admins can follow any job
+      await api
+        .get(`/api/jobs/${response.body.data.jobId}`)
+        .expect(200);
+    });
+  });
+
+  describe('POST /api/upload/batch', () => {
+    const batchXml = (name) => `<?xml version="1.0" encoding="UTF-8"?>
+      <INProfileResponse>
+        <Header><ReportDate>2024-01-01</ReportDate></Header>
+        <CreditProfile>
+          <Applicant><ApplicantFirstName>${name}</ApplicantFirstName></Applicant>
+        </CreditProfile>
+      </INProfileResponse>`;
+
+    it('should report a per-file outcome for XML files and ZIP archives', async () => {
+      const firstPath = path.join(process.cwd(), 'tests', 'test-batch-1.xml');
+      const secondPath = path.join(process.cwd(), 'tests', 'test-batch-2.xml');
+      const zipPath = path.join(process.cwd(), 'tests', 'test-batch.zip');
+
+      fs.writeFileSync(firstPath, batchXml('Alice'));
+      fs.writeFileSync(secondPath, batchXml('Bob'));
+
+      const zip = new AdmZip();
+      zip.addFile('reports/carol.xml', Buffer.from(batchXml('Carol')));
+      zip.addFile('reports/empty.xml', Buffer.from(''));
+      zip.addFile('reports/readme.txt', Buffer.from('not a report'));
+      zip.writeZip(zipPath);
+
+      // The second XML was uploaded before
+      CreditReport.findOne
+        .mockReturnValueOnce(Promise.resolve(null))
+        .mockReturnValueOnce(Promise.resolve({ _id: 'existing-report-id' }));
+
+      const response = await api
+        .post('/api/upload/batch')
+        .attach('files', firstPath)
+        .attach('files', secondPath)
+        .attach('files', zipPath)
+        .expect(202);
+
+      await waitForIdle();
+
+      const jobResponse = await api
+        .get(response.body.data.statusUrl)
+        .expect(200);
+
+      expect(jobResponse.body.data.progress).toEqual({ processed: 5, total: 5 });
+      const { summary, results } = jobResponse.body.data.result;
+      expect(summary).toEqual({ total: 5, created: 2, duplicate: 1, invalid: 2, failed: 0 });
+
+      const byName = Object.fromEntries(results.map(result => [result.fileName, result]));
+      expect(byName['test-batch-1.xml'].status).toBe('created');
+      expect(byName['test-batch-2.xml']).toMatchObject({ status: 'duplicate', reportId: 'existing-report-id' });
+      expect(byName['reports/carol.xml']).toMatchObject({ status: 'created', archive: 'test-batch.zip' });
+      expect(byName['reports/empty.xml']).toMatchObject({ status: 'invalid', message: 'XML file is empty' });
+      expect(byName['reports/readme.txt']).toMatchObject({ status: 'invalid', message: 'Only XML files are allowed' });
+    });
+
+    it('should require at least one file', async () => {
+      const response = await api
+        .post('/api/upload/batch')
+        .expect(400);
+
+      expect(response.body.message).toContain('No files uploaded');
+    });
+
+    it('should reject files that are neither XML nor ZIP', async () => {
+      const testFilePath = path.join(process.cwd(), 'tests', 'test-invalid.txt');
+      fs.writeFileSync(testFilePath, 'This is not XML');
+
+      const response = await api
+        .post('/api/upload/batch')
+        .attach('files', testFilePath)
+        .expect(422);
+
+      expect(response.body.message).toContain('XML or ZIP');
+    });
   });
 
   describe('GET /api/reports', () => {
     it('should return empty reports list', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/reports')
         .expect(200);
 
@@ -172,7 +446,7 @@ describe('API Tests - Report Endpoints', () => {
     });
 
     it('should handle pagination parameters', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/reports?page=1&limit=5')
         .expect(200);
 
@@ -181,11 +455,93 @@ describe('API Tests - Report Endpoints', () => {
       expect(response.body.data.pagination.currentPage).toBe(1);
       expect(response.body.data.pagination.totalPages).toBe(0);
     });
+
+    it('should clamp the page to at least 1 and the limit to 1-100', async () => {
+      const response = await api
+        .get('/api/reports?page=-2&limit=1000000')
+        .expect(200);
+
+      const query = CreditReport.find.mock.results[0].value;
+      expect(query.skip).toHaveBeenCalledWith(0);
+      expect(query.limit).toHaveBeenCalledWith(100);
+      expect(response.body.data.pagination.currentPage).toBe(1);
+
+      await api.get('/api/reports?limit=-5').expect(200);
+      expect(query.limit).toHaveBeenLastCalledWith(1);
+    });
+
+    it('should filter reports with derogatory flags', async () => {
+      const response = await api
+        .get('/api/reports?derogatory=true')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(CreditReport.find).toHaveBeenCalledWith({ 'derogatorySummary.hasDerogatory': true, organisation: 'org-1', deletedAt: null });
+      expect(CreditReport.countDocuments).toHaveBeenCalledWith({ 'derogatorySummary.hasDerogatory': true, organisation: 'org-1', deletedAt: null });
+    });
+
+    it('should pass search and range filters to the query', async () => {
+      const response = await api
+        .get('/api/reports?search=John&minScore=700&overdue=true&sortBy=creditScore&sortOrder=asc')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(CreditReport.find).toHaveBeenCalledWith({
+        'basicDetails.name': { $regex: 'John', $options: 'i' },
+        'basicDetails.creditScore': { $gte: 700 },
+        'creditAccounts.amountOverdue': { $gt: 0 },
+        organisation: 'org-1',
+        deletedAt: null
+      });
+    });
+
+    it('should reject unknown sort fields', async () => {
+      const response = await api
+        .get('/api/reports?sortBy=password')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('sortBy');
+    });
+  });
+
+  describe('GET /api/reports/compare', () => {
+    it('should require two different report ids', async () => {
+      const response = await api
+        .get('/api/reports/compare?from=507f1f77bcf86cd799439011')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should return 404 when a report does not exist', async () => {
+      const response = await api
+        .get('/api/reports/compare?from=507f1f77bcf86cd799439011&to=507f1f77bcf86cd799439012')
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
   });
 
+  const storedPiiReport = {
+    _id: '507f1f77bcf86cd799439011',
+    bureau: 'experian',
+    basicDetails: {
+      name: 'John Doe',
+      pan: encryptValue('AOZPB0247S'),
+      mobilePhone: encryptValue('9819067672'),
+      email: encryptValue('john.doe@example.com'),
+      dateOfBirth: encryptValue('1990-01-01T00:00:00.000Z')
+    },
+    blindIndex: { pan: createPanIndex('AOZPB0247S'), phones: [] },
+    creditAccounts: [{ bankName: 'ICICI Bank', accountNumber: encryptValue('ICIC00000990994') }],
+    reportSummary: {},
+    createdAt: new Date('2024-02-01T00:00:00Z')
+  };
+
   describe('GET /api/reports/:id', () => {
     it('should return 404 for non-existent report', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/reports/507f1f77bcf86cd799439011')
         .expect(404);
 
@@ -193,17 +549,281 @@ describe('API Tests - Report Endpoints', () => {
     });
 
     it('should handle invalid ObjectId format', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/reports/invalid-id')
         .expect(404);
 
       expect(response.body.success).toBe(false);
     });
+
+    it('should return the stored PII decrypted and masked', async () => {
+      CreditReport.findOne.mockResolvedValueOnce(storedPiiReport);
+
+      const response = await api
+        .get('/api/reports/507f1f77bcf86cd799439011')
+        .expect(200);
+
+      expect(response.body.data.basicDetails).toMatchObject({
+        name: 'John Doe',
+        pan: 'AOZPB****S',
+        mobilePhone: 'XXXXXX7672',
+        email: 'j****@example.com',
+        dateOfBirth: '1990-01-01T00:00:00.000Z'
+      });
+      expect(response.body.data.creditAccounts[0].accountNumber).toBe('ICIC****0994');
+      expect(response.body.data.applicantId).toBe(createPanIndex('AOZPB0247S'));
+    });
+  });
+
+  describe('POST /api/reports/:id/reveal', () => {
+    const mockFoundReport = (report) => {
+      CreditReport.findOne.mockReturnValueOnce({
+        select: vi.fn().mockResolvedValue(report)
+      });
+    };
+
+    it('should return the unmasked PII and audit the reveal', async () => {
+      mockFoundReport(storedPiiReport);
+
+      const response = await api
+        .post('/api/reports/507f1f77bcf86cd799439011/reveal')
+        .expect(200);
+
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(response.body.data.basicDetails).toMatchObject({
+        pan: 'AOZPB0247S',
+        mobilePhone: '9819067672',
+        email: 'john.doe@example.com'
+      });
+      expect(response.body.data.creditAccounts[0].accountNumber).toBe('ICIC00000990994');
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'report.reveal',
+        reportId: '507f1f77bcf86cd799439011',
+        organisation: 'org-1',
+        actor: expect.objectContaining({ email: 'admin@example.com' })
+      }));
+    });
+
+    it('should not reveal PII to uploaders', async () => {
+      const response = await request(app)
+        .post('/api/reports/507f1f77bcf86cd799439011/reveal')
+        .set('Authorization', authHeader('uploader'))
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for non-existent report', async () => {
+      mockFoundReport(null);
+
+      await api
+        .post('/api/reports/507f1f77bcf86cd799439011/reveal')
+        .expect(404);
+
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/reports/:id/raw', () => {
+    const storedReport = {
+      _id: '507f1f77bcf86cd799439011',
+      bureau: 'experian',
+      basicDetails: { name: 'John Doe' },
+      reportDate: new Date('2024-01-15T00:00:00Z'),
+      createdAt: new Date('2024-02-01T00:00:00Z'),
+      storageDriver: 'local',
+      storageKey: 'credit-reports/test.xml'
+    };
+
+    const mockFoundReport = (report) => {
+      CreditReport.findOne.mockReturnValueOnce({
+        select: vi.fn().mockResolvedValue(report)
+      });
+    };
+
+    it('should return 404 for non-existent report', async () => {
+      const response = await api
+        .get('/api/reports/507f1f77bcf86cd799439011/raw')
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('should stream the stored XML with a descriptive file name', async () => {
+      mockFoundReport(storedReport);
+      getStorageDriver().download.mockResolvedValueOnce(Readable.from(['<INProfileResponse/>']));
+
+      const response = await api
+        .get('/api/reports/507f1f77bcf86cd799439011/raw')
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('application/xml');
+      expect(response.headers['content-disposition'])
+        .toBe('attachment; filename="credit-report-john-doe-2024-01-15.xml"');
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(response.text).toBe('<INProfileResponse/>');
+      expect(getStorageDriver().download).toHaveBeenCalledWith('credit-reports/test.xml');
+    });
+
+    it('should write an audit entry for every download', async () => {
+      mockFoundReport(storedReport);
+      getStorageDriver().download.mockResolvedValueOnce(Readable.from(['<xml/>']));
+
+      await api
+        .get('/api/reports/507f1f77bcf86cd799439011/raw')
+        .set('User-Agent', 'vitest')
+        .expect(200);
+
+      expect(AuditLog.create).toHaveBeenCalledTimes(1);
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'report.download',
+        reportId: storedReport._id,
+        userAgent: 'vitest',
+        details: { fileName: 'credit-report-john-doe-2024-01-15.xml', storageDriver: 'local' }
+      }));
+    });
+
+    it('should return 404 when the stored file is missing', async () => {
+      mockFoundReport(storedReport);
+      const error = new Error('Stored file not found');
+      error.name = 'StorageNotFoundError';
+      getStorageDriver().download.mockRejectedValueOnce(error);
+
+      const response = await api
+        .get('/api/reports/507f1f77bcf86cd799439011/raw')
+        .expect(404);
+
+      expect(response.body.message).toBe('Stored file not found');
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Exports', () => {
+    const summaryReport = {
+      _id: '507f1f77bcf86cd799439011',
+      bureau: 'experian',
+      basicDetails: { name: 'John Doe', pan: encryptValue('AOZPB0247S'), creditScore: 750 },
+      reportSummary: { totalAccounts: 3, activeAccounts: 2, currentBalanceAmount: 125000 },
+      derogatorySummary: { hasDerogatory: false },
+      reportDate: new Date('2024-01-15T00:00:00Z'),
+      createdAt: new Date('2024-02-01T00:00:00Z')
+    };
+
+    const mockListedReports = (reports) => {
+      CreditReport.find.mockReturnValueOnce({
+        select: vi.fn().mockReturnThis(),
+        sort: vi.fn().mockResolvedValue(reports)
+      });
+    };
+
+    it('should export a report as a workbook with masked PII', async () => {
+      CreditReport.findOne.mockResolvedValueOnce(storedPiiReport);
+
+      const response = await api
+        .get('/api/reports/507f1f77bcf86cd799439011/export?format=xlsx')
+        .responseType('blob')
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('spreadsheetml');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="credit-report-john-doe-2024-02-01.xlsx"');
+      expect(response.headers['cache-control']).toBe('no-store');
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(response.body);
+      expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Applicant', 'Accounts', 'Enquiries', 'Payment History']);
+      expect(workbook.getWorksheet('Accounts').getRow(2).getCell(3).value).toBe('ICIC****0994');
+
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'report.export',
+        reportId: '507f1f77bcf86cd799439011',
+        details: { format: 'xlsx', fileName: 'credit-report-john-doe-2024-02-01.xlsx' }
+      }));
+    });
+
+    it('should export one sheet of a report as CSV', async () => {
+      CreditReport.findOne.mockResolvedValueOnce(storedPiiReport);
+
+      const response = await api
+        .get('/api/reports/507f1f77bcf86cd799439011/export?format=csv&sheet=applicant')
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="credit-report-john-doe-2024-02-01-applicant.csv"');
+      expect(response.text).toContain('PAN,AOZPB****S');
+      expect(response.text).not.toContain('AOZPB0247S');
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        details: expect.objectContaining({ format: 'csv', sheet: 'applicant' })
+      }));
+    });
+
+    it('should reject an unknown format or sheet', async () => {
+      await api.get('/api/reports/507f1f77bcf86cd799439011/export?format=pdf').expect(400);
+      const response = await api.get('/api/reports/507f1f77bcf86cd799439011/export?format=csv&sheet=scores').expect(400);
+
+      expect(response.body.message).toBe('sheet must be one of: applicant, accounts, enquiries, history');
+      expect(CreditReport.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 without auditing when the report is missing or in the trash', async () => {
+      await api.get('/api/reports/507f1f77bcf86cd799439011/export').expect(404);
+
+      expect(CreditReport.findOne).toHaveBeenCalledWith({ _id: '507f1f77bcf86cd799439011', organisation: 'org-1', deletedAt: null });
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('should not let uploaders export', async () => {
+      await request(app)
+        .get('/api/reports/507f1f77bcf86cd799439011/export')
+        .set('Authorization', authHeader('uploader'))
+        .expect(403);
+
+      await request(app)
+        .get('/api/reports/export')
+        .set('Authorization', authHeader('uploader'))
+        .expect(403);
+    });
+
+    it('should export the filtered report list as CSV', async () => {
+      CreditReport.countDocuments.mockResolvedValueOnce(1);
+      mockListedReports([summaryReport]);
+
+      const response = await api
+        .get('/api/reports/export?format=csv&pan=AOZPB0247S&minScore=700&page=2')
+        .expect(200);
+
+      const filter = { 'basicDetails.creditScore': { $gte: 700 }, 'blindIndex.pan': createPanIndex('AOZPB0247S'), organisation: 'org-1', deletedAt: null };
+      expect(CreditReport.find).toHaveBeenCalledWith(filter);
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="credit-reports-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+      const [header, row] = response.text.trim().split('\r\n');
+      expect(header).toBe('Report ID,Applicant,PAN,Bureau,Credit Score,Total Accounts,Active Accounts,Current Balance,Has Derogatory,Report Date,Uploaded');
+      expect(row).toBe('507f1f77bcf86cd799439011,John Doe,AOZPB****S,experian,750,3,2,125000,No,2024-01-15,2024-02-01');
+
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'report.export',
+        reportId: undefined,
+        details: expect.objectContaining({ format: 'csv', reportCount: 1, filters: { pan: 'AOZPB****S', minScore: '700' } })
+      }));
+    });
+
+    it('should refuse list exports over the limit', async () => {
+      CreditReport.countDocuments.mockResolvedValueOnce(5001);
+
+      const response = await api
+        .get('/api/reports/export')
+        .expect(400);
+
+      expect(response.body.message).toBe('5001 reports match these filters; narrow them to at most 5000 to export');
+      expect(CreditReport.find).not.toHaveBeenCalled();
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
   });
 
   describe('DELETE /api/reports/:id', () => {
     it('should return 404 for non-existent report deletion', async () => {
-      const response = await request(app)
+      const response = await api
         .delete('/api/reports/507f1f77bcf86cd799439011')
         .expect(404);
 
@@ -213,7 +833,7 @@ describe('API Tests - Report Endpoints', () => {
 
   describe('GET /api/reports/stats', () => {
     it('should return statistics with empty data', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/reports/stats')
         .expect(200);
 
@@ -224,6 +844,749 @@ describe('API Tests - Report Endpoints', () => {
     });
   });
 
+  describe('GET /api/applicants', () => {
+    it('should list applicants grouped by PAN', async () => {
+      CreditReport.aggregate.mockResolvedValueOnce([{
+        applicants: [{ _id: createPanIndex('AOZPB0247S'), pan: encryptValue('AOZPB0247S'), name: 'John Doe', reportCount: 2 }],
+        total: [{ count: 1 }]
+      }]);
+
+      const response = await api
+        .get('/api/applicants')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.applicants).toEqual([
+        { id: createPanIndex('AOZPB0247S'), pan: 'AOZPB****S', name: 'John Doe', reportCount: 2 }
+      ]);
+      expect(response.body.data.pagination.totalApplicants).toBe(1);
+    });
+
+    it('should clamp the page to at least 1 and the limit to 1-100', async () => {
+      const pageOf = (call) => CreditReport.aggregate.mock.calls[call][0].find(stage => stage.$facet).$facet.applicants;
+
+      const response = await api
+        .get('/api/applicants?page=-3&limit=5000')
+        .expect(200);
+
+      expect(response.body.data.pagination.currentPage).toBe(1);
+      expect(pageOf(0)).toEqual([{ $skip: 0 }, { $limit: 100 }]);
+
+      await api.get('/api/applicants?limit=-5').expect(200);
+      expect(pageOf(1)).toEqual([{ $skip: 0 }, { $limit: 1 }]);
+    });
+
+    it('should reject an invalid PAN', async () => {
+      const response = await api
+        .get('/api/applicants/not-a-pan')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should return 404 for an applicant without reports', async () => {
+      const response = await api
+        .get('/api/applicants/AOZPB0247S')
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+      expect(CreditReport.find).toHaveBeenCalledWith({ organisation: 'org-1', 'blindIndex.pan': createPanIndex('AOZPB0247S'), deletedAt: null });
+    });
+
+    it('should look applicants up by applicant id', async () => {
+      const applicantId = createPanIndex('AOZPB0247S');
+
+      await api
+        .get(`/api/applicants/${applicantId}`)
+        .expect(404);
+
+      expect(CreditReport.find).toHaveBeenCalledWith({ organisation: 'org-1', 'blindIndex.pan': applicantId, deletedAt: null });
+    });
+  });
+
+  describe('GET /api/reference-data', () => {
+    it('should return the versioned code tables', async () => {
+      const response = await api
+        .get('/api/reference-data')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.version).toBeTruthy();
+      expect(response.body.data.accountTypes['10'].label).toBe('Credit Card');
+      expect(response.body.data.accountStatuses['11'].label).toBe('Active - Regular');
+    });
+  });
+
+  describe('Authentication and roles', () => {
+    it('should reject requests without a token', async () => {
+      const response = await request(app)
+        .get('/api/reports')
+        .expect(401);
+
+      expect(response.body.message).toBe('Authentication required');
+    });
+
+    it('should reject an invalid token', async () => {
+      const response = await request(app)
+        .get('/api/reports')
+        .set('Authorization', 'Bearer not-a-token')
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid authentication token');
+    });
+
+    it('should reject a token of a user that no longer exists', async () => {
+      await request(app)
+        .get('/api/reports')
+        .set('Authorization', `Bearer ${signToken({ _id: 'user-removed', role: 'admin' })}`)
+        .expect(401);
+    });
+
+    it('should only let admins delete reports', async () => {
+      const response = await request(app)
+        .delete('/api/reports/507f1f77bcf86cd799439011')
+        .set('Authorization', authHeader('analyst'))
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(CreditReport.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should not let uploaders download raw XML', async () => {
+      await request(app)
+        .get('/api/reports/507f1f77bcf86cd799439011/raw')
+        .set('Authorization', authHeader('uploader'))
+        .expect(403);
+    });
+
+    it('should not let analysts upload', async () => {
+      await request(app)
+        .post('/api/upload')
+        .set('Authorization', authHeader('analyst'))
+        .expect(403);
+    });
+
+    it('should let every role read reports', async () => {
+      for (const role of ['uploader', 'analyst', 'admin']) {
+        await request(app)
+          .get('/api/reports')
+          .set('Authorization', authHeader(role))
+          .expect(200);
+      }
+    });
+
+    it('should only let admins manage users', async () => {
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', authHeader('uploader'))
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should require email and password', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'admin@example.com' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Email and password are required');
+    });
+
+    it('should reject unknown users and wrong passwords alike', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'nobody@example.com', password: 'password123' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid email or password');
+    });
+
+    it('should return a token that signs the user in', async () => {
+      const passwordHash = await hashPassword('password123');
+      User.findOne.mockReturnValueOnce({
+        select: vi.fn().mockResolvedValue({
+          _id: 'user-analyst',
+          email: 'analyst@example.com',
+          role: 'analyst',
+          active: true,
+          passwordHash
+        })
+      });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'Analyst@Example.com', password: 'password123' })
+        .expect(200);
+
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'analyst@example.com' });
+      expect(response.body.data.user).toMatchObject({ role: 'analyst', permissions: ['reports:read', 'reports:download', 'reports:export', 'reports:reveal'] });
+      expect(response.body.data.user.passwordHash).toBeUndefined();
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+
+      expect(me.body.data.email).toBe('analyst@example.com');
+    });
+  });
+
+  describe('Organisations', () => {
+    it('should scope report lookups to the selected organisation', async () => {
+      await api
+        .get('/api/reports/507f1f77bcf86cd799439011')
+        .expect(404);
+
+      expect(CreditReport.findOne).toHaveBeenCalledWith({ _id: '507f1f77bcf86cd799439011', organisation: 'org-1', deletedAt: null });
+    });
+
+    it('should scope statistics aggregations to the selected organisation', async () => {
+      await api
+        .get('/api/reports/stats')
+        .expect(200);
+
+      expect(CreditReport.aggregate.mock.calls[0][0][0]).toEqual({ $match: { organisation: 'org-1', deletedAt: null } });
+      expect(CreditReport.find).toHaveBeenCalledWith({ organisation: 'org-1', deletedAt: null });
+    });
+
+    it('should check duplicates within the organisation only', async () => {
+      const testFilePath = path.join(process.cwd(), 'tests', 'test-api-upload.xml');
+      fs.writeFileSync(testFilePath, '<INProfileResponse></INProfileResponse>');
+
+      await api
+        .post('/api/upload')
+        .attach('file', testFilePath)
+        .expect(202);
+
+      expect(CreditReport.findOne).toHaveBeenCalledWith({ organisation: 'org-1', fileHash: expect.any(String) });
+      await waitForIdle();
+    });
+
+    it('should refuse organisations the user does not belong to', async () => {
+      const response = await request(app)
+        .get('/api/reports')
+        .set('Authorization', authHeader('analyst'))
+        .set('X-Organisation-Id', 'org-2')
+        .expect(403);
+
+      expect(response.body.message).toBe('You do not belong to this organisation');
+    });
+
+    it('should let admins select any organisation', async () => {
+      await api
+        .get('/api/reports')
+        .set('X-Organisation-Id', 'org-2')
+        .expect(200);
+
+      expect(CreditReport.find).toHaveBeenCalledWith({ organisation: 'org-2', deletedAt: null });
+    });
+
+    it('should reject unknown organisations', async () => {
+      await api
+        .get('/api/reports')
+        .set('X-Organisation-Id', 'org-unknown')
+        .expect(403);
+    });
+
+    it('should list the organisations a user can select', async () => {
+      const response = await request(app)
+        .get('/api/organisations')
+        .set('Authorization', authHeader('uploader'))
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(2);
+    });
+  });
+
+  describe('Audit trail', () => {
+    const storedReport = {
+      _id: '507f1f77bcf86cd799439011',
+      bureau: 'experian',
+      fileHash: 'abc123',
+      basicDetails: { name: 'John Doe' },
+      reportSummary: {},
+      createdAt: new Date('2024-02-01T00:00:00Z')
+    };
+
+    it('should record report views', async () => {
+      CreditReport.findOne.mockReturnValueOnce(Promise.resolve(storedReport));
+
+      await api
+        .get(`/api/reports/${storedReport._id}`)
+        .set('User-Agent', 'vitest')
+        .expect(200);
+
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'report.view',
+        reportId: storedReport._id,
+        organisation: 'org-1',
+        actor: { id: 'user-admin', email: 'admin@example.com', role: 'admin' },
+        ip: expect.any(String),
+        userAgent: 'vitest'
+      }));
+    });
+
+    it('should record deletions', async () => {
+      CreditReport.findOne.mockReturnValueOnce(Promise.resolve(storedReport));
+
+      await api
+        .delete(`/api/reports/${storedReport._id}`)
+        .expect(200);
+
+      expect(CreditReport.updateOne).toHaveBeenCalledWith(
+        { _id: storedReport._id, organisation: 'org-1', deletedAt: null },
+        { $set: { deletedAt: expect.any(Date), deletedBy: 'user-admin' } }
+      );
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'report.delete',
+        reportId: storedReport._id,
+        details: { bureau: 'experian', fileHash: 'abc123' }
+      }));
+    });
+
+    it('should not record requests that fail', async () => {
+      await api
+        .get('/api/reports/507f1f77bcf86cd799439011')
+        .expect(404);
+
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('should let admins query the audit log of their organisation', async () => {
+      AuditLog.countDocuments.mockResolvedValueOnce(1);
+      AuditLog.find().limit.mockResolvedValueOnce([{
+        _id: 'audit-1',
+        action: 'report.download',
+        reportId: storedReport._id,
+        actor: { id: 'user-analyst', email: 'analyst@example.com', role: 'analyst' },
+        ip: '127.0.0.1',
+        details: { fileName: 'credit-report-john-doe.xml' },
+        createdAt: new Date('2024-03-01T00:00:00Z')
+      }]);
+      AuditLog.find.mockClear();
+
+      const response = await api
+        .get('/api/audit-logs?action=report.download&actorEmail=analyst@example.com&page=1&limit=10')
+        .expect(200);
+
+      expect(AuditLog.find).toHaveBeenCalledWith({
+        action: 'report.download',
+        'actor.email': 'analyst@example.com',
+        organisation: 'org-1'
+      });
+      expect(response.body.data.entries).toHaveLength(1);
+      expect(response.body.data.entries[0]).toMatchObject({ id: 'audit-1', action: 'report.download' });
+      expect(response.body.data.pagination.totalEntries).toBe(1);
+    });
+
+    it('should reject invalid audit filters', async () => {
+      const response = await api
+        .get('/api/audit-logs?action=report.print')
+        .expect(400);
+
+      expect(response.body.message).toContain('action must be one of');
+    });
+
+    it('should only let admins read the audit log', async () => {
+      await request(app)
+        .get('/api/audit-logs')
+        .set('Authorization', authHeader('analyst'))
+        .expect(403);
+    });
+  });
+
+  describe('Legal hold', () => {
+    const storedReport = {
+      _id: '507f1f77bcf86cd799439011',
+      bureau: 'experian',
+      fileHash: 'abc123'
+    };
+
+    it('should place a legal hold and audit it', async () => {
+      CreditReport.findOne.mockReturnValueOnce(Promise.resolve(storedReport));
+
+      const response = await api
+        .patch(`/api/reports/${storedReport._id}/legal-hold`)
+        .send({ legalHold: true, reason: ' Litigation 42 ' })
+        .expect(200);
+
+      expect(response.body.data).toEqual({ id: storedReport._id, legalHold: true, legalHoldReason: 'Litigation 42' });
+      expect(CreditReport.updateOne).toHaveBeenCalledWith(
+        { _id: storedReport._id, organisation: 'org-1' },
+        { $set: { legalHold: true, legalHoldReason: 'Litigation 42' } }
+      );
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'report.legal-hold',
+        reportId: storedReport._id,
+        details: { legalHold: true, reason: 'Litigation 42' }
+      }));
+    });
+
+    it('should clear the reason when the hold is lifted', async () => {
+      CreditReport.findOne.mockReturnValueOnce(Promise.resolve({ ...storedReport, legalHold: true }));
+
+      await api
+        .patch(`/api/reports/${storedReport._id}/legal-hold`)
+        .send({ legalHold: false, reason: 'ignored' })
+        .expect(200);
+
+      expect(CreditReport.updateOne).toHaveBeenCalledWith(
+        { _id: storedReport._id, organisation: 'org-1' },
+        { $set: { legalHold: false }, $unset: { legalHoldReason: '' } }
+      );
+    });
+
+    it('should require a boolean flag', async () => {
+      const response = await api
+        .patch(`/api/reports/${storedReport._id}/legal-hold`)
+        .send({ legalHold: 'yes' })
+        .expect(400);
+
+      expect(response.body.message).toBe('legalHold must be true or false');
+    });
+
+    it('should only let admins change legal holds', async () => {
+      await request(app)
+        .patch(`/api/reports/${storedReport._id}/legal-hold`)
+        .set('Authorization', authHeader('analyst'))
+        .send({ legalHold: true })
+        .expect(403);
+    });
+
+    it('should not delete a report under legal hold', async () => {
+      CreditReport.findOne.mockReturnValueOnce(Promise.resolve({ ...storedReport, legalHold: true }));
+
+      const response = await api
+        .delete(`/api/reports/${storedReport._id}`)
+        .expect(409);
+
+      expect(response.body.message).toBe('Report is under legal hold and cannot be deleted');
+      expect(CreditReport.deleteOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Trash', () => {
+    const trashedReport = {
+      _id: '507f1f77bcf86cd799439011',
+      bureau: 'experian',
+      fileHash: 'abc123',
+      basicDetails: { name: 'John Doe' },
+      createdAt: new Date('2024-02-01T00:00:00Z'),
+      deletedAt: new Date('2024-03-01T00:00:00Z'),
+      deletedBy: { _id: 'user-admin', email: 'admin@example.com' }
+    };
+
+    it('should hide trashed reports from the report list', async () => {
+      await api
+        .get('/api/reports')
+        .expect(200);
+
+      expect(CreditReport.find).toHaveBeenCalledWith(expect.objectContaining({ organisation: 'org-1', deletedAt: null }));
+    });
+
+    it('should move a report to the trash with the date it will be purged', async () => {
+      CreditReport.findOne.mockReturnValueOnce(Promise.resolve(trashedReport));
+
+      const response = await api
+        .delete(`/api/reports/${trashedReport._id}`)
+        .expect(200);
+
+      const { deletedAt, purgeAt } = response.body.data;
+      expect(new Date(purgeAt) - new Date(deletedAt)).toBe(30 * 24 * 60 * 60 * 1000);
+      expect(CreditReport.deleteOne).not.toHaveBeenCalled();
+      expect(getStorageDriver().delete).not.toHaveBeenCalled();
+    });
+
+    it('should list the trash of the organisation', async () => {
+      CreditReport.countDocuments.mockResolvedValueOnce(1);
+      CreditReport.find.mockReturnValueOnce({
+        select: vi.fn().mockReturnThis(),
+        populate: vi.fn().mockReturnThis(),
+        sort: vi.fn().mockReturnThis(),
+        skip: vi.fn().mockReturnThis(),
+        limit: vi.fn().mockResolvedValue([trashedReport])
+      });
+
+      const response = await api
+        .get('/api/reports/trash')
+        .expect(200);
+
+      expect(CreditReport.find).toHaveBeenCalledWith({ organisation: 'org-1', deletedAt: { $ne: null } });
+      expect(response.body.data.reports[0]).toMatchObject({
+        id: trashedReport._id,
+        name: 'John Doe',
+        deletedBy: 'admin@example.com',
+        purgeAt: '2024-03-31T00:00:00.000Z'
+      });
+      expect(response.body.data.pagination.totalReports).toBe(1);
+    });
+
+    it('should restore a report from the trash', async () => {
+      CreditReport.findOne.mockReturnValueOnce(Promise.resolve(trashedReport));
+
+      await api
+        .post(`/api/reports/trash/${trashedReport._id}/restore`)
+        .expect(200);
+
+      expect(CreditReport.updateOne).toHaveBeenCalledWith(
+        { _id: trashedReport._id, organisation: 'org-1', deletedAt: { $ne: null } },
+        { $set: { deletedAt: null }, $unset: { deletedBy: '' } }
+      );
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'report.restore', reportId: trashedReport._id }));
+    });
+
+    it('should return 404 when restoring a report that is not in the trash', async () => {
+      const response = await api
+        .post(`/api/reports/trash/${trashedReport._id}/restore`)
+        .expect(404);
+
+      expect(response.body.message).toBe('Report not found in the trash');
+      expect(CreditReport.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should permanently delete a report and its raw XML from the trash', async () => {
+      CreditReport.findOne.mockReturnValueOnce(Promise.resolve(trashedReport));
+
+      await api
+        .delete(`/api/reports/trash/${trashedReport._id}`)
+        .expect(200);
+
+      expect(getStorageDriver().delete).toHaveBeenCalledWith('credit-reports/test.xml');
+      expect(CreditReport.deleteOne).toHaveBeenCalledWith({ _id: trashedReport._id, organisation: 'org-1', deletedAt: { $ne: null } });
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'report.purge',
+        details: { bureau: 'experian', fileHash: 'abc123' }
+      }));
+    });
+
+    it('should tell uploaders a duplicate file is in the trash', async () => {
+      const filePath = path.join(process.cwd(), 'tests', 'test-api-upload.xml');
+      fs.writeFileSync(filePath, '<?xml version="1.0"?><INProfileResponse></INProfileResponse>');
+      CreditReport.findOne.mockReturnValueOnce(Promise.resolve(trashedReport));
+
+      const response = await api
+        .post('/api/upload')
+        .attach('file', filePath)
+        .expect(409);
+
+      expect(response.body.message).toContain('in the trash');
+      expect(response.body.reportId).toBe(trashedReport._id);
+    });
+
+    it('should flag a duplicate found in the trash while the upload was queued', async () => {
+      const filePath = path.join(process.cwd(), 'tests', 'test-api-upload.xml');
+      fs.writeFileSync(filePath, '<?xml version="1.0"?><INProfileResponse></INProfileResponse>');
+      CreditReport.findOne
+        .mockReturnValueOnce(Promise.resolve(null))
+        .mockReturnValueOnce(Promise.resolve(trashedReport));
+
+      const response = await api
+        .post('/api/upload')
+        .attach('file', filePath)
+        .expect(202);
+
+      await waitForIdle();
+
+      const jobResponse = await api
+        .get(response.body.data.statusUrl)
+        .expect(200);
+
+      expect(jobResponse.body.data.result).toEqual({ status: 'duplicate', reportId: trashedReport._id, inTrash: true });
+    });
+
+    it('should only let admins use the trash', async () => {
+      await request(app)
+        .get('/api/reports/trash')
+        .set('Authorization', authHeader('analyst'))
+        .expect(403);
+    });
+  });
+
+  describe('Retention', () => {
+    const expiredReport = {
+      _id: '507f1f77bcf86cd799439011',
+      organisation: 'org-1',
+      storageDriver: 'local',
+      storageKey: 'credit-reports/test.xml',
+      createdAt: new Date('2020-01-01T00:00:00Z')
+    };
+    const agedReport = { ...expiredReport, _id: '507f1f77bcf86cd799439012' };
+
+    /**
+     * Make the next CreditReport.find() calls return purge candidates
+     * @param {...Array} batches - Reports returned by each call
+     */
+    const mockCandidates = (...batches) => {
+      batches.forEach((reports) => {
+        CreditReport.find.mockReturnValueOnce({
+          select: vi.fn().mockReturnThis(),
+          sort: vi.fn().mockReturnThis(),
+          limit: vi.fn().mockReturnThis(),
+          lean: vi.fn().mockResolvedValue(reports)
+        });
+      });
+    };
+
+    beforeEach(() => {
+      process.env.RETENTION_REPORT_DAYS = '365';
+      process.env.RETENTION_RAW_XML_DAYS = '30';
+    });
+
+    afterEach(() => {
+      delete process.env.RETENTION_REPORT_DAYS;
+      delete process.env.RETENTION_RAW_XML_DAYS;
+    });
+
+    it('should show the rules in force', async () => {
+      const response = await api
+        .get('/api/retention/policy')
+        .expect(200);
+
+      expect(response.body.data).toEqual({ rawXmlDays: 30, reportDays: 365, trashDays: 30, intervalHours: 24, batchSize: 500 });
+    });
+
+    it('should preview a purge without removing anything', async () => {
+      CreditReport.countDocuments.mockResolvedValueOnce(0).mockResolvedValueOnce(1).mockResolvedValueOnce(1);
+      mockCandidates([], [expiredReport], [agedReport]);
+
+      const response = await api
+        .get('/api/retention/preview')
+        .expect(200);
+
+      expect(CreditReport.find).toHaveBeenCalledWith(expect.objectContaining({ legalHold: { $ne: true } }));
+      expect(response.body.data.deleteReports).toEqual({
+        total: 1,
+        reports: [expect.objectContaining({ reportId: expiredReport._id, storageKey: 'credit-reports/test.xml' })]
+      });
+      expect(response.body.data.purgeRawXml.total).toBe(1);
+      expect(CreditReport.deleteOne).not.toHaveBeenCalled();
+      expect(CreditReport.updateOne).not.toHaveBeenCalled();
+      expect(getStorageDriver().delete).not.toHaveBeenCalled();
+      expect(PurgeRun.create).not.toHaveBeenCalled();
+    });
+
+    it('should purge expired reports and raw XML and log the run', async () => {
+      mockCandidates([], [expiredReport], [agedReport]);
+      CreditReport.deleteOne.mockResolvedValueOnce({ deletedCount: 1 });
+      CreditReport.updateOne.mockResolvedValueOnce({ modifiedCount: 1 });
+
+      const response = await api
+        .post('/api/retention/purge')
+        .expect(201);
+
+      expect(CreditReport.deleteOne).toHaveBeenCalledWith({ _id: expiredReport._id, legalHold: { $ne: true } });
+      expect(CreditReport.updateOne).toHaveBeenCalledWith(
+        { _id: agedReport._id, legalHold: { $ne: true }, rawXmlPurgedAt: null },
+        expect.objectContaining({ $unset: { storageKey: '', rawXmlUrl: '', cloudinaryPublicId: '' } })
+      );
+      expect(getStorageDriver().delete).toHaveBeenCalledTimes(2);
+      expect(PurgeRun.create).toHaveBeenCalledWith(expect.objectContaining({
+        trigger: 'manual',
+        triggeredBy: { id: 'user-admin', email: 'admin@example.com' },
+        policy: { rawXmlDays: 30, reportDays: 365, trashDays: 30 }
+      }));
+      expect(response.body.data).toMatchObject({
+        status: 'completed',
+        counts: { deletedReports: 1, purgedRawXml: 1, failures: 0 }
+      });
+      expect(response.body.data.deletedReports[0]).toMatchObject({ reportId: expiredReport._id, storageDriver: 'local' });
+    });
+
+    it('should skip reports placed under legal hold during the run', async () => {
+      mockCandidates([], [expiredReport], []);
+
+      const response = await api
+        .post('/api/retention/purge')
+        .expect(201);
+
+      expect(getStorageDriver().delete).not.toHaveBeenCalled();
+      expect(response.body.data.counts.deletedReports).toBe(0);
+    });
+
+    it('should log files that could not be deleted', async () => {
+      mockCandidates([], [expiredReport], []);
+      CreditReport.deleteOne.mockResolvedValueOnce({ deletedCount: 1 });
+      getStorageDriver().delete.mockRejectedValueOnce(new Error('Local storage deletion failed: EACCES'));
+
+      const response = await api
+        .post('/api/retention/purge')
+        .expect(201);
+
+      expect(response.body.data.failures).toEqual([{
+        reportId: expiredReport._id,
+        rule: 'deleteReports',
+        message: 'Local storage deletion failed: EACCES'
+      }]);
+      expect(response.body.data.deletedReports[0].storageKey).toBe('credit-reports/test.xml');
+    });
+
+    it('should permanently delete reports that stayed in the trash too long', async () => {
+      const trashedReport = { ...expiredReport, _id: '507f1f77bcf86cd799439013' };
+      mockCandidates([trashedReport], [], []);
+      CreditReport.deleteOne.mockResolvedValueOnce({ deletedCount: 1 });
+
+      const response = await api
+        .post('/api/retention/purge')
+        .expect(201);
+
+      // A report restored since it was selected no longer matches
+      expect(CreditReport.deleteOne).toHaveBeenCalledWith({
+        _id: trashedReport._id,
+        legalHold: { $ne: true },
+        deletedAt: { $ne: null }
+      });
+      expect(getStorageDriver().delete).toHaveBeenCalledWith('credit-reports/test.xml');
+      expect(response.body.data.counts).toMatchObject({ emptiedTrash: 1, deletedReports: 0 });
+    });
+
+    it('should list purge runs', async () => {
+      PurgeRun.countDocuments.mockResolvedValueOnce(1);
+      PurgeRun.find().limit.mockResolvedValueOnce([{
+        _id: 'run-1',
+        trigger: 'schedule',
+        status: 'completed',
+        policy: { rawXmlDays: 30, reportDays: 365 },
+        deletedReports: [{ reportId: expiredReport._id }],
+        purgedRawXml: [],
+        failures: [],
+        startedAt: new Date('2025-01-01T00:00:00Z')
+      }]);
+
+      const response = await api
+        .get('/api/retention/runs')
+        .expect(200);
+
+      expect(response.body.data.runs[0]).toMatchObject({ id: 'run-1', trigger: 'schedule', counts: { deletedReports: 1 } });
+      expect(response.body.data.pagination.totalRuns).toBe(1);
+    });
+
+    it('should return 404 for an unknown purge run', async () => {
+      await api
+        .get('/api/retention/runs/507f1f77bcf86cd799439099')
+        .expect(404);
+    });
+
+    it('should report invalid retention settings', async () => {
+      process.env.RETENTION_REPORT_DAYS = 'forever';
+
+      const response = await api
+        .get('/api/retention/preview')
+        .expect(500);
+
+      expect(response.body.message).toBe('RETENTION_REPORT_DAYS must be a positive whole number');
+    });
+
+    it('should only let admins manage retention', async () => {
+      await request(app)
+        .post('/api/retention/purge')
+        .set('Authorization', authHeader('analyst'))
+        .expect(403);
+
+      expect(PurgeRun.create).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Health Check', () => {
     it('should return health status', async () => {
       const response = await request(app)
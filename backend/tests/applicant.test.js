@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { normalizePan, resolveApplicantIndex, summarizeTrend, buildApplicantHistory, buildApplicantPipeline } from '../services/applicantService.js';
+import { createPanIndex } from '../services/encryptionService.js';
+
+describe('Applicant Service', () => {
+  it('should normalize valid PANs and reject invalid ones', () => {
+    expect(normalizePan(' aozpb0247s ')).toBe('AOZPB0247S');
+    expect(normalizePan('AOZPB0247')).toBeNull();
+    expect(normalizePan('')).toBeNull();
+  });
+
+  it('should resolve applicant ids and PANs to the PAN blind index', () => {
+    const applicantId = createPanIndex('AOZPB0247S');
+
+    expect(resolveApplicantIndex(applicantId)).toBe(applicantId);
+    expect(resolveApplicantIndex('aozpb0247s')).toBe(applicantId);
+    expect(resolveApplicantIndex('not-a-pan')).toBeNull();
+  });
+
+  it('should summarize a trend ignoring missing values', () => {
+    expect(summarizeTrend([650, null, 700, 690])).toEqual({ first: 650, latest: 690, change: 40, min: 650, max: 700 });
+    expect(summarizeTrend([null])).toEqual({ first: null, latest: null, change: null, min: null, max: null });
+  });
+
+  it('should order the timeline by bureau report date, falling back to upload date', () => {
+    const { timeline, trends } = buildApplicantHistory([
+      {
+        _id: 'b',
+        bureau: 'cibil',
+        reportDate: new Date('2024-03-01'),
+        createdAt: new Date('2024-03-02'),
+        basicDetails: { creditScore: 720 },
+        reportSummary: { currentBalanceAmount: 80000, totalAccounts: 4, activeAccounts: 3 },
+        derogatorySummary: { hasDerogatory: false }
+      },
+      {
+        _id: 'a',
+        bureau: 'experian',
+        reportDate: null,
+        createdAt: new Date('2023-06-01'),
+        basicDetails: { creditScore: 680 },
+        reportSummary: { currentBalanceAmount: 120000, totalAccounts: 5, activeAccounts: 4 },
+        derogatorySummary: { hasDerogatory: true }
+      }
+    ]);
+
+    expect(timeline.map(entry => entry.id)).toEqual(['a', 'b']);
+    expect(timeline[0].hasDerogatory).toBe(true);
+    expect(trends.creditScore.change).toBe(40);
+    expect(trends.currentBalance.change).toBe(-40000);
+  });
+
+  it('should group reports by PAN with pagination', () => {
+    const pipeline = buildApplicantPipeline({ page: 2, limit: 5, search: 'Doe' });
+
+    expect(pipeline[0].$match['basicDetails.name']).toEqual({ $regex: 'Doe', $options: 'i' });
+    expect(pipeline[0].$match['blindIndex.pan']).toEqual({ $nin: [null, ''] });
+    expect(pipeline[2].$group._id).toBe('$blindIndex.pan');
+    expect(pipeline[2].$group.pan).toEqual({ $first: '$basicDetails.pan' });
+    expect(pipeline[4].$facet.applicants).toEqual([{ $skip: 5 }, { $limit: 5 }]);
+  });
+
+  it('should only group reports of the given organisation', () => {
+    const pipeline = buildApplicantPipeline({ organisation: 'org-1' });
+
+    expect(pipeline[0].$match.organisation).toBe('org-1');
+  });
+
+  it('should leave out reports in the trash', () => {
+    const pipeline = buildApplicantPipeline({ organisation: 'org-1' });
+
+    expect(pipeline[0].$match.deletedAt).toBeNull();
+  });
+});
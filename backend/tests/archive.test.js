@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { isZipFile, extractXmlFiles } from '../services/archiveService.js';
+
+describe('Archive Service', () => {
+  let workDir;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'creditsea-archive-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const writeZip = (entries) => {
+    const zip = new AdmZip();
+    Object.entries(entries).forEach(([name, content]) => zip.addFile(name, Buffer.from(content)));
+    const zipPath = path.join(workDir, 'batch.zip');
+    zip.writeZip(zipPath);
+    return zipPath;
+  };
+
+  it('should recognise ZIP files by extension', () => {
+    expect(isZipFile('reports.ZIP')).toBe(true);
+    expect(isZipFile('report.xml')).toBe(false);
+    expect(isZipFile(undefined)).toBe(false);
+  });
+
+  it('should extract XML entries and reject other files', async () => {
+    const zipPath = writeZip({
+      'one.xml': '<a/>',
+      'nested/two.XML': '<b/>',
+      'notes.txt': 'hello',
+      '__MACOSX/._one.xml': 'metadata'
+    });
+
+    const { files, rejected } = await extractXmlFiles(zipPath, workDir);
+
+    expect(files.map(file => file.fileName).sort()).toEqual(['nested/two.XML', 'one.xml']);
+    expect(fs.readFileSync(files.find(file => file.fileName === 'one.xml').path, 'utf8')).toBe('<a/>');
+    expect(rejected).toEqual([{ fileName: 'notes.txt', message: 'Only XML files are allowed' }]);
+  });
+
+  it('should keep extracted files inside the destination directory', async () => {
+    const zip = new AdmZip();
+    zip.addFile('safe.xml', Buffer.from('<a/>'));
+    // Rename after adding so the entry name keeps its parent traversal
+    zip.getEntries()[0].entryName = '../../escape.xml';
+    const zipPath = path.join(workDir, 'evil.zip');
+    zip.writeZip(zipPath);
+
+    const { files } = await extractXmlFiles(zipPath, workDir);
+
+    expect(files).toHaveLength(1);
+    expect(path.dirname(files[0].path)).toBe(workDir);
+  });
+
+  it('should throw an ArchiveError for a corrupt archive', async () => {
+    const zipPath = path.join(workDir, 'corrupt.zip');
+    fs.writeFileSync(zipPath, 'not a zip file');
+
+    await expect(extractXmlFiles(zipPath, workDir)).rejects.toMatchObject({ name: 'ArchiveError' });
+  });
+});
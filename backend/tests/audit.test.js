@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { buildAuditEntry, buildAuditFilter, toPublicAuditEntry } from '../services/auditService.js';
+
+describe('Audit Service', () => {
+  const req = {
+    ip: '127.0.0.1',
+    get: (header) => (header === 'user-agent' ? 'vitest' : undefined)
+  };
+
+  it('should capture the request origin', () => {
+    const entry = buildAuditEntry(req, { action: 'report.download', reportId: 'abc', details: { fileName: 'a.xml' } });
+
+    expect(entry).toEqual({
+      action: 'report.download',
+      reportId: 'abc',
+      actor: undefined,
+      ip: '127.0.0.1',
+      userAgent: 'vitest',
+      details: { fileName: 'a.xml' }
+    });
+  });
+
+  it('should record the signed in user as actor', () => {
+    const entry = buildAuditEntry({ ...req, user: { id: 7, email: 'a@b.co', role: 'admin' } }, { action: 'report.download' });
+
+    expect(entry.actor).toEqual({ id: '7', email: 'a@b.co', role: 'admin' });
+  });
+
+  it('should reject unknown actions', () => {
+    expect(() => buildAuditEntry(req, { action: 'report.unknown' })).toThrow('Unknown audit action');
+  });
+
+  it('should record the selected organisation', () => {
+    const entry = buildAuditEntry({ ...req, organisation: { id: 'org-1' } }, { action: 'report.view', reportId: 'abc' });
+
+    expect(entry.organisation).toBe('org-1');
+  });
+
+  describe('buildAuditFilter', () => {
+    it('should filter by action, report, actor and date range', () => {
+      const filter = buildAuditFilter({
+        action: 'report.download',
+        reportId: '507f1f77bcf86cd799439011',
+        actorEmail: ' Admin@Example.com ',
+        from: '2024-01-01',
+        to: '2024-01-31'
+      });
+
+      expect(filter).toEqual({
+        action: 'report.download',
+        reportId: '507f1f77bcf86cd799439011',
+        'actor.email': 'admin@example.com',
+        createdAt: {
+          $gte: new Date('2024-01-01T00:00:00.000Z'),
+          $lte: new Date('2024-01-31T23:59:59.999Z')
+        }
+      });
+    });
+
+    it('should return an empty filter without parameters', () => {
+      expect(buildAuditFilter({})).toEqual({});
+    });
+
+    it('should reject unknown actions and malformed ids', () => {
+      expect(() => buildAuditFilter({ action: 'report.print' })).toThrow('action must be one of');
+      expect(() => buildAuditFilter({ reportId: 'abc' })).toThrow('reportId must be a report id');
+      expect(() => buildAuditFilter({ from: 'yesterday' })).toThrow('from must be a valid date');
+    });
+  });
+
+  describe('toPublicAuditEntry', () => {
+    it('should report a missing actor as null', () => {
+      const entry = toPublicAuditEntry({ _id: 'a1', action: 'report.view', actor: {}, createdAt: new Date(0) });
+
+      expect(entry.actor).toBeNull();
+      expect(entry.reportId).toBeNull();
+      expect(entry.details).toEqual({});
+    });
+  });
+});
+
@@ -0,0 +1,143 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import jwt from 'jsonwebtoken';
+import {
+  USER_ROLES,
+  hasPermission,
+  getRolePermissions,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  getJwtSecret,
+  toPublicUser
+} from '../services/authService.js';
+
+describe('Auth Service', () => {
+  describe('hasPermission', () => {
+    it('should only let admins delete reports and manage users', () => {
+      USER_ROLES.forEach((role) => {
+        expect(hasPermission(role, 'reports:delete')).toBe(role === 'admin');
+        expect(hasPermission(role, 'users:manage')).toBe(role === 'admin');
+      });
+    });
+
+    it('should separate uploading from downloading raw XML', () => {
+      expect(hasPermission('uploader', 'reports:upload')).toBe(true);
+      expect(hasPermission('uploader', 'reports:download')).toBe(false);
+      expect(hasPermission('analyst', 'reports:upload')).toBe(false);
+      expect(hasPermission('analyst', 'reports:download')).toBe(true);
+    });
+
+    it('should only let analysts and admins reveal PII', () => {
+      expect(hasPermission('uploader', 'reports:reveal')).toBe(false);
+      expect(hasPermission('analyst', 'reports:reveal')).toBe(true);
+      expect(hasPermission('admin', 'reports:reveal')).toBe(true);
+    });
+
+    it('should deny unknown roles and permissions', () => {
+      expect(hasPermission('guest', 'reports:read')).toBe(false);
+      expect(hasPermission('admin', 'reports:unknown')).toBe(false);
+    });
+
+    it('should list the permissions of a role', () => {
+      expect(getRolePermissions('uploader')).toEqual(['reports:upload', 'reports:read']);
+    });
+  });
+
+  describe('validatePassword', () => {
+    it('should require a minimum length', () => {
+      expect(validatePassword('abc1')).toBe('Password must be at least 8 characters');
+      expect(validatePassword(undefined)).toBe('Password must be at least 8 characters');
+    });
+
+    it('should require letters and numbers', () => {
+      expect(validatePassword('abcdefghij')).toBe('Password must contain letters and numbers');
+      expect(validatePassword('passw0rd-long')).toBeNull();
+    });
+  });
+
+  describe('password hashing', () => {
+    it('should verify the original password only', async () => {
+      const hash = await hashPassword('password123');
+
+      expect(hash).not.toContain('password123');
+      await expect(verifyPassword('password123', hash)).resolves.toBe(true);
+      await expect(verifyPassword('password124', hash)).resolves.toBe(false);
+      await expect(verifyPassword('password123', undefined)).resolves.toBe(false);
+    });
+  });
+
+  describe('tokens', () => {
+    afterEach(() => {
+      delete process.env.JWT_SECRET;
+    });
+
+    it('should round trip the user id and role', () => {
+      const payload = verifyToken(signToken({ _id: 'abc', role: 'analyst' }));
+
+      expect(payload.sub).toBe('abc');
+      expect(payload.role).toBe('analyst');
+    });
+
+    it('should only fall back to the built-in secret in tests', () => {
+      const nodeEnv = process.env.NODE_ENV;
+
+      try {
+        ['production', 'development', ''].forEach((env) => {
+          process.env.NODE_ENV = env;
+          expect(() => getJwtSecret()).toThrow('JWT_SECRET must be set');
+          expect(() => verifyToken('any-token')).toThrow('JWT_SECRET must be set');
+        });
+
+        process.env.JWT_SECRET = 'configured-secret-of-at-least-32-chars';
+        expect(getJwtSecret()).toBe('configured-secret-of-at-least-32-chars');
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+    });
+
+    it('should reject the example placeholder secret', () => {
+      process.env.JWT_SECRET = 'change-me-to-a-long-random-string';
+
+      expect(() => getJwtSecret()).toThrow('JWT_SECRET is still the example placeholder');
+      expect(() => verifyToken('any-token')).toThrow('JWT_SECRET is still the example placeholder');
+    });
+
+    it('should reject secrets shorter than 32 characters', () => {
+      process.env.JWT_SECRET = 'x'.repeat(31);
+      expect(() => getJwtSecret()).toThrow('JWT_SECRET must be at least 32 characters');
+
+      process.env.JWT_SECRET = 'x'.repeat(32);
+      expect(getJwtSecret()).toBe('x'.repeat(32));
+    });
+
+    it('should reject tokens signed with another secret', () => {
+      const token = signToken({ _id: 'abc', role: 'admin' });
+      process.env.JWT_SECRET = 'rotated-secret-of-at-least-32-chars';
+
+      expect(() => verifyToken(token)).toThrow('Invalid authentication token');
+    });
+
+    it('should report expired tokens', () => {
+      const token = jwt.sign({ sub: 'abc', role: 'admin', exp: Math.floor(Date.now() / 1000) - 10 }, 'creditsea-test-secret');
+
+      try {
+        verifyToken(token);
+        expect.fail('expected verifyToken to throw');
+      } catch (error) {
+        expect(error.name).toBe('AuthenticationError');
+        expect(error.message).toBe('Session expired, please sign in again');
+      }
+    });
+  });
+
+  describe('toPublicUser', () => {
+    it('should never expose the password hash', () => {
+      const user = toPublicUser({ _id: 'abc', email: 'a@b.co', role: 'admin', active: true, passwordHash: 'hash' });
+
+      expect(user.passwordHash).toBeUndefined();
+      expect(user.permissions).toContain('reports:delete');
+    });
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it, expect } from 'vitest';
+import {
+  detectBureau,
+  getBureauAdapters,
+  registerBureauAdapter
+} from '../services/bureaus/index.js';
+
+const cibilReport = {
+  CreditReport: {
+    Header: { DateProceed: '23072020', TimeProceed: '171559' },
+    NameSegment: {
+      ConsumerName1: 'SAGAR',
+      ConsumerName2: 'UGLE',
+      DateOfBirth: '22031982',
+      Gender: 2
+    },
+    IDSegment: [
+      { IDType: '01', IDNumber: 'AOZPB0247S' },
+      { IDType: '02', IDNumber: 'J1234567' }
+    ],
+    TelephoneSegment: { TelephoneNumber: 9819137672, TelephoneType: '01' },
+    ScoreSegment: { ScoreName: 'CIBILTUSC3', Score: '00719' },
+    Address: { AddressLine1: 'ANANDI VIHAR', AddressLine2: 'DEHU ROAD', PinCode: 411047 },
+    Account: [
+      {
+        ReportingMemberShortName: 'ICICI BANK',
+        AccountNumber: 'ICIVB20994',
+        AccountType: 10,
+        DateOpenedOrDisbursed: '13121998',
+        DateReportedAndCertified: '20092018',
+        HighCreditOrSanctionedAmount: 50000,
+        CurrentBalance: 80000,
+        AmountOverdue: 4000,
+        PaymentHistory1: '030000XXX',
+        PaymentHistoryStartDate: '01092018'
+      },
+      {
+        ReportingMemberShortName: 'HDFC BANK',
+        AccountNumber: 'HDFC0001',
+        AccountType: '02',
+        DateOpenedOrDisbursed: '01012010',
+        DateClosed: '01012019',
+        CurrentBalance: 0
+      }
+    ],
+    Enquiry: {
+      EnquiringMemberShortName: 'AXIS BANK',
+      DateOfEnquiryFields: '01072020',
+      EnquiryPurpose: '05',
+      EnquiryAmount: 200000
+    }
+  }
+};
+
+const equifaxReport = {
+  InquiryResponse: {
+    InquiryResponseHeader: { Date: '2020-07-23' },
+    ReportData: {
+      IDAndContactInfo: {
+        PersonalInfo: {
+          Name: { FirstName: 'Sagar', LastName: 'Ugle' },
+          DateOfBirth: '1982-03-22',
+          Gender: 'Male'
+        },
+        IdentityInfo: { PANId: { IdNumber: 'AOZPB0247S' } },
+        PhoneInfo: [{ Number: 9819137672 }],
+        AddressInfo: [{ Address: 'ANANDI VIHAR DEHU ROAD', State: 'MH', Postal: 411047 }]
+      },
+      RetailAccountDetails: [
+        {
+          Institution: 'ICICI Bank',
+          AccountNumber: 'ICIVB20994',
+          AccountType: 'Credit Card',
+          Balance: 80000,
+          PastDueAmount: 4000,
+          DateOpened: '1998-12-13',
+          DateReported: '2018-09-20',
+          Open: 'Yes',
+          History48Months: {
+            Month: [
+              { '@_key': '09-18', PaymentStatus: '30+' },
+              { '@_key': '08-18', PaymentStatus: 'STD' }
+            ]
+          }
+        }
+      ],
+      RetailAccountsSummary: { NoOfAccounts: 1, NoOfActiveAccounts: 1, TotalBalanceAmount: 80000 },
+      ScoreDetails: { Score: { Name: 'ERS', Value: 719 } },
+      Enquiries: [{ Institution: 'Axis Bank', Date: '2020-07-01', RequestPurpose: 'Personal Loan', Amount: 200000 }]
+    }
+  }
+};
+
+const crifReport = {
+  'INDV-REPORT-FILE': {
+    'INDV-REPORTS': {
+      'INDV-REPORT': {
+        HEADER: { 'DATE-OF-ISSUE': '23-07-2020', 'REPORT-ID': 'CRIF1234' },
+        REQUEST: {
+          NAME: 'SAGAR UGLE',
+          DOB: '22-03-1982',
+          GENDER: 'Male',
+          IDS: { ID: [{ TYPE: 'ID07', VALUE: 'J1234567' }, { TYPE: 'PAN', VALUE: 'AOZPB0247S' }] },
+          PHONES: { PHONE: { VALUE: 9819137672 } }
+        },
+        RESPONSES: {
+          RESPONSE: {
+            'LOAN-DETAILS': {
+              'ACCT-NUMBER': 'ICICI8131308',
+              'CREDIT-GUARANTOR': 'ICICI BANK',
+              'ACCT-TYPE-CODE': '05',
+              'ACCOUNT-STATUS': 'Active',
+              'DISBURSED-AMT': 50000,
+              'DISBURSED-DT': '18-07-1994',
+              'CURRENT-BAL': 85000,
+              'OVERDUE-AMT': 1200,
+              'DATE-REPORTED': '30-01-2019',
+              'COMBINED-PAYMENT-HISTORY': 'Jan:2019,038/XXX|Dec:2018,000/STD|'
+            }
+          }
+        },
+        SCORES: { SCORE: { 'SCORE-VALUE': 719 } }
+      }
+    }
+  }
+};
+
+describe('Bureau Adapter Registry', () => {
+  it('should register the built-in bureau adapters', () => {
+    const ids = getBureauAdapters().map(adapter => adapter.id);
+    expect(ids).toEqual(expect.arrayContaining(['experian', 'cibil', 'equifax', 'crif']));
+  });
+
+  it('should detect Experian INProfileResponse reports', () => {
+    const adapter = detectBureau({ INProfileResponse: { Header: { ReportDate: 20200723 } } });
+    expect(adapter.id).toBe('experian');
+  });
+
+  it('should prefer a specific bureau over the legacy Experian roots', () => {
+    expect(detectBureau(cibilReport).id).toBe('cibil');
+    expect(detectBureau(crifReport).id).toBe('crif');
+  });
+
+  it('should return null for unknown XML', () => {
+    expect(detectBureau({ GenericResponse: { Data: 'Not a bureau report' } })).toBeNull();
+  });
+
+  it('should reject adapters missing detect or transform', () => {
+    expect(() => registerBureauAdapter({ id: 'broken', name: 'Broken' })).toThrow();
+  });
+
+  it('should map CIBIL reports into the common shape', () => {
+    const result = detectBureau(cibilReport).transform(cibilReport);
+
+    expect(result.basicDetails).toMatchObject({
+      name: 'SAGAR UGLE',
+      pan: 'AOZPB0247S',
+      mobilePhone: '9819137672',
+      gender: 'Male',
+      creditScore: 719
+    });
+    expect(result.basicDetails.dateOfBirth.toISOString()).toBe('1982-03-22T00:00:00.000Z');
+    expect(result.creditAccounts).toHaveLength(2);
+    expect(result.creditAccounts[0]).toMatchObject({ type: 'Credit Card', bankName: 'ICICI BANK', status: 'Active', amountOverdue: 4000 });
+    expect(result.creditAccounts[0].history.map(entry => [entry.period, entry.dpdBucket])).toEqual([
+      ['2018-09', '30'], ['2018-08', 'current'], ['2018-07', 'unknown']
+    ]);
+    expect(result.creditAccounts[1]).toMatchObject({ type: 'Home Loan', status: 'Closed' });
+    expect(result.reportSummary).toMatchObject({ totalAccounts: 2, activeAccounts: 1, closedAccounts: 1, recentEnquiries: 1 });
+    expect(result.enquiries[0]).toMatchObject({ institution: 'AXIS BANK', amount: 200000 });
+    expect(result.enquirySummary.total).toEqual({ last7Days: 0, last30Days: 1, last90Days: 1, last180Days: 1 });
+    expect(result.reportDate.toISOString()).toBe('2020-07-23T17:15:59.000Z');
+    expect(result.basicDetails.identities.map(identity => [identity.type, identity.number])).toEqual([
+      ['pan', 'AOZPB0247S'], ['passport', 'J1234567']
+    ]);
+  });
+
+  it('should map Equifax reports into the common shape', () => {
+    const adapter = detectBureau(equifaxReport);
+    expect(adapter.id).toBe('equifax');
+
+    const result = adapter.transform(equifaxReport);
+
+    expect(result.basicDetails).toMatchObject({ name: 'Sagar Ugle', pan: 'AOZPB0247S', creditScore: 719, gender: 'Male' });
+    expect(result.creditAccounts[0]).toMatchObject({ type: 'Credit Card', currentBalance: 80000, status: 'Active' });
+    expect(result.creditAccounts[0].history.map(entry => entry.dpdBucket)).toEqual(['30', 'current']);
+    expect(result.reportSummary).toMatchObject({ totalAccounts: 1, activeAccounts: 1, currentBalanceAmount: 80000 });
+  });
+
+  it('should map CRIF High Mark reports into the common shape', () => {
+    const result = detectBureau(crifReport).transform(crifReport);
+
+    expect(result.basicDetails).toMatchObject({ name: 'SAGAR UGLE', pan: 'AOZPB0247S', creditScore: 719 });
+    expect(result.reportDate.toISOString()).toBe('2020-07-23T00:00:00.000Z');
+    expect(result.bureauMetadata.reportNumber).toBe('CRIF1234');
+    expect(result.creditAccounts[0]).toMatchObject({ type: 'Personal Loan', bankName: 'ICICI BANK', amountOverdue: 1200 });
+    expect(result.creditAccounts[0].history.map(entry => [entry.period, entry.daysPastDue])).toEqual([
+      ['2019-01', 38], ['2018-12', 0]
+    ]);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { computeCreditMetrics, getAccountDateRange, applyCreditMetrics } from '../services/creditMetricsService.js';
+
+const reportDate = new Date('2024-06-15T00:00:00Z');
+
+const creditAccounts = [
+  {
+    type: 'Credit Card',
+    portfolioType: 'Revolving',
+    status: 'Active - Regular',
+    statusCategory: 'active',
+    currentBalance: 30000,
+    sanctionedAmount: 100000,
+    amountOverdue: 0,
+    dateOpened: new Date('2020-06-15T00:00:00Z'),
+    history: [
+      { year: 2024, month: 5, daysPastDue: 35 },
+      { year: 2022, month: 1, daysPastDue: 95 }
+    ]
+  },
+  {
+    type: 'Credit Card',
+    portfolioType: 'Revolving',
+    status: 'Closed',
+    statusCategory: 'closed',
+    currentBalance: 0,
+    sanctionedAmount: 50000,
+    dateOpened: new Date('2018-06-15T00:00:00Z'),
+    dateClosed: new Date('2021-01-01T00:00:00Z')
+  },
+  {
+    type: 'Personal Loan',
+    portfolioType: 'Installment',
+    status: 'Active - Irregular',
+    statusCategory: 'delinquent',
+    currentBalance: 70000,
+    sanctionedAmount: 200000,
+    amountOverdue: 10000,
+    dateOpened: new Date('2023-06-15T00:00:00Z'),
+    paymentHistoryMonths: [
+      { year: 2023, month: 3, bucket: '60' },
+      { year: 2024, month: 6, bucket: 'current' }
+    ]
+  }
+];
+
+describe('Credit Metrics Service', () => {
+  it('should compute utilisation on open revolving accounts only', () => {
+    const metrics = computeCreditMetrics({ creditAccounts, reportDate });
+
+    expect(metrics.revolvingBalance).toBe(30000);
+    expect(metrics.revolvingLimit).toBe(100000);
+    expect(metrics.creditUtilisation).toBe(30);
+  });
+
+  it('should compute account ages in months at the report date', () => {
+    const metrics = computeCreditMetrics({ creditAccounts, reportDate });
+
+    expect(metrics.oldestAccountAgeMonths).toBe(72);
+    expect(metrics.averageAccountAgeMonths).toBe(44);
+  });
+
+  it('should compute max DPD windows and ever-delinquent counts', () => {
+    const metrics = computeCreditMetrics({ creditAccounts, reportDate });
+
+    expect(metrics.maxDpd12Months).toBe(35);
+    expect(metrics.maxDpd24Months).toBe(60);
+    expect(metrics.accountsEver30Dpd).toBe(2);
+    expect(metrics.accountsEver60Dpd).toBe(2);
+    expect(metrics.accountsEver90Dpd).toBe(1);
+  });
+
+  it('should compute overdue ratio and enquiry velocity', () => {
+    const metrics = computeCreditMetrics({
+      creditAccounts,
+      reportDate,
+      enquirySummary: { total: { last7Days: 1, last30Days: 2, last90Days: 4, last180Days: 9 } }
+    });
+
+    expect(metrics.overdueToBalanceRatio).toBe(10);
+    expect(metrics.enquiryVelocity).toEqual({ last30Days: 2, last90Days: 4, last180Days: 9, perMonth: 1.5 });
+  });
+
+  it('should return null ratios when nothing can be computed', () => {
+    const metrics = computeCreditMetrics({ creditAccounts: [], enquiries: [], reportDate });
+
+    expect(metrics.creditUtilisation).toBeNull();
+    expect(metrics.averageAccountAgeMonths).toBeNull();
+    expect(metrics.maxDpd12Months).toBeNull();
+    expect(metrics.overdueToBalanceRatio).toBeNull();
+    expect(metrics.enquiryVelocity.perMonth).toBe(0);
+  });
+
+  it('should populate oldest and newest account dates in the report summary', () => {
+    expect(getAccountDateRange(creditAccounts)).toEqual({
+      oldestAccount: new Date('2018-06-15T00:00:00Z'),
+      newestAccount: new Date('2023-06-15T00:00:00Z')
+    });
+
+    const report = applyCreditMetrics({ reportSummary: { totalAccounts: 3 }, creditAccounts, reportDate });
+    expect(report.reportSummary.totalAccounts).toBe(3);
+    expect(report.reportSummary.oldestAccount).toEqual(new Date('2018-06-15T00:00:00Z'));
+    expect(report.creditMetrics.creditUtilisation).toBe(30);
+  });
+});
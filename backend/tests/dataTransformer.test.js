@@ -97,14 +97,14 @@ describe('Data Transformer Service', () => {
       // Test credit accounts
       expect(result.creditAccounts).toHaveLength(2);
       expect(result.creditAccounts[0].bankName).toBe('Test Bank');
-      expect(result.creditAccounts[0].type).toBe('Credit Card (Revolving)');
+      expect(result.creditAccounts[0].type).toBe('Credit Card');
+      expect(result.creditAccounts[0].portfolioType).toBe('Revolving');
       expect(result.creditAccounts[0].currentBalance).toBe(50000);
       expect(result.creditAccounts[0].status).toBe('Active - Regular');
 
-      // Test enquiries
-      expect(result.enquiries).toHaveLength(1);
-      expect(result.enquiries[0].institution).toBe('Various Institutions');
-      expect(result.enquiries[0].purpose).toContain('2 enquiries in last 90 days');
+      // Test enquiries: summary counts only, no synthetic enquiry rows
+      expect(result.enquiries).toHaveLength(0);
+      expect(result.enquirySummary.credit).toEqual({ last7Days: 0, last30Days: 1, last90Days: 2, last180Days: 0 });
     });
 
     it('should handle minimal data structure', () => {
@@ -168,6 +168,15 @@ describe('Data Transformer Service', () => {
               CAPSLast90Days: '1',
               CAPSLast30Days: '1',
               CAPSLast7Days: '0'
+            },
+            CAPS_Application_Details: {
+              Subscriber_code: 'BP03090001',
+              Subscriber_Name: ' HDFC BANK',
+              Date_of_Request: '20200710',
+              Enquiry_Reason: '13',
+              Finance_Purpose: 'Personal Loan',
+              Amount_Financed: 200000,
+              Duration_Of_Agreement: 36
             }
           }
         }
@@ -176,18 +185,26 @@ describe('Data Transformer Service', () => {
       const result = transformParsedData(parsedData);
 
       expect(result.enquiries).toHaveLength(1);
-      expect(result.enquiries[0].institution).toBe('Various Institutions');
-      expect(result.enquiries[0].purpose).toContain('1 enquiries in last 90 days');
+      expect(result.enquiries[0]).toMatchObject({
+        institution: 'HDFC BANK',
+        subscriberCode: 'BP03090001',
+        amount: 200000,
+        purposeCode: '13',
+        purpose: 'Personal Loan',
+        durationMonths: 36,
+        category: 'credit'
+      });
+      expect(result.enquiries[0].date.toISOString()).toBe('2020-07-10T00:00:00.000Z');
       expect(result.reportSummary.recentEnquiries).toBe(1);
     });
 
     it('should map account types correctly', () => {
       const testCases = [
-        { accountType: '10', portfolioType: 'R', expected: 'Credit Card (Revolving)' },
-        { accountType: '51', portfolioType: 'I', expected: 'Personal Loan (Installment)' },
-        { accountType: '53', portfolioType: 'I', expected: 'Auto Loan (Installment)' },
-        { accountType: '61', portfolioType: 'I', expected: 'Housing Loan (Installment)' },
-        { accountType: '99', portfolioType: 'I', expected: 'Other (Installment)' }
+        { accountType: '10', portfolioType: 'R', expected: 'Credit Card' },
+        { accountType: '01', portfolioType: 'I', expected: 'Auto Loan' },
+        { accountType: '02', portfolioType: 'I', expected: 'Home Loan' },
+        { accountType: '51', portfolioType: 'I', expected: 'Business Loan' },
+        { accountType: '99', portfolioType: 'I', expected: 'Unknown' } // Not in the reference data
       ];
 
       testCases.forEach(testCase => {
@@ -210,6 +227,7 @@ describe('Data Transformer Service', () => {
 
         const result = transformParsedData(parsedData);
         expect(result.creditAccounts[0].type).toBe(testCase.expected);
+        expect(result.creditAccounts[0].typeCode).toBe(testCase.accountType);
       });
     });
 
@@ -218,10 +236,10 @@ describe('Data Transformer Service', () => {
         { status: '11', expected: 'Active - Regular' },
         { status: '21', expected: 'Active - Irregular' },
         { status: '22', expected: 'Active - Irregular' },
-        { status: '23', expected: 'Status 23' }, // Not mapped, falls back to default
+        { status: '23', expected: 'Unknown' }, // Not in the reference data
         { status: '71', expected: 'Active - Irregular' },
         { status: '13', expected: 'Closed - Regular' },
-        { status: '99', expected: 'Status 99' } // Not mapped, falls back to default
+        { status: '99', expected: 'Unknown' } // Not in the reference data
       ];
 
       testCases.forEach(testCase => {
@@ -244,6 +262,7 @@ describe('Data Transformer Service', () => {
 
         const result = transformParsedData(parsedData);
         expect(result.creditAccounts[0].status).toBe(testCase.expected);
+        expect(result.creditAccounts[0].statusCode).toBe(testCase.status);
       });
     });
 
@@ -333,5 +352,360 @@ describe('Data Transformer Service', () => {
       expect(result.creditAccounts[0].dateOpened.getMonth()).toBe(9); // October (0-indexed)
       expect(result.creditAccounts[0].dateOpened.getDate()).toBe(15);
     });
+
+    it('should normalize CAIS account history into a monthly timeline', () => {
+      const parsedData = {
+        INProfileResponse: {
+          CAIS_Account: {
+            CAIS_Account_DETAILS: {
+              Account_Type: '10',
+              Portfolio_Type: 'R',
+              Subscriber_Name: 'Test Bank',
+              Account_Number: '1234****5678',
+              Account_Status: '11',
+              Current_Balance: '50000',
+              Open_Date: '20170101',
+              Date_Reported: '20190130',
+              CAIS_Account_History: [
+                { Year: 2018, Month: 11, Days_Past_Due: 34, Asset_Classification: '?' },
+                { Year: 2019, Month: 1, Days_Past_Due: 0, Asset_Classification: 'S' },
+                { Year: 2018, Month: 12, Days_Past_Due: 95, Asset_Classification: '?' },
+                { Year: 2018, Month: 10, Days_Past_Due: '', Asset_Classification: '?' },
+                { Year: 2018, Month: 9, Days_Past_Due: 62, Asset_Classification: '?' }
+              ]
+            }
+          }
+        }
+      };
+
+      const result = transformParsedData(parsedData);
+      const history = result.creditAccounts[0].history;
+
+      expect(history.map(entry => entry.period)).toEqual([
+        '2019-01', '2018-12', '2018-11', '2018-10', '2018-09'
+      ]);
+      expect(history[0]).toMatchObject({ year: 2019, month: 1, daysPastDue: 0, assetClassification: 'S', dpdBucket: 'current' });
+      expect(history[1]).toMatchObject({ daysPastDue: 95, assetClassification: null, dpdBucket: '90' });
+      expect(history[2].dpdBucket).toBe('30');
+      expect(history[3]).toMatchObject({ daysPastDue: null, dpdBucket: 'unknown' });
+      expect(history[4].dpdBucket).toBe('60');
+    });
+
+    it('should keep the most delinquent entry of a repeated month', () => {
+      const parsedData = {
+        INProfileResponse: {
+          CAIS_Account: {
+            CAIS_Account_DETAILS: {
+              Account_Type: '10',
+              Subscriber_Name: 'Test Bank',
+              Account_Status: '11',
+              Date_Reported: '20190130',
+              CAIS_Account_History: [
+                { Year: 2019, Month: 1, Days_Past_Due: '', Asset_Classification: '?' },
+                { Year: 2019, Month: 1, Days_Past_Due: 45, Asset_Classification: 'B' },
+                { Year: 2019, Month: 1, Days_Past_Due: 0, Asset_Classification: 'S' },
+                { Year: 2018, Month: 12, Days_Past_Due: 30, Asset_Classification: 'S' },
+                { Year: 2018, Month: 12, Days_Past_Due: 30, Asset_Classification: 'B' }
+              ]
+            }
+          }
+        }
+      };
+
+      const history = transformParsedData(parsedData).creditAccounts[0].history;
+
+      expect(history).toHaveLength(2);
+      expect(history[0]).toMatchObject({ period: '2019-01', daysPastDue: 45, assetClassification: 'B', dpdBucket: '30' });
+      // Equally delinquent repeats keep the first entry
+      expect(history[1]).toMatchObject({ period: '2018-12', daysPastDue: 30, assetClassification: 'S' });
+    });
+
+    it('should return an empty history when CAIS_Account_History is absent', () => {
+      const parsedData = {
+        INProfileResponse: {
+          CAIS_Account: {
+            CAIS_Account_DETAILS: {
+              Account_Type: '10',
+              Subscriber_Name: 'Test Bank',
+              Account_Status: '11',
+              Date_Reported: '20241001'
+            }
+          }
+        }
+      };
+
+      const result = transformParsedData(parsedData);
+
+      expect(result.creditAccounts[0].history).toEqual([]);
+    });
+
+    it('should decode Payment_History_Profile into dated month buckets', () => {
+      const parsedData = {
+        INProfileResponse: {
+          CAIS_Account: {
+            CAIS_Account_DETAILS: {
+              Account_Type: '52',
+              Portfolio_Type: 'I',
+              Subscriber_Name: 'Test Bank',
+              Account_Number: '1234****5678',
+              Account_Status: '13',
+              Payment_History_Profile: '0123456?N',
+              Open_Date: '20170101',
+              Date_Reported: '20190130'
+            }
+          }
+        }
+      };
+
+      const result = transformParsedData(parsedData);
+      const account = result.creditAccounts[0];
+
+      expect(account.paymentHistory).toBe('0123456?N');
+      expect(account.paymentHistoryMonths).toHaveLength(9);
+      expect(account.paymentHistoryMonths.map(entry => entry.period)).toEqual([
+        '2019-01', '2018-12', '2018-11', '2018-10', '2018-09', '2018-08', '2018-07', '2018-06', '2018-05'
+      ]);
+      expect(account.paymentHistoryMonths.map(entry => entry.bucket)).toEqual([
+        'current', '30', '60', '90', '120+', '120+', '120+', 'unknown', 'unknown'
+      ]);
+      expect(account.paymentHistoryMonths[8].code).toBe('N');
+    });
+
+    it('should skip payment history decoding without a reporting date', () => {
+      const parsedData = {
+        INProfileResponse: {
+          CAIS_Account: {
+            CAIS_Account_DETAILS: {
+              Account_Type: '10',
+              Subscriber_Name: 'Test Bank',
+              Account_Status: '11',
+              Payment_History_Profile: '000'
+            }
+          }
+        }
+      };
+
+      const result = transformParsedData(parsedData);
+
+      expect(result.creditAccounts[0].paymentHistory).toBe('000');
+      expect(result.creditAccounts[0].paymentHistoryMonths).toEqual([]);
+    });
+
+    it('should take reportDate and bureau metadata from the report header', () => {
+      const parsedData = {
+        INProfileResponse: {
+          Header: { ReportDate: 20200723, ReportTime: 171559 },
+          CreditProfileHeader: {
+            Enquiry_Username: 'batchusr_matchtest',
+            ReportDate: 20200723,
+            ReportTime: 91559,
+            Version: 'V2.4',
+            ReportNumber: 1595504758919,
+            Subscriber_Name: 'Bureau Disclosure Report'
+          }
+        }
+      };
+
+      const result = transformParsedData(parsedData);
+
+      expect(result.reportDate.toISOString()).toBe('2020-07-23T09:15:59.000Z');
+      expect(result.bureauMetadata).toEqual({
+        reportTime: '091559',
+        reportNumber: '1595504758919',
+        version: 'V2.4',
+        enquiryUsername: 'batchusr_matchtest',
+        subscriberName: 'Bureau Disclosure Report'
+      });
+    });
+
+    it('should leave reportDate empty when the header has no report date', () => {
+      const result = transformParsedData({ INProfileResponse: { SCORE: { BureauScore: 700 } } });
+
+      expect(result.reportDate).toBeNull();
+      expect(result.bureauMetadata.reportNumber).toBeNull();
+    });
+
+    it('should collect identity documents across applicant and CAIS holder details', () => {
+      const holderIds = {
+        Income_TAX_PAN: 'AOZPB0247S',
+        Passport_Number: 'J1234567',
+        Passport_Issue_Date: '20080115',
+        Passport_Expiration_Date: '20180114',
+        Voter_ID_Number: 'ABC12345'
+      };
+      const parsedData = {
+        INProfileResponse: {
+          CreditProfileHeader: { ReportDate: 20200723 },
+          Current_Application: {
+            Current_Application_Details: {
+              Current_Applicant_Details: { First_Name: 'Sagar', IncomeTaxPan: 'aozpb0247s' }
+            }
+          },
+          CAIS_Account: {
+            CAIS_Account_DETAILS: [
+              { Account_Number: 'ACC1', CAIS_Holder_ID_Details: [holderIds, holderIds] },
+              { Account_Number: 'ACC2', CAIS_Holder_ID_Details: { Income_TAX_PAN: 'AOZPB0247S' } }
+            ]
+          }
+        }
+      };
+
+      const { identities } = transformParsedData(parsedData).basicDetails;
+
+      expect(identities).toHaveLength(3);
+      expect(identities.find(identity => identity.type === 'pan')).toMatchObject({
+        number: 'AOZPB0247S',
+        isValidFormat: true,
+        isExpired: false,
+        sources: ['Current Application', 'Account ACC1', 'Account ACC2']
+      });
+      expect(identities.find(identity => identity.type === 'passport')).toMatchObject({
+        number: 'J1234567',
+        isValidFormat: true,
+        isExpired: true
+      });
+      expect(identities.find(identity => identity.type === 'voterId').isValidFormat).toBe(false);
+    });
+
+    it('should aggregate addresses and phones across all CAIS accounts', () => {
+      const firstAddress = {
+        First_Line_Of_Address_non_normalized: 'ANANDI VIHAR',
+        Second_Line_Of_Address_non_normalized: 'DEHU ROAD',
+        City_non_normalized: 'PUNE',
+        State_non_normalized: 27,
+        ZIP_Postal_Code_non_normalized: 411047
+      };
+      const secondAddress = {
+        First_Line_Of_Address_non_normalized: 'J-1 110',
+        Second_Line_Of_Address_non_normalized: 'ANANDI VIHAR',
+        Third_Line_Of_Address_non_normalized: 'DEHU ROAD',
+        City_non_normalized: 'DIGHI',
+        State_non_normalized: 27,
+        ZIP_Postal_Code_non_normalized: 412216
+      };
+      const parsedData = {
+        INProfileResponse: {
+          CAIS_Account: {
+            CAIS_Account_DETAILS: [
+              {
+                Account_Number: 'ICIVB20994',
+                DateOfAddition: '20180920',
+                Date_Reported: '20180920',
+                CAIS_Holder_Address_Details: firstAddress,
+                CAIS_Holder_Phone_Details: { Telephone_Number: 9819137672 }
+              },
+              {
+                Account_Number: 'ICICI8131308',
+                DateOfAddition: '20170830',
+                Date_Reported: '20190130',
+                CAIS_Holder_Address_Details: secondAddress,
+                CAIS_Holder_Phone_Details: { Telephone_Number: '+91 98191 37672' }
+              },
+              {
+                Account_Number: 'ICICI8131306',
+                DateOfAddition: '20170830',
+                Date_Reported: '20190130',
+                CAIS_Holder_Address_Details: { ...secondAddress, First_Line_Of_Address_non_normalized: 'j-1, 110' }
+              }
+            ]
+          }
+        }
+      };
+
+      const { addresses, phones } = transformParsedData(parsedData).basicDetails;
+
+      expect(addresses).toHaveLength(2);
+      expect(addresses[0]).toMatchObject({
+        fullAddress: 'J-1 110, ANANDI VIHAR, DEHU ROAD, DIGHI, Maharashtra, 412216',
+        state: 'Maharashtra',
+        stateCode: '27',
+        sources: ['Account ICICI8131308', 'Account ICICI8131306']
+      });
+      expect(addresses[0].firstReported.toISOString()).toBe('2017-08-30T00:00:00.000Z');
+      expect(addresses[0].lastReported.toISOString()).toBe('2019-01-30T00:00:00.000Z');
+      expect(addresses[1].sources).toEqual(['Account ICIVB20994']);
+
+      expect(phones).toHaveLength(1);
+      expect(phones[0]).toMatchObject({
+        number: '9819137672',
+        sources: ['Account ICIVB20994', 'Account ICICI8131308']
+      });
+      expect(phones[0].firstReported.toISOString()).toBe('2017-08-30T00:00:00.000Z');
+    });
+
+    it('should flag suit-filed, written-off and settled accounts', () => {
+      const parsedData = {
+        INProfileResponse: {
+          CAIS_Account: {
+            CAIS_Summary: {
+              Credit_Account: { CreditAccountTotal: 3, CreditAccountDefault: 1, CADSuitFiledCurrentBalance: 80000 }
+            },
+            CAIS_Account_DETAILS: [
+              { Account_Number: 'A1', Account_Status: '53', SuitFiled_WilfulDefault: '01', Written_off_Settled_Status: '' },
+              {
+                Account_Number: 'A2',
+                Account_Status: '11',
+                SuitFiled_WilfulDefault: '02',
+                Written_off_Settled_Status: '02',
+                Written_Off_Amt_Total: 25000,
+                Written_Off_Amt_Principal: 20000
+              },
+              { Account_Number: 'A3', Account_Status: '11', Written_off_Settled_Status: '03', Settlement_Amount: 15000 },
+              { Account_Number: 'A4', Account_Status: '11', SuitFiled_WilfulDefault: '00' }
+            ]
+          }
+        }
+      };
+
+      const result = transformParsedData(parsedData);
+      const [suitFiled, wilfulDefault, settled, clean] = result.creditAccounts;
+
+      expect(suitFiled.derogatory).toMatchObject({ isDerogatory: true, suitFiled: true, suitFiledStatus: 'Suit Filed' });
+      expect(suitFiled.status).toBe('Active - Irregular');
+      expect(wilfulDefault.derogatory).toMatchObject({ wilfulDefault: true, writtenOff: true, writtenOffAmount: 25000, writtenOffPrincipal: 20000 });
+      expect(wilfulDefault.status).toBe('Wilful Default');
+      expect(settled.status).toBe('Settled');
+      expect(settled.derogatory.settlementAmount).toBe(15000);
+      expect(clean.derogatory.isDerogatory).toBe(false);
+
+      expect(result.derogatorySummary).toEqual({
+        hasDerogatory: true,
+        defaultAccounts: 1,
+        suitFiledCurrentBalance: 80000,
+        suitFiledAccounts: 1,
+        wilfulDefaultAccounts: 1,
+        writtenOffAccounts: 1,
+        settledAccounts: 1,
+        restructuredAccounts: 0,
+        totalWrittenOffAmount: 25000,
+        totalSettlementAmount: 15000
+      });
+    });
+
+    it('should keep credit, non-credit and total enquiry windows separately', () => {
+      const parsedData = {
+        INProfileResponse: {
+          TotalCAPS_Summary: { TotalCAPSLast7Days: 1, TotalCAPSLast30Days: 2, TotalCAPSLast90Days: 4, TotalCAPSLast180Days: 6 },
+          CAPS: { CAPS_Summary: { CAPSLast7Days: 1, CAPSLast30Days: 1, CAPSLast90Days: 3, CAPSLast180Days: 4 } },
+          NonCreditCAPS: {
+            NonCreditCAPS_Summary: {
+              NonCreditCAPSLast7Days: 0,
+              NonCreditCAPSLast30Days: 1,
+              NonCreditCAPSLast90Days: 1,
+              NonCreditCAPSLast180Days: 2
+            }
+          }
+        }
+      };
+
+      const result = transformParsedData(parsedData);
+
+      expect(result.enquirySummary).toEqual({
+        credit: { last7Days: 1, last30Days: 1, last90Days: 3, last180Days: 4 },
+        nonCredit: { last7Days: 0, last30Days: 1, last90Days: 1, last180Days: 2 },
+        total: { last7Days: 1, last30Days: 2, last90Days: 4, last180Days: 6 }
+      });
+      expect(result.enquiries).toEqual([]);
+    });
   });
 });
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { buildDownloadFileName, buildListExportFileName, buildContentDisposition } from '../services/downloadService.js';
+
+describe('Download Service', () => {
+  describe('buildDownloadFileName', () => {
+    it('should name the file after the applicant and report date', () => {
+      const report = {
+        basicDetails: { name: 'John  Doe' },
+        reportDate: new Date('2024-01-15T00:00:00Z')
+      };
+
+      expect(buildDownloadFileName(report)).toBe('credit-report-john-doe-2024-01-15.xml');
+    });
+
+    it('should strip accents and characters unsafe in headers', () => {
+      const report = {
+        basicDetails: { name: 'Zoë "O\'Brien" / Smith' },
+        reportDate: '2023-12-31T10:00:00Z'
+      };
+
+      expect(buildDownloadFileName(report, 'csv')).toBe('credit-report-zoe-o-brien-smith-2023-12-31.csv');
+    });
+
+    it('should fall back to the upload date and a placeholder name', () => {
+      const report = {
+        basicDetails: { name: '' },
+        createdAt: new Date('2024-03-02T00:00:00Z')
+      };
+
+      expect(buildDownloadFileName(report)).toBe('credit-report-unknown-applicant-2024-03-02.xml');
+    });
+
+    it('should omit an unknown date', () => {
+      expect(buildDownloadFileName({ basicDetails: { name: 'Jane' } })).toBe('credit-report-jane.xml');
+    });
+
+    it('should append a suffix such as the exported sheet', () => {
+      const report = { basicDetails: { name: 'Jane' }, reportDate: '2024-01-15T00:00:00Z' };
+
+      expect(buildDownloadFileName(report, 'csv', 'accounts')).toBe('credit-report-jane-2024-01-15-accounts.csv');
+    });
+  });
+
+  describe('buildListExportFileName', () => {
+    it('should name list exports after the export date', () => {
+      expect(buildListExportFileName('xlsx', new Date('2024-05-06T12:00:00Z'))).toBe('credit-reports-2024-05-06.xlsx');
+    });
+  });
+
+  describe('buildContentDisposition', () => {
+    it('should mark the response as an attachment', () => {
+      expect(buildContentDisposition('credit-report-jane.xml'))
+        .toBe('attachment; filename="credit-report-jane.xml"');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  getKeyring,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  createPanIndex,
+  createPhoneIndex,
+  encryptReportFields,
+  decryptReportFields
+} from '../services/encryptionService.js';
+import CreditReport from '../models/CreditReport.js';
+
+const randomKey = () => crypto.randomBytes(32).toString('base64');
+
+describe('Encryption Service', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  const report = {
+    basicDetails: {
+      name: 'John Doe',
+      pan: ' aozpb0247s ',
+      mobilePhone: '+91 98190 59898',
+      email: 'John.Doe@Example.com',
+      dateOfBirth: new Date('1990-01-01T00:00:00Z'),
+      address: '12 MG Road, Pune',
+      identities: [{ type: 'pan', number: 'aozpb0247s' }],
+      addresses: [{ lines: ['12 MG Road'], city: 'Pune', fullAddress: '12 MG Road, Pune' }],
+      phones: [{ number: '9819059898', type: 'Mobile' }, { number: '02025551234', type: 'Home' }]
+    },
+    creditAccounts: [{ bankName: 'HDFC', accountNumber: '50100123456789', currentBalance: 1000 }]
+  };
+
+  it('should round-trip values with a random IV', () => {
+    const first = encryptValue('AOZPB0247S');
+    const second = encryptValue('AOZPB0247S');
+
+    expect(isEncrypted(first)).toBe(true);
+    expect(first).not.toContain('AOZPB0247S');
+    expect(first).not.toBe(second);
+    expect(decryptValue(first)).toBe('AOZPB0247S');
+  });
+
+  it('should leave empty and legacy plaintext values alone', () => {
+    expect(encryptValue('')).toBe('');
+    expect(encryptValue(null)).toBeNull();
+    expect(decryptValue('AOZPB0247S')).toBe('AOZPB0247S');
+  });
+
+  it('should reject tampered ciphertext', () => {
+    const encrypted = encryptValue('AOZPB0247S');
+    const parts = encrypted.split(':');
+    parts[3] = crypto.randomBytes(12).toString('base64url');
+    const tampered = parts.join(':');
+
+    expect(() => decryptValue(tampered)).toThrow('could not be decrypted');
+  });
+
+  it('should decrypt values of a retired key after rotation', () => {
+    const oldKey = randomKey();
+    process.env.PII_ENCRYPTION_KEYS = `2024-01:${oldKey}`;
+    const encrypted = encryptValue('AOZPB0247S');
+
+    process.env.PII_ENCRYPTION_KEYS = `2025-01:${randomKey()},2024-01:${oldKey}`;
+    process.env.PII_ENCRYPTION_ACTIVE_KEY = '2025-01';
+
+    expect(getKeyring().activeKeyId).toBe('2025-01');
+    expect(encryptValue('x')).toContain(':2025-01:');
+    expect(decryptValue(encrypted)).toBe('AOZPB0247S');
+
+    process.env.PII_ENCRYPTION_KEYS = `2025-01:${randomKey()}`;
+    expect(() => decryptValue(encrypted)).toThrow('Encryption key 2024-01 is not configured');
+  });
+
+  it('should validate the configured keys', () => {
+    process.env.PII_ENCRYPTION_KEYS = 'short:c2hvcnQ=';
+    expect(() => getKeyring()).toThrow('32-byte key');
+
+    process.env.PII_ENCRYPTION_KEYS = `2025-01:${randomKey()}`;
+    process.env.PII_ENCRYPTION_ACTIVE_KEY = 'missing';
+    expect(() => getKeyring()).toThrow('not listed');
+  });
+
+  it('should require keys outside tests', () => {
+    delete process.env.PII_ENCRYPTION_KEYS;
+
+    ['production', 'development', ''].forEach((env) => {
+      process.env.NODE_ENV = env;
+      expect(() => getKeyring()).toThrow('PII_ENCRYPTION_KEYS and PII_BLIND_INDEX_KEY must be set');
+    });
+  });
+
+  it('should reject placeholder keys with a hint on generating one', () => {
+    process.env.PII_ENCRYPTION_KEYS = '2025-01:replace-with-base64-32-byte-key';
+
+    expect(() => getKeyring()).toThrow(/Encryption key 2025-01 must be a base64 encoded 32-byte key\. Generate a key with/);
+  });
+
+  it('should read dates of birth stored as Dates before encryption as ISO strings', () => {
+    const report = CreditReport.hydrate({
+      _id: '507f1f77bcf86cd799439011',
+      basicDetails: { name: 'John Doe', dateOfBirth: new Date('1990-01-01T00:00:00Z') }
+    });
+
+    expect(report.basicDetails.dateOfBirth).toBe('1990-01-01T00:00:00.000Z');
+    expect(decryptReportFields(report).basicDetails.dateOfBirth).toBe('1990-01-01T00:00:00.000Z');
+    expect(new CreditReport({ basicDetails: { dateOfBirth: encryptValue('1990-01-01T00:00:00.000Z') } }).basicDetails.dateOfBirth)
+      .toMatch(/^enc:v1:/);
+  });
+
+  it('should build deterministic blind indexes that ignore formatting', () => {
+    expect(createPanIndex(' aozpb0247s')).toBe(createPanIndex('AOZPB0247S'));
+    expect(createPanIndex('AOZPB0247S')).not.toBe(createPanIndex('AOZPB0247T'));
+    expect(createPhoneIndex('+91 98190 59898')).toBe(createPhoneIndex('9819059898'));
+    expect(createPanIndex('')).toBeNull();
+
+    const index = createPanIndex('AOZPB0247S');
+    process.env.PII_BLIND_INDEX_KEY = randomKey();
+    expect(createPanIndex('AOZPB0247S')).not.toBe(index);
+  });
+
+  it('should encrypt every PII field of a report and index PAN and phones', () => {
+    const encrypted = encryptReportFields(report);
+    const { basicDetails, creditAccounts } = encrypted;
+
+    expect(basicDetails.name).toBe('John Doe');
+    ['pan', 'mobilePhone', 'email', 'dateOfBirth', 'address'].forEach(field => {
+      expect(isEncrypted(basicDetails[field])).toBe(true);
+    });
+    expect(isEncrypted(basicDetails.identities[0].number)).toBe(true);
+    expect(isEncrypted(basicDetails.addresses[0].lines[0])).toBe(true);
+    expect(isEncrypted(basicDetails.addresses[0].fullAddress)).toBe(true);
+    expect(basicDetails.addresses[0].city).toBe('Pune');
+    expect(isEncrypted(basicDetails.phones[0].number)).toBe(true);
+    expect(isEncrypted(creditAccounts[0].accountNumber)).toBe(true);
+    expect(creditAccounts[0].currentBalance).toBe(1000);
+
+    expect(encrypted.blindIndex.pan).toBe(createPanIndex('AOZPB0247S'));
+    expect(encrypted.blindIndex.phones).toEqual([createPhoneIndex('9819059898'), createPhoneIndex('2025551234')]);
+    expect(encrypted.encryptionKeyId).toBe(getKeyring().activeKeyId);
+  });
+
+  it('should decrypt a report to normalized plaintext', () => {
+    const { basicDetails, creditAccounts } = decryptReportFields(encryptReportFields(report));
+
+    expect(basicDetails.pan).toBe('AOZPB0247S');
+    expect(basicDetails.email).toBe('john.doe@example.com');
+    expect(basicDetails.dateOfBirth).toEqual(new Date('1990-01-01T00:00:00Z'));
+    expect(basicDetails.identities[0].number).toBe('AOZPB0247S');
+    expect(basicDetails.addresses[0].lines).toEqual(['12 MG Road']);
+    expect(creditAccounts[0].accountNumber).toBe('50100123456789');
+  });
+});
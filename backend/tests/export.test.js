@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import ExcelJS from 'exceljs';
+import {
+  parseExportFormat,
+  parseExportSheet,
+  describeExportFilters,
+  buildReportSheets,
+  buildReportListSheet,
+  toCsv,
+  toXlsx
+} from '../services/exportService.js';
+
+const report = {
+  bureau: 'experian',
+  basicDetails: { name: 'John Doe', pan: 'AOZPB****S', creditScore: 750 },
+  reportSummary: { totalAccounts: 1, activeAccounts: 1, currentBalanceAmount: 50000 },
+  derogatorySummary: { hasDerogatory: true },
+  reportDate: new Date('2024-01-15T00:00:00Z'),
+  creditAccounts: [{
+    bankName: 'ICICI Bank',
+    type: 'Credit Card',
+    accountNumber: 'ICIC****0994',
+    status: 'Active',
+    dateOpened: new Date('2019-03-01T00:00:00Z'),
+    currentBalance: 50000,
+    derogatory: { writtenOff: true, settled: true },
+    history: [{ period: '2023-12', year: 2023, month: 12, daysPastDue: 30, dpdBucket: '1-30' }],
+    paymentHistoryMonths: [{ period: '2023-11', code: '0', bucket: 'current' }]
+  }, {
+    bankName: 'HDFC Bank',
+    accountNumber: 'HDFC****1234',
+    paymentHistoryMonths: [{ period: '2023-11', code: 'S', bucket: 'current' }]
+  }],
+  enquiries: [{ date: new Date('2023-10-01T00:00:00Z'), institution: 'SBI', purpose: 'Home Loan', amount: 2500000, category: 'nonCredit' }]
+};
+
+describe('Export Service', () => {
+  describe('parseExportFormat and parseExportSheet', () => {
+    it('should default to an Excel workbook and the accounts sheet', () => {
+      expect(parseExportFormat({})).toBe('xlsx');
+      expect(parseExportFormat({ format: 'CSV' })).toBe('csv');
+      expect(parseExportSheet({})).toBe('accounts');
+      expect(parseExportSheet({ sheet: 'history' })).toBe('history');
+    });
+
+    it('should reject unknown values with a query error', () => {
+      expect(() => parseExportFormat({ format: 'pdf' })).toThrow(expect.objectContaining({
+        name: 'QueryValidationError',
+        message: 'format must be one of: xlsx, csv'
+      }));
+      expect(() => parseExportSheet({ sheet: 'scores' })).toThrow('sheet must be one of');
+    });
+  });
+
+  describe('describeExportFilters', () => {
+    it('should drop paging and mask PAN and phone searches', () => {
+      expect(describeExportFilters({ format: 'csv', page: '2', limit: '10', pan: 'AOZPB0247S', mobile: '9819067672', bureau: 'cibil' }))
+        .toEqual({ pan: 'AOZPB****S', mobile: 'XXXXXX7672', bureau: 'cibil' });
+    });
+  });
+
+  describe('buildReportSheets', () => {
+    const sheets = buildReportSheets(report);
+
+    it('should list applicant fields as rows', () => {
+      expect(sheets.applicant.rows).toContainEqual({ field: 'PAN', value: 'AOZPB****S' });
+      expect(sheets.applicant.rows).toContainEqual({ field: 'Has Derogatory', value: 'Yes' });
+    });
+
+    it('should describe each account and its derogatory flags', () => {
+      expect(sheets.accounts.rows[0]).toMatchObject({
+        bankName: 'ICICI Bank',
+        accountNumber: 'ICIC****0994',
+        derogatory: 'Written off, Settled'
+      });
+      expect(sheets.accounts.rows[1].derogatory).toBe('');
+    });
+
+    it('should label enquiry categories', () => {
+      expect(sheets.enquiries.rows[0]).toMatchObject({ institution: 'SBI', category: 'Non-credit' });
+    });
+
+    it('should prefer the detailed history over the payment profile', () => {
+      expect(sheets.history.rows).toEqual([
+        expect.objectContaining({ bankName: 'ICICI Bank', period: '2023-12', daysPastDue: 30, dpdBucket: '1-30' }),
+        expect.objectContaining({ bankName: 'HDFC Bank', period: '2023-11', paymentCode: 'S', dpdBucket: 'current' })
+      ]);
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should write a header row, quote special characters and format dates', () => {
+      const csv = toCsv(buildReportSheets(report).accounts);
+      const [header, first] = csv.split('\r\n');
+
+      expect(header.startsWith('Lender,Account Type,Account Number')).toBe(true);
+      expect(first).toBe('ICICI Bank,Credit Card,ICIC****0994,,Active,2019-03-01,,,50000,,,"Written off, Settled"');
+      expect(csv.endsWith('\r\n')).toBe(true);
+    });
+
+    it('should neutralise cells a spreadsheet would run as formulas', () => {
+      const sheet = {
+        columns: [{ header: 'Name', key: 'name' }, { header: 'Balance', key: 'balance' }],
+        rows: [{ name: '=HYPERLINK("http://example.com")', balance: -500 }]
+      };
+
+      expect(toCsv(sheet).split('\r\n')[1]).toBe('"\'=HYPERLINK(""http://example.com"")",-500');
+    });
+  });
+
+  describe('toXlsx', () => {
+    it('should write one worksheet per sheet with a bold header', async () => {
+      const buffer = await toXlsx([buildReportListSheet([{ id: 'r1', name: 'John Doe', pan: 'AOZPB****S', hasDerogatory: false }])]);
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+      const worksheet = workbook.getWorksheet('Reports');
+
+      expect(worksheet.getRow(1).getCell(1).value).toBe('Report ID');
+      expect(worksheet.getRow(1).font.bold).toBe(true);
+      expect(worksheet.getRow(2).values.slice(1, 4)).toEqual(['r1', 'John Doe', 'AOZPB****S']);
+      expect(worksheet.getRow(2).getCell(9).value).toBe('No');
+    });
+  });
+});
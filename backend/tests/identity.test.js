@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { validateIdentityNumber, mergeIdentities } from '../services/identityService.js';
+
+describe('Identity Service', () => {
+  describe('validateIdentityNumber', () => {
+    it('should validate known identity formats', () => {
+      expect(validateIdentityNumber('pan', 'AOZPB0247S')).toBe(true);
+      expect(validateIdentityNumber('pan', 'AOZPB0247')).toBe(false);
+      expect(validateIdentityNumber('voterId', 'ABC1234567')).toBe(true);
+      expect(validateIdentityNumber('drivingLicence', 'MH12 20110012345')).toBe(true);
+      expect(validateIdentityNumber('universalId', '234567890123')).toBe(true);
+      expect(validateIdentityNumber('universalId', 'XXXXXXXX0123')).toBe(true);
+      expect(validateIdentityNumber('universalId', '123456789012')).toBe(false);
+    });
+
+    it('should return null for types without a known format', () => {
+      expect(validateIdentityNumber('rationCard', 'MH-123456')).toBeNull();
+    });
+  });
+
+  describe('mergeIdentities', () => {
+    it('should deduplicate documents and keep dates from later copies', () => {
+      const expiryDate = new Date('2030-01-01T00:00:00Z');
+      const identities = mergeIdentities([
+        { type: 'passport', number: 'j1234567', source: 'Account A' },
+        { type: 'passport', number: 'J1234567', expiryDate, source: 'Account B' },
+        { type: 'unknown', number: 'X1' },
+        { type: 'pan', number: '' }
+      ], new Date('2020-07-23T00:00:00Z'));
+
+      expect(identities).toEqual([{
+        type: 'passport',
+        number: 'J1234567',
+        issueDate: null,
+        expiryDate,
+        sources: ['Account A', 'Account B'],
+        isValidFormat: true,
+        isExpired: false
+      }]);
+    });
+  });
+});
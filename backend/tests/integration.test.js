@@ -55,17 +55,92 @@ vi.mock('../models/CreditReport.js', () => {
   return { default: MockCreditReport };
 });
 
-// Mock Cloudinary module
-vi.mock('../config/cloudinary.js', () => ({
-  uploadXmlFile: vi.fn().mockResolvedValue({
-    url: 'https://res.cloudinary.com/test/raw/upload/integration-test.xml',
-    public_id: 'integration-test-xml-id'
-  }),
-  deleteXmlFile: vi.fn().mockResolvedValue({ result: 'ok' })
+// Mock the User model with one active account per role
+vi.mock('../models/User.js', () => {
+  const users = ['uploader', 'analyst', 'admin'].map((role) => ({
+    _id: `user-${role}`,
+    email: `${role}@example.com`,
+    name: role,
+    role,
+    active: true,
+    organisations: ['org-1']
+  }));
+
+  return {
+    default: {
+      findById: vi.fn((id) => Promise.resolve(users.find(user => user._id === id) || null))
+    }
+  };
+});
+
+// Mock the Organisation model with two lending partners
+vi.mock('../models/Organisation.js', () => {
+  const organisations = ['org-1', 'org-2'].map((id) => ({ _id: id, name: `Partner ${id}`, slug: id, active: true }));
+
+  return {
+    default: {
+      findById: vi.fn((id) => Promise.resolve(organisations.find(organisation => organisation._id === id) || null)),
+      find: vi.fn(() => ({ sort: vi.fn().mockResolvedValue(organisations) }))
+    }
+  };
+});
+
+// Mock the audit log
+vi.mock('../models/AuditLog.js', () => ({
+  default: { create: vi.fn().mockResolvedValue({}) }
 }));
 
+// Mock the storage drivers
+vi.mock('../services/storage/index.js', () => {
+  const driver = {
+    id: 'local',
+    name: 'Test storage',
+    upload: vi.fn().mockResolvedValue({ key: 'credit-reports/integration-test.xml', url: null }),
+    download: vi.fn(),
+    delete: vi.fn().mockResolvedValue()
+  };
+
+  return {
+    getStorageDriver: vi.fn(() => driver),
+    getReportStorage: vi.fn(() => ({ driver, key: 'credit-reports/integration-test.xml' }))
+  };
+});
+
 // Import app after mocks are set up
 import app from '../server.js';
+import { waitForIdle } from '../services/jobQueueService.js';
+import { signToken } from '../services/authService.js';
+
+/**
+ * Authorization header for a test user
+ * @param {string} role - uploader, analyst or admin
+ * @returns {string} Bearer token
+ */
+const authHeader = (role) => `Bearer ${signToken({ _id: `user-${role}`, role })}`;
+
+// Requests run as an admin unless a test signs in with another role
+const api = request.agent(app).set('Authorization', authHeader('admin'));
+
+/**
+ * Upload a file, wait for its processing job and return the finished job
+ * @param {string} filePath - File to upload
+ * @returns {Promise<Object>} Job status
+ */
+const uploadAndWait = async (filePath) => {
+  const uploadResponse = await api
+    .post('/api/upload')
+    .attach('file', filePath)
+    .expect(202);
+
+  expect(uploadResponse.body.success).toBe(true);
+  await waitForIdle();
+
+  const jobResponse = await api
+    .get(uploadResponse.body.data.statusUrl)
+    .expect(200);
+
+  return jobResponse.body.data;
+};
 
 describe('Integration Tests - Full Workflow', () => {
   beforeEach(() => {
@@ -117,13 +192,10 @@ describe('Integration Tests - Full Workflow', () => {
       try {
         fs.writeFileSync(testFilePath, testXmlContent);
 
-        const uploadResponse = await request(app)
-          .post('/api/upload')
-          .attach('file', testFilePath)  // Use correct field name
-          .expect(201);
+        const job = await uploadAndWait(testFilePath);
 
-        expect(uploadResponse.body.success).toBe(true);
-        expect(uploadResponse.body.message).toContain('processed');
+        expect(job.status).toBe('completed');
+        expect(job.result.status).toBe('created');
       } finally {
         if (fs.existsSync(testFilePath)) {
           fs.unlinkSync(testFilePath);
@@ -142,13 +214,11 @@ describe('Integration Tests - Full Workflow', () => {
       try {
         fs.writeFileSync(testFilePath, invalidXmlContent);
 
-        const response = await request(app)
-          .post('/api/upload')
-          .attach('file', testFilePath)
-          .expect(422);
+        const job = await uploadAndWait(testFilePath);
 
-        expect(response.body.success).toBe(false);
-        expect(response.body.message).toContain('Experian');
+        expect(job.status).toBe('failed');
+        expect(job.error.stage).toBe('detecting-bureau');
+        expect(job.error.message).toContain('Experian');
       } finally {
         if (fs.existsSync(testFilePath)) {
           fs.unlinkSync(testFilePath);
@@ -164,13 +234,10 @@ describe('Integration Tests - Full Workflow', () => {
       try {
         fs.writeFileSync(testFilePath, malformedXml);
 
-        const response = await request(app)
-          .post('/api/upload')
-          .attach('file', testFilePath)
-          .expect(422);
+        const job = await uploadAndWait(testFilePath);
 
-        expect(response.body.success).toBe(false);
-        expect(response.body.message).toContain('Invalid XML format');
+        expect(job.status).toBe('failed');
+        expect(job.error.message).toContain('Invalid XML format');
       } finally {
         if (fs.existsSync(testFilePath)) {
           fs.unlinkSync(testFilePath);
@@ -213,13 +280,10 @@ describe('Integration Tests - Full Workflow', () => {
       try {
         fs.writeFileSync(testFilePath, largeXml);
 
-        const response = await request(app)
-          .post('/api/upload')
-          .attach('file', testFilePath)
-          .expect(201);
+        const job = await uploadAndWait(testFilePath);
 
-        expect(response.body.success).toBe(true);
-        expect(response.body.message).toContain('processed');
+        expect(job.status).toBe('completed');
+        expect(job.result.status).toBe('created');
       } finally {
         if (fs.existsSync(testFilePath)) {
           fs.unlinkSync(testFilePath);
@@ -230,7 +294,7 @@ describe('Integration Tests - Full Workflow', () => {
 
   describe('API Endpoint Integration', () => {
     it('should handle reports listing workflow', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/reports')
         .expect(200);
 
@@ -240,7 +304,7 @@ describe('Integration Tests - Full Workflow', () => {
     });
 
     it('should handle statistics endpoint workflow', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/reports/stats')
         .expect(200);
 
@@ -250,7 +314,7 @@ describe('Integration Tests - Full Workflow', () => {
     });
 
     it('should handle health check integration', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/health')  // Correct health endpoint
         .expect(200);
 
@@ -260,7 +324,7 @@ describe('Integration Tests - Full Workflow', () => {
 
   describe('Error Handling Integration', () => {
     it('should handle missing file uploads', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/upload')
         .expect(400);
 
@@ -269,7 +333,7 @@ describe('Integration Tests - Full Workflow', () => {
     });
 
     it('should handle invalid report ID requests', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/reports/invalid-id-format')
         .expect(404);
 
@@ -277,7 +341,7 @@ describe('Integration Tests - Full Workflow', () => {
     });
 
     it('should handle non-existent report requests', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/reports/507f1f77bcf86cd799439011')
         .expect(404);
 
@@ -315,15 +379,12 @@ describe('Integration Tests - Full Workflow', () => {
         fs.writeFileSync(testFilePath, testXmlContent);
 
         // Upload the file
-        const uploadResponse = await request(app)
-          .post('/api/upload')
-          .attach('file', testFilePath)
-          .expect(201);
+        const job = await uploadAndWait(testFilePath);
 
-        expect(uploadResponse.body.success).toBe(true);
+        expect(job.status).toBe('completed');
 
         // Step 2: List reports (should still be empty due to mocking)
-        const listResponse = await request(app)
+        const listResponse = await api
           .get('/api/reports')
           .expect(200);
 
@@ -331,7 +392,7 @@ describe('Integration Tests - Full Workflow', () => {
         expect(listResponse.body.data.reports).toEqual([]);
 
         // Step 3: Get stats (should still be zero due to mocking)
-        const statsResponse = await request(app)
+        const statsResponse = await api
           .get('/api/reports/stats')
           .expect(200);
 
@@ -372,21 +433,27 @@ describe('Integration Tests - Full Workflow', () => {
 
           // Create upload promises
           uploadPromises.push(
-            request(app)
+            api
               .post('/api/upload')
               .attach('file', testFilePath)
-              .expect(201)
+              .expect(202)
           );
         }
 
         // Execute all uploads concurrently
         const responses = await Promise.all(uploadPromises);
 
-        // Verify all uploads succeeded
-        responses.forEach(response => {
+        // Verify all uploads were queued and processed
+        await waitForIdle();
+        for (const response of responses) {
           expect(response.body.success).toBe(true);
-          expect(response.body.message).toContain('processed');
-        });
+          expect(response.body.message).toContain('queued');
+
+          const jobResponse = await api
+            .get(response.body.data.statusUrl)
+            .expect(200);
+          expect(jobResponse.body.data.status).toBe('completed');
+        }
 
       } finally {
         // Clean up all test files
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { enqueueJob, getJob, waitForIdle } from '../services/jobQueueService.js';
+
+describe('Job Queue Service', () => {
+  it('should queue a job and return it before processing starts', async () => {
+    const job = enqueueJob({ type: 'test', stages: ['first'] }, async () => 'done');
+
+    expect(job.status).toBe('queued');
+    expect(job.stages).toEqual([{ name: 'first', status: 'pending', startedAt: null, completedAt: null }]);
+
+    await waitForIdle();
+    expect(getJob(job.id).status).toBe('completed');
+  });
+
+  it('should track stages, progress and the result', async () => {
+    const job = enqueueJob({ type: 'test', stages: ['first', 'second'], metadata: { fileName: 'a.xml' } }, async ({ startStage, setProgress }) => {
+      startStage('first');
+      setProgress(1, 2);
+      startStage('second');
+      setProgress(2, 2);
+      return { reportId: 'r1' };
+    });
+
+    await waitForIdle();
+
+    const finished = getJob(job.id);
+    expect(finished.status).toBe('completed');
+    expect(finished.stage).toBe('completed');
+    expect(finished.stages.map(stage => stage.status)).toEqual(['completed', 'completed']);
+    expect(finished.progress).toEqual({ processed: 2, total: 2 });
+    expect(finished.metadata).toEqual({ fileName: 'a.xml' });
+    expect(finished.result).toEqual({ reportId: 'r1' });
+    expect(finished.completedAt).toBeInstanceOf(Date);
+  });
+
+  it('should record the stage a job failed in', async () => {
+    const job = enqueueJob({ type: 'test', stages: ['first', 'second'] }, async ({ startStage }) => {
+      startStage('first');
+      startStage('second');
+      throw new Error('Storage unavailable');
+    });
+
+    await waitForIdle();
+
+    const failed = getJob(job.id);
+    expect(failed.status).toBe('failed');
+    expect(failed.error).toEqual({ message: 'Storage unavailable', stage: 'second' });
+    expect(failed.stages.map(stage => stage.status)).toEqual(['completed', 'failed']);
+  });
+
+  it('should process jobs one at a time in order', async () => {
+    const order = [];
+    const slow = enqueueJob({ type: 'test' }, async () => {
+      order.push('slow:start');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      order.push('slow:end');
+    });
+    const fast = enqueueJob({ type: 'test' }, async () => {
+      order.push('fast');
+    });
+
+    await waitForIdle();
+
+    expect(order).toEqual(['slow:start', 'slow:end', 'fast']);
+    expect(getJob(slow.id).status).toBe('completed');
+    expect(getJob(fast.id).status).toBe('completed');
+  });
+
+  it('should return null for unknown jobs', () => {
+    expect(getJob('missing')).toBeNull();
+  });
+});
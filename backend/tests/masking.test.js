@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import {
+  maskPan,
+  maskPhoneNumber,
+  maskEmail,
+  maskAccountNumber,
+  maskIdentityNumber,
+  maskReportFields
+} from '../services/maskingService.js';
+
+describe('Masking Service', () => {
+  it('should mask PANs, phone numbers and account numbers', () => {
+    expect(maskPan('AOZPB0247S')).toBe('AOZPB****S');
+    expect(maskPhoneNumber('9819067672')).toBe('XXXXXX7672');
+    expect(maskPhoneNumber('+91 98190 67672')).toBe('+XX XXXXX X7672');
+    expect(maskAccountNumber('ICIC00000990994')).toBe('ICIC****0994');
+  });
+
+  it('should mask email addresses but keep the domain', () => {
+    expect(maskEmail('john.doe@example.com')).toBe('j****@example.com');
+    expect(maskEmail('not-an-email')).toBe('n****');
+  });
+
+  it('should fully mask values too short to keep any characters', () => {
+    expect(maskAccountNumber('1234')).toBe('****');
+    expect(maskPhoneNumber('123')).toBe('****');
+    expect(maskPan('ABC')).toBe('****');
+  });
+
+  it('should pass missing values through', () => {
+    expect(maskPan('')).toBe('');
+    expect(maskPhoneNumber(null)).toBeNull();
+    expect(maskAccountNumber(undefined)).toBeUndefined();
+  });
+
+  it('should mask identity numbers by document type', () => {
+    expect(maskIdentityNumber('pan', 'AOZPB0247S')).toBe('AOZPB****S');
+    expect(maskIdentityNumber('aadhaar', '123412341234')).toBe('****1234');
+  });
+
+  it('should mask every revealable field of a report', () => {
+    const masked = maskReportFields({
+      basicDetails: {
+        name: 'John Doe',
+        pan: 'AOZPB0247S',
+        mobilePhone: '9819067672',
+        email: 'john.doe@example.com',
+        identities: [{ type: 'pan', number: 'AOZPB0247S' }],
+        phones: [{ number: '9819067672', type: 'Mobile' }]
+      },
+      creditAccounts: [{ bankName: 'ICICI Bank', accountNumber: 'ICIC00000990994', currentBalance: 100 }]
+    });
+
+    expect(masked.basicDetails).toEqual({
+      name: 'John Doe',
+      pan: 'AOZPB****S',
+      mobilePhone: 'XXXXXX7672',
+      email: 'j****@example.com',
+      identities: [{ type: 'pan', number: 'AOZPB****S' }],
+      phones: [{ number: 'XXXXXX7672', type: 'Mobile' }]
+    });
+    expect(masked.creditAccounts).toEqual([{ bankName: 'ICICI Bank', accountNumber: 'ICIC****0994', currentBalance: 100 }]);
+  });
+});
@@ -23,8 +23,10 @@ vi.mock('../models/CreditReport.js', () => {
   MockCreditReport.schema = {
     paths: {
       fileHash: { options: { required: true } },
-      rawXmlUrl: { options: { required: true } },
-      cloudinaryPublicId: { options: { required: true } }
+      storageDriver: { options: { required: true } },
+      storageKey: { options: { required: true } },
+      rawXmlUrl: { options: {} },
+      cloudinaryPublicId: { options: {} }
     }
   };
   
@@ -36,8 +38,8 @@ import CreditReport from '../models/CreditReport.js';
 // Helper function to create mock credit report data
 const createMockCreditReport = (overrides = {}) => ({
   fileHash: 'abc123def456',
-  rawXmlUrl: 'https://cloudinary.com/test.xml',
-  cloudinaryPublicId: 'test_public_id',
+  storageDriver: 'local',
+  storageKey: 'credit-reports/test.xml',
   basicDetails: {
     name: 'Test User',
     dateOfBirth: '1990-01-01',
@@ -75,12 +77,14 @@ describe('CreditReport Model', () => {
       expect(CreditReport.schema.paths.fileHash.options.required).toBe(true);
     });
 
-    it('should require rawXmlUrl field', () => {
-      expect(CreditReport.schema.paths.rawXmlUrl.options.required).toBe(true);
+    it('should require storageDriver and storageKey fields', () => {
+      expect(CreditReport.schema.paths.storageDriver.options.required).toBe(true);
+      expect(CreditReport.schema.paths.storageKey.options.required).toBe(true);
     });
 
-    it('should require cloudinaryPublicId field', () => {
-      expect(CreditReport.schema.paths.cloudinaryPublicId.options.required).toBe(true);
+    it('should not require a public rawXmlUrl or Cloudinary public ID', () => {
+      expect(CreditReport.schema.paths.rawXmlUrl.options.required).toBeUndefined();
+      expect(CreditReport.schema.paths.cloudinaryPublicId.options.required).toBeUndefined();
     });
   });
 
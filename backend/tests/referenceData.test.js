@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ACCOUNT_TYPE_LABELS,
+  ACCOUNT_STATUS_LABELS,
+  lookupAccountType,
+  lookupAccountStatus,
+  lookupEnquiryReason,
+  lookupGender,
+  lookupStateCode,
+  isSecuredAccountType,
+  getReferenceData
+} from '../services/referenceDataService.js';
+import { REFERENCE_DATA_VERSION } from '../config/referenceData.js';
+
+describe('Reference Data Service', () => {
+  describe('lookupAccountType', () => {
+    it('should resolve codes with or without zero padding', () => {
+      expect(lookupAccountType('5')).toMatchObject({ code: '05', label: 'Personal Loan', secured: false });
+      expect(lookupAccountType(2)).toMatchObject({ code: '02', label: 'Home Loan', secured: true });
+    });
+
+    it('should keep unknown codes raw instead of mapping them', () => {
+      expect(lookupAccountType('99')).toEqual({ code: '99', label: 'Unknown', description: null, secured: false });
+      expect(lookupAccountType('')).toMatchObject({ code: null, label: 'Unknown' });
+    });
+  });
+
+  describe('lookupAccountStatus', () => {
+    it('should return the status label and category', () => {
+      expect(lookupAccountStatus('11')).toMatchObject({ code: '11', label: 'Active - Regular', category: 'active' });
+      expect(lookupAccountStatus('21')).toMatchObject({ label: 'Active - Irregular', category: 'delinquent' });
+      expect(lookupAccountStatus('78')).toMatchObject({ label: 'Settled', category: 'settled' });
+    });
+
+    it('should keep unknown codes raw instead of mapping them', () => {
+      expect(lookupAccountStatus('23')).toMatchObject({ code: '23', label: 'Unknown', category: 'unknown' });
+    });
+  });
+
+  describe('simple code tables', () => {
+    it('should resolve enquiry reasons, gender and state codes', () => {
+      expect(lookupEnquiryReason('01').label).toBe('Agricultural Machinery');
+      expect(lookupEnquiryReason('13').label).toBe('Small & Medium Business');
+      expect(lookupGender('2').label).toBe('Female');
+      expect(lookupStateCode('7').label).toBe('Delhi');
+      expect(lookupGender('9')).toEqual({ code: '9', label: null });
+    });
+  });
+
+  it('should derive model enums and secured types from the tables', () => {
+    expect(ACCOUNT_TYPE_LABELS).toEqual(expect.arrayContaining(['Credit Card', 'Business Loan', 'Unknown']));
+    expect(new Set(ACCOUNT_TYPE_LABELS).size).toBe(ACCOUNT_TYPE_LABELS.length);
+    expect(ACCOUNT_STATUS_LABELS).toEqual(expect.arrayContaining(['Active - Regular', 'Wilful Default', 'Unknown']));
+    expect(isSecuredAccountType('Home Loan')).toBe(true);
+    expect(isSecuredAccountType('Credit Card')).toBe(false);
+    expect(isSecuredAccountType('Unknown')).toBe(false);
+  });
+
+  it('should expose every table with the reference data version', () => {
+    const data = getReferenceData();
+    expect(data.version).toBe(REFERENCE_DATA_VERSION);
+    expect(Object.keys(data)).toEqual(expect.arrayContaining([
+      'accountTypes', 'accountStatuses', 'accountStatusCategories', 'portfolioTypes',
+      'enquiryReasons', 'genderCodes', 'holderTypes', 'assetClassifications', 'stateCodes'
+    ]));
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { getAccountKey, diffReports, orderReports } from '../services/reportDiffService.js';
+
+const fromReport = {
+  _id: 'old',
+  reportDate: new Date('2023-06-01'),
+  basicDetails: { creditScore: 680 },
+  reportSummary: { currentBalanceAmount: 150000 },
+  creditAccounts: [
+    { bankName: 'HDFC Bank', accountNumber: '1234 5678', type: 'Credit Card', status: 'Active - Regular', currentBalance: 50000, amountOverdue: 0 },
+    { bankName: 'ICICI Bank', accountNumber: 'PL001', type: 'Personal Loan', status: 'Active - Regular', currentBalance: 100000, amountOverdue: 5000 },
+    { bankName: 'SBI', accountNumber: 'AL9', type: 'Auto Loan', status: 'Active - Regular', currentBalance: 0 }
+  ],
+  enquiries: [
+    { institution: 'HDFC Bank', date: new Date('2023-05-01'), amount: 50000 }
+  ]
+};
+
+const toReport = {
+  _id: 'new',
+  reportDate: new Date('2024-03-01'),
+  basicDetails: { creditScore: 720 },
+  reportSummary: { currentBalanceAmount: 120000 },
+  creditAccounts: [
+    { bankName: 'hdfc bank', accountNumber: '1234  5678', type: 'Credit Card', status: 'Active - Regular', currentBalance: 20000, amountOverdue: 0 },
+    { bankName: 'ICICI Bank', accountNumber: 'PL001', type: 'Personal Loan', status: 'Closed', currentBalance: 0, amountOverdue: 0, dateClosed: new Date('2024-01-01') },
+    { bankName: 'Axis Bank', accountNumber: 'CC77', type: 'Credit Card', status: 'Active - Regular', currentBalance: 100000, amountOverdue: 0 }
+  ],
+  enquiries: [
+    { institution: 'HDFC Bank', date: new Date('2023-05-01'), amount: 50000 },
+    { institution: 'Axis Bank', date: new Date('2024-02-01'), amount: 100000 }
+  ]
+};
+
+describe('Report Diff Service', () => {
+  it('should match accounts by subscriber and account number ignoring case and spacing', () => {
+    expect(getAccountKey(fromReport.creditAccounts[0])).toBe(getAccountKey(toReport.creditAccounts[0]));
+  });
+
+  it('should list opened, closed and removed accounts', () => {
+    const diff = diffReports(fromReport, toReport);
+
+    expect(diff.openedAccounts.map(account => account.accountNumber)).toEqual(['CC77']);
+    expect(diff.closedAccounts.map(account => account.accountNumber)).toEqual(['PL001']);
+    expect(diff.removedAccounts.map(account => account.accountNumber)).toEqual(['AL9']);
+  });
+
+  it('should report balance, overdue and status changes per account', () => {
+    const diff = diffReports(fromReport, toReport);
+    const personalLoan = diff.changedAccounts.find(account => account.accountNumber === 'PL001');
+
+    expect(diff.changedAccounts).toHaveLength(2);
+    expect(personalLoan).toMatchObject({
+      previousStatus: 'Active - Regular',
+      status: 'Closed',
+      balanceChange: -100000,
+      overdueChange: -5000
+    });
+  });
+
+  it('should compute score and total deltas and new enquiries', () => {
+    const diff = diffReports(fromReport, toReport);
+
+    expect(diff.score).toEqual({ from: 680, to: 720, delta: 40 });
+    expect(diff.totalBalance.delta).toBe(-30000);
+    expect(diff.totalOverdue).toEqual({ from: 5000, to: 0, delta: -5000 });
+    expect(diff.newEnquiries.map(enquiry => enquiry.institution)).toEqual(['Axis Bank']);
+  });
+
+  it('should order reports by bureau report date', () => {
+    expect(orderReports(toReport, fromReport).map(report => report._id)).toEqual(['old', 'new']);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { buildReportFilter, buildReportSort } from '../services/reportQueryService.js';
+import { createPanIndex, createPhoneIndex } from '../services/encryptionService.js';
+import CreditReport from '../models/CreditReport.js';
+
+describe('Report Query Service', () => {
+  describe('buildReportFilter', () => {
+    it('should return an empty filter without parameters', () => {
+      expect(buildReportFilter({})).toEqual({});
+    });
+
+    it('should build name search, PAN and mobile lookups', () => {
+      const filter = buildReportFilter({ search: 'Sagar (Ugale', pan: 'aozpb0247s', mobile: '+91 98190 59898' });
+
+      expect(filter['basicDetails.name']).toEqual({ $regex: 'Sagar \\(Ugale', $options: 'i' });
+      expect(filter['blindIndex.pan']).toBe(createPanIndex('AOZPB0247S'));
+      expect(filter['blindIndex.phones']).toBe(createPhoneIndex('9819059898'));
+      expect(filter).not.toHaveProperty('basicDetails.pan');
+    });
+
+    it('should build score, balance and date ranges', () => {
+      const filter = buildReportFilter({
+        minScore: '650',
+        maxBalance: '100000',
+        uploadedFrom: '2024-01-01',
+        reportDateTo: '2024-01-31',
+        overdue: 'true',
+        bureau: 'CIBIL'
+      });
+
+      expect(filter['basicDetails.creditScore']).toEqual({ $gte: 650 });
+      expect(filter['reportSummary.currentBalanceAmount']).toEqual({ $lte: 100000 });
+      expect(filter.createdAt).toEqual({ $gte: new Date('2024-01-01T00:00:00.000Z') });
+      expect(filter.reportDate).toEqual({ $lte: new Date('2024-01-31T23:59:59.999Z') });
+      expect(filter['creditAccounts.amountOverdue']).toEqual({ $gt: 0 });
+      expect(filter.bureau).toBe('cibil');
+    });
+
+    it('should reject invalid numbers and dates', () => {
+      expect(() => buildReportFilter({ minScore: 'high' })).toThrow('minScore must be a number');
+      expect(() => buildReportFilter({ uploadedTo: 'yesterday' })).toThrow('uploadedTo must be a valid date');
+    });
+  });
+
+  describe('buildReportSort', () => {
+    it('should sort by newest upload by default', () => {
+      expect(buildReportSort({})).toEqual({ createdAt: -1 });
+    });
+
+    it('should map public sort keys to document paths', () => {
+      expect(buildReportSort({ sortBy: 'creditScore', sortOrder: 'asc' })).toEqual({ 'basicDetails.creditScore': 1, _id: 1 });
+    });
+
+    it('should reject unknown sort fields and orders', () => {
+      expect(() => buildReportSort({ sortBy: 'rawXmlUrl' })).toThrow('sortBy must be one of');
+      expect(() => buildReportSort({ sortOrder: 'up' })).toThrow('sortOrder must be asc or desc');
+    });
+  });
+
+  describe('indexes', () => {
+    it('should scope every filter and sort index by organisation first', () => {
+      const indexedFields = CreditReport.schema.indexes()
+        .map(([fields]) => Object.keys(fields))
+        .filter(keys => keys[0] === 'organisation')
+        .map(keys => keys.find(key => !['organisation', 'deletedAt'].includes(key)));
+
+      const filterFields = [
+        'bureau',
+        'reportDate',
+        'basicDetails.name',
+        'blindIndex.pan',
+        'blindIndex.phones',
+        'basicDetails.creditScore',
+        'reportSummary.currentBalanceAmount',
+        'creditAccounts.amountOverdue',
+        'derogatorySummary.hasDerogatory'
+      ];
+      filterFields.forEach(field => expect(indexedFields).toContain(field));
+
+      const unscoped = CreditReport.schema.indexes()
+        .map(([fields]) => Object.keys(fields))
+        .filter(keys => keys[0] !== 'organisation' && keys.some(key => filterFields.includes(key)));
+      expect(unscoped).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  getRetentionPolicy,
+  hasRetentionRules,
+  buildPurgeFilters,
+  toPublicPurgeRun,
+  startRetentionScheduler,
+  stopRetentionScheduler
+} from '../services/retentionService.js';
+
+const RETENTION_ENV = ['RETENTION_RAW_XML_DAYS', 'RETENTION_REPORT_DAYS', 'TRASH_RETENTION_DAYS', 'RETENTION_PURGE_INTERVAL_HOURS', 'RETENTION_PURGE_BATCH_SIZE'];
+
+describe('Retention Service', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    RETENTION_ENV.forEach((name) => {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    });
+  });
+
+  afterEach(() => {
+    RETENTION_ENV.forEach((name) => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+  });
+
+  describe('getRetentionPolicy', () => {
+    it('should keep reports forever and empty the trash after 30 days by default', () => {
+      const policy = getRetentionPolicy();
+
+      expect(policy).toEqual({ rawXmlDays: null, reportDays: null, trashDays: 30, intervalHours: 24, batchSize: 500 });
+    });
+
+    it('should only count a policy without any rule as keeping everything', () => {
+      expect(hasRetentionRules({ rawXmlDays: null, reportDays: null, trashDays: null })).toBe(false);
+      expect(hasRetentionRules(getRetentionPolicy())).toBe(true);
+    });
+
+    it('should read the rules from the environment', () => {
+      process.env.RETENTION_RAW_XML_DAYS = '90';
+      process.env.RETENTION_REPORT_DAYS = '730';
+      process.env.RETENTION_PURGE_INTERVAL_HOURS = '6';
+
+      const policy = getRetentionPolicy();
+
+      expect(policy).toMatchObject({ rawXmlDays: 90, reportDays: 730, intervalHours: 6 });
+      expect(hasRetentionRules(policy)).toBe(true);
+    });
+
+    it('should reject values that are not positive whole numbers', () => {
+      process.env.RETENTION_REPORT_DAYS = '0';
+      expect(() => getRetentionPolicy()).toThrow('RETENTION_REPORT_DAYS must be a positive whole number');
+
+      process.env.RETENTION_REPORT_DAYS = '1.5';
+      expect(() => getRetentionPolicy()).toThrow('RETENTION_REPORT_DAYS must be a positive whole number');
+    });
+  });
+
+  describe('buildPurgeFilters', () => {
+    const now = new Date('2025-01-31T00:00:00.000Z');
+
+    it('should skip legal holds and split the rules at their cutoffs', () => {
+      const filters = buildPurgeFilters({ rawXmlDays: 30, reportDays: 365 }, now);
+
+      expect(filters.deleteReports).toEqual({
+        legalHold: { $ne: true },
+        createdAt: { $lt: new Date('2024-02-01T00:00:00.000Z') }
+      });
+      expect(filters.purgeRawXml).toEqual({
+        legalHold: { $ne: true },
+        rawXmlPurgedAt: null,
+        createdAt: {
+          $lt: new Date('2025-01-01T00:00:00.000Z'),
+          $gte: new Date('2024-02-01T00:00:00.000Z')
+        }
+      });
+    });
+
+    it('should leave out rules that are not configured', () => {
+      const filters = buildPurgeFilters({ rawXmlDays: 30, reportDays: null }, now);
+
+      expect(filters.deleteReports).toBeNull();
+      expect(filters.purgeRawXml.createdAt).toEqual({ $lt: new Date('2025-01-01T00:00:00.000Z') });
+      expect(filters.cutoffs).toEqual({ trash: null, reports: null, rawXml: new Date('2025-01-01T00:00:00.000Z') });
+    });
+
+    it('should empty the trash by deletion date', () => {
+      const filters = buildPurgeFilters({ trashDays: 30 }, now);
+
+      expect(filters.emptyTrash).toEqual({
+        legalHold: { $ne: true },
+        deletedAt: { $lt: new Date('2025-01-01T00:00:00.000Z') }
+      });
+      expect(filters.deleteReports).toBeNull();
+    });
+
+    it('should not purge raw XML separately when reports are deleted sooner', () => {
+      const filters = buildPurgeFilters({ rawXmlDays: 400, reportDays: 365 }, now);
+
+      expect(filters.deleteReports).not.toBeNull();
+      expect(filters.purgeRawXml).toBeNull();
+    });
+  });
+
+  describe('toPublicPurgeRun', () => {
+    const run = {
+      _id: 'run-1',
+      trigger: 'manual',
+      status: 'completed',
+      triggeredBy: { id: 'user-admin', email: 'admin@example.com' },
+      policy: { rawXmlDays: 30 },
+      deletedReports: [],
+      purgedRawXml: [{ reportId: 'r1', storageDriver: 'local', storageKey: 'credit-reports/a.xml' }],
+      failures: [],
+      startedAt: new Date(0)
+    };
+
+    it('should summarise a run with counts', () => {
+      const summary = toPublicPurgeRun(run);
+
+      expect(summary).toMatchObject({
+        id: 'run-1',
+        triggeredBy: { id: 'user-admin', email: 'admin@example.com' },
+        policy: { rawXmlDays: 30, reportDays: null },
+        counts: { deletedReports: 0, purgedRawXml: 1, failures: 0 },
+        completedAt: null
+      });
+      expect(summary.purgedRawXml).toBeUndefined();
+    });
+
+    it('should list the removed files on request', () => {
+      expect(toPublicPurgeRun(run, true).purgedRawXml).toEqual(run.purgedRawXml);
+    });
+  });
+
+  describe('startRetentionScheduler', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      stopRetentionScheduler();
+      vi.useRealTimers();
+    });
+
+    it('should run shortly after start up and then on every interval', async () => {
+      const task = vi.fn().mockResolvedValue();
+
+      startRetentionScheduler(task, 1);
+
+      await vi.advanceTimersByTimeAsync(5 * 60 * 1000);
+      expect(task).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(60 * 60 * 1000);
+      expect(task).toHaveBeenCalledTimes(2);
+    });
+
+    it('should wait out intervals longer than the timer limit', async () => {
+      const task = vi.fn().mockResolvedValue();
+
+      // 1000 hours is past the 2^31-1 ms a single timer can wait
+      startRetentionScheduler(task, 1000);
+
+      await vi.advanceTimersByTimeAsync(60 * 60 * 1000);
+      expect(task).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(998 * 60 * 60 * 1000);
+      expect(task).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(60 * 60 * 1000);
+      expect(task).toHaveBeenCalledTimes(2);
+
+      await vi.advanceTimersByTimeAsync(1000 * 60 * 60 * 1000);
+      expect(task).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not overlap a run that is still going', async () => {
+      const task = vi.fn(() => new Promise(() => {}));
+
+      startRetentionScheduler(task, 1);
+      await vi.advanceTimersByTimeAsync(3 * 60 * 60 * 1000);
+
+      expect(task).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop running once stopped', async () => {
+      const task = vi.fn().mockResolvedValue();
+
+      startRetentionScheduler(task, 1);
+      stopRetentionScheduler();
+      await vi.advanceTimersByTimeAsync(2 * 60 * 60 * 1000);
+
+      expect(task).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,209 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import {
+  getStorageDriver,
+  getStorageDriverIds,
+  getConfiguredDriverId,
+  getReportStorage,
+  registerStorageDriver
+} from '../services/storage/index.js';
+import { resetS3Client } from '../services/storage/s3StorageDriver.js';
+import { getSignedXmlFileUrl } from '../config/cloudinary.js';
+
+/**
+ * Read a stream to a string
+ * @param {Readable} stream - Stream
+ * @returns {Promise<string>} Content
+ */
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+describe('Storage Drivers', () => {
+  let workDir;
+  let sourceFile;
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'creditsea-storage-'));
+    sourceFile = path.join(workDir, 'upload.xml');
+    fs.writeFileSync(sourceFile, '<INProfileResponse/>');
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe('Driver selection', () => {
+    it('should register the built-in drivers', () => {
+      expect(getStorageDriverIds()).toEqual(expect.arrayContaining(['local', 's3', 'cloudinary']));
+    });
+
+    it('should use STORAGE_DRIVER, else Cloudinary when configured, else local', () => {
+      delete process.env.STORAGE_DRIVER;
+      delete process.env.CLOUDINARY_CLOUD_NAME;
+      expect(getConfiguredDriverId()).toBe('local');
+
+      process.env.CLOUDINARY_CLOUD_NAME = 'demo';
+      expect(getConfiguredDriverId()).toBe('cloudinary');
+
+      process.env.STORAGE_DRIVER = 'S3';
+      expect(getStorageDriver().id).toBe('s3');
+    });
+
+    it('should reject unknown drivers', () => {
+      expect(() => getStorageDriver('ftp')).toThrow('Unknown storage driver "ftp"');
+      expect(() => registerStorageDriver({ id: 'broken', name: 'Broken' })).toThrow('Storage drivers must provide');
+    });
+
+    it('should locate legacy reports by their Cloudinary public ID', () => {
+      const legacy = getReportStorage({ cloudinaryPublicId: 'credit-reports/old' });
+      expect(legacy.driver.id).toBe('cloudinary');
+      expect(legacy.key).toBe('credit-reports/old');
+
+      const current = getReportStorage({ storageDriver: 'local', storageKey: 'credit-reports/new.xml' });
+      expect(current.driver.id).toBe('local');
+      expect(current.key).toBe('credit-reports/new.xml');
+    });
+  });
+
+  describe('Local driver', () => {
+    it('should upload, download and delete a file', async () => {
+      process.env.STORAGE_LOCAL_DIR = path.join(workDir, 'store');
+      const driver = getStorageDriver('local');
+
+      const { key, url } = await driver.upload(sourceFile, 'John Doe report.xml');
+      expect(key).toMatch(/^credit-reports\/\d+-[a-f0-9]{8}-John_Doe_report\.xml$/);
+      expect(url).toBeNull();
+
+      expect(await readStream(await driver.download(key))).toBe('<INProfileResponse/>');
+
+      await driver.delete(key);
+      await expect(driver.download(key)).rejects.toMatchObject({ name: 'StorageNotFoundError' });
+      await expect(driver.delete(key)).resolves.toBeUndefined();
+    });
+
+    it('should refuse keys outside the storage directory', async () => {
+      process.env.STORAGE_LOCAL_DIR = path.join(workDir, 'store');
+      const driver = getStorageDriver('local');
+
+      await expect(driver.download('../upload.xml')).rejects.toMatchObject({ name: 'StorageError' });
+    });
+  });
+
+  describe('S3 driver', () => {
+    // Minimal S3-compatible stand-in: path-style PUT, GET and DELETE of objects
+    const objects = new Map();
+    let server;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+          const objectPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+
+          if (req.method === 'PUT') {
+            objects.set(objectPath, Buffer.concat(chunks));
+            res.writeHead(200, { ETag: '"etag"' });
+            return res.end();
+          }
+
+          if (req.method === 'GET' && objects.has(objectPath)) {
+            res.writeHead(200, { 'Content-Type': 'application/xml' });
+            return res.end(objects.get(objectPath));
+          }
+
+          if (req.method === 'DELETE') {
+            objects.delete(objectPath);
+            res.writeHead(204);
+            return res.end();
+          }
+
+          res.writeHead(404, { 'Content-Type': 'application/xml' });
+          res.end('<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      process.env.S3_ENDPOINT = `http://127.0.0.1:${server.address().port}`;
+      process.env.S3_FORCE_PATH_STYLE = 'true';
+      process.env.S3_BUCKET = 'reports';
+      process.env.S3_ACCESS_KEY_ID = 'minio';
+      process.env.S3_SECRET_ACCESS_KEY = 'minio-secret';
+      resetS3Client();
+    });
+
+    it('should upload, download and delete an object', async () => {
+      const driver = getStorageDriver('s3');
+
+      const { key } = await driver.upload(sourceFile, 'report.xml');
+      expect(objects.get(`/reports/${key}`).toString()).toBe('<INProfileResponse/>');
+
+      expect(await readStream(await driver.download(key))).toBe('<INProfileResponse/>');
+
+      await driver.delete(key);
+      expect(objects.has(`/reports/${key}`)).toBe(false);
+      await expect(driver.download(key)).rejects.toMatchObject({ name: 'StorageNotFoundError' });
+    });
+
+    it('should require a bucket', async () => {
+      delete process.env.S3_BUCKET;
+      await expect(getStorageDriver('s3').download('credit-reports/a.xml')).rejects.toThrow('S3_BUCKET must be set');
+    });
+  });
+
+  describe('Cloudinary driver', () => {
+    beforeEach(() => {
+      process.env.CLOUDINARY_CLOUD_NAME = 'creditsea';
+      process.env.CLOUDINARY_API_KEY = 'key';
+      process.env.CLOUDINARY_API_SECRET = 'secret';
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should download through a short-lived signed URL', () => {
+      const url = new URL(getSignedXmlFileUrl('credit-reports/a.xml'));
+      const now = Math.floor(Date.now() / 1000);
+
+      expect(url.hostname).toBe('api.cloudinary.com');
+      expect(url.searchParams.get('type')).toBe('authenticated');
+      expect(url.searchParams.get('signature')).toBeTruthy();
+      expect(Number(url.searchParams.get('expires_at'))).toBeGreaterThan(now);
+      expect(Number(url.searchParams.get('expires_at'))).toBeLessThanOrEqual(now + 60);
+    });
+
+    it('should fall back to the public type of files stored before private delivery', async () => {
+      const fetchMock = vi.fn(async (url) => (new URL(url).searchParams.get('type') === 'upload'
+        ? new Response('<INProfileResponse/>')
+        : new Response('', { status: 404 })));
+      vi.stubGlobal('fetch', fetchMock);
+
+      const stream = await getStorageDriver('cloudinary').download('credit-reports/old.xml');
+
+      expect(await readStream(stream)).toBe('<INProfileResponse/>');
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report files missing under either type as not found', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => new Response('', { status: 404 })));
+
+      await expect(getStorageDriver('cloudinary').download('credit-reports/gone.xml'))
+        .rejects.toMatchObject({ name: 'StorageNotFoundError' });
+    });
+  });
+});
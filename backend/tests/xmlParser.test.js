@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import { parseXmlFile } from '../services/xmlParserService.js';
+import { transformCreditReportData } from '../services/dataTransformerService.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -175,6 +176,53 @@ describe('XML Parser Service', () => {
     });
   });
 
+  describe('Payment history profiles', () => {
+    it('should keep an all-digit Payment_History_Profile as text through the transform', async () => {
+      const profile = '111100000000000000000000000000000000';
+      const testFilePath = createTestXmlFile(`<?xml version="1.0" encoding="UTF-8"?>
+        <INProfileResponse>
+          <CAIS_Account>
+            <CAIS_Account_DETAILS>
+              <Account_Type>10</Account_Type>
+              <Subscriber_Name>Test Bank</Subscriber_Name>
+              <Account_Status>11</Account_Status>
+              <Date_Reported>20190130</Date_Reported>
+              <Payment_History_Profile>${profile}</Payment_History_Profile>
+            </CAIS_Account_DETAILS>
+          </CAIS_Account>
+        </INProfileResponse>`);
+
+      try {
+        const parsed = await parseXmlFile(testFilePath);
+        expect(parsed.INProfileResponse.CAIS_Account.CAIS_Account_DETAILS.Payment_History_Profile).toBe(profile);
+
+        const [account] = transformCreditReportData(parsed).creditAccounts;
+        expect(account.paymentHistory).toBe(profile);
+        expect(account.paymentHistoryMonths).toHaveLength(profile.length);
+        expect(account.paymentHistoryMonths[0]).toMatchObject({ period: '2019-01', code: '1' });
+        expect(account.paymentHistoryMonths.map(month => month.code).join('')).toBe(profile);
+      } finally {
+        cleanupTestFile(testFilePath);
+      }
+    });
+
+    it('should keep CIBIL PaymentHistory strings starting with a non-zero DPD as text', async () => {
+      const testFilePath = createTestXmlFile(`<?xml version="1.0" encoding="UTF-8"?>
+        <Account>
+          <PaymentHistory1>030000000000000000</PaymentHistory1>
+          <PaymentHistory2>900000000000</PaymentHistory2>
+        </Account>`);
+
+      try {
+        const parsed = await parseXmlFile(testFilePath);
+        expect(parsed.Account.PaymentHistory1).toBe('030000000000000000');
+        expect(parsed.Account.PaymentHistory2).toBe('900000000000');
+      } finally {
+        cleanupTestFile(testFilePath);
+      }
+    });
+  });
+
   describe('XML Structure Validation', () => {
     it('should parse XML with multiple accounts', async () => {
       const multiAccountXml = `<?xml version="1.0" encoding="UTF-8"?>
@@ -1,12 +1,24 @@
 import { BrowserRouter as Router, Routes, Route, Link, useLocation } from 'react-router-dom';
-import { DocumentTextIcon, CloudArrowUpIcon, HomeIcon } from '@heroicons/react/24/outline';
+import { DocumentTextIcon, CloudArrowUpIcon, ArrowRightOnRectangleIcon, ClipboardDocumentListIcon, ArchiveBoxXMarkIcon, TrashIcon } from '@heroicons/react/24/outline';
 import UploadPage from './pages/UploadPage';
+import BatchUploadPage from './pages/BatchUploadPage';
 import ReportsPage from './pages/ReportsPage';
 import ReportDetailPage from './pages/ReportDetailPage';
+import ApplicantPage from './pages/ApplicantPage';
+import ComparePage from './pages/ComparePage';
+import LoginPage from './pages/LoginPage';
+import AuditPage from './pages/AuditPage';
+import RetentionPage from './pages/RetentionPage';
+import TrashPage from './pages/TrashPage';
+import AuthProvider from './context/AuthContext';
+import ProtectedRoute from './components/ProtectedRoute';
+import { useAuth } from './context/authContext';
 
 // Navigation component
 const Navigation = () => {
   const location = useLocation();
+  const { user, logout, hasPermission, organisations, organisation, selectOrganisation } = useAuth();
+  const selectableOrganisations = organisations.filter(entry => entry.active !== false);
   
   const isActive = (path) => {
     if (path === '/' && location.pathname === '/') return true;
@@ -27,30 +39,113 @@ const Navigation = () => {
           </Link>
 
           {/* Navigation Links */}
-          <div className="flex space-x-8">
-            <Link
-              to="/"
-              className={`flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-colors ${
-                isActive('/') 
-                  ? 'text-primary-600 bg-primary-50' 
-                  : 'text-gray-500 hover:text-gray-700 hover:bg-gray-50'
-              }`}
-            >
-              <CloudArrowUpIcon className="w-4 h-4" />
-              <span>Upload</span>
-            </Link>
-            
-            <Link
-              to="/reports"
-              className={`flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-colors ${
-                isActive('/reports') 
-                  ? 'text-primary-600 bg-primary-50' 
-                  : 'text-gray-500 hover:text-gray-700 hover:bg-gray-50'
-              }`}
-            >
-              <DocumentTextIcon className="w-4 h-4" />
-              <span>Reports</span>
-            </Link>
+          <div className="flex items-center space-x-8">
+            {hasPermission('reports:upload') && (
+              <Link
+                to="/"
+                className={`flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                  isActive('/') 
+                    ? 'text-primary-600 bg-primary-50' 
+                    : 'text-gray-500 hover:text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <CloudArrowUpIcon className="w-4 h-4" />
+                <span>Upload</span>
+              </Link>
+            )}
+
+            {user && (
+              <Link
+                to="/reports"
+                className={`flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                  isActive('/reports') 
+                    ? 'text-primary-600 bg-primary-50' 
+                    : 'text-gray-500 hover:text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <DocumentTextIcon className="w-4 h-4" />
+                <span>Reports</span>
+              </Link>
+            )}
+
+            {hasPermission('audit:read') && (
+              <Link
+                to="/audit"
+                className={`flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                  isActive('/audit') 
+                    ? 'text-primary-600 bg-primary-50' 
+                    : 'text-gray-500 hover:text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <ClipboardDocumentListIcon className="w-4 h-4" />
+                <span>Audit</span>
+              </Link>
+            )}
+
+            {hasPermission('reports:delete') && (
+              <Link
+                to="/trash"
+                className={`flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                  isActive('/trash') 
+                    ? 'text-primary-600 bg-primary-50' 
+                    : 'text-gray-500 hover:text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <TrashIcon className="w-4 h-4" />
+                <span>Trash</span>
+              </Link>
+            )}
+
+            {hasPermission('retention:manage') && (
+              <Link
+                to="/retention"
+                className={`flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                  isActive('/retention') 
+                    ? 'text-primary-600 bg-primary-50' 
+                    : 'text-gray-500 hover:text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <ArchiveBoxXMarkIcon className="w-4 h-4" />
+                <span>Retention</span>
+              </Link>
+            )}
+
+            {user && selectableOrganisations.length > 1 && (
+              <select
+                value={organisation?.id || ''}
+                onChange={(e) => selectOrganisation(e.target.value)}
+                className="text-sm border border-gray-300 rounded-md px-2 py-1.5 focus:ring-2 focus:ring-primary-500"
+                aria-label="Organisation"
+              >
+                {selectableOrganisations.map(entry => (
+                  <option key={entry.id} value={entry.id}>{entry.name}</option>
+                ))}
+              </select>
+            )}
+
+            {user && selectableOrganisations.length === 1 && (
+              <span className="text-sm text-gray-500">{organisation?.name}</span>
+            )}
+
+            {user ? (
+              <div className="flex items-center space-x-3 border-l border-gray-200 pl-6">
+                <div className="text-right">
+                  <div className="text-sm font-medium text-gray-900">{user.name || user.email}</div>
+                  <div className="text-xs text-gray-500 capitalize">{user.role}</div>
+                </div>
+                <button
+                  onClick={logout}
+                  className="text-gray-500 hover:text-gray-700"
+                  title="Sign out"
+                >
+                  <ArrowRightOnRectangleIcon className="w-5 h-5" />
+                </button>
+              </div>
+            ) : (
+              <Link to="/login" className="btn-primary text-sm">
+                Sign in
+              </Link>
+            )}
           </div>
         </div>
       </div>
@@ -167,31 +262,46 @@ const HomePage = () => {
   );
 };
 
+// Remount pages when the organisation changes so they reload its reports
+const OrganisationRoutes = ({ children }) => {
+  const { organisation } = useAuth();
+  return <main key={organisation?.id || 'none'}>{children}</main>;
+};
+
 // Main App component
 function App() {
   return (
     <Router>
-      <div className="min-h-screen bg-gray-50">
-        <Navigation />
+      <AuthProvider>
+        <div className="min-h-screen bg-gray-50">
+          <Navigation />
         
-        <main>
-          <Routes>
-            <Route path="/" element={<HomePage />} />
-            <Route path="/upload" element={<UploadPage />} />
-            <Route path="/reports" element={<ReportsPage />} />
-            <Route path="/reports/:id" element={<ReportDetailPage />} />
-          </Routes>
-        </main>
-
-        {/* Footer */}
-        <footer className="bg-white border-t border-gray-200">
-          <div className="max-w-7xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
-            <div className="text-center text-sm text-gray-500">
-              <p>&copy; 2025 CreditSea. Built with React, Node.js, and MongoDB.</p>
+          <OrganisationRoutes>
+            <Routes>
+              <Route path="/" element={<HomePage />} />
+              <Route path="/login" element={<LoginPage />} />
+              <Route path="/upload" element={<ProtectedRoute permission="reports:upload"><UploadPage /></ProtectedRoute>} />
+              <Route path="/upload/batch" element={<ProtectedRoute permission="reports:upload"><BatchUploadPage /></ProtectedRoute>} />
+              <Route path="/reports" element={<ProtectedRoute permission="reports:read"><ReportsPage /></ProtectedRoute>} />
+              <Route path="/reports/:id" element={<ProtectedRoute permission="reports:read"><ReportDetailPage /></ProtectedRoute>} />
+              <Route path="/applicants/:applicantId" element={<ProtectedRoute permission="reports:read"><ApplicantPage /></ProtectedRoute>} />
+              <Route path="/compare" element={<ProtectedRoute permission="reports:read"><ComparePage /></ProtectedRoute>} />
+              <Route path="/audit" element={<ProtectedRoute permission="audit:read"><AuditPage /></ProtectedRoute>} />
+              <Route path="/trash" element={<ProtectedRoute permission="reports:delete"><TrashPage /></ProtectedRoute>} />
+              <Route path="/retention" element={<ProtectedRoute permission="retention:manage"><RetentionPage /></ProtectedRoute>} />
+            </Routes>
+          </OrganisationRoutes>
+
+          {/* Footer */}
+          <footer className="bg-white border-t border-gray-200">
+            <div className="max-w-7xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
+              <div className="text-center text-sm text-gray-500">
+                <p>&copy; 2025 CreditSea. Built with React, Node.js, and MongoDB.</p>
+              </div>
             </div>
-          </div>
-        </footer>
-      </div>
+          </footer>
+        </div>
+      </AuthProvider>
     </Router>
   );
 }
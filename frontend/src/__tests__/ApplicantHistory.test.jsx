@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import ApplicantHistory from '../components/ApplicantHistory';
+
+// Mock the credit reports API
+vi.mock('../api/creditReports', () => ({
+  getApplicant: vi.fn()
+}));
+
+import { getApplicant } from '../api/creditReports';
+
+// Applicants are addressed by the hex PAN blind index
+const APPLICANT_ID = 'a'.repeat(64);
+
+const mockApplicantData = {
+  success: true,
+  data: {
+    id: APPLICANT_ID,
+    pan: 'AOZPB****S',
+    name: 'John Doe',
+    reportCount: 2,
+    bureaus: ['experian', 'cibil'],
+    timeline: [
+      {
+        id: '1',
+        bureau: 'experian',
+        reportDate: '2023-06-01T00:00:00Z',
+        createdAt: '2023-06-02T00:00:00Z',
+        creditScore: 680,
+        currentBalance: 120000,
+        totalAccounts: 5,
+        activeAccounts: 4,
+        hasDerogatory: false
+      },
+      {
+        id: '2',
+        bureau: 'cibil',
+        reportDate: '2024-03-01T00:00:00Z',
+        createdAt: '2024-03-02T00:00:00Z',
+        creditScore: 720,
+        currentBalance: 80000,
+        totalAccounts: 4,
+        activeAccounts: 3,
+        hasDerogatory: false
+      }
+    ],
+    trends: {
+      creditScore: { first: 680, latest: 720, change: 40, min: 680, max: 720 },
+      currentBalance: { first: 120000, latest: 80000, change: -40000, min: 80000, max: 120000 }
+    }
+  }
+};
+
+const renderAt = (applicantId) => render(
+  <MemoryRouter initialEntries={[`/applicants/${applicantId}`]}>
+    <Routes>
+      <Route path="/applicants/:applicantId" element={<ApplicantHistory />} />
+    </Routes>
+  </MemoryRouter>
+);
+
+describe('ApplicantHistory Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should render the report timeline and trends', async () => {
+    getApplicant.mockResolvedValueOnce(mockApplicantData);
+
+    renderAt(APPLICANT_ID);
+
+    await waitFor(() => {
+      expect(screen.getByText('Applicant - John Doe')).toBeInTheDocument();
+    });
+
+    expect(getApplicant).toHaveBeenCalledWith(APPLICANT_ID);
+    expect(screen.getByText(/PAN AOZPB\*\*\*\*S/)).toBeInTheDocument();
+    expect(screen.getByText(/2 report\(s\) from Experian, TransUnion CIBIL/)).toBeInTheDocument();
+    expect(screen.getByText(/\+40 since first report/)).toBeInTheDocument();
+    expect(screen.getByText(/-₹40,000 since first report/)).toBeInTheDocument();
+    expect(screen.getAllByTitle('View Report')).toHaveLength(2);
+  });
+
+  it('should show an error when the applicant is not found', async () => {
+    getApplicant.mockRejectedValueOnce(new Error('Resource not found'));
+
+    renderAt(APPLICANT_ID);
+
+    await waitFor(() => {
+      expect(screen.getByText('Error loading applicant')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Resource not found')).toBeInTheDocument();
+  });
+});
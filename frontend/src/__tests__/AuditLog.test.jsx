@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import AuditLog from '../components/AuditLog';
+
+vi.mock('../api/creditReports', () => ({
+  getAuditLogs: vi.fn()
+}));
+
+import { getAuditLogs } from '../api/creditReports';
+
+const mockAuditData = {
+  success: true,
+  data: {
+    entries: [
+      {
+        id: 'a1',
+        action: 'report.download',
+        reportId: '64b7f0c2a1b2c3d4e5f60718',
+        actor: { id: 'u1', email: 'analyst@example.com', role: 'analyst' },
+        ip: '10.0.0.1',
+        details: { fileName: 'credit-report-john-doe-2024-01-15.xml' },
+        createdAt: '2024-01-15T10:30:00Z'
+      },
+      {
+        id: 'a2',
+        action: 'report.delete',
+        reportId: '64b7f0c2a1b2c3d4e5f60719',
+        actor: { id: 'u2', email: 'admin@example.com', role: 'admin' },
+        ip: '10.0.0.2',
+        details: { bureau: 'experian' },
+        createdAt: '2024-01-16T09:00:00Z'
+      }
+    ],
+    pagination: {
+      currentPage: 1,
+      totalPages: 1,
+      totalEntries: 2,
+      hasNextPage: false,
+      hasPrevPage: false
+    }
+  }
+};
+
+const renderAuditLog = (props = {}) => render(
+  <MemoryRouter>
+    <AuditLog {...props} />
+  </MemoryRouter>
+);
+
+describe('AuditLog Component', () => {
+  const user = userEvent.setup();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should list audit entries with actor and action', async () => {
+    getAuditLogs.mockResolvedValueOnce(mockAuditData);
+
+    renderAuditLog();
+
+    await waitFor(() => {
+      expect(screen.getByText('analyst@example.com')).toBeInTheDocument();
+    });
+
+    expect(getAuditLogs).toHaveBeenCalledWith(1, 25, {});
+    expect(screen.getByText('2 entries')).toBeInTheDocument();
+    expect(screen.getByRole('cell', { name: 'Downloaded XML' })).toBeInTheDocument();
+    expect(screen.getByRole('cell', { name: 'Moved to trash' })).toBeInTheDocument();
+    expect(screen.getByText('fileName: credit-report-john-doe-2024-01-15.xml')).toBeInTheDocument();
+    // Deleted reports can no longer be opened
+    expect(screen.getAllByText('View report')).toHaveLength(1);
+  });
+
+  it('should scope the trail to a single report', async () => {
+    getAuditLogs.mockResolvedValueOnce(mockAuditData);
+
+    renderAuditLog({ reportId: '64b7f0c2a1b2c3d4e5f60718' });
+
+    await waitFor(() => {
+      expect(screen.getByText('analyst@example.com')).toBeInTheDocument();
+    });
+
+    expect(getAuditLogs).toHaveBeenCalledWith(1, 25, { reportId: '64b7f0c2a1b2c3d4e5f60718' });
+    expect(screen.queryByText('View report')).not.toBeInTheDocument();
+  });
+
+  it('should request filtered entries when filters are applied', async () => {
+    getAuditLogs.mockResolvedValue(mockAuditData);
+
+    renderAuditLog();
+
+    await waitFor(() => {
+      expect(screen.getByText('analyst@example.com')).toBeInTheDocument();
+    });
+
+    await user.selectOptions(screen.getByLabelText('Action'), 'report.download');
+    await user.type(screen.getByLabelText('User email'), 'analyst@example.com');
+    await user.click(screen.getByRole('button', { name: 'Apply Filters' }));
+
+    await waitFor(() => {
+      expect(getAuditLogs).toHaveBeenLastCalledWith(1, 25, {
+        action: 'report.download',
+        actorEmail: 'analyst@example.com'
+      });
+    });
+
+    getAuditLogs.mockReset();
+  });
+
+  it('should show an empty state', async () => {
+    getAuditLogs.mockResolvedValueOnce({
+      success: true,
+      data: { entries: [], pagination: { currentPage: 1, totalPages: 0, totalEntries: 0 } }
+    });
+
+    renderAuditLog();
+
+    await waitFor(() => {
+      expect(screen.getByText('No audit entries found')).toBeInTheDocument();
+    });
+  });
+
+  it('should show API errors', async () => {
+    getAuditLogs.mockRejectedValueOnce(new Error('Access denied'));
+
+    renderAuditLog();
+
+    await waitFor(() => {
+      expect(screen.getByText('Error loading audit trail')).toBeInTheDocument();
+      expect(screen.getByText('Access denied')).toBeInTheDocument();
+    });
+  });
+});
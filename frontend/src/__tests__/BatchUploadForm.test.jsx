@@ -0,0 +1,128 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import BatchUploadForm from '../components/BatchUploadForm';
+
+// Mock the credit reports API
+vi.mock('../api/creditReports', () => ({
+  uploadBatch: vi.fn(),
+  waitForJob: vi.fn()
+}));
+
+import { uploadBatch, waitForJob } from '../api/creditReports';
+
+// Signed in as an admin unless a test says otherwise
+const mockHasPermission = vi.fn(() => true);
+vi.mock('../context/authContext', () => ({
+  useAuth: () => ({ hasPermission: mockHasPermission })
+}));
+
+const mockBatchJob = {
+  id: 'job-1',
+  type: 'batch',
+  status: 'completed',
+  stage: 'completed',
+  progress: { processed: 3, total: 3 },
+  result: {
+    summary: { total: 3, created: 1, duplicate: 1, invalid: 1, failed: 0 },
+    results: [
+      { fileName: 'alice.xml', archive: null, status: 'created', reportId: 'r1', bureau: 'experian', name: 'Alice' },
+      { fileName: 'bob.xml', archive: 'batch.zip', status: 'duplicate', reportId: 'r0', message: 'This file has already been processed' },
+      { fileName: 'notes.txt', archive: 'batch.zip', status: 'invalid', message: 'Only XML files are allowed' }
+    ]
+  }
+};
+
+const renderForm = (props = {}) => render(
+  <MemoryRouter>
+    <BatchUploadForm {...props} />
+  </MemoryRouter>
+);
+
+describe('BatchUploadForm Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockHasPermission.mockImplementation(() => true);
+  });
+
+  it('should upload the selected files and show per-file results', async () => {
+    uploadBatch.mockResolvedValueOnce({ success: true, data: { jobId: 'job-1', status: 'queued' } });
+    waitForJob.mockResolvedValueOnce(mockBatchJob);
+
+    renderForm();
+
+    const xml = new File(['<a/>'], 'alice.xml', { type: 'text/xml' });
+    const zip = new File(['PK'], 'batch.zip', { type: 'application/zip' });
+    fireEvent.change(screen.getByTestId('batch-file-input'), { target: { files: [xml, zip] } });
+
+    expect(screen.getByText('2 file(s) selected', { exact: false })).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Upload & Process 2 File(s)'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Batch Results')).toBeInTheDocument();
+    });
+
+    expect(uploadBatch).toHaveBeenCalledWith([xml, zip], expect.any(Function));
+    expect(waitForJob).toHaveBeenCalledWith('job-1', expect.any(Object));
+    expect(screen.getByText('Created')).toBeInTheDocument();
+    expect(screen.getByText('Duplicate')).toBeInTheDocument();
+    expect(screen.getByText('Only XML files are allowed')).toBeInTheDocument();
+    expect(screen.getAllByText('View Report')).toHaveLength(2);
+  });
+
+  it('should point duplicates of trashed reports to the trash', async () => {
+    uploadBatch.mockResolvedValueOnce({ success: true, data: { jobId: 'job-1', status: 'queued' } });
+    waitForJob.mockResolvedValueOnce({
+      ...mockBatchJob,
+      result: {
+        summary: { total: 1, created: 0, duplicate: 1, invalid: 0, failed: 0 },
+        results: [{ fileName: 'bob.xml', archive: null, status: 'duplicate', reportId: 'r0', inTrash: true, message: 'This file belongs to a report in the trash' }]
+      }
+    });
+
+    renderForm();
+
+    fireEvent.change(screen.getByTestId('batch-file-input'), { target: { files: [new File(['<a/>'], 'bob.xml', { type: 'text/xml' })] } });
+    fireEvent.click(screen.getByText('Upload & Process 1 File(s)'));
+
+    expect(await screen.findByText('Open Trash')).toHaveAttribute('href', '/trash');
+    expect(screen.queryByText('View Report')).not.toBeInTheDocument();
+  });
+
+  it('should reject files that are neither XML nor ZIP', () => {
+    const onUploadError = vi.fn();
+    renderForm({ onUploadError });
+
+    const pdf = new File(['%PDF'], 'report.pdf', { type: 'application/pdf' });
+    fireEvent.change(screen.getByTestId('batch-file-input'), { target: { files: [pdf] } });
+
+    expect(onUploadError).toHaveBeenCalledWith('report.pdf: only XML or ZIP files are allowed');
+    expect(screen.queryByText('file(s) selected', { exact: false })).not.toBeInTheDocument();
+  });
+
+  it('should stop following the job when the form unmounts', async () => {
+    const onUploadError = vi.fn();
+    uploadBatch.mockResolvedValueOnce({ success: true, data: { jobId: 'job-1', status: 'queued' } });
+    waitForJob.mockImplementationOnce((jobId, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+
+    const { unmount } = renderForm({ onUploadError });
+
+    const xml = new File(['<a/>'], 'alice.xml', { type: 'text/xml' });
+    fireEvent.change(screen.getByTestId('batch-file-input'), { target: { files: [xml] } });
+    fireEvent.click(screen.getByText('Upload & Process 1 File(s)'));
+
+    await waitFor(() => {
+      expect(waitForJob).toHaveBeenCalled();
+    });
+    const { signal } = waitForJob.mock.calls[0][1];
+
+    unmount();
+
+    expect(signal.aborted).toBe(true);
+    await Promise.resolve();
+    expect(onUploadError).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import AuthProvider from '../context/AuthContext';
+import LoginPage from '../pages/LoginPage';
+import ProtectedRoute from '../components/ProtectedRoute';
+
+// Mock the credit reports API; the token helpers keep state like localStorage would
+let mockToken = null;
+let mockOrganisationId = null;
+vi.mock('../api/creditReports', () => ({
+  login: vi.fn(),
+  getCurrentUser: vi.fn(),
+  getOrganisations: vi.fn(),
+  getAuthToken: () => mockToken,
+  setAuthToken: (token) => { mockToken = token; },
+  getOrganisationId: () => mockOrganisationId,
+  setOrganisationId: (organisationId) => { mockOrganisationId = organisationId; },
+  setUnauthorizedHandler: vi.fn()
+}));
+
+import { login, getCurrentUser, getOrganisations } from '../api/creditReports';
+
+const ORGANISATIONS = [
+  { id: 'org-1', name: 'Acme Finance', slug: 'acme-finance', active: true },
+  { id: 'org-2', name: 'Beta Lending', slug: 'beta-lending', active: true }
+];
+
+const renderApp = (initialPath) => render(
+  <MemoryRouter initialEntries={[initialPath]}>
+    <AuthProvider>
+      <Routes>
+        <Route path="/login" element={<LoginPage />} />
+        <Route path="/reports" element={<ProtectedRoute permission="reports:read"><p>Reports page</p></ProtectedRoute>} />
+        <Route path="/upload" element={<ProtectedRoute permission="reports:upload"><p>Upload page</p></ProtectedRoute>} />
+      </Routes>
+    </AuthProvider>
+  </MemoryRouter>
+);
+
+describe('Login and protected routes', () => {
+  const user = userEvent.setup();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockToken = null;
+    mockOrganisationId = null;
+    getOrganisations.mockResolvedValue(ORGANISATIONS);
+  });
+
+  it('should send signed out users to the login page and back after signing in', async () => {
+    login.mockResolvedValueOnce({
+      token: 'token-1',
+      user: { email: 'analyst@example.com', role: 'analyst', permissions: ['reports:read', 'reports:download'] }
+    });
+
+    renderApp('/reports');
+
+    expect(screen.getByText('Sign in to CreditSea')).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText('Email'), ' analyst@example.com ');
+    await user.type(screen.getByLabelText('Password'), 'password123');
+    await user.click(screen.getByRole('button', { name: 'Sign in' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Reports page')).toBeInTheDocument();
+    });
+    expect(login).toHaveBeenCalledWith('analyst@example.com', 'password123');
+    expect(mockToken).toBe('token-1');
+    expect(mockOrganisationId).toBe('org-1');
+  });
+
+  it('should keep the stored organisation selection', async () => {
+    mockToken = 'stored-token';
+    mockOrganisationId = 'org-2';
+    getCurrentUser.mockResolvedValueOnce({ email: 'analyst@example.com', role: 'analyst', permissions: ['reports:read'] });
+
+    renderApp('/reports');
+
+    expect(await screen.findByText('Reports page')).toBeInTheDocument();
+    expect(mockOrganisationId).toBe('org-2');
+  });
+
+  it('should explain when the user has no organisation', async () => {
+    mockToken = 'stored-token';
+    getOrganisations.mockResolvedValueOnce([]);
+    getCurrentUser.mockResolvedValueOnce({ email: 'analyst@example.com', role: 'analyst', permissions: ['reports:read'] });
+
+    renderApp('/reports');
+
+    expect(await screen.findByText('No organisation')).toBeInTheDocument();
+  });
+
+  it('should show the login error', async () => {
+    login.mockRejectedValueOnce(new Error('Invalid email or password'));
+
+    renderApp('/login');
+
+    await user.type(screen.getByLabelText('Email'), 'analyst@example.com');
+    await user.type(screen.getByLabelText('Password'), 'wrong-password1');
+    await user.click(screen.getByRole('button', { name: 'Sign in' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Invalid email or password');
+    expect(screen.getByLabelText('Password')).toHaveValue('');
+  });
+
+  it('should restore a stored session and enforce the route permission', async () => {
+    mockToken = 'stored-token';
+    getCurrentUser.mockResolvedValueOnce({ email: 'analyst@example.com', role: 'analyst', permissions: ['reports:read'] });
+
+    renderApp('/upload');
+
+    expect(await screen.findByText('Access denied')).toBeInTheDocument();
+    expect(screen.queryByText('Upload page')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import ReportComparison from '../components/ReportComparison';
+
+// Mock the credit reports API
+vi.mock('../api/creditReports', () => ({
+  compareReports: vi.fn()
+}));
+
+import { compareReports } from '../api/creditReports';
+
+const account = {
+  bankName: 'HDFC BANK',
+  accountNumber: 'XXXX1234',
+  type: 'Credit Card',
+  status: 'Active',
+  currentBalance: 30000,
+  amountOverdue: 0
+};
+
+const mockComparisonData = {
+  success: true,
+  data: {
+    applicant: { id: 'a'.repeat(64), name: 'John Doe', pan: 'AOZPB****S' },
+    from: { id: '1', bureau: 'experian', reportDate: '2023-06-01T00:00:00Z', createdAt: '2023-06-02T00:00:00Z' },
+    to: { id: '2', bureau: 'experian', reportDate: '2024-03-01T00:00:00Z', createdAt: '2024-03-02T00:00:00Z' },
+    score: { from: 680, to: 720, delta: 40 },
+    totalBalance: { from: 120000, to: 80000, delta: -40000 },
+    totalOverdue: { from: 5000, to: 0, delta: -5000 },
+    openedAccounts: [{ ...account, key: 'ICICI BANK|XXXX9999', bankName: 'ICICI BANK', accountNumber: 'XXXX9999' }],
+    closedAccounts: [],
+    removedAccounts: [],
+    changedAccounts: [{
+      ...account,
+      key: 'HDFC BANK|XXXX1234',
+      previousStatus: 'Delinquent',
+      previousBalance: 50000,
+      previousOverdue: 5000,
+      balanceChange: -20000,
+      overdueChange: -5000
+    }],
+    newEnquiries: []
+  }
+};
+
+const renderAt = (query) => render(
+  <MemoryRouter initialEntries={[`/compare${query}`]}>
+    <Routes>
+      <Route path="/compare" element={<ReportComparison />} />
+    </Routes>
+  </MemoryRouter>
+);
+
+describe('ReportComparison Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should highlight what changed between the two reports', async () => {
+    compareReports.mockResolvedValueOnce(mockComparisonData);
+
+    renderAt('?from=1&to=2');
+
+    await waitFor(() => {
+      expect(screen.getByText('Report Comparison - John Doe')).toBeInTheDocument();
+    });
+
+    expect(compareReports).toHaveBeenCalledWith('1', '2');
+    expect(screen.getByText('+40')).toBeInTheDocument();
+    expect(screen.getByText('ICICI BANK')).toBeInTheDocument();
+    expect(screen.getByText(/Delinquent → Active/)).toBeInTheDocument();
+    expect(screen.getByText('No accounts closed')).toBeInTheDocument();
+    expect(screen.getByText('No new enquiries')).toBeInTheDocument();
+    expect(screen.getByTitle('Back')).toHaveAttribute('href', `/applicants/${'a'.repeat(64)}`);
+  });
+
+  it('should show an error when the reports cannot be compared', async () => {
+    compareReports.mockRejectedValueOnce(new Error('Reports belong to different applicants'));
+
+    renderAt('?from=1&to=2');
+
+    await waitFor(() => {
+      expect(screen.getByText('Error comparing reports')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Reports belong to different applicants')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,236 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import ReportDetail from '../components/ReportDetail';
+
+// Mock the credit reports API
+vi.mock('../api/creditReports', () => ({
+  getReport: vi.fn(),
+  getReferenceData: vi.fn(),
+  downloadRawReport: vi.fn(),
+  exportReport: vi.fn(),
+  revealReportPii: vi.fn(),
+  setLegalHold: vi.fn()
+}));
+
+// Keep exported files out of jsdom
+vi.mock('../utils/helpers', async () => ({
+  ...(await vi.importActual('../utils/helpers')),
+  saveBlob: vi.fn()
+}));
+
+import { getReport, getReferenceData, exportReport, revealReportPii, setLegalHold } from '../api/creditReports';
+import { saveBlob } from '../utils/helpers';
+
+// Signed in as an admin unless a test says otherwise
+const mockHasPermission = vi.fn(() => true);
+vi.mock('../context/authContext', () => ({
+  useAuth: () => ({ hasPermission: mockHasPermission })
+}));
+
+const APPLICANT_ID = 'a'.repeat(64);
+
+const mockReportData = {
+  success: true,
+  data: {
+    id: '1',
+    bureau: 'experian',
+    applicantId: APPLICANT_ID,
+    reportDate: '2024-01-15T00:00:00Z',
+    createdAt: '2024-01-16T00:00:00Z',
+    basicDetails: {
+      name: 'John Doe',
+      pan: 'AOZPB****S',
+      mobilePhone: 'XXXXXX7672',
+      email: 'j****@example.com',
+      creditScore: 750,
+      identities: [],
+      addresses: [],
+      phones: []
+    },
+    reportSummary: {},
+    creditAccounts: [],
+    enquiries: [],
+    derogatorySummary: {},
+    enquirySummary: {}
+  }
+};
+
+const mockRevealData = {
+  success: true,
+  data: {
+    basicDetails: {
+      name: 'John Doe',
+      pan: 'AOZPB0247S',
+      mobilePhone: '9819067672',
+      email: 'john.doe@example.com',
+      identities: [],
+      addresses: [],
+      phones: []
+    },
+    creditAccounts: []
+  }
+};
+
+const mockReferenceData = {
+  version: '2024.1',
+  accountTypes: { '10': { label: 'Credit Card' } },
+  accountStatuses: { '21': { label: 'Active - Irregular' } },
+  accountStatusCategories: { 'Active - Irregular': 'delinquent', 'Settled': 'settled' }
+};
+
+const renderReport = () => render(
+  <MemoryRouter initialEntries={['/reports/1']}>
+    <Routes>
+      <Route path="/reports/:id" element={<ReportDetail />} />
+    </Routes>
+  </MemoryRouter>
+);
+
+describe('ReportDetail Component', () => {
+  const user = userEvent.setup();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockHasPermission.mockImplementation(() => true);
+    getReferenceData.mockResolvedValue(mockReferenceData);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should show masked PII and link to the applicant by id', async () => {
+    getReport.mockResolvedValueOnce(mockReportData);
+
+    renderReport();
+
+    await waitFor(() => {
+      expect(screen.getByText('AOZPB****S')).toBeInTheDocument();
+    });
+
+    expect(screen.getByText('XXXXXX7672')).toBeInTheDocument();
+    expect(screen.queryByTitle('Copy PAN')).not.toBeInTheDocument();
+    expect(screen.getByText('View applicant history')).toHaveAttribute('href', `/applicants/${APPLICANT_ID}`);
+  });
+
+  it('should reveal and hide the unmasked PII', async () => {
+    getReport.mockResolvedValueOnce(mockReportData);
+    revealReportPii.mockResolvedValueOnce(mockRevealData);
+
+    renderReport();
+
+    await waitFor(() => {
+      expect(screen.getByText('AOZPB****S')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByRole('button', { name: 'Reveal' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('AOZPB0247S')).toBeInTheDocument();
+    });
+    expect(revealReportPii).toHaveBeenCalledWith('1');
+    expect(screen.getByText('john.doe@example.com')).toBeInTheDocument();
+    expect(screen.getByTitle('Copy PAN')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Hide' }));
+
+    expect(screen.getByText('AOZPB****S')).toBeInTheDocument();
+    expect(screen.queryByText('AOZPB0247S')).not.toBeInTheDocument();
+  });
+
+  it('should not offer to reveal PII without the reveal permission', async () => {
+    mockHasPermission.mockImplementation((permission) => permission !== 'reports:reveal');
+    getReport.mockResolvedValueOnce(mockReportData);
+
+    renderReport();
+
+    await waitFor(() => {
+      expect(screen.getByText('AOZPB****S')).toBeInTheDocument();
+    });
+
+    expect(screen.queryByRole('button', { name: 'Reveal' })).not.toBeInTheDocument();
+  });
+
+  it('should place a legal hold with a reason', async () => {
+    vi.spyOn(window, 'prompt').mockReturnValue('Litigation 42');
+    getReport.mockResolvedValueOnce(mockReportData);
+    setLegalHold.mockResolvedValueOnce({ success: true, data: { id: '1', legalHold: true, legalHoldReason: 'Litigation 42' } });
+
+    renderReport();
+
+    await user.click(await screen.findByRole('button', { name: 'Place Legal Hold' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Legal hold: Litigation 42')).toBeInTheDocument();
+    });
+    expect(setLegalHold).toHaveBeenCalledWith('1', true, 'Litigation 42');
+    expect(screen.getByRole('button', { name: 'Lift Legal Hold' })).toBeInTheDocument();
+  });
+
+  it('should export one sheet as CSV from the export menu', async () => {
+    getReport.mockResolvedValueOnce(mockReportData);
+    const blob = new Blob(['Lender,Account Type']);
+    exportReport.mockResolvedValueOnce({ blob, fileName: 'credit-report-john-doe-2024-01-15-accounts.csv' });
+
+    renderReport();
+
+    await user.click(await screen.findByRole('button', { name: 'Export' }));
+    await user.click(screen.getByRole('menuitem', { name: 'Accounts CSV' }));
+
+    await waitFor(() => {
+      expect(saveBlob).toHaveBeenCalledWith(blob, 'credit-report-john-doe-2024-01-15-accounts.csv');
+    });
+    expect(exportReport).toHaveBeenCalledWith('1', 'csv', 'accounts');
+    expect(screen.queryByRole('menu')).not.toBeInTheDocument();
+  });
+
+  it('should not offer exports without the export permission', async () => {
+    mockHasPermission.mockImplementation((permission) => permission !== 'reports:export');
+    getReport.mockResolvedValueOnce(mockReportData);
+
+    renderReport();
+
+    await waitFor(() => {
+      expect(screen.getByText('AOZPB****S')).toBeInTheDocument();
+    });
+    expect(screen.queryByRole('button', { name: 'Export' })).not.toBeInTheDocument();
+  });
+
+  it('should not offer a download once the raw XML is purged', async () => {
+    getReport.mockResolvedValueOnce({
+      ...mockReportData,
+      data: { ...mockReportData.data, rawXmlPurgedAt: '2025-01-15T00:00:00Z' }
+    });
+
+    renderReport();
+
+    await waitFor(() => {
+      expect(screen.getByText(/Raw XML purged on/)).toBeInTheDocument();
+    });
+    expect(screen.queryByRole('button', { name: 'Download XML' })).not.toBeInTheDocument();
+  });
+
+  it('should style account badges from the served reference data', async () => {
+    getReport.mockResolvedValueOnce({
+      ...mockReportData,
+      data: {
+        ...mockReportData.data,
+        creditAccounts: [
+          { bankName: 'HDFC Bank', type: 'Unknown', typeCode: '10', status: 'Unknown', statusCode: '21' },
+          { bankName: 'ICICI Bank', type: 'Personal Loan', status: 'Settled', statusCategory: 'settled' }
+        ]
+      }
+    });
+
+    renderReport();
+
+    await user.click(await screen.findByRole('button', { name: /Credit Accounts/ }));
+
+    expect(screen.getByText('Credit Card')).toBeInTheDocument();
+    expect(screen.getByText('Unknown (21)')).toHaveClass('bg-yellow-100');
+    expect(screen.getByText('Settled')).toHaveClass('bg-blue-100');
+    expect(getReferenceData).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ReportTrash from '../components/ReportTrash';
+
+vi.mock('../api/creditReports', () => ({
+  getTrash: vi.fn(),
+  restoreReport: vi.fn(),
+  deleteReportPermanently: vi.fn()
+}));
+
+import { getTrash, restoreReport, deleteReportPermanently } from '../api/creditReports';
+
+const mockTrash = {
+  success: true,
+  data: {
+    reports: [{
+      id: 'report-1',
+      bureau: 'experian',
+      name: 'John Doe',
+      pan: 'XXXXXX234F',
+      createdAt: '2024-01-10T10:30:00Z',
+      deletedAt: '2024-01-15T10:30:00Z',
+      deletedBy: 'admin@example.com',
+      purgeAt: '2024-02-14T10:30:00Z'
+    }],
+    pagination: { currentPage: 1, totalPages: 1, totalReports: 1, hasNextPage: false, hasPrevPage: false }
+  }
+};
+
+const emptyTrash = {
+  success: true,
+  data: {
+    reports: [],
+    pagination: { currentPage: 1, totalPages: 0, totalReports: 0, hasNextPage: false, hasPrevPage: false }
+  }
+};
+
+describe('ReportTrash Component', () => {
+  const user = userEvent.setup();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getTrash.mockResolvedValue(mockTrash);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should list trashed reports with who deleted them', async () => {
+    render(<ReportTrash />);
+
+    await waitFor(() => {
+      expect(screen.getByText('John Doe')).toBeInTheDocument();
+    });
+
+    expect(screen.getByText('PAN XXXXXX234F')).toBeInTheDocument();
+    expect(screen.getByText('admin@example.com')).toBeInTheDocument();
+    expect(screen.getByText('1 reports')).toBeInTheDocument();
+    expect(getTrash).toHaveBeenCalledWith(1, 10);
+  });
+
+  it('should show an empty state', async () => {
+    getTrash.mockResolvedValue(emptyTrash);
+
+    render(<ReportTrash />);
+
+    expect(await screen.findByText('The trash is empty')).toBeInTheDocument();
+  });
+
+  it('should restore a report and reload the trash', async () => {
+    restoreReport.mockResolvedValueOnce({ success: true });
+
+    render(<ReportTrash />);
+
+    await user.click(await screen.findByTitle('Restore Report'));
+
+    await waitFor(() => {
+      expect(restoreReport).toHaveBeenCalledWith('report-1');
+    });
+    await waitFor(() => {
+      expect(getTrash).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it('should only delete permanently after confirmation', async () => {
+    const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+    deleteReportPermanently.mockResolvedValueOnce({ success: true });
+
+    render(<ReportTrash />);
+
+    const deleteButton = await screen.findByTitle('Delete Permanently');
+    await user.click(deleteButton);
+    expect(deleteReportPermanently).not.toHaveBeenCalled();
+
+    await user.click(deleteButton);
+
+    await waitFor(() => {
+      expect(deleteReportPermanently).toHaveBeenCalledWith('report-1');
+    });
+    expect(confirmSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it('should show an error when the trash fails to load', async () => {
+    getTrash.mockRejectedValue(new Error('Network error'));
+
+    render(<ReportTrash />);
+
+    expect(await screen.findByText('Error loading trash')).toBeInTheDocument();
+    expect(screen.getByText('Network error')).toBeInTheDocument();
+  });
+});
@@ -7,10 +7,24 @@ import ReportsList from '../components/ReportsList';
 // Mock the credit reports API
 vi.mock('../api/creditReports', () => ({
   getReports: vi.fn(),
-  deleteReport: vi.fn()
+  deleteReport: vi.fn(),
+  exportReports: vi.fn()
 }));
 
-import { getReports, deleteReport } from '../api/creditReports';
+// Keep exported files out of jsdom
+vi.mock('../utils/helpers', async () => ({
+  ...(await vi.importActual('../utils/helpers')),
+  saveBlob: vi.fn()
+}));
+
+import { getReports, deleteReport, exportReports } from '../api/creditReports';
+import { saveBlob } from '../utils/helpers';
+
+// Signed in as an admin unless a test says otherwise
+const mockHasPermission = vi.fn(() => true);
+vi.mock('../context/authContext', () => ({
+  useAuth: () => ({ hasPermission: mockHasPermission })
+}));
 
 // Mock react-router-dom for navigation
 const mockNavigate = vi.fn();
@@ -33,6 +47,7 @@ const mockReportsData = {
         totalAccounts: 3,
         activeAccounts: 2,
         currentBalance: 125000,
+        reportDate: '2020-07-23T17:15:59Z',
         createdAt: '2024-01-15T10:30:00Z'
       },
       {
@@ -87,6 +102,25 @@ describe('ReportsList Component', () => {
     expect(screen.getByText('₹75,000')).toBeInTheDocument();
   });
 
+  it('should show the bureau report date separately from the upload date', async () => {
+    getReports.mockResolvedValueOnce(mockReportsData);
+
+    render(
+      <MemoryRouter>
+        <ReportsList />
+      </MemoryRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText('John Doe')).toBeInTheDocument();
+    });
+
+    expect(screen.getByText('Bureau Report Date')).toBeInTheDocument();
+    expect(screen.getByText('Uploaded At')).toBeInTheDocument();
+    expect(screen.getByText('23 Jul 2020')).toBeInTheDocument();
+    expect(screen.getByText('15 Jan 2024')).toBeInTheDocument();
+  });
+
   it('should handle empty reports list', async () => {
     const emptyData = {
       success: true,
@@ -177,6 +211,25 @@ describe('ReportsList Component', () => {
     confirmSpy.mockRestore();
   });
 
+  it('should hide the delete button from users who cannot delete', async () => {
+    mockHasPermission.mockImplementation((permission) => permission !== 'reports:delete');
+    getReports.mockResolvedValueOnce(mockReportsData);
+
+    render(
+      <MemoryRouter>
+        <ReportsList />
+      </MemoryRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText('John Doe')).toBeInTheDocument();
+    });
+
+    expect(screen.queryByTitle('Delete Report')).not.toBeInTheDocument();
+    expect(screen.getAllByTitle('View Report')).toHaveLength(2);
+    mockHasPermission.mockImplementation(() => true);
+  });
+
   it('should not delete report when confirmation is cancelled', async () => {
     getReports.mockResolvedValueOnce(mockReportsData);
 
@@ -299,11 +352,88 @@ describe('ReportsList Component', () => {
       </MemoryRouter>
     );
 
-    expect(getReports).toHaveBeenCalledWith(1, 10);
+    expect(getReports).toHaveBeenCalledWith(1, 10, {});
+
+    await waitFor(() => {
+      expect(screen.getByText('John Doe')).toBeInTheDocument();
+    });
+  });
+
+  it('should request filtered reports when filters are applied', async () => {
+    getReports.mockResolvedValue(mockReportsData);
+
+    render(
+      <MemoryRouter>
+        <ReportsList />
+      </MemoryRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText('John Doe')).toBeInTheDocument();
+    });
+
+    await user.type(screen.getByLabelText('Name'), 'John');
+    await user.type(screen.getByLabelText('Score from'), '700');
+    await user.selectOptions(screen.getByLabelText('Sort by'), 'creditScore');
+    await user.click(screen.getByText('Overdue only'));
+    await user.click(screen.getByRole('button', { name: 'Apply Filters' }));
+
+    await waitFor(() => {
+      expect(getReports).toHaveBeenLastCalledWith(1, 10, {
+        search: 'John',
+        minScore: '700',
+        overdue: true,
+        sortBy: 'creditScore'
+      });
+    });
+
+    getReports.mockReset();
+  });
+
+  it('should export every report matching the applied filters', async () => {
+    getReports.mockResolvedValue(mockReportsData);
+    const blob = new Blob(['Report ID,Applicant']);
+    exportReports.mockResolvedValueOnce({ blob, fileName: 'credit-reports-2024-01-15.xlsx' });
+
+    render(
+      <MemoryRouter>
+        <ReportsList />
+      </MemoryRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText('John Doe')).toBeInTheDocument();
+    });
+
+    await user.type(screen.getByLabelText('Name'), 'John');
+    await user.click(screen.getByRole('button', { name: 'Apply Filters' }));
+    await user.click(await screen.findByRole('button', { name: 'Export Excel' }));
+
+    await waitFor(() => {
+      expect(saveBlob).toHaveBeenCalledWith(blob, 'credit-reports-2024-01-15.xlsx');
+    });
+    expect(exportReports).toHaveBeenCalledWith({ search: 'John' }, 'xlsx');
+
+    getReports.mockReset();
+  });
+
+  it('should hide the export buttons from users who cannot export', async () => {
+    mockHasPermission.mockImplementation((permission) => permission !== 'reports:export');
+    getReports.mockResolvedValueOnce(mockReportsData);
+
+    render(
+      <MemoryRouter>
+        <ReportsList />
+      </MemoryRouter>
+    );
 
     await waitFor(() => {
       expect(screen.getByText('John Doe')).toBeInTheDocument();
     });
+
+    expect(screen.queryByRole('button', { name: 'Export CSV' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Export Excel' })).not.toBeInTheDocument();
+    mockHasPermission.mockImplementation(() => true);
   });
 
   it('should display account summary correctly', async () => {
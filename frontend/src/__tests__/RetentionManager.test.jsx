@@ -0,0 +1,125 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import RetentionManager from '../components/RetentionManager';
+
+vi.mock('../api/creditReports', () => ({
+  getRetentionPolicy: vi.fn(),
+  previewRetentionPurge: vi.fn(),
+  runRetentionPurge: vi.fn(),
+  getPurgeRuns: vi.fn()
+}));
+
+import { getRetentionPolicy, previewRetentionPurge, runRetentionPurge, getPurgeRuns } from '../api/creditReports';
+
+const mockPolicy = {
+  success: true,
+  data: { rawXmlDays: 90, reportDays: null, trashDays: 30, intervalHours: 24, batchSize: 500 }
+};
+
+const mockRuns = {
+  success: true,
+  data: {
+    runs: [{
+      id: 'run-1',
+      trigger: 'manual',
+      status: 'completed',
+      triggeredBy: { id: 'u1', email: 'admin@example.com' },
+      counts: { emptiedTrash: 2, deletedReports: 0, purgedRawXml: 3, failures: 1 },
+      startedAt: '2025-01-15T10:30:00Z'
+    }],
+    pagination: { currentPage: 1, totalPages: 1, totalRuns: 1 }
+  }
+};
+
+const mockPreview = {
+  success: true,
+  data: {
+    emptyTrash: { total: 0, reports: [] },
+    deleteReports: { total: 0, reports: [] },
+    purgeRawXml: {
+      total: 1,
+      reports: [{
+        reportId: '64b7f0c2a1b2c3d4e5f60718',
+        storageDriver: 'local',
+        storageKey: 'credit-reports/john-doe.xml',
+        uploadedAt: '2024-01-15T00:00:00Z'
+      }]
+    }
+  }
+};
+
+const renderManager = () => render(
+  <MemoryRouter>
+    <RetentionManager />
+  </MemoryRouter>
+);
+
+describe('RetentionManager Component', () => {
+  const user = userEvent.setup();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getRetentionPolicy.mockResolvedValue(mockPolicy);
+    getPurgeRuns.mockResolvedValue(mockRuns);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should show the rules in force and the purge run log', async () => {
+    renderManager();
+
+    await waitFor(() => {
+      expect(screen.getByText('90 days')).toBeInTheDocument();
+    });
+
+    expect(screen.getByText('Forever')).toBeInTheDocument();
+    expect(screen.getByText('30 days')).toBeInTheDocument();
+    expect(screen.getByText('Every 24 hours')).toBeInTheDocument();
+    expect(screen.getByText('Manual (admin@example.com)')).toBeInTheDocument();
+    expect(screen.getByText('2')).toBeInTheDocument();
+    expect(screen.getByText('3')).toBeInTheDocument();
+  });
+
+  it('should preview a purge without running it', async () => {
+    previewRetentionPurge.mockResolvedValueOnce(mockPreview);
+
+    renderManager();
+
+    await user.click(await screen.findByRole('button', { name: 'Preview Purge' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('local: credit-reports/john-doe.xml')).toBeInTheDocument();
+    });
+    expect(screen.getByText('64b7f0c2a1b2c3d4e5f60718')).toHaveAttribute('href', '/reports/64b7f0c2a1b2c3d4e5f60718');
+    expect(runRetentionPurge).not.toHaveBeenCalled();
+  });
+
+  it('should run a purge after confirmation and reload the log', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    runRetentionPurge.mockResolvedValueOnce({ success: true, data: {} });
+
+    renderManager();
+
+    await user.click(await screen.findByRole('button', { name: 'Run Purge Now' }));
+
+    await waitFor(() => {
+      expect(runRetentionPurge).toHaveBeenCalledTimes(1);
+    });
+    await waitFor(() => {
+      expect(getPurgeRuns).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it('should disable purging when no rules are configured', async () => {
+    getRetentionPolicy.mockResolvedValue({ success: true, data: { rawXmlDays: null, reportDays: null, trashDays: null, intervalHours: 24 } });
+
+    renderManager();
+
+    expect(await screen.findByRole('button', { name: 'Run Purge Now' })).toBeDisabled();
+    expect(screen.getByText('Off')).toBeInTheDocument();
+  });
+});
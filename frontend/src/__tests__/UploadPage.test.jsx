@@ -0,0 +1,62 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import UploadPage from '../pages/UploadPage';
+
+// Upload result the stand-in form reports when clicked
+let mockResult;
+vi.mock('../components/UploadForm', () => ({
+  default: ({ onUploadSuccess }) => (
+    <button onClick={() => onUploadSuccess(mockResult)}>Finish upload</button>
+  )
+}));
+
+// Signed in as an admin unless a test says otherwise
+const mockHasPermission = vi.fn(() => true);
+vi.mock('../context/authContext', () => ({
+  useAuth: () => ({ hasPermission: mockHasPermission })
+}));
+
+const mockNavigate = vi.fn();
+vi.mock('react-router-dom', async () => ({
+  ...(await vi.importActual('react-router-dom')),
+  useNavigate: () => mockNavigate
+}));
+
+const renderPage = () => render(
+  <MemoryRouter>
+    <UploadPage />
+  </MemoryRouter>
+);
+
+describe('UploadPage', () => {
+  const user = userEvent.setup();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockHasPermission.mockImplementation(() => true);
+  });
+
+  it('should link to the trash instead of opening a trashed duplicate', async () => {
+    mockResult = { status: 'duplicate', reportId: 'r0', inTrash: true };
+
+    renderPage();
+    await user.click(screen.getByText('Finish upload'));
+
+    expect(screen.getByText(/belongs to a report in the trash/)).toBeInTheDocument();
+    expect(screen.getByText('Open Trash')).toHaveAttribute('href', '/trash');
+    expect(mockNavigate).not.toHaveBeenCalled();
+  });
+
+  it('should ask users who cannot restore reports to contact an admin', async () => {
+    mockHasPermission.mockImplementation((permission) => permission !== 'reports:delete');
+    mockResult = { status: 'duplicate', reportId: 'r0', inTrash: true };
+
+    renderPage();
+    await user.click(screen.getByText('Finish upload'));
+
+    expect(screen.getByText(/Ask an admin to restore it/)).toBeInTheDocument();
+    expect(screen.queryByText('Open Trash')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { mockGet } = vi.hoisted(() => ({ mockGet: vi.fn() }));
+
+// Stand-in for the axios instance of the API module
+vi.mock('axios', () => ({
+  default: {
+    create: () => ({
+      get: mockGet,
+      interceptors: { request: { use: vi.fn() }, response: { use: vi.fn() } }
+    }),
+    isCancel: () => false
+  }
+}));
+
+import { waitForJob } from '../api/creditReports';
+
+const jobResponse = (status) => ({ data: { success: true, data: { id: 'job-1', status, stage: status } } });
+
+describe('waitForJob', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should poll until the job finishes', async () => {
+    const onUpdate = vi.fn();
+    mockGet
+      .mockResolvedValueOnce(jobResponse('processing'))
+      .mockResolvedValueOnce(jobResponse('completed'));
+
+    const job = await waitForJob('job-1', { onUpdate, interval: 1 });
+
+    expect(job.status).toBe('completed');
+    expect(onUpdate).toHaveBeenCalledTimes(2);
+    expect(mockGet).toHaveBeenCalledWith('/jobs/job-1', { signal: undefined });
+  });
+
+  it('should give up once the maximum wait has passed', async () => {
+    mockGet.mockResolvedValue(jobResponse('processing'));
+
+    await expect(waitForJob('job-1', { interval: 5, timeout: 20 }))
+      .rejects.toThrow('Processing is taking longer than expected');
+  });
+
+  it('should stop polling when the signal aborts', async () => {
+    const controller = new AbortController();
+    mockGet.mockImplementation(async () => {
+      controller.abort();
+      return jobResponse('processing');
+    });
+
+    await expect(waitForJob('job-1', { interval: 60000, signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(mockGet).toHaveBeenCalledTimes(1);
+    expect(mockGet).toHaveBeenCalledWith('/jobs/job-1', { signal: controller.signal });
+  });
+});
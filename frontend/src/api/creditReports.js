@@ -9,10 +9,71 @@ const api = axios.create({
   },
 });
 
-// Request interceptor for logging
+// Access token of the signed in user, kept across page reloads
+const TOKEN_STORAGE_KEY = 'creditsea.token';
+
+// Organisation the user is working in, sent with every request
+const ORGANISATION_STORAGE_KEY = 'creditsea.organisation';
+
+// Called when the API rejects the token so the app can return to the login page
+let unauthorizedHandler = null;
+
+/**
+ * Get the stored access token
+ * @returns {string|null} JWT, or null when signed out
+ */
+export const getAuthToken = () => localStorage.getItem(TOKEN_STORAGE_KEY);
+
+/**
+ * Store or clear the access token sent with every request
+ * @param {string|null} token - JWT, or null to sign out
+ */
+export const setAuthToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+};
+
+/**
+ * Get the stored organisation selection
+ * @returns {string|null} Organisation ID
+ */
+export const getOrganisationId = () => localStorage.getItem(ORGANISATION_STORAGE_KEY);
+
+/**
+ * Store or clear the organisation whose reports requests work with
+ * @param {string|null} organisationId - Organisation ID, or null to clear
+ */
+export const setOrganisationId = (organisationId) => {
+  if (organisationId) {
+    localStorage.setItem(ORGANISATION_STORAGE_KEY, organisationId);
+  } else {
+    localStorage.removeItem(ORGANISATION_STORAGE_KEY);
+  }
+};
+
+/**
+ * Register the callback run when a request comes back 401
+ * @param {Function|null} handler - Callback, or null to remove it
+ */
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// Request interceptor for logging, authentication and organisation selection
 api.interceptors.request.use(
   (config) => {
     console.log(`Making ${config.method?.toUpperCase()} request to ${config.url}`);
+    const token = getAuthToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    const organisationId = getOrganisationId();
+    if (organisationId) {
+      config.headers['X-Organisation-Id'] = organisationId;
+    }
     return config;
   },
   (error) => {
@@ -21,26 +82,58 @@ api.interceptors.request.use(
   }
 );
 
+/**
+ * Read the JSON error body of a file download, which arrives as a Blob
+ * @param {Blob} blob - Response body
+ * @returns {Promise<Object>} Parsed body, empty when it is not JSON
+ */
+const readBlobJson = async (blob) => {
+  try {
+    return JSON.parse(await blob.text());
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Get the file name the server gave a download
+ * @param {Object} response - Axios response
+ * @param {string} fallback - Name used when the header has none
+ * @returns {string} File name
+ */
+const getAttachmentFileName = (response, fallback) => {
+  const disposition = response.headers['content-disposition'] || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+  return match ? match[1] : fallback;
+};
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
+  async (error) => {
+    // Cancelled requests are not failures; callers check their own abort signal
+    if (axios.isCancel(error)) throw error;
+
     console.error('Response error:', error);
     
     // Handle specific error cases
     if (error.response) {
       // Server responded with error status
-      const { status, data } = error.response;
+      const { status } = error.response;
+      const data = error.response.data instanceof Blob
+        ? await readBlobJson(error.response.data)
+        : error.response.data;
       
       switch (status) {
         case 400:
           throw new Error(data.message || 'Bad request');
         case 401:
-          throw new Error('Unauthorized access');
+          unauthorizedHandler?.();
+          throw new Error(data.message || 'Unauthorized access');
         case 403:
-          throw new Error('Access forbidden');
+          throw new Error(data.message || 'Access forbidden');
         case 404:
           throw new Error('Resource not found');
         case 409:
@@ -63,10 +156,39 @@ api.interceptors.response.use(
 );
 
 /**
- * Upload XML credit report file
+ * Sign in with email and password
+ * @param {string} email - Account email
+ * @param {string} password - Account password
+ * @returns {Promise<Object>} { token, user }
+ */
+export const login = async (email, password) => {
+  const response = await api.post('/auth/login', { email, password });
+  return response.data.data;
+};
+
+/**
+ * Get the signed in user
+ * @returns {Promise<Object>} User with role and permissions
+ */
+export const getCurrentUser = async () => {
+  const response = await api.get('/auth/me');
+  return response.data.data;
+};
+
+/**
+ * List the organisations the signed in user can work in
+ * @returns {Promise<Array>} Organisations with id, name and slug
+ */
+export const getOrganisations = async () => {
+  const response = await api.get('/organisations');
+  return response.data.data;
+};
+
+/**
+ * Upload XML credit report file for background processing
  * @param {File} file - XML file to upload
  * @param {Function} onProgress - Progress callback function
- * @returns {Promise<Object>} Upload response
+ * @returns {Promise<Object>} Upload response with the processing jobId
  */
 export const uploadReport = async (file, onProgress) => {
   const formData = new FormData();
@@ -89,15 +211,123 @@ export const uploadReport = async (file, onProgress) => {
   return response.data;
 };
 
+/**
+ * Upload many XML files or ZIP archives of XML files for background processing
+ * @param {File[]} files - XML and ZIP files to upload
+ * @param {Function} onProgress - Progress callback function
+ * @returns {Promise<Object>} Upload response with the processing jobId
+ */
+export const uploadBatch = async (files, onProgress) => {
+  const formData = new FormData();
+  files.forEach((file) => formData.append('files', file));
+
+  const response = await api.post('/upload/batch', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+    // Large archives can take a while to send
+    timeout: 5 * 60 * 1000,
+    onUploadProgress: (progressEvent) => {
+      if (onProgress && progressEvent.total) {
+        const percentCompleted = Math.round(
+          (progressEvent.loaded * 100) / progressEvent.total
+        );
+        onProgress(percentCompleted);
+      }
+    },
+  });
+
+  return response.data;
+};
+
+/**
+ * Get the status of an upload processing job
+ * @param {string} jobId - Job ID returned by an upload
+ * @param {Object} options - { signal } to cancel the request
+ * @returns {Promise<Object>} Job status response
+ */
+export const getJob = async (jobId, { signal } = {}) => {
+  const response = await api.get(`/jobs/${jobId}`, { signal });
+  return response.data;
+};
+
+// Longest a form follows a processing job before giving up on it
+const JOB_WAIT_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Wait between job polls, stopping early when the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>} Resolves after the delay, rejects with the abort reason
+ */
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Poll a processing job until it completes or fails
+ * @param {string} jobId - Job ID returned by an upload
+ * @param {Object} options - { onUpdate, interval, timeout, signal } where onUpdate receives every job status,
+ *   timeout is the longest wait in milliseconds and signal stops polling when aborted
+ * @returns {Promise<Object>} The finished job; rejects with the abort reason or once the timeout passes
+ */
+export const waitForJob = async (jobId, { onUpdate, interval = 1000, timeout = JOB_WAIT_TIMEOUT, signal } = {}) => {
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    signal?.throwIfAborted();
+    const { data: job } = await getJob(jobId, { signal });
+    onUpdate?.(job);
+
+    if (job.status === 'completed' || job.status === 'failed') {
+      return job;
+    }
+
+    if (Date.now() + interval > deadline) {
+      throw new Error('Processing is taking longer than expected. Check the reports list later.');
+    }
+
+    await delay(interval, signal);
+  }
+};
+
 /**
  * Get all credit reports with pagination
  * @param {number} page - Page number
  * @param {number} limit - Items per page
+ * @param {Object} filters - Optional list filters, e.g. { derogatory: true }
  * @returns {Promise<Object>} Reports list response
  */
-export const getReports = async (page = 1, limit = 10) => {
+export const getReports = async (page = 1, limit = 10, filters = {}) => {
   const response = await api.get('/reports', {
-    params: { page, limit },
+    params: { page, limit, ...filters },
+  });
+  return response.data;
+};
+
+/**
+ * Query the audit log of the selected organisation (admins only)
+ * @param {number} page - Page number
+ * @param {number} limit - Entries per page
+ * @param {Object} filters - action, reportId, actorEmail, from, to
+ * @returns {Promise<Object>} Audit entries response with pagination
+ */
+export const getAuditLogs = async (page = 1, limit = 25, filters = {}) => {
+  const response = await api.get('/audit-logs', {
+    params: { page, limit, ...filters },
   });
   return response.data;
 };
@@ -113,15 +343,67 @@ export const getReport = async (id) => {
 };
 
 /**
- * Delete credit report by ID
+ * Move a credit report to the trash
  * @param {string} id - Report ID
- * @returns {Promise<Object>} Deletion response
+ * @returns {Promise<Object>} Deletion response with the date the report will be purged
  */
 export const deleteReport = async (id) => {
   const response = await api.delete(`/reports/${id}`);
   return response.data;
 };
 
+/**
+ * List the reports in the trash, most recently deleted first
+ * @param {number} page - Page number
+ * @param {number} limit - Reports per page
+ * @returns {Promise<Object>} Trashed reports response with pagination
+ */
+export const getTrash = async (page = 1, limit = 10) => {
+  const response = await api.get('/reports/trash', {
+    params: { page, limit },
+  });
+  return response.data;
+};
+
+/**
+ * Restore a report from the trash
+ * @param {string} id - Report ID
+ * @returns {Promise<Object>} Restore response
+ */
+export const restoreReport = async (id) => {
+  const response = await api.post(`/reports/trash/${id}/restore`);
+  return response.data;
+};
+
+/**
+ * Permanently delete a report in the trash
+ * @param {string} id - Report ID
+ * @returns {Promise<Object>} Deletion response
+ */
+export const deleteReportPermanently = async (id) => {
+  const response = await api.delete(`/reports/trash/${id}`);
+  return response.data;
+};
+
+// The code tables only change with a deploy, so one request serves the page load
+let referenceDataRequest = null;
+
+/**
+ * Get the bureau code tables (account types, statuses and their categories)
+ * @returns {Promise<Object>} Reference data, fetched once and shared by every caller
+ */
+export const getReferenceData = async () => {
+  if (!referenceDataRequest) {
+    referenceDataRequest = api.get('/reference-data')
+      .then((response) => response.data.data)
+      .catch((error) => {
+        referenceDataRequest = null;
+        throw error;
+      });
+  }
+  return referenceDataRequest;
+};
+
 /**
  * Get credit reports statistics
  * @returns {Promise<Object>} Statistics response
@@ -131,6 +413,145 @@ export const getReportStats = async () => {
   return response.data;
 };
 
+/**
+ * Download the original XML of a report through the backend
+ * @param {string} id - Report ID
+ * @returns {Promise<Object>} { blob, fileName }
+ */
+export const downloadRawReport = async (id) => {
+  const response = await api.get(`/reports/${id}/raw`, {
+    responseType: 'blob',
+  });
+
+  return {
+    blob: response.data,
+    fileName: getAttachmentFileName(response, `credit-report-${id}.xml`),
+  };
+};
+
+/**
+ * Export a report as an Excel workbook, or one of its sheets as CSV
+ * @param {string} id - Report ID
+ * @param {string} format - 'xlsx' or 'csv'
+ * @param {string} sheet - CSV sheet: applicant, accounts, enquiries or history
+ * @returns {Promise<Object>} { blob, fileName }
+ */
+export const exportReport = async (id, format = 'xlsx', sheet) => {
+  const response = await api.get(`/reports/${id}/export`, {
+    params: { format, sheet },
+    responseType: 'blob',
+  });
+
+  return {
+    blob: response.data,
+    fileName: getAttachmentFileName(response, `credit-report-${id}.${format}`),
+  };
+};
+
+/**
+ * Export the reports matching the list filters as CSV or Excel
+ * @param {Object} filters - List filters, as passed to getReports
+ * @param {string} format - 'xlsx' or 'csv'
+ * @returns {Promise<Object>} { blob, fileName }
+ */
+export const exportReports = async (filters = {}, format = 'xlsx') => {
+  const response = await api.get('/reports/export', {
+    params: { ...filters, format },
+    responseType: 'blob',
+  });
+
+  return {
+    blob: response.data,
+    fileName: getAttachmentFileName(response, `credit-reports.${format}`),
+  };
+};
+
+/**
+ * Reveal the unmasked PAN, phone, email and account numbers of a report
+ * The reveal is recorded in the audit log.
+ * @param {string} id - Report ID
+ * @returns {Promise<Object>} Unmasked basicDetails and creditAccounts
+ */
+export const revealReportPii = async (id) => {
+  const response = await api.post(`/reports/${id}/reveal`);
+  return response.data;
+};
+
+/**
+ * Place or lift a legal hold, which exempts a report from retention purges
+ * @param {string} id - Report ID
+ * @param {boolean} legalHold - Whether the report is on hold
+ * @param {string} reason - Optional reason for placing the hold
+ * @returns {Promise<Object>} Updated legal hold response
+ */
+export const setLegalHold = async (id, legalHold, reason) => {
+  const response = await api.patch(`/reports/${id}/legal-hold`, { legalHold, reason });
+  return response.data;
+};
+
+/**
+ * Get the retention rules in force
+ * @returns {Promise<Object>} Retention policy response
+ */
+export const getRetentionPolicy = async () => {
+  const response = await api.get('/retention/policy');
+  return response.data;
+};
+
+/**
+ * Dry run of a retention purge: what it would remove right now
+ * @returns {Promise<Object>} Preview response with the reports each rule selects
+ */
+export const previewRetentionPurge = async () => {
+  const response = await api.get('/retention/preview');
+  return response.data;
+};
+
+/**
+ * Run the retention rules now
+ * @returns {Promise<Object>} Purge run response
+ */
+export const runRetentionPurge = async () => {
+  const response = await api.post('/retention/purge');
+  return response.data;
+};
+
+/**
+ * List retention purge runs, newest first
+ * @param {number} page - Page number
+ * @param {number} limit - Runs per page
+ * @returns {Promise<Object>} Purge runs response with pagination
+ */
+export const getPurgeRuns = async (page = 1, limit = 20) => {
+  const response = await api.get('/retention/runs', {
+    params: { page, limit },
+  });
+  return response.data;
+};
+
+/**
+ * Compare two reports of the same applicant
+ * @param {string} fromId - Report ID of one bureau pull
+ * @param {string} toId - Report ID of the other bureau pull
+ * @returns {Promise<Object>} Comparison response, earlier report first
+ */
+export const compareReports = async (fromId, toId) => {
+  const response = await api.get('/reports/compare', {
+    params: { from: fromId, to: toId },
+  });
+  return response.data;
+};
+
+/**
+ * Get all reports of one applicant with score and balance trends
+ * @param {string} applicantId - Applicant id (or PAN)
+ * @returns {Promise<Object>} Applicant history response
+ */
+export const getApplicant = async (applicantId) => {
+  const response = await api.get(`/applicants/${encodeURIComponent(applicantId)}`);
+  return response.data;
+};
+
 /**
  * Check API health
  * @returns {Promise<Object>} Health check response
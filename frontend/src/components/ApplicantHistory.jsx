@@ -0,0 +1,169 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { ArrowLeftIcon, ArrowsRightLeftIcon, EyeIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { getApplicant } from '../api/creditReports';
+import { formatCurrency, formatDate, formatCreditScore, formatBureauName, formatChange } from '../utils/helpers';
+
+const ApplicantHistory = () => {
+  const { applicantId } = useParams();
+  const [applicant, setApplicant] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchApplicant = async () => {
+      try {
+        setLoading(true);
+        const response = await getApplicant(applicantId);
+        setApplicant(response.data);
+        setError(null);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchApplicant();
+  }, [applicantId]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-64">
+        <div className="spinner"></div>
+        <span className="ml-2 text-gray-600">Loading applicant history...</span>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-lg font-medium text-red-600">Error loading applicant</p>
+        <p className="text-sm text-gray-500 mt-1">{error}</p>
+        <Link to="/reports" className="btn-primary inline-block mt-4">
+          Back to Reports
+        </Link>
+      </div>
+    );
+  }
+
+  const { timeline, trends } = applicant;
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-6">
+      {/* Header */}
+      <div className="flex items-center space-x-4">
+        <Link
+          to="/reports"
+          className="text-gray-600 hover:text-gray-800"
+          title="Back to Reports"
+        >
+          <ArrowLeftIcon className="w-6 h-6" />
+        </Link>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">
+            Applicant - {applicant.name || 'Unknown'}
+          </h1>
+          <p className="text-sm text-gray-500">
+            PAN {applicant.pan} &middot; {applicant.reportCount} report(s) from {applicant.bureaus.map(formatBureauName).join(', ')}
+          </p>
+        </div>
+      </div>
+
+      {/* Trends */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="card p-6">
+          <h2 className="text-sm font-medium text-gray-500">Credit Score</h2>
+          <p className="text-2xl font-bold text-gray-900">{trends.creditScore.latest ?? 'N/A'}</p>
+          <p className="text-sm text-gray-500">
+            {formatChange(trends.creditScore.change)} since first report &middot; range {trends.creditScore.min ?? 'N/A'} - {trends.creditScore.max ?? 'N/A'}
+          </p>
+        </div>
+        <div className="card p-6">
+          <h2 className="text-sm font-medium text-gray-500">Current Balance</h2>
+          <p className="text-2xl font-bold text-gray-900">{formatCurrency(trends.currentBalance.latest)}</p>
+          <p className="text-sm text-gray-500">
+            {formatChange(trends.currentBalance.change, formatCurrency)} since first report
+          </p>
+        </div>
+      </div>
+
+      {/* Timeline */}
+      <div className="card overflow-hidden">
+        <div className="p-6 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Report Timeline</h2>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="table-header">Bureau Report Date</th>
+                <th className="table-header">Bureau</th>
+                <th className="table-header">Credit Score</th>
+                <th className="table-header">Current Balance</th>
+                <th className="table-header">Accounts</th>
+                <th className="table-header">Uploaded At</th>
+                <th className="table-header">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {timeline.map((entry, index) => {
+                const scoreData = formatCreditScore(entry.creditScore);
+
+                return (
+                  <tr key={entry.id} className="hover:bg-gray-50">
+                    <td className="table-cell text-gray-900">
+                      <div className="flex items-center space-x-2">
+                        <span>{formatDate(entry.reportDate)}</span>
+                        {entry.hasDerogatory && (
+                          <ExclamationTriangleIcon
+                            className="w-4 h-4 text-red-600"
+                            title="Derogatory flags reported"
+                          />
+                        )}
+                      </div>
+                    </td>
+                    <td className="table-cell text-gray-500">{formatBureauName(entry.bureau)}</td>
+                    <td className="table-cell">
+                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${scoreData.bgColor} ${scoreData.color}`}>
+                        {scoreData.score}
+                      </span>
+                    </td>
+                    <td className="table-cell text-gray-900 font-medium">{formatCurrency(entry.currentBalance)}</td>
+                    <td className="table-cell text-gray-500">
+                      {entry.totalAccounts} accounts ({entry.activeAccounts} active)
+                    </td>
+                    <td className="table-cell text-gray-500">{formatDate(entry.createdAt)}</td>
+                    <td className="table-cell">
+                      <div className="flex items-center space-x-2">
+                        <Link
+                          to={`/reports/${entry.id}`}
+                          className="text-primary-600 hover:text-primary-800 p-1"
+                          title="View Report"
+                        >
+                          <EyeIcon className="w-4 h-4" />
+                        </Link>
+                        {index > 0 && (
+                          <Link
+                            to={`/compare?from=${timeline[index - 1].id}&to=${entry.id}`}
+                            className="text-primary-600 hover:text-primary-800 p-1"
+                            title="Compare with previous report"
+                          >
+                            <ArrowsRightLeftIcon className="w-4 h-4" />
+                          </Link>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ApplicantHistory;
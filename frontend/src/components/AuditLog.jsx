@@ -0,0 +1,220 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { getAuditLogs } from '../api/creditReports';
+import { formatDateTime, formatAuditAction, AUDIT_ACTION_LABELS } from '../utils/helpers';
+
+const EMPTY_FILTERS = {
+  action: '',
+  actorEmail: '',
+  from: '',
+  to: ''
+};
+
+// Drop blank filter fields so they are not sent as empty query params
+const toQueryFilters = (filters, reportId) => {
+  const query = Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => value !== '')
+  );
+  if (reportId) query.reportId = reportId;
+  return query;
+};
+
+// Render the free-form details of an entry as "key: value" pairs
+const formatDetails = (details = {}) => Object.entries(details)
+  .filter(([, value]) => value !== null && value !== undefined && value !== '')
+  .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+  .join(', ');
+
+const AuditLog = ({ reportId }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [pagination, setPagination] = useState({});
+  const [currentPage, setCurrentPage] = useState(1);
+  const [filterForm, setFilterForm] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+
+  const fetchEntries = useCallback(async (page = 1) => {
+    try {
+      setLoading(true);
+      const response = await getAuditLogs(page, 25, toQueryFilters(appliedFilters, reportId));
+      setEntries(response.data.entries);
+      setPagination(response.data.pagination);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters, reportId]);
+
+  useEffect(() => {
+    fetchEntries(currentPage);
+  }, [currentPage, fetchEntries]);
+
+  const handleFilterChange = (event) => {
+    const { name, value } = event.target;
+    setFilterForm((current) => ({ ...current, [name]: value }));
+  };
+
+  const handleFilterSubmit = (event) => {
+    event.preventDefault();
+    setAppliedFilters(filterForm);
+    setCurrentPage(1);
+  };
+
+  const handleFilterReset = () => {
+    setFilterForm(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    setCurrentPage(1);
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <form onSubmit={handleFilterSubmit} className="card p-4" aria-label="Audit filters">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+          <div>
+            <label htmlFor="audit-action" className="block text-sm font-medium text-gray-700">Action</label>
+            <select id="audit-action" name="action" value={filterForm.action} onChange={handleFilterChange} className="input-field">
+              <option value="">All actions</option>
+              {Object.entries(AUDIT_ACTION_LABELS).map(([action, label]) => (
+                <option key={action} value={action}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="audit-actor" className="block text-sm font-medium text-gray-700">User email</label>
+            <input id="audit-actor" name="actorEmail" type="email" value={filterForm.actorEmail} onChange={handleFilterChange} className="input-field" />
+          </div>
+          <div>
+            <label htmlFor="audit-from" className="block text-sm font-medium text-gray-700">From</label>
+            <input id="audit-from" name="from" type="date" value={filterForm.from} onChange={handleFilterChange} className="input-field" />
+          </div>
+          <div>
+            <label htmlFor="audit-to" className="block text-sm font-medium text-gray-700">To</label>
+            <input id="audit-to" name="to" type="date" value={filterForm.to} onChange={handleFilterChange} className="input-field" />
+          </div>
+          <div className="flex space-x-2">
+            <button type="button" onClick={handleFilterReset} className="btn-secondary">
+              Reset
+            </button>
+            <button type="submit" className="btn-primary">
+              Apply Filters
+            </button>
+          </div>
+        </div>
+      </form>
+
+      <div className="card">
+        <div className="p-6 border-b border-gray-200 flex justify-between items-center">
+          <h2 className="text-lg font-semibold text-gray-900">Audit Trail</h2>
+          {!loading && !error && (
+            <p className="text-sm text-gray-500">{pagination.totalEntries || 0} entries</p>
+          )}
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center items-center py-12">
+            <div className="spinner"></div>
+            <span className="ml-2 text-gray-600">Loading audit trail...</span>
+          </div>
+        ) : error ? (
+          <div className="p-6 text-center">
+            <p className="text-red-600 font-medium">Error loading audit trail</p>
+            <p className="text-sm text-gray-500 mt-1">{error}</p>
+            <button onClick={() => fetchEntries(currentPage)} className="btn-primary mt-4">
+              Try Again
+            </button>
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">
+            No audit entries found
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="table-header">Time</th>
+                  <th className="table-header">Action</th>
+                  <th className="table-header">User</th>
+                  {!reportId && <th className="table-header">Report</th>}
+                  <th className="table-header">IP Address</th>
+                  <th className="table-header">Details</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {entries.map((entry) => (
+                  <tr key={entry.id} className="hover:bg-gray-50">
+                    <td className="table-cell text-gray-500">
+                      {formatDateTime(entry.createdAt)}
+                    </td>
+                    <td className="table-cell font-medium text-gray-900">
+                      {formatAuditAction(entry.action)}
+                    </td>
+                    <td className="table-cell">
+                      {entry.actor ? (
+                        <>
+                          <div className="text-gray-900">{entry.actor.email}</div>
+                          <div className="text-xs text-gray-500 capitalize">{entry.actor.role}</div>
+                        </>
+                      ) : (
+                        <span className="text-gray-500">Unknown</span>
+                      )}
+                    </td>
+                    {!reportId && (
+                      <td className="table-cell">
+                        {entry.reportId && !['report.delete', 'report.purge'].includes(entry.action) ? (
+                          <Link to={`/reports/${entry.reportId}`} className="text-primary-600 hover:text-primary-700">
+                            View report
+                          </Link>
+                        ) : (
+                          <span className="text-gray-500 font-mono text-xs">{entry.reportId || 'N/A'}</span>
+                        )}
+                      </td>
+                    )}
+                    <td className="table-cell text-gray-500 font-mono text-xs">
+                      {entry.ip || 'N/A'}
+                    </td>
+                    <td className="table-cell text-gray-500 whitespace-normal text-xs">
+                      {formatDetails(entry.details) || '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {!loading && pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between border-t border-gray-200 px-6 py-3">
+            <p className="text-sm text-gray-700">
+              Showing page <span className="font-medium">{pagination.currentPage}</span> of{' '}
+              <span className="font-medium">{pagination.totalPages}</span>
+            </p>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setCurrentPage(currentPage - 1)}
+                disabled={!pagination.hasPrevPage}
+                className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setCurrentPage(currentPage + 1)}
+                disabled={!pagination.hasNextPage}
+                className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
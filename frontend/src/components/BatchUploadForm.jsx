@@ -0,0 +1,300 @@
+import { useState, useRef, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { CloudArrowUpIcon, DocumentIcon, ArchiveBoxIcon } from '@heroicons/react/24/outline';
+import { uploadBatch, waitForJob } from '../api/creditReports';
+import { validateBatchFile, formatBureauName, formatJobStage } from '../utils/helpers';
+import { useAuth } from '../context/authContext';
+
+// Badge styles for per-file outcomes
+const RESULT_STYLES = {
+  created: { label: 'Created', className: 'bg-green-100 text-green-800' },
+  duplicate: { label: 'Duplicate', className: 'bg-yellow-100 text-yellow-800' },
+  invalid: { label: 'Invalid', className: 'bg-red-100 text-red-800' },
+  failed: { label: 'Failed', className: 'bg-gray-200 text-gray-800' }
+};
+
+const BatchUploadForm = ({ onUploadError }) => {
+  const { hasPermission } = useAuth();
+  const [isUploading, setIsUploading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [dragOver, setDragOver] = useState(false);
+  const [selectedFiles, setSelectedFiles] = useState([]);
+  const [batchJob, setBatchJob] = useState(null);
+  const [batchResult, setBatchResult] = useState(null);
+  const fileInputRef = useRef(null);
+  const pollControllerRef = useRef(null);
+
+  // Stop following the batch job when the form unmounts
+  useEffect(() => () => pollControllerRef.current?.abort(), []);
+
+  // Validate & add files, skipping ones already selected
+  const handleFilesSelect = (fileList) => {
+    const files = Array.from(fileList || []);
+    const errors = [];
+    const valid = files.filter((file) => {
+      const validation = validateBatchFile(file);
+      if (!validation.isValid) errors.push(validation.error);
+      return validation.isValid;
+    });
+
+    if (errors.length > 0) {
+      onUploadError?.(errors.join('; '));
+    }
+
+    setSelectedFiles((current) => [
+      ...current,
+      ...valid.filter((file) => !current.some((existing) => existing.name === file.name && existing.size === file.size))
+    ]);
+  };
+
+  // Drag & drop handlers
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    setDragOver(true);
+  };
+
+  const handleDragLeave = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    handleFilesSelect(e.dataTransfer.files);
+  };
+
+  const handleFileInputChange = (e) => {
+    handleFilesSelect(e.target.files);
+    e.target.value = '';
+  };
+
+  const handleRemoveFile = (index) => {
+    setSelectedFiles((current) => current.filter((_, i) => i !== index));
+  };
+
+  // Upload logic
+  const handleUpload = async () => {
+    if (selectedFiles.length === 0) {
+      onUploadError?.('Please select at least one file');
+      return;
+    }
+
+    const controller = new AbortController();
+    pollControllerRef.current = controller;
+
+    try {
+      setIsUploading(true);
+      setUploadProgress(0);
+      setBatchResult(null);
+
+      const response = await uploadBatch(selectedFiles, setUploadProgress);
+
+      // Files are processed in the background; follow the job for per-file progress
+      const job = await waitForJob(response.data.jobId, { onUpdate: setBatchJob, signal: controller.signal });
+
+      if (job.status === 'failed') {
+        onUploadError?.(job.error?.message || 'Batch processing failed');
+        return;
+      }
+
+      setBatchResult(job.result);
+      setSelectedFiles([]);
+      setUploadProgress(0);
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      onUploadError?.(error.message);
+    } finally {
+      if (!controller.signal.aborted) {
+        setIsUploading(false);
+        setBatchJob(null);
+      }
+    }
+  };
+
+  const totalSize = selectedFiles.reduce((sum, file) => sum + file.size, 0);
+
+  // Upload progress until the job starts, then the share of files processed
+  const progress = batchJob?.progress;
+  const progressPercent = progress?.total
+    ? Math.round((progress.processed * 100) / progress.total)
+    : uploadProgress;
+  const progressLabel = batchJob
+    ? `${formatJobStage(batchJob.stage)}${progress ? ` (${progress.processed} of ${progress.total})` : ''}...`
+    : 'Uploading...';
+
+  return (
+    <div className="w-full max-w-5xl mx-auto space-y-6">
+      <div className="card p-6 max-w-2xl mx-auto">
+        <h2 className="text-2xl font-bold text-gray-900 mb-6 text-center">
+          Batch Upload
+        </h2>
+
+        {/* Upload Area */}
+        <div
+          className={`upload-area border-2 border-dashed rounded-lg p-8 text-center cursor-pointer ${
+            dragOver ? 'border-primary-500 bg-primary-50' : 'border-gray-300'
+          }`}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+          onClick={() => fileInputRef.current?.click()}
+        >
+          <CloudArrowUpIcon className="mx-auto h-12 w-12 text-gray-400" />
+          <div className="mt-4">
+            <p className="text-lg font-medium text-gray-900">
+              Drop XML files or ZIP archives here, or click to browse
+            </p>
+            <p className="text-sm text-gray-500 mt-2">
+              Up to 200 files per batch, 50MB per file
+            </p>
+          </div>
+
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept=".xml,.zip,application/xml,text/xml,application/zip"
+            onChange={handleFileInputChange}
+            className="hidden"
+            data-testid="batch-file-input"
+          />
+        </div>
+
+        {/* Selected Files */}
+        {selectedFiles.length > 0 && (
+          <div className="mt-4 border border-blue-200 rounded-lg divide-y divide-blue-100">
+            <div className="px-4 py-2 bg-blue-50 text-sm text-gray-700">
+              {selectedFiles.length} file(s) selected &middot; {(totalSize / 1024 / 1024).toFixed(2)} MB
+            </div>
+            <ul className="max-h-64 overflow-y-auto">
+              {selectedFiles.map((file, index) => (
+                <li key={`${file.name}-${file.size}`} className="flex items-center justify-between px-4 py-2">
+                  <div className="flex items-center">
+                    {file.name.toLowerCase().endsWith('.zip')
+                      ? <ArchiveBoxIcon className="h-5 w-5 text-blue-600" />
+                      : <DocumentIcon className="h-5 w-5 text-blue-600" />}
+                    <span className="ml-2 text-sm text-gray-900">{file.name}</span>
+                  </div>
+                  <button
+                    onClick={() => handleRemoveFile(index)}
+                    className="text-sm text-red-600 hover:text-red-800 font-medium"
+                    disabled={isUploading}
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Upload Progress */}
+        {isUploading && (
+          <div className="mt-4">
+            <div className="flex justify-between text-sm text-gray-600 mb-2">
+              <span>{progressLabel}</span>
+              <span>{progressPercent}%</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                style={{ width: `${progressPercent}%` }}
+              ></div>
+            </div>
+          </div>
+        )}
+
+        {/* Upload Button */}
+        <div className="mt-6">
+          <button
+            onClick={handleUpload}
+            disabled={selectedFiles.length === 0 || isUploading}
+            className="w-full py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isUploading ? (
+              <div className="flex items-center justify-center">
+                <div className="animate-spin border-2 border-white border-t-transparent rounded-full w-4 h-4 mr-2"></div>
+                Processing...
+              </div>
+            ) : (
+              `Upload & Process ${selectedFiles.length || ''} File(s)`
+            )}
+          </button>
+        </div>
+      </div>
+
+      {/* Results */}
+      {batchResult && (
+        <div className="card overflow-hidden">
+          <div className="p-6 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Batch Results</h2>
+            <p className="text-sm text-gray-500 mt-1">
+              {batchResult.summary.total} file(s): {batchResult.summary.created} created, {batchResult.summary.duplicate} duplicate, {batchResult.summary.invalid} invalid, {batchResult.summary.failed} failed
+            </p>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="table-header">File</th>
+                  <th className="table-header">Outcome</th>
+                  <th className="table-header">Details</th>
+                  <th className="table-header">Report</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {batchResult.results.map((result, index) => {
+                  const style = RESULT_STYLES[result.status] || RESULT_STYLES.failed;
+
+                  return (
+                    <tr key={`${result.archive || ''}-${result.fileName}-${index}`}>
+                      <td className="table-cell">
+                        <div className="text-sm font-medium text-gray-900">{result.fileName}</div>
+                        {result.archive && (
+                          <div className="text-xs text-gray-500">from {result.archive}</div>
+                        )}
+                      </td>
+                      <td className="table-cell">
+                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${style.className}`}>
+                          {style.label}
+                        </span>
+                      </td>
+                      <td className="table-cell text-sm text-gray-500">
+                        {result.status === 'created'
+                          ? `${result.name || 'Unknown'} · ${formatBureauName(result.bureau)}`
+                          : result.message}
+                      </td>
+                      <td className="table-cell">
+                        {/* Reports in the trash cannot be opened until they are restored */}
+                        {result.inTrash ? (
+                          hasPermission('reports:delete') && (
+                            <Link
+                              to="/trash"
+                              className="text-primary-600 hover:text-primary-800 text-sm font-medium"
+                            >
+                              Open Trash
+                            </Link>
+                          )
+                        ) : result.reportId && (
+                          <Link
+                            to={`/reports/${result.reportId}`}
+                            className="text-primary-600 hover:text-primary-800 text-sm font-medium"
+                          >
+                            View Report
+                          </Link>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchUploadForm;
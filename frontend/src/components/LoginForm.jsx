@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import { LockClosedIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../context/authContext';
+
+const LoginForm = ({ onLoginSuccess }) => {
+  const { login } = useAuth();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      const user = await login(email.trim(), password);
+      onLoginSuccess?.(user);
+    } catch (err) {
+      setError(err.message);
+      setPassword('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card p-6 w-full max-w-md mx-auto space-y-4">
+      <div className="text-center">
+        <div className="mx-auto w-12 h-12 bg-primary-600 rounded-lg flex items-center justify-center">
+          <LockClosedIcon className="w-6 h-6 text-white" />
+        </div>
+        <h1 className="mt-4 text-2xl font-bold text-gray-900">Sign in to CreditSea</h1>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded-lg border border-red-200 bg-red-50 text-sm text-red-800" role="alert">
+          {error}
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="login-email" className="block text-sm font-medium text-gray-700">Email</label>
+        <input
+          id="login-email"
+          type="email"
+          autoComplete="username"
+          required
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+        />
+      </div>
+
+      <div>
+        <label htmlFor="login-password" className="block text-sm font-medium text-gray-700">Password</label>
+        <input
+          id="login-password"
+          type="password"
+          autoComplete="current-password"
+          required
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+        />
+      </div>
+
+      <button
+        type="submit"
+        disabled={submitting}
+        className="w-full py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {submitting ? 'Signing in...' : 'Sign in'}
+      </button>
+    </form>
+  );
+};
+
+export default LoginForm;
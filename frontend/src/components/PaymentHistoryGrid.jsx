@@ -0,0 +1,43 @@
+import { getPaymentBucketStyle } from '../utils/helpers';
+
+const LEGEND_BUCKETS = ['current', '30', '60', '90', '120+', 'unknown'];
+
+// Legend explaining the payment grid colours
+export const PaymentHistoryLegend = () => (
+  <div className="flex flex-wrap items-center gap-4 text-xs text-gray-600">
+    {LEGEND_BUCKETS.map((bucket) => {
+      const style = getPaymentBucketStyle(bucket);
+      return (
+        <div key={bucket} className="flex items-center space-x-1">
+          <span className={`inline-block w-3 h-3 rounded-sm ${style.bgColor}`}></span>
+          <span>{style.label}</span>
+        </div>
+      );
+    })}
+  </div>
+);
+
+const PaymentHistoryGrid = ({ months = [] }) => {
+  if (months.length === 0) {
+    return <span className="text-gray-400">No history</span>;
+  }
+
+  return (
+    <div className="grid grid-cols-12 gap-0.5 w-max" aria-label="Payment history">
+      {months.map((entry) => {
+        const style = getPaymentBucketStyle(entry.bucket);
+        return (
+          <span
+            key={entry.period}
+            title={`${entry.period}: ${style.label}`}
+            className={`w-4 h-4 rounded-sm text-[9px] leading-4 text-center ${style.bgColor} ${style.textColor}`}
+          >
+            {entry.code === '?' ? '' : entry.code}
+          </span>
+        );
+      })}
+    </div>
+  );
+};
+
+export default PaymentHistoryGrid;
@@ -0,0 +1,47 @@
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../context/authContext';
+
+/**
+ * Render children only for a signed in user, optionally with a permission
+ * @param {Object} props - { permission, children }
+ */
+const ProtectedRoute = ({ permission, children }) => {
+  const { user, loading, organisation, hasPermission } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-64">
+        <div className="spinner"></div>
+        <span className="ml-2 text-gray-600">Checking your session...</span>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  // Report pages always work within an organisation
+  if (!organisation) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-lg font-medium text-red-600">No organisation</p>
+        <p className="text-sm text-gray-500 mt-1">Your account is not assigned to an organisation yet. Ask an admin to add you to one.</p>
+      </div>
+    );
+  }
+
+  if (permission && !hasPermission(permission)) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-lg font-medium text-red-600">Access denied</p>
+        <p className="text-sm text-gray-500 mt-1">Your role does not allow you to view this page.</p>
+      </div>
+    );
+  }
+
+  return children;
+};
+
+export default ProtectedRoute;
@@ -0,0 +1,273 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { ArrowLeftIcon } from '@heroicons/react/24/outline';
+import { compareReports } from '../api/creditReports';
+import { formatCurrency, formatDate, formatBureauName, formatChange } from '../utils/helpers';
+
+/**
+ * Text colour for a change where a decrease is good (balances, overdue)
+ * @param {number|null} change - Difference between two reports
+ * @returns {string} Tailwind text colour class
+ */
+const getDebtChangeColor = (change) => {
+  if (!change) return 'text-gray-500';
+  return change > 0 ? 'text-red-600' : 'text-green-600';
+};
+
+/**
+ * Table of account snapshots
+ * @param {Object} props - { title, accounts, emptyText, highlight }
+ */
+const AccountTable = ({ title, accounts, emptyText, highlight }) => (
+  <div className="card overflow-hidden">
+    <div className="p-6 border-b border-gray-200">
+      <h2 className="text-lg font-semibold text-gray-900">
+        {title} <span className="text-sm font-normal text-gray-500">({accounts.length})</span>
+      </h2>
+    </div>
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="table-header">Bank</th>
+            <th className="table-header">Account Number</th>
+            <th className="table-header">Type</th>
+            <th className="table-header">Status</th>
+            <th className="table-header">Current Balance</th>
+            <th className="table-header">Amount Overdue</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {accounts.length === 0 && (
+            <tr>
+              <td colSpan={6} className="table-cell text-center text-gray-500">{emptyText}</td>
+            </tr>
+          )}
+          {accounts.map((account) => (
+            <tr key={account.key} className={highlight}>
+              <td className="table-cell font-medium text-gray-900">{account.bankName || 'Unknown Bank'}</td>
+              <td className="table-cell text-gray-500">{account.accountNumber}</td>
+              <td className="table-cell text-gray-500">{account.type}</td>
+              <td className="table-cell text-gray-500">{account.status}</td>
+              <td className="table-cell text-gray-900">{formatCurrency(account.currentBalance)}</td>
+              <td className="table-cell text-gray-900">{formatCurrency(account.amountOverdue)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+const ReportComparison = () => {
+  const [searchParams] = useSearchParams();
+  const fromId = searchParams.get('from');
+  const toId = searchParams.get('to');
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchComparison = async () => {
+      try {
+        setLoading(true);
+        const response = await compareReports(fromId, toId);
+        setComparison(response.data);
+        setError(null);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchComparison();
+  }, [fromId, toId]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-64">
+        <div className="spinner"></div>
+        <span className="ml-2 text-gray-600">Comparing reports...</span>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-lg font-medium text-red-600">Error comparing reports</p>
+        <p className="text-sm text-gray-500 mt-1">{error}</p>
+        <Link to="/reports" className="btn-primary inline-block mt-4">
+          Back to Reports
+        </Link>
+      </div>
+    );
+  }
+
+  const { applicant, from, to, score, totalBalance, totalOverdue, changedAccounts, newEnquiries } = comparison;
+  const backLink = applicant.id ? `/applicants/${applicant.id}` : '/reports';
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-6">
+      {/* Header */}
+      <div className="flex items-center space-x-4">
+        <Link to={backLink} className="text-gray-600 hover:text-gray-800" title="Back">
+          <ArrowLeftIcon className="w-6 h-6" />
+        </Link>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">
+            Report Comparison - {applicant.name || 'Unknown'}
+          </h1>
+          <p className="text-sm text-gray-500">
+            <Link to={`/reports/${from.id}`} className="text-primary-600 hover:text-primary-800">
+              {formatBureauName(from.bureau)} {formatDate(from.reportDate || from.createdAt)}
+            </Link>
+            {' '}&rarr;{' '}
+            <Link to={`/reports/${to.id}`} className="text-primary-600 hover:text-primary-800">
+              {formatBureauName(to.bureau)} {formatDate(to.reportDate || to.createdAt)}
+            </Link>
+          </p>
+        </div>
+      </div>
+
+      {/* Headline changes */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="card p-6">
+          <h2 className="text-sm font-medium text-gray-500">Credit Score</h2>
+          <p className="text-2xl font-bold text-gray-900">{score.from ?? 'N/A'} &rarr; {score.to ?? 'N/A'}</p>
+          <p className={`text-sm font-medium ${score.delta > 0 ? 'text-green-600' : score.delta < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+            {formatChange(score.delta)}
+          </p>
+        </div>
+        <div className="card p-6">
+          <h2 className="text-sm font-medium text-gray-500">Total Balance</h2>
+          <p className="text-lg font-bold text-gray-900">{formatCurrency(totalBalance.from)} &rarr; {formatCurrency(totalBalance.to)}</p>
+          <p className={`text-sm font-medium ${getDebtChangeColor(totalBalance.delta)}`}>
+            {formatChange(totalBalance.delta, formatCurrency)}
+          </p>
+        </div>
+        <div className="card p-6">
+          <h2 className="text-sm font-medium text-gray-500">Total Overdue</h2>
+          <p className="text-lg font-bold text-gray-900">{formatCurrency(totalOverdue.from)} &rarr; {formatCurrency(totalOverdue.to)}</p>
+          <p className={`text-sm font-medium ${getDebtChangeColor(totalOverdue.delta)}`}>
+            {formatChange(totalOverdue.delta, formatCurrency)}
+          </p>
+        </div>
+      </div>
+
+      <AccountTable
+        title="Newly Opened Accounts"
+        accounts={comparison.openedAccounts}
+        emptyText="No new accounts"
+        highlight="bg-green-50"
+      />
+
+      <AccountTable
+        title="Closed Accounts"
+        accounts={comparison.closedAccounts}
+        emptyText="No accounts closed"
+        highlight="bg-gray-50"
+      />
+
+      {comparison.removedAccounts.length > 0 && (
+        <AccountTable
+          title="No Longer Reported"
+          accounts={comparison.removedAccounts}
+          emptyText=""
+          highlight="bg-yellow-50"
+        />
+      )}
+
+      {/* Changed accounts */}
+      <div className="card overflow-hidden">
+        <div className="p-6 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">
+            Account Changes <span className="text-sm font-normal text-gray-500">({changedAccounts.length})</span>
+          </h2>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="table-header">Bank</th>
+                <th className="table-header">Account Number</th>
+                <th className="table-header">Status</th>
+                <th className="table-header">Balance</th>
+                <th className="table-header">Overdue</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {changedAccounts.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="table-cell text-center text-gray-500">No changes on existing accounts</td>
+                </tr>
+              )}
+              {changedAccounts.map((account) => (
+                <tr key={account.key}>
+                  <td className="table-cell font-medium text-gray-900">{account.bankName || 'Unknown Bank'}</td>
+                  <td className="table-cell text-gray-500">{account.accountNumber}</td>
+                  <td className="table-cell text-gray-500">
+                    {account.previousStatus === account.status
+                      ? account.status
+                      : <span className="font-medium text-gray-900">{account.previousStatus} &rarr; {account.status}</span>}
+                  </td>
+                  <td className="table-cell">
+                    <div className="text-gray-900">{formatCurrency(account.currentBalance)}</div>
+                    <div className={`text-xs ${getDebtChangeColor(account.balanceChange)}`}>
+                      {formatChange(account.balanceChange, formatCurrency)}
+                    </div>
+                  </td>
+                  <td className="table-cell">
+                    <div className="text-gray-900">{formatCurrency(account.amountOverdue)}</div>
+                    <div className={`text-xs ${getDebtChangeColor(account.overdueChange)}`}>
+                      {formatChange(account.overdueChange, formatCurrency)}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* New enquiries */}
+      <div className="card overflow-hidden">
+        <div className="p-6 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">
+            New Enquiries <span className="text-sm font-normal text-gray-500">({newEnquiries.length})</span>
+          </h2>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="table-header">Institution</th>
+                <th className="table-header">Date</th>
+                <th className="table-header">Amount</th>
+                <th className="table-header">Purpose</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {newEnquiries.length === 0 && (
+                <tr>
+                  <td colSpan={4} className="table-cell text-center text-gray-500">No new enquiries</td>
+                </tr>
+              )}
+              {newEnquiries.map((enquiry, index) => (
+                <tr key={index} className="bg-blue-50">
+                  <td className="table-cell font-medium text-gray-900">{enquiry.institution}</td>
+                  <td className="table-cell text-gray-500">{formatDate(enquiry.date)}</td>
+                  <td className="table-cell text-gray-900">{formatCurrency(enquiry.amount)}</td>
+                  <td className="table-cell text-gray-500">{enquiry.purpose || enquiry.reason || 'N/A'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReportComparison;
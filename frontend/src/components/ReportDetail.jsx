@@ -7,25 +7,57 @@ import {
   PhoneIcon, 
   CreditCardIcon,
   BanknotesIcon,
-  ClipboardDocumentIcon
+  ClipboardDocumentIcon,
+  IdentificationIcon,
+  ExclamationTriangleIcon,
+  EyeIcon,
+  EyeSlashIcon,
+  ShieldCheckIcon,
+  ArrowDownTrayIcon
 } from '@heroicons/react/24/outline';
-import { getReport } from '../api/creditReports';
+import { getReport, getReferenceData, downloadRawReport, exportReport, revealReportPii, setLegalHold } from '../api/creditReports';
+import AuditLog from './AuditLog';
+import PaymentHistoryGrid, { PaymentHistoryLegend } from './PaymentHistoryGrid';
 import { 
   formatCurrency, 
   formatDate, 
   formatCreditScore, 
   getAccountStatusBadge,
+  formatAccountType,
+  formatPercent,
+  formatMonths,
   calculateAccountHealth,
-  downloadFile,
-  copyToClipboard
+  saveBlob,
+  copyToClipboard,
+  formatBureauName,
+  formatIdentityType,
+  getDerogatoryLabels
 } from '../utils/helpers';
+import { useAuth } from '../context/authContext';
+
+// Excel holds every sheet; a CSV holds one
+const EXPORT_OPTIONS = [
+  { label: 'Excel workbook (all sheets)', format: 'xlsx' },
+  { label: 'Applicant CSV', format: 'csv', sheet: 'applicant' },
+  { label: 'Accounts CSV', format: 'csv', sheet: 'accounts' },
+  { label: 'Enquiries CSV', format: 'csv', sheet: 'enquiries' },
+  { label: 'Payment history CSV', format: 'csv', sheet: 'history' }
+];
 
 const ReportDetail = () => {
   const { id } = useParams();
+  const { hasPermission } = useAuth();
   const [report, setReport] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('overview');
+  const [downloading, setDownloading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [exportMenuOpen, setExportMenuOpen] = useState(false);
+  const [revealedPii, setRevealedPii] = useState(null);
+  const [revealing, setRevealing] = useState(false);
+  const [updatingHold, setUpdatingHold] = useState(false);
+  const [referenceData, setReferenceData] = useState(null);
 
   useEffect(() => {
     const fetchReport = async () => {
@@ -44,18 +76,82 @@ const ReportDetail = () => {
     fetchReport();
   }, [id]);
 
+  // Badges fall back to the categories stored on each account when the tables cannot be loaded
+  useEffect(() => {
+    let active = true;
+    getReferenceData()
+      .then((data) => active && setReferenceData(data))
+      .catch(() => {});
+    return () => { active = false; };
+  }, []);
+
   const handleCopyPAN = async () => {
-    if (report?.basicDetails?.pan) {
-      const success = await copyToClipboard(report.basicDetails.pan);
+    if (revealedPii?.basicDetails?.pan) {
+      const success = await copyToClipboard(revealedPii.basicDetails.pan);
       if (success) {
         alert('PAN copied to clipboard');
       }
     }
   };
 
-  const handleDownloadXML = () => {
-    if (report?.rawXmlUrl) {
-      downloadFile(report.rawXmlUrl, `credit-report-${id}.xml`);
+  // PII is masked until a permitted user reveals it; every reveal is audited by the backend
+  const handleRevealPii = async () => {
+    try {
+      setRevealing(true);
+      const response = await revealReportPii(id);
+      setRevealedPii(response.data);
+    } catch (err) {
+      alert(`Failed to reveal details: ${err.message}`);
+    } finally {
+      setRevealing(false);
+    }
+  };
+
+  // Reports on legal hold are skipped by retention purges and cannot be deleted
+  const handleToggleLegalHold = async () => {
+    const placing = !report.legalHold;
+    let reason;
+    if (placing) {
+      reason = window.prompt('Reason for the legal hold (optional)');
+      if (reason === null) return;
+    } else if (!window.confirm('Lift the legal hold? The report will be purged once the retention rules apply to it.')) {
+      return;
+    }
+
+    try {
+      setUpdatingHold(true);
+      const response = await setLegalHold(id, placing, reason || undefined);
+      const { legalHold, legalHoldReason } = response.data;
+      setReport((current) => ({ ...current, legalHold, legalHoldReason }));
+    } catch (err) {
+      alert(`Failed to update legal hold: ${err.message}`);
+    } finally {
+      setUpdatingHold(false);
+    }
+  };
+
+  const handleDownloadXML = async () => {
+    try {
+      setDownloading(true);
+      const { blob, fileName } = await downloadRawReport(id);
+      saveBlob(blob, fileName);
+    } catch (err) {
+      alert(`Failed to download XML: ${err.message}`);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleExport = async (format, sheet) => {
+    try {
+      setExportMenuOpen(false);
+      setExporting(true);
+      const { blob, fileName } = await exportReport(id, format, sheet);
+      saveBlob(blob, fileName);
+    } catch (err) {
+      alert(`Failed to export report: ${err.message}`);
+    } finally {
+      setExporting(false);
     }
   };
 
@@ -96,7 +192,14 @@ const ReportDetail = () => {
     );
   }
 
-  const { basicDetails, reportSummary, creditAccounts, enquiries } = report;
+  const { reportSummary, enquiries } = report;
+  const basicDetails = revealedPii ? { ...report.basicDetails, ...revealedPii.basicDetails } : report.basicDetails;
+  const creditAccounts = revealedPii?.creditAccounts || report.creditAccounts;
+  const addresses = basicDetails.addresses || [];
+  const phones = basicDetails.phones || [];
+  const derogatorySummary = report.derogatorySummary || {};
+  const enquirySummary = report.enquirySummary || {};
+  const creditMetrics = report.creditMetrics;
   const scoreData = formatCreditScore(basicDetails.creditScore);
 
   return (
@@ -116,26 +219,118 @@ const ReportDetail = () => {
               Credit Report - {basicDetails.name || 'Unknown'}
             </h1>
             <p className="text-sm text-gray-500">
-              Generated on {formatDate(report.createdAt)}
+              {formatBureauName(report.bureau)} report &middot; Bureau report date {formatDate(report.reportDate)} &middot; Uploaded at {formatDate(report.createdAt)}
             </p>
+            {report.legalHold && (
+              <p className="mt-1 inline-flex items-center space-x-1 rounded-full bg-amber-100 px-2 py-0.5 text-xs font-medium text-amber-800">
+                <ShieldCheckIcon className="w-3 h-3" />
+                <span>Legal hold{report.legalHoldReason ? `: ${report.legalHoldReason}` : ''}</span>
+              </p>
+            )}
           </div>
         </div>
-        <button
-          onClick={handleDownloadXML}
-          className="btn-secondary flex items-center space-x-2"
-        >
-          <DocumentIcon className="w-4 h-4" />
-          <span>Download XML</span>
-        </button>
+        <div className="flex items-center space-x-2">
+          {hasPermission('reports:hold') && (
+            <button
+              onClick={handleToggleLegalHold}
+              disabled={updatingHold}
+              className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
+            >
+              <ShieldCheckIcon className="w-4 h-4" />
+              <span>{report.legalHold ? 'Lift Legal Hold' : 'Place Legal Hold'}</span>
+            </button>
+          )}
+          {hasPermission('reports:export') && (
+            <div className="relative">
+              <button
+                onClick={() => setExportMenuOpen((open) => !open)}
+                disabled={exporting}
+                aria-expanded={exportMenuOpen}
+                className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
+              >
+                <ArrowDownTrayIcon className="w-4 h-4" />
+                <span>{exporting ? 'Exporting...' : 'Export'}</span>
+              </button>
+              {exportMenuOpen && (
+                <div className="absolute right-0 z-10 mt-1 w-56 rounded-md border border-gray-200 bg-white py-1 shadow-lg" role="menu">
+                  {EXPORT_OPTIONS.map(({ label, format, sheet }) => (
+                    <button
+                      key={label}
+                      onClick={() => handleExport(format, sheet)}
+                      className="block w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-50"
+                      role="menuitem"
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+          {hasPermission('reports:download') && (report.rawXmlPurgedAt ? (
+            <span className="text-sm text-gray-500">
+              Raw XML purged on {formatDate(report.rawXmlPurgedAt)}
+            </span>
+          ) : (
+            <button
+              onClick={handleDownloadXML}
+              disabled={downloading}
+              className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
+            >
+              <DocumentIcon className="w-4 h-4" />
+              <span>{downloading ? 'Downloading...' : 'Download XML'}</span>
+            </button>
+          ))}
+        </div>
       </div>
 
+      {/* Derogatory Warning */}
+      {derogatorySummary.hasDerogatory && (
+        <div className="rounded-lg border border-red-300 bg-red-50 p-4" role="alert">
+          <div className="flex items-start space-x-3">
+            <ExclamationTriangleIcon className="w-6 h-6 text-red-600 flex-shrink-0" />
+            <div>
+              <h2 className="text-sm font-semibold text-red-800">Derogatory records reported</h2>
+              <ul className="mt-1 text-sm text-red-700 list-disc list-inside">
+                {derogatorySummary.wilfulDefaultAccounts > 0 && (
+                  <li>{derogatorySummary.wilfulDefaultAccounts} wilful default account(s)</li>
+                )}
+                {derogatorySummary.suitFiledAccounts > 0 && (
+                  <li>{derogatorySummary.suitFiledAccounts} suit filed account(s)</li>
+                )}
+                {derogatorySummary.writtenOffAccounts > 0 && (
+                  <li>
+                    {derogatorySummary.writtenOffAccounts} written-off account(s)
+                    {derogatorySummary.totalWrittenOffAmount > 0 && ` totalling ${formatCurrency(derogatorySummary.totalWrittenOffAmount)}`}
+                  </li>
+                )}
+                {derogatorySummary.settledAccounts > 0 && (
+                  <li>
+                    {derogatorySummary.settledAccounts} settled account(s)
+                    {derogatorySummary.totalSettlementAmount > 0 && ` for ${formatCurrency(derogatorySummary.totalSettlementAmount)}`}
+                  </li>
+                )}
+                {derogatorySummary.defaultAccounts > 0 && (
+                  <li>{derogatorySummary.defaultAccounts} account(s) in default as reported by the bureau</li>
+                )}
+                {derogatorySummary.suitFiledCurrentBalance > 0 && (
+                  <li>{formatCurrency(derogatorySummary.suitFiledCurrentBalance)} outstanding on suit filed accounts</li>
+                )}
+              </ul>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Tabs */}
       <div className="border-b border-gray-200">
         <nav className="-mb-px flex space-x-8">
           {[
             { id: 'overview', name: 'Overview' },
             { id: 'accounts', name: 'Credit Accounts' },
-            { id: 'enquiries', name: 'Enquiries' }
+            { id: 'enquiries', name: 'Enquiries' },
+            { id: 'contacts', name: 'Address History' },
+            ...(hasPermission('audit:read') ? [{ id: 'audit', name: 'Audit Trail' }] : [])
           ].map((tab) => (
             <button
               key={tab.id}
@@ -158,9 +353,32 @@ const ReportDetail = () => {
           {/* Basic Details */}
           <div className="lg:col-span-1">
             <div className="card p-6">
-              <div className="flex items-center space-x-3 mb-4">
-                <UserIcon className="w-6 h-6 text-gray-600" />
-                <h2 className="text-lg font-semibold text-gray-900">Basic Details</h2>
+              <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center space-x-3">
+                  <UserIcon className="w-6 h-6 text-gray-600" />
+                  <h2 className="text-lg font-semibold text-gray-900">Basic Details</h2>
+                </div>
+                {hasPermission('reports:reveal') && (
+                  revealedPii ? (
+                    <button
+                      onClick={() => setRevealedPii(null)}
+                      className="flex items-center space-x-1 text-sm text-primary-600 hover:text-primary-800"
+                    >
+                      <EyeSlashIcon className="w-4 h-4" />
+                      <span>Hide</span>
+                    </button>
+                  ) : (
+                    <button
+                      onClick={handleRevealPii}
+                      disabled={revealing}
+                      className="flex items-center space-x-1 text-sm text-primary-600 hover:text-primary-800 disabled:opacity-50"
+                      title="Show the full PAN, phone, email and account numbers; this is recorded in the audit log"
+                    >
+                      <EyeIcon className="w-4 h-4" />
+                      <span>{revealing ? 'Revealing...' : 'Reveal'}</span>
+                    </button>
+                  )
+                )}
               </div>
               
               <div className="space-y-4">
@@ -173,7 +391,7 @@ const ReportDetail = () => {
                   <label className="text-sm font-medium text-gray-500">PAN</label>
                   <div className="flex items-center space-x-2">
                     <p className="text-gray-900">{basicDetails.pan || 'N/A'}</p>
-                    {basicDetails.pan && (
+                    {revealedPii?.basicDetails?.pan && (
                       <button
                         onClick={handleCopyPAN}
                         className="text-primary-600 hover:text-primary-800"
@@ -183,6 +401,14 @@ const ReportDetail = () => {
                       </button>
                     )}
                   </div>
+                  {report.applicantId && (
+                    <Link
+                      to={`/applicants/${report.applicantId}`}
+                      className="text-sm text-primary-600 hover:text-primary-800"
+                    >
+                      View applicant history
+                    </Link>
+                  )}
                 </div>
                 
                 <div>
@@ -204,8 +430,57 @@ const ReportDetail = () => {
                   <label className="text-sm font-medium text-gray-500">Gender</label>
                   <p className="text-gray-900">{basicDetails.gender || 'N/A'}</p>
                 </div>
+
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Bureau Report Number</label>
+                  <p className="text-gray-900">{report.bureauMetadata?.reportNumber || 'N/A'}</p>
+                </div>
+
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Bureau Report Version</label>
+                  <p className="text-gray-900">{report.bureauMetadata?.version || 'N/A'}</p>
+                </div>
               </div>
             </div>
+
+            {/* Identity Documents */}
+            <div className="card p-6 mt-6">
+              <div className="flex items-center space-x-3 mb-4">
+                <IdentificationIcon className="w-6 h-6 text-gray-600" />
+                <h2 className="text-lg font-semibold text-gray-900">Identity Documents</h2>
+              </div>
+
+              {basicDetails.identities?.length > 0 ? (
+                <ul className="space-y-3">
+                  {basicDetails.identities.map((identity) => (
+                    <li key={`${identity.type}-${identity.number}`} className="text-sm">
+                      <div className="flex items-center justify-between">
+                        <span className="font-medium text-gray-500">{formatIdentityType(identity.type)}</span>
+                        <div className="flex space-x-1">
+                          {identity.isValidFormat === false && (
+                            <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">Invalid format</span>
+                          )}
+                          {identity.isExpired && (
+                            <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">Expired</span>
+                          )}
+                        </div>
+                      </div>
+                      <p className="text-gray-900">{identity.number}</p>
+                      {(identity.issueDate || identity.expiryDate) && (
+                        <p className="text-xs text-gray-500">
+                          Issued {formatDate(identity.issueDate)} &middot; Expires {formatDate(identity.expiryDate)}
+                        </p>
+                      )}
+                      {identity.sources?.length > 0 && (
+                        <p className="text-xs text-gray-400">Reported by {identity.sources.join(', ')}</p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">No identity documents reported</p>
+              )}
+            </div>
           </div>
 
           {/* Credit Score & Summary */}
@@ -291,6 +566,31 @@ const ReportDetail = () => {
                 </div>
               </div>
             </div>
+
+            {/* Risk Metrics */}
+            {creditMetrics && (
+              <div className="card p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Risk Metrics</h3>
+                <dl className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                  {[
+                    ['Credit Utilisation', formatPercent(creditMetrics.creditUtilisation)],
+                    ['Overdue to Balance', formatPercent(creditMetrics.overdueToBalanceRatio)],
+                    ['Enquiries per Month', creditMetrics.enquiryVelocity?.perMonth ?? 0],
+                    ['Average Account Age', formatMonths(creditMetrics.averageAccountAgeMonths)],
+                    ['Oldest Account Age', formatMonths(creditMetrics.oldestAccountAgeMonths)],
+                    ['Oldest / Newest Account', `${formatDate(reportSummary.oldestAccount)} / ${formatDate(reportSummary.newestAccount)}`],
+                    ['Max DPD (12 months)', creditMetrics.maxDpd12Months ?? 'N/A'],
+                    ['Max DPD (24 months)', creditMetrics.maxDpd24Months ?? 'N/A'],
+                    ['Accounts Ever 30/60/90+ DPD', `${creditMetrics.accountsEver30Dpd} / ${creditMetrics.accountsEver60Dpd} / ${creditMetrics.accountsEver90Dpd}`]
+                  ].map(([label, value]) => (
+                    <div key={label}>
+                      <dt className="text-sm font-medium text-gray-500">{label}</dt>
+                      <dd className="text-sm font-semibold text-gray-900">{value}</dd>
+                    </div>
+                  ))}
+                </dl>
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -301,6 +601,9 @@ const ReportDetail = () => {
           <div className="p-6 border-b border-gray-200">
             <h2 className="text-lg font-semibold text-gray-900">Credit Accounts</h2>
             <p className="text-sm text-gray-500">{creditAccounts.length} total accounts</p>
+            <div className="mt-3">
+              <PaymentHistoryLegend />
+            </div>
           </div>
           
           {creditAccounts.length === 0 ? (
@@ -319,11 +622,12 @@ const ReportDetail = () => {
                     <th className="table-header">Amount Overdue</th>
                     <th className="table-header">Status</th>
                     <th className="table-header">Health</th>
+                    <th className="table-header">Payment History</th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
                   {creditAccounts.map((account, index) => {
-                    const statusBadge = getAccountStatusBadge(account.status);
+                    const statusBadge = getAccountStatusBadge(account, referenceData);
                     const health = calculateAccountHealth(account);
                     
                     return (
@@ -334,7 +638,7 @@ const ReportDetail = () => {
                           </div>
                         </td>
                         <td className="table-cell text-gray-500">
-                          {account.type}
+                          {formatAccountType(account, referenceData)}
                         </td>
                         <td className="table-cell text-gray-500 font-mono">
                           {account.accountNumber || 'N/A'}
@@ -351,12 +655,25 @@ const ReportDetail = () => {
                           <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusBadge.bgColor} ${statusBadge.textColor}`}>
                             {statusBadge.text}
                           </span>
+                          {getDerogatoryLabels(account.derogatory)
+                            .filter((label) => label !== statusBadge.text)
+                            .map((label) => (
+                              <span
+                                key={label}
+                                className="ml-1 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800"
+                              >
+                                {label}
+                              </span>
+                            ))}
                         </td>
                         <td className="table-cell">
                           <span className={`font-medium ${health.color}`}>
                             {health.score}
                           </span>
                         </td>
+                        <td className="table-cell">
+                          <PaymentHistoryGrid months={account.paymentHistoryMonths} />
+                        </td>
                       </tr>
                     );
                   })}
@@ -369,50 +686,193 @@ const ReportDetail = () => {
 
       {/* Enquiries Tab */}
       {activeTab === 'enquiries' && (
-        <div className="card">
-          <div className="p-6 border-b border-gray-200">
-            <h2 className="text-lg font-semibold text-gray-900">Credit Enquiries</h2>
-            <p className="text-sm text-gray-500">{enquiries.length} total enquiries</p>
-          </div>
-          
-          {enquiries.length === 0 ? (
-            <div className="p-6 text-center text-gray-500">
-              No credit enquiries found
+        <div className="space-y-6">
+          <div className="card">
+            <div className="p-6 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">Enquiry Windows</h2>
+              <p className="text-sm text-gray-500">Enquiry counts reported by the bureau</p>
             </div>
-          ) : (
             <div className="overflow-x-auto">
               <table className="min-w-full divide-y divide-gray-200">
                 <thead className="bg-gray-50">
                   <tr>
-                    <th className="table-header">Institution</th>
-                    <th className="table-header">Date</th>
-                    <th className="table-header">Amount</th>
-                    <th className="table-header">Purpose</th>
+                    <th className="table-header">Type</th>
+                    <th className="table-header">Last 7 Days</th>
+                    <th className="table-header">Last 30 Days</th>
+                    <th className="table-header">Last 90 Days</th>
+                    <th className="table-header">Last 180 Days</th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
-                  {enquiries.map((enquiry, index) => (
-                    <tr key={index} className="hover:bg-gray-50">
-                      <td className="table-cell font-medium text-gray-900">
-                        {enquiry.institution || 'Unknown'}
-                      </td>
-                      <td className="table-cell text-gray-500">
-                        {formatDate(enquiry.date)}
-                      </td>
-                      <td className="table-cell">
-                        {formatCurrency(enquiry.amount)}
-                      </td>
-                      <td className="table-cell text-gray-500">
-                        {enquiry.purpose || 'N/A'}
-                      </td>
+                  {[
+                    { key: 'credit', label: 'Credit' },
+                    { key: 'nonCredit', label: 'Non-credit' },
+                    { key: 'total', label: 'Total' }
+                  ].map(({ key, label }) => (
+                    <tr key={key} className="hover:bg-gray-50">
+                      <td className="table-cell font-medium text-gray-900">{label}</td>
+                      <td className="table-cell text-gray-500">{enquirySummary[key]?.last7Days ?? 0}</td>
+                      <td className="table-cell text-gray-500">{enquirySummary[key]?.last30Days ?? 0}</td>
+                      <td className="table-cell text-gray-500">{enquirySummary[key]?.last90Days ?? 0}</td>
+                      <td className="table-cell text-gray-500">{enquirySummary[key]?.last180Days ?? 0}</td>
                     </tr>
                   ))}
                 </tbody>
               </table>
             </div>
-          )}
+          </div>
+
+          <div className="card">
+            <div className="p-6 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">Credit Enquiries</h2>
+              <p className="text-sm text-gray-500">{enquiries.length} itemised enquiries</p>
+            </div>
+          
+            {enquiries.length === 0 ? (
+              <div className="p-6 text-center text-gray-500">
+                No itemised enquiries reported
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="table-header">Institution</th>
+                      <th className="table-header">Date</th>
+                      <th className="table-header">Amount</th>
+                      <th className="table-header">Purpose</th>
+                      <th className="table-header">Type</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {enquiries.map((enquiry, index) => (
+                      <tr key={index} className="hover:bg-gray-50">
+                        <td className="table-cell font-medium text-gray-900">
+                          {enquiry.institution || 'Unknown'}
+                        </td>
+                        <td className="table-cell text-gray-500">
+                          {formatDate(enquiry.date)}
+                        </td>
+                        <td className="table-cell">
+                          {formatCurrency(enquiry.amount)}
+                        </td>
+                        <td className="table-cell text-gray-500">
+                          {enquiry.purpose || (enquiry.purposeCode ? `Code ${enquiry.purposeCode}` : 'N/A')}
+                        </td>
+                        <td className="table-cell text-gray-500">
+                          {enquiry.category === 'nonCredit' ? 'Non-credit' : 'Credit'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Address History Tab */}
+      {activeTab === 'contacts' && (
+        <div className="space-y-6">
+          <div className="card">
+            <div className="p-6 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">Address History</h2>
+              <p className="text-sm text-gray-500">{addresses.length} addresses reported</p>
+            </div>
+
+            {addresses.length === 0 ? (
+              <div className="p-6 text-center text-gray-500">
+                No addresses reported
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="table-header">Address</th>
+                      <th className="table-header">First Reported</th>
+                      <th className="table-header">Last Reported</th>
+                      <th className="table-header">Reported By</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {addresses.map((address, index) => (
+                      <tr key={index} className="hover:bg-gray-50">
+                        <td className="table-cell font-medium text-gray-900 whitespace-normal">
+                          {address.fullAddress}
+                        </td>
+                        <td className="table-cell text-gray-500">
+                          {formatDate(address.firstReported)}
+                        </td>
+                        <td className="table-cell text-gray-500">
+                          {formatDate(address.lastReported)}
+                        </td>
+                        <td className="table-cell text-gray-500 whitespace-normal">
+                          {address.sources?.join(', ') || 'N/A'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="card">
+            <div className="p-6 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">Phone Numbers</h2>
+              <p className="text-sm text-gray-500">{phones.length} phone numbers reported</p>
+            </div>
+
+            {phones.length === 0 ? (
+              <div className="p-6 text-center text-gray-500">
+                No phone numbers reported
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="table-header">Number</th>
+                      <th className="table-header">Type</th>
+                      <th className="table-header">First Reported</th>
+                      <th className="table-header">Last Reported</th>
+                      <th className="table-header">Reported By</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {phones.map((phone, index) => (
+                      <tr key={index} className="hover:bg-gray-50">
+                        <td className="table-cell font-medium text-gray-900">
+                          {phone.number}
+                        </td>
+                        <td className="table-cell text-gray-500">
+                          {phone.type || 'N/A'}
+                        </td>
+                        <td className="table-cell text-gray-500">
+                          {formatDate(phone.firstReported)}
+                        </td>
+                        <td className="table-cell text-gray-500">
+                          {formatDate(phone.lastReported)}
+                        </td>
+                        <td className="table-cell text-gray-500 whitespace-normal">
+                          {phone.sources?.join(', ') || 'N/A'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
         </div>
       )}
+
+      {/* Audit Trail Tab */}
+      {activeTab === 'audit' && hasPermission('audit:read') && (
+        <AuditLog reportId={id} />
+      )}
     </div>
   );
 };
@@ -0,0 +1,169 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ArrowUturnLeftIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { getTrash, restoreReport, deleteReportPermanently } from '../api/creditReports';
+import { formatDate, formatDateTime, formatBureauName } from '../utils/helpers';
+
+const ReportTrash = () => {
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [pagination, setPagination] = useState({});
+  const [currentPage, setCurrentPage] = useState(1);
+  const [updating, setUpdating] = useState(null);
+
+  const fetchTrash = useCallback(async (page = 1) => {
+    try {
+      setLoading(true);
+      const response = await getTrash(page, 10);
+      setReports(response.data.reports);
+      setPagination(response.data.pagination);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash(currentPage);
+  }, [currentPage, fetchTrash]);
+
+  const handleRestore = async (reportId) => {
+    try {
+      setUpdating(reportId);
+      await restoreReport(reportId);
+      await fetchTrash(currentPage);
+    } catch (err) {
+      alert('Failed to restore report: ' + err.message);
+    } finally {
+      setUpdating(null);
+    }
+  };
+
+  const handleDeletePermanently = async (reportId) => {
+    if (!window.confirm('Permanently delete this report and its raw XML? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      setUpdating(reportId);
+      await deleteReportPermanently(reportId);
+      await fetchTrash(currentPage);
+    } catch (err) {
+      alert('Failed to delete report: ' + err.message);
+    } finally {
+      setUpdating(null);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="p-6 border-b border-gray-200 flex justify-between items-center">
+        <h2 className="text-lg font-semibold text-gray-900">Trash</h2>
+        {!loading && !error && (
+          <p className="text-sm text-gray-500">{pagination.totalReports || 0} reports</p>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center py-12">
+          <div className="spinner"></div>
+          <span className="ml-2 text-gray-600">Loading trash...</span>
+        </div>
+      ) : error ? (
+        <div className="p-6 text-center">
+          <p className="text-red-600 font-medium">Error loading trash</p>
+          <p className="text-sm text-gray-500 mt-1">{error}</p>
+          <button onClick={() => fetchTrash(currentPage)} className="btn-primary mt-4">
+            Try Again
+          </button>
+        </div>
+      ) : reports.length === 0 ? (
+        <div className="p-6 text-center text-gray-500">
+          The trash is empty
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="table-header">Applicant</th>
+                <th className="table-header">Bureau</th>
+                <th className="table-header">Uploaded</th>
+                <th className="table-header">Deleted</th>
+                <th className="table-header">Permanently Deleted On</th>
+                <th className="table-header">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {reports.map((report) => (
+                <tr key={report.id} className="hover:bg-gray-50">
+                  <td className="table-cell">
+                    <div className="font-medium text-gray-900">{report.name || 'Unknown'}</div>
+                    {report.pan && <div className="text-xs text-gray-500">PAN {report.pan}</div>}
+                  </td>
+                  <td className="table-cell text-gray-500">{formatBureauName(report.bureau)}</td>
+                  <td className="table-cell text-gray-500">{formatDate(report.createdAt)}</td>
+                  <td className="table-cell">
+                    <div className="text-gray-900">{formatDateTime(report.deletedAt)}</div>
+                    {report.deletedBy && <div className="text-xs text-gray-500">{report.deletedBy}</div>}
+                  </td>
+                  <td className="table-cell text-gray-500">{formatDate(report.purgeAt)}</td>
+                  <td className="table-cell">
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => handleRestore(report.id)}
+                        disabled={updating === report.id}
+                        className="text-primary-600 hover:text-primary-900 disabled:opacity-50"
+                        title="Restore Report"
+                      >
+                        <ArrowUturnLeftIcon className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDeletePermanently(report.id)}
+                        disabled={updating === report.id}
+                        className="text-red-600 hover:text-red-900 disabled:opacity-50"
+                        title="Delete Permanently"
+                      >
+                        <TrashIcon className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Pagination */}
+      {!loading && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between border-t border-gray-200 px-6 py-3">
+          <p className="text-sm text-gray-700">
+            Showing page <span className="font-medium">{pagination.currentPage}</span> of{' '}
+            <span className="font-medium">{pagination.totalPages}</span>
+          </p>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => setCurrentPage(currentPage - 1)}
+              disabled={!pagination.hasPrevPage}
+              className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setCurrentPage(currentPage + 1)}
+              disabled={!pagination.hasNextPage}
+              className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReportTrash;
@@ -1,21 +1,80 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
-import { EyeIcon, TrashIcon, ArrowUpTrayIcon } from '@heroicons/react/24/outline';
-import { getReports, deleteReport } from '../api/creditReports';
-import { formatCurrency, formatDate, formatCreditScore } from '../utils/helpers';
+import { EyeIcon, TrashIcon, ArrowUpTrayIcon, ArrowDownTrayIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { getReports, deleteReport, exportReports } from '../api/creditReports';
+import { formatCurrency, formatDate, formatCreditScore, formatBureauName, saveBlob } from '../utils/helpers';
+import { useAuth } from '../context/authContext';
+
+// Filter form defaults; empty values are left out of the API query
+const EMPTY_FILTERS = {
+  search: '',
+  pan: '',
+  mobile: '',
+  bureau: '',
+  minScore: '',
+  maxScore: '',
+  minBalance: '',
+  maxBalance: '',
+  uploadedFrom: '',
+  uploadedTo: '',
+  reportDateFrom: '',
+  reportDateTo: '',
+  overdue: false,
+  sortBy: 'createdAt',
+  sortOrder: 'desc',
+};
+
+const SORT_OPTIONS = [
+  { value: 'createdAt', label: 'Upload date' },
+  { value: 'reportDate', label: 'Bureau report date' },
+  { value: 'name', label: 'Name' },
+  { value: 'creditScore', label: 'Credit score' },
+  { value: 'currentBalance', label: 'Current balance' },
+  { value: 'totalAccounts', label: 'Total accounts' },
+];
+
+/**
+ * Convert the filter form into API query parameters
+ * @param {Object} filters - Applied filter form values
+ * @param {boolean} derogatoryOnly - Only list reports with derogatory flags
+ * @returns {Object} Query parameters without empty or default values
+ */
+const toQueryFilters = (filters, derogatoryOnly) => {
+  const query = {};
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value === '' || value === false) return;
+    if (key === 'sortBy' && value === EMPTY_FILTERS.sortBy) return;
+    if (key === 'sortOrder' && value === EMPTY_FILTERS.sortOrder) return;
+    query[key] = typeof value === 'string' ? value.trim() : value;
+  });
+
+  if (derogatoryOnly) query.derogatory = true;
+  return query;
+};
 
 const ReportsList = () => {
+  const { hasPermission } = useAuth();
+  const canDelete = hasPermission('reports:delete');
+  const canExport = hasPermission('reports:export');
   const [reports, setReports] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [pagination, setPagination] = useState({});
   const [currentPage, setCurrentPage] = useState(1);
   const [deleting, setDeleting] = useState(null);
+  const [exporting, setExporting] = useState(null);
+  const [derogatoryOnly, setDerogatoryOnly] = useState(false);
+  const [filterForm, setFilterForm] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
 
-  const fetchReports = async (page = 1) => {
+  const queryFilters = toQueryFilters(appliedFilters, derogatoryOnly);
+  const hasActiveFilters = Object.keys(queryFilters).length > 0;
+
+  const fetchReports = useCallback(async (page = 1) => {
     try {
       setLoading(true);
-      const response = await getReports(page, 10);
+      const response = await getReports(page, 10, toQueryFilters(appliedFilters, derogatoryOnly));
       setReports(response.data.reports);
       setPagination(response.data.pagination);
       setError(null);
@@ -24,11 +83,11 @@ const ReportsList = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [appliedFilters, derogatoryOnly]);
 
   useEffect(() => {
     fetchReports(currentPage);
-  }, [currentPage]);
+  }, [currentPage, fetchReports]);
 
   const handleDelete = async (reportId) => {
     if (!window.confirm('Are you sure you want to delete this report?')) {
@@ -48,10 +107,45 @@ const ReportsList = () => {
     }
   };
 
+  // Exports every report matching the applied filters, not just the current page
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      const { blob, fileName } = await exportReports(queryFilters, format);
+      saveBlob(blob, fileName);
+    } catch (err) {
+      alert('Failed to export reports: ' + err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
   const handlePageChange = (page) => {
     setCurrentPage(page);
   };
 
+  const handleDerogatoryToggle = (event) => {
+    setDerogatoryOnly(event.target.checked);
+    setCurrentPage(1);
+  };
+
+  const handleFilterChange = (event) => {
+    const { name, value, type, checked } = event.target;
+    setFilterForm((current) => ({ ...current, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleFilterSubmit = (event) => {
+    event.preventDefault();
+    setAppliedFilters(filterForm);
+    setCurrentPage(1);
+  };
+
+  const handleFilterReset = () => {
+    setFilterForm(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    setCurrentPage(1);
+  };
+
   if (loading) {
     return (
       <div className="flex justify-center items-center min-h-64">
@@ -81,7 +175,7 @@ const ReportsList = () => {
     );
   }
 
-  if (reports.length === 0) {
+  if (reports.length === 0 && !hasActiveFilters) {
     return (
       <div className="text-center py-12">
         <ArrowUpTrayIcon className="w-12 h-12 mx-auto text-gray-400 mb-4" />
@@ -98,11 +192,138 @@ const ReportsList = () => {
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h2 className="text-2xl font-bold text-gray-900">Credit Reports</h2>
-        <div className="text-sm text-gray-500">
-          {pagination.totalReports} total reports
+        <div className="flex items-center space-x-4">
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={derogatoryOnly}
+              onChange={handleDerogatoryToggle}
+              className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            <span>Derogatory only</span>
+          </label>
+          <div className="text-sm text-gray-500">
+            {pagination.totalReports} total reports
+          </div>
+          {canExport && (
+            <>
+              <button
+                onClick={() => handleExport('csv')}
+                disabled={exporting !== null || reports.length === 0}
+                className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
+              >
+                <ArrowDownTrayIcon className="w-4 h-4" />
+                <span>{exporting === 'csv' ? 'Exporting...' : 'Export CSV'}</span>
+              </button>
+              <button
+                onClick={() => handleExport('xlsx')}
+                disabled={exporting !== null || reports.length === 0}
+                className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
+              >
+                <ArrowDownTrayIcon className="w-4 h-4" />
+                <span>{exporting === 'xlsx' ? 'Exporting...' : 'Export Excel'}</span>
+              </button>
+            </>
+          )}
         </div>
       </div>
 
+      {/* Filters */}
+      <form onSubmit={handleFilterSubmit} className="card p-4 space-y-4" aria-label="Report filters">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label htmlFor="filter-search" className="block text-sm font-medium text-gray-700">Name</label>
+            <input id="filter-search" name="search" type="search" value={filterForm.search} onChange={handleFilterChange} placeholder="Search by name" className="input-field" />
+          </div>
+          <div>
+            <label htmlFor="filter-pan" className="block text-sm font-medium text-gray-700">PAN</label>
+            <input id="filter-pan" name="pan" value={filterForm.pan} onChange={handleFilterChange} placeholder="Exact PAN" className="input-field" />
+          </div>
+          <div>
+            <label htmlFor="filter-mobile" className="block text-sm font-medium text-gray-700">Mobile</label>
+            <input id="filter-mobile" name="mobile" type="tel" value={filterForm.mobile} onChange={handleFilterChange} placeholder="Exact mobile number" className="input-field" />
+          </div>
+          <div>
+            <label htmlFor="filter-bureau" className="block text-sm font-medium text-gray-700">Bureau</label>
+            <select id="filter-bureau" name="bureau" value={filterForm.bureau} onChange={handleFilterChange} className="input-field">
+              <option value="">All bureaus</option>
+              {['experian', 'cibil', 'equifax', 'crif'].map((bureau) => (
+                <option key={bureau} value={bureau}>{formatBureauName(bureau)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="filter-min-score" className="block text-sm font-medium text-gray-700">Score from</label>
+            <input id="filter-min-score" name="minScore" type="number" value={filterForm.minScore} onChange={handleFilterChange} className="input-field" />
+          </div>
+          <div>
+            <label htmlFor="filter-max-score" className="block text-sm font-medium text-gray-700">Score to</label>
+            <input id="filter-max-score" name="maxScore" type="number" value={filterForm.maxScore} onChange={handleFilterChange} className="input-field" />
+          </div>
+          <div>
+            <label htmlFor="filter-min-balance" className="block text-sm font-medium text-gray-700">Balance from</label>
+            <input id="filter-min-balance" name="minBalance" type="number" value={filterForm.minBalance} onChange={handleFilterChange} className="input-field" />
+          </div>
+          <div>
+            <label htmlFor="filter-max-balance" className="block text-sm font-medium text-gray-700">Balance to</label>
+            <input id="filter-max-balance" name="maxBalance" type="number" value={filterForm.maxBalance} onChange={handleFilterChange} className="input-field" />
+          </div>
+          <div>
+            <label htmlFor="filter-uploaded-from" className="block text-sm font-medium text-gray-700">Uploaded from</label>
+            <input id="filter-uploaded-from" name="uploadedFrom" type="date" value={filterForm.uploadedFrom} onChange={handleFilterChange} className="input-field" />
+          </div>
+          <div>
+            <label htmlFor="filter-uploaded-to" className="block text-sm font-medium text-gray-700">Uploaded to</label>
+            <input id="filter-uploaded-to" name="uploadedTo" type="date" value={filterForm.uploadedTo} onChange={handleFilterChange} className="input-field" />
+          </div>
+          <div>
+            <label htmlFor="filter-report-from" className="block text-sm font-medium text-gray-700">Report date from</label>
+            <input id="filter-report-from" name="reportDateFrom" type="date" value={filterForm.reportDateFrom} onChange={handleFilterChange} className="input-field" />
+          </div>
+          <div>
+            <label htmlFor="filter-report-to" className="block text-sm font-medium text-gray-700">Report date to</label>
+            <input id="filter-report-to" name="reportDateTo" type="date" value={filterForm.reportDateTo} onChange={handleFilterChange} className="input-field" />
+          </div>
+        </div>
+        <div className="flex flex-wrap items-end justify-between gap-4">
+          <div className="flex items-end space-x-4">
+            <div>
+              <label htmlFor="filter-sort-by" className="block text-sm font-medium text-gray-700">Sort by</label>
+              <select id="filter-sort-by" name="sortBy" value={filterForm.sortBy} onChange={handleFilterChange} className="input-field">
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="filter-sort-order" className="block text-sm font-medium text-gray-700">Order</label>
+              <select id="filter-sort-order" name="sortOrder" value={filterForm.sortOrder} onChange={handleFilterChange} className="input-field">
+                <option value="desc">Descending</option>
+                <option value="asc">Ascending</option>
+              </select>
+            </div>
+            <label className="flex items-center space-x-2 text-sm text-gray-700 pb-2">
+              <input
+                type="checkbox"
+                name="overdue"
+                checked={filterForm.overdue}
+                onChange={handleFilterChange}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span>Overdue only</span>
+            </label>
+          </div>
+          <div className="flex space-x-2">
+            <button type="button" onClick={handleFilterReset} className="btn-secondary">
+              Reset
+            </button>
+            <button type="submit" className="btn-primary">
+              Apply Filters
+            </button>
+          </div>
+        </div>
+      </form>
+
       {/* Reports Table */}
       <div className="card overflow-hidden">
         <div className="overflow-x-auto">
@@ -110,23 +331,44 @@ const ReportsList = () => {
             <thead className="bg-gray-50">
               <tr>
                 <th className="table-header">Name</th>
+                <th className="table-header">Bureau</th>
                 <th className="table-header">Credit Score</th>
                 <th className="table-header">Total Accounts</th>
                 <th className="table-header">Current Balance</th>
-                <th className="table-header">Upload Date</th>
+                <th className="table-header">Bureau Report Date</th>
+                <th className="table-header">Uploaded At</th>
                 <th className="table-header">Actions</th>
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
+              {reports.length === 0 && (
+                <tr>
+                  <td colSpan={8} className="table-cell text-center text-gray-500">
+                    No reports match the current filters
+                  </td>
+                </tr>
+              )}
               {reports.map((report) => {
                 const scoreData = formatCreditScore(report.creditScore);
                 
                 return (
                   <tr key={report.id} className="hover:bg-gray-50">
                     <td className="table-cell">
-                      <div className="font-medium text-gray-900">
-                        {report.name || 'Unknown'}
+                      <div className="flex items-center space-x-2 font-medium text-gray-900">
+                        <span>{report.name || 'Unknown'}</span>
+                        {report.hasDerogatory && (
+                          <ExclamationTriangleIcon
+                            className="w-4 h-4 text-red-600"
+                            title="Derogatory flags reported"
+                          />
+                        )}
                       </div>
+                      {report.pan && (
+                        <div className="text-xs text-gray-500">PAN {report.pan}</div>
+                      )}
+                    </td>
+                    <td className="table-cell text-gray-500">
+                      {report.bureau ? formatBureauName(report.bureau) : 'N/A'}
                     </td>
                     <td className="table-cell">
                       <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${scoreData.bgColor} ${scoreData.color}`}>
@@ -142,6 +384,9 @@ const ReportsList = () => {
                     <td className="table-cell text-gray-900 font-medium">
                       {formatCurrency(report.currentBalance)}
                     </td>
+                    <td className="table-cell text-gray-500">
+                      {formatDate(report.reportDate)}
+                    </td>
                     <td className="table-cell text-gray-500">
                       {formatDate(report.createdAt)}
                     </td>
@@ -154,18 +399,20 @@ const ReportsList = () => {
                         >
                           <EyeIcon className="w-4 h-4" />
                         </Link>
-                        <button
-                          onClick={() => handleDelete(report.id)}
-                          disabled={deleting === report.id}
-                          className="text-red-600 hover:text-red-800 p-1 disabled:opacity-50"
-                          title="Delete Report"
-                        >
-                          {deleting === report.id ? (
-                            <div className="w-4 h-4 border-2 border-red-600 border-t-transparent rounded-full animate-spin"></div>
-                          ) : (
-                            <TrashIcon className="w-4 h-4" />
-                          )}
-                        </button>
+                        {canDelete && (
+                          <button
+                            onClick={() => handleDelete(report.id)}
+                            disabled={deleting === report.id}
+                            className="text-red-600 hover:text-red-800 p-1 disabled:opacity-50"
+                            title="Delete Report"
+                          >
+                            {deleting === report.id ? (
+                              <div className="w-4 h-4 border-2 border-red-600 border-t-transparent rounded-full animate-spin"></div>
+                            ) : (
+                              <TrashIcon className="w-4 h-4" />
+                            )}
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
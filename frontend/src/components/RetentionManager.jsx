@@ -0,0 +1,242 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { getRetentionPolicy, previewRetentionPurge, runRetentionPurge, getPurgeRuns } from '../api/creditReports';
+import { formatDate, formatDateTime } from '../utils/helpers';
+
+// Describe how long a rule keeps data; unset rules keep it forever
+const formatRetention = (days) => (days ? `${days} days` : 'Forever');
+
+const RUN_STATUS_CLASSES = {
+  running: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+// Reports one rule of the dry run would remove
+const PreviewSection = ({ title, preview }) => (
+  <div>
+    <h3 className="text-sm font-medium text-gray-900">
+      {title}: <span className="font-semibold">{preview.total}</span>
+    </h3>
+    {preview.reports.length > 0 && (
+      <div className="overflow-x-auto mt-2">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="table-header">Report</th>
+              <th className="table-header">Uploaded</th>
+              <th className="table-header">Stored File</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {preview.reports.map((report) => (
+              <tr key={report.reportId}>
+                <td className="table-cell">
+                  <Link to={`/reports/${report.reportId}`} className="text-primary-600 hover:text-primary-700 font-mono text-xs">
+                    {report.reportId}
+                  </Link>
+                </td>
+                <td className="table-cell text-gray-500">{formatDate(report.uploadedAt)}</td>
+                <td className="table-cell text-gray-500 font-mono text-xs">
+                  {report.storageKey ? `${report.storageDriver}: ${report.storageKey}` : 'N/A'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {preview.total > preview.reports.length && (
+          <p className="text-xs text-gray-500 mt-2">Showing the oldest {preview.reports.length}</p>
+        )}
+      </div>
+    )}
+  </div>
+);
+
+const RetentionManager = () => {
+  const [policy, setPolicy] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [purging, setPurging] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  const fetchRetention = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [policyResponse, runsResponse] = await Promise.all([getRetentionPolicy(), getPurgeRuns()]);
+      setPolicy(policyResponse.data);
+      setRuns(runsResponse.data.runs);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRetention();
+  }, [fetchRetention]);
+
+  const hasRules = Boolean(policy?.rawXmlDays || policy?.reportDays || policy?.trashDays);
+
+  const handlePreview = async () => {
+    try {
+      setPreviewing(true);
+      setActionError(null);
+      const response = await previewRetentionPurge();
+      setPreview(response.data);
+    } catch (err) {
+      setActionError(err.message);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handlePurge = async () => {
+    if (!window.confirm('Run the retention purge now? Purged reports and files cannot be recovered.')) return;
+
+    try {
+      setPurging(true);
+      setActionError(null);
+      await runRetentionPurge();
+      setPreview(null);
+      await fetchRetention();
+    } catch (err) {
+      setActionError(err.message);
+    } finally {
+      setPurging(false);
+    }
+  };
+
+  if (loading && !policy) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="spinner"></div>
+        <span className="ml-2 text-gray-600">Loading retention settings...</span>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="card p-6 text-center">
+        <p className="text-red-600 font-medium">Error loading retention settings</p>
+        <p className="text-sm text-gray-500 mt-1">{error}</p>
+        <button onClick={fetchRetention} className="btn-primary mt-4">
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Rules in force */}
+      <div className="card p-6">
+        <div className="flex justify-between items-start">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Retention Rules</h2>
+            <p className="text-sm text-gray-500">Set with the RETENTION_* and TRASH_RETENTION_DAYS environment variables. Reports under legal hold are never purged.</p>
+          </div>
+          <div className="flex space-x-2">
+            <button onClick={handlePreview} disabled={!hasRules || previewing} className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed">
+              {previewing ? 'Previewing...' : 'Preview Purge'}
+            </button>
+            <button onClick={handlePurge} disabled={!hasRules || purging} className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed">
+              {purging ? 'Purging...' : 'Run Purge Now'}
+            </button>
+          </div>
+        </div>
+
+        <dl className="grid grid-cols-1 md:grid-cols-4 gap-4 mt-4">
+          <div>
+            <dt className="text-sm text-gray-500">Raw XML kept for</dt>
+            <dd className="text-lg font-medium text-gray-900">{formatRetention(policy.rawXmlDays)}</dd>
+          </div>
+          <div>
+            <dt className="text-sm text-gray-500">Reports kept for</dt>
+            <dd className="text-lg font-medium text-gray-900">{formatRetention(policy.reportDays)}</dd>
+          </div>
+          <div>
+            <dt className="text-sm text-gray-500">Trash emptied after</dt>
+            <dd className="text-lg font-medium text-gray-900">{formatRetention(policy.trashDays)}</dd>
+          </div>
+          <div>
+            <dt className="text-sm text-gray-500">Scheduled purge</dt>
+            <dd className="text-lg font-medium text-gray-900">
+              {hasRules ? `Every ${policy.intervalHours} hours` : 'Off'}
+            </dd>
+          </div>
+        </dl>
+
+        {actionError && (
+          <p className="text-sm text-red-600 mt-4">{actionError}</p>
+        )}
+      </div>
+
+      {/* Dry run */}
+      {preview && (
+        <div className="card p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Purge Preview</h2>
+          <PreviewSection title="Reports to delete from the trash" preview={preview.emptyTrash} />
+          <PreviewSection title="Reports to delete" preview={preview.deleteReports} />
+          <PreviewSection title="Raw XML files to purge" preview={preview.purgeRawXml} />
+        </div>
+      )}
+
+      {/* Run log */}
+      <div className="card">
+        <div className="p-6 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Purge Runs</h2>
+        </div>
+        {runs.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">
+            No purge runs yet
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="table-header">Started</th>
+                  <th className="table-header">Trigger</th>
+                  <th className="table-header">Status</th>
+                  <th className="table-header">Trash Emptied</th>
+                  <th className="table-header">Reports Deleted</th>
+                  <th className="table-header">Raw XML Purged</th>
+                  <th className="table-header">Failures</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {runs.map((run) => (
+                  <tr key={run.id} className="hover:bg-gray-50">
+                    <td className="table-cell text-gray-500">{formatDateTime(run.startedAt)}</td>
+                    <td className="table-cell">
+                      {run.trigger === 'manual' ? `Manual (${run.triggeredBy?.email || 'unknown'})` : 'Scheduled'}
+                    </td>
+                    <td className="table-cell">
+                      <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium capitalize ${RUN_STATUS_CLASSES[run.status] || ''}`}>
+                        {run.status}
+                      </span>
+                    </td>
+                    <td className="table-cell">{run.counts.emptiedTrash}</td>
+                    <td className="table-cell">{run.counts.deletedReports}</td>
+                    <td className="table-cell">{run.counts.purgedRawXml}</td>
+                    <td className={`table-cell ${run.counts.failures ? 'text-red-600 font-medium' : ''}`}>
+                      {run.counts.failures}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RetentionManager;
@@ -1,14 +1,19 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import { CloudArrowUpIcon, DocumentIcon } from '@heroicons/react/24/outline';
-import { uploadReport } from '../api/creditReports';
-import { validateFile } from '../utils/helpers';
+import { uploadReport, waitForJob } from '../api/creditReports';
+import { validateFile, formatJobStage } from '../utils/helpers';
 
 const UploadForm = ({ onUploadSuccess, onUploadError }) => {
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [processingStage, setProcessingStage] = useState(null);
   const [dragOver, setDragOver] = useState(false);
   const [selectedFile, setSelectedFile] = useState(null);
   const fileInputRef = useRef(null);
+  const pollControllerRef = useRef(null);
+
+  // Stop following the processing job when the form unmounts
+  useEffect(() => () => pollControllerRef.current?.abort(), []);
 
   // Validate & set file
   const handleFileSelect = (file) => {
@@ -57,6 +62,8 @@ const UploadForm = ({ onUploadSuccess, onUploadError }) => {
       return;
     }
 
+    const controller = new AbortController();
+    pollControllerRef.current = controller;
 
     try {
       setIsUploading(true);
@@ -64,17 +71,32 @@ const UploadForm = ({ onUploadSuccess, onUploadError }) => {
 
       const response = await uploadReport(selectedFile, setUploadProgress);
 
+      // The report is processed in the background; follow its job until it finishes
+      setProcessingStage('queued');
+      const job = await waitForJob(response.data.jobId, {
+        onUpdate: (status) => setProcessingStage(status.stage),
+        signal: controller.signal
+      });
+
+      if (job.status === 'failed') {
+        onUploadError?.(job.error?.message || 'Processing failed');
+        return;
+      }
 
       // Reset state
       setSelectedFile(null);
       setUploadProgress(0);
       if (fileInputRef.current) fileInputRef.current.value = '';
 
-      onUploadSuccess?.(response.data);
+      onUploadSuccess?.(job.result);
     } catch (error) {
+      if (controller.signal.aborted) return;
       onUploadError?.(error?.response?.data?.error || error.message);
     } finally {
-      setIsUploading(false);
+      if (!controller.signal.aborted) {
+        setIsUploading(false);
+        setProcessingStage(null);
+      }
     }
   };
 
@@ -149,7 +171,7 @@ const UploadForm = ({ onUploadSuccess, onUploadError }) => {
         {isUploading && (
           <div className="mt-4">
             <div className="flex justify-between text-sm text-gray-600 mb-2">
-              <span>Uploading...</span>
+              <span>{processingStage ? `${formatJobStage(processingStage)}...` : 'Uploading...'}</span>
               <span>{uploadProgress}%</span>
             </div>
             <div className="w-full bg-gray-200 rounded-full h-2">
@@ -183,7 +205,7 @@ const UploadForm = ({ onUploadSuccess, onUploadError }) => {
         <div className="mt-6 p-4 bg-gray-50 rounded-lg">
           <h3 className="text-sm font-medium text-gray-900 mb-2">Instructions:</h3>
           <ul className="text-sm text-gray-600 space-y-1">
-            <li>• Upload a valid Experian credit report XML file</li>
+            <li>• Upload a valid Experian, CIBIL, Equifax or CRIF High Mark credit report XML file</li>
             <li>• File size should be less than 10MB</li>
             <li>• Only XML format is supported</li>
             <li>• Processing may take a few moments</li>
@@ -0,0 +1,91 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { AuthContext } from './authContext';
+import {
+  login as loginRequest,
+  getCurrentUser,
+  getOrganisations,
+  getAuthToken,
+  setAuthToken,
+  getOrganisationId,
+  setOrganisationId,
+  setUnauthorizedHandler
+} from '../api/creditReports';
+
+/**
+ * Pick the stored organisation when the user can still select it, else the first one
+ * @param {Array} organisations - Organisations available to the user
+ * @returns {Object|null} Selected organisation
+ */
+const pickOrganisation = (organisations) => (
+  organisations.find(organisation => organisation.id === getOrganisationId())
+  || organisations.find(organisation => organisation.active !== false)
+  || null
+);
+
+const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [organisations, setOrganisations] = useState([]);
+  const [organisation, setOrganisation] = useState(null);
+  const [loading, setLoading] = useState(() => Boolean(getAuthToken()));
+
+  const logout = useCallback(() => {
+    setAuthToken(null);
+    setUser(null);
+    setOrganisations([]);
+    setOrganisation(null);
+  }, []);
+
+  const selectOrganisation = useCallback((organisationId) => {
+    const selected = organisations.find(entry => entry.id === organisationId) || null;
+    setOrganisationId(selected?.id || null);
+    setOrganisation(selected);
+  }, [organisations]);
+
+  // Load the organisations of a signed in user and restore their selection
+  const startSession = useCallback(async (signedIn) => {
+    const available = await getOrganisations();
+    const selected = pickOrganisation(available);
+    setOrganisationId(selected?.id || null);
+    setOrganisations(available);
+    setOrganisation(selected);
+    setUser(signedIn);
+  }, []);
+
+  // Restore the session of a stored token
+  useEffect(() => {
+    if (!getAuthToken()) return;
+
+    getCurrentUser()
+      .then(startSession)
+      .catch(() => setAuthToken(null))
+      .finally(() => setLoading(false));
+  }, [startSession]);
+
+  // An expired or revoked token signs the user out
+  useEffect(() => {
+    setUnauthorizedHandler(logout);
+    return () => setUnauthorizedHandler(null);
+  }, [logout]);
+
+  const login = useCallback(async (email, password) => {
+    const { token, user: signedIn } = await loginRequest(email, password);
+    setAuthToken(token);
+    await startSession(signedIn);
+    return signedIn;
+  }, [startSession]);
+
+  const value = useMemo(() => ({
+    user,
+    loading,
+    organisations,
+    organisation,
+    selectOrganisation,
+    login,
+    logout,
+    hasPermission: (permission) => Boolean(user?.permissions?.includes(permission))
+  }), [user, loading, organisations, organisation, selectOrganisation, login, logout]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
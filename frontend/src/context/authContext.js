@@ -0,0 +1,19 @@
+import { createContext, useContext } from 'react';
+
+// Signed out until AuthProvider has restored the session
+export const AuthContext = createContext({
+  user: null,
+  loading: false,
+  organisations: [],
+  organisation: null,
+  selectOrganisation: () => {},
+  login: async () => {},
+  logout: () => {},
+  hasPermission: () => false
+});
+
+/**
+ * Access the signed in user, their selected organisation and the login/logout actions
+ * @returns {Object} { user, loading, organisations, organisation, selectOrganisation, login, logout, hasPermission }
+ */
+export const useAuth = () => useContext(AuthContext);
@@ -0,0 +1,13 @@
+import ApplicantHistory from '../components/ApplicantHistory';
+
+const ApplicantPage = () => {
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <ApplicantHistory />
+      </div>
+    </div>
+  );
+};
+
+export default ApplicantPage;
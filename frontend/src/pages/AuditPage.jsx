@@ -0,0 +1,17 @@
+import AuditLog from '../components/AuditLog';
+
+const AuditPage = () => {
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+          <p className="text-sm text-gray-500">Who uploaded, viewed, downloaded or deleted reports in this organisation</p>
+        </div>
+        <AuditLog />
+      </div>
+    </div>
+  );
+};
+
+export default AuditPage;
@@ -0,0 +1,48 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import BatchUploadForm from '../components/BatchUploadForm';
+
+const BatchUploadPage = () => {
+  const [error, setError] = useState('');
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Batch Upload Credit Reports</h1>
+          <p className="mt-2 text-lg text-gray-600">
+            Upload many XML reports at once, or ZIP archives of reports. Each file is processed independently.
+          </p>
+          <Link to="/upload" className="mt-2 inline-block text-sm text-primary-600 hover:text-primary-800">
+            Upload a single report instead
+          </Link>
+        </div>
+
+        {/* Notification */}
+        {error && (
+          <div className="max-w-2xl mx-auto mb-6">
+            <div className="p-4 rounded-lg bg-red-50 border border-red-200 text-red-700">
+              <div className="flex justify-between items-start">
+                <p className="text-sm font-medium">{error}</p>
+                <button
+                  onClick={() => setError('')}
+                  className="text-red-400 hover:text-red-600"
+                  title="Dismiss"
+                >
+                  <svg className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+                    <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+                  </svg>
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        <BatchUploadForm onUploadError={setError} />
+      </div>
+    </div>
+  );
+};
+
+export default BatchUploadPage;
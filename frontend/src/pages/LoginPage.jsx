@@ -0,0 +1,24 @@
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import LoginForm from '../components/LoginForm';
+import { useAuth } from '../context/authContext';
+
+const LoginPage = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // Return to the page that required sign in
+  const from = location.state?.from?.pathname || '/';
+
+  if (user) {
+    return <Navigate to={from} replace />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-16 px-4">
+      <LoginForm onLoginSuccess={() => navigate(from, { replace: true })} />
+    </div>
+  );
+};
+
+export default LoginPage;
@@ -0,0 +1,17 @@
+import RetentionManager from '../components/RetentionManager';
+
+const RetentionPage = () => {
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Data Retention</h1>
+          <p className="text-sm text-gray-500">Retention rules for every organisation, a dry run of the next purge and the log of past purges</p>
+        </div>
+        <RetentionManager />
+      </div>
+    </div>
+  );
+};
+
+export default RetentionPage;
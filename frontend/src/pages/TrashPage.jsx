@@ -0,0 +1,17 @@
+import ReportTrash from '../components/ReportTrash';
+
+const TrashPage = () => {
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Trash</h1>
+          <p className="text-sm text-gray-500">Deleted reports can be restored until they are permanently deleted</p>
+        </div>
+        <ReportTrash />
+      </div>
+    </div>
+  );
+};
+
+export default TrashPage;
@@ -1,20 +1,37 @@
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import UploadForm from '../components/UploadForm';
+import { useAuth } from '../context/authContext';
 
 const UploadPage = () => {
   const navigate = useNavigate();
+  const { hasPermission } = useAuth();
   const [notification, setNotification] = useState({ type: '', message: '' });
 
-  const handleUploadSuccess = (response) => {
+  const handleUploadSuccess = (result) => {
+    // A report in the trash cannot be opened until it is restored
+    if (result.inTrash) {
+      const canRestore = hasPermission('reports:delete');
+      setNotification({
+        type: 'error',
+        message: canRestore
+          ? 'This file belongs to a report in the trash. Restore it from the trash to open it.'
+          : 'This file belongs to a report in the trash. Ask an admin to restore it.',
+        link: canRestore ? { to: '/trash', label: 'Open Trash' } : null
+      });
+      return;
+    }
+
     setNotification({
       type: 'success',
-      message: `File uploaded successfully! `
+      message: result.status === 'duplicate'
+        ? 'This file has already been processed. Opening the existing report.'
+        : 'File uploaded and processed successfully!'
     });
 
     // Navigate to the report detail page after a short delay
     setTimeout(() => {
-      navigate(`/reports/${response.data.reportId}`);
+      navigate(`/reports/${result.reportId}`);
     }, 2000);
   };
 
@@ -36,8 +53,11 @@ const UploadPage = () => {
         <div className="text-center mb-8">
           <h1 className="text-3xl font-bold text-gray-900">Upload Credit Report</h1>
           <p className="mt-2 text-lg text-gray-600">
-            Upload an Experian XML credit report to extract and analyze credit data
+            Upload an Experian, TransUnion CIBIL, Equifax or CRIF High Mark XML credit report to extract and analyze credit data
           </p>
+          <Link to="/upload/batch" className="mt-2 inline-block text-sm text-primary-600 hover:text-primary-800">
+            Have many reports or a ZIP archive? Use batch upload
+          </Link>
         </div>
 
         {/* Notification */}
@@ -63,6 +83,11 @@ const UploadPage = () => {
                   </div>
                   <div className="ml-3">
                     <p className="text-sm font-medium">{notification.message}</p>
+                    {notification.link && (
+                      <Link to={notification.link.to} className="text-sm font-medium underline">
+                        {notification.link.label}
+                      </Link>
+                    )}
                   </div>
                 </div>
                 <button
@@ -31,6 +31,60 @@ export const formatDate = (date) => {
   }
 };
 
+/**
+ * Format date with time of day
+ * @param {string|Date} date - Date to format
+ * @returns {string} Formatted date and time string
+ */
+export const formatDateTime = (date) => {
+  if (!date) return 'N/A';
+  try {
+    return new Intl.DateTimeFormat('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    }).format(new Date(date));
+  } catch {
+    return 'Invalid Date';
+  }
+};
+
+/**
+ * Format a percentage metric
+ * @param {number|null} value - Percentage value
+ * @returns {string} Formatted percentage
+ */
+export const formatPercent = (value) => {
+  if (value === null || value === undefined) return 'N/A';
+  return `${value}%`;
+};
+
+/**
+ * Format an age in months as years and months
+ * @param {number|null} months - Age in months
+ * @returns {string} Formatted age
+ */
+export const formatMonths = (months) => {
+  if (months === null || months === undefined) return 'N/A';
+  const years = Math.floor(months / 12);
+  const remainder = Math.round(months % 12);
+  return years > 0 ? `${years}y ${remainder}m` : `${remainder}m`;
+};
+
+/**
+ * Format a signed change between two values
+ * @param {number|null} change - Difference between two reports
+ * @param {Function} format - Formatter for the absolute value
+ * @returns {string} Signed change, or 'N/A'
+ */
+export const formatChange = (change, format = (value) => value) => {
+  if (change === null || change === undefined) return 'N/A';
+  if (change === 0) return 'No change';
+  return `${change > 0 ? '+' : '-'}${format(Math.abs(change))}`;
+};
+
 /**
  * Format credit score with color coding
  * @param {number} score - Credit score
@@ -50,45 +104,78 @@ export const formatCreditScore = (score) => {
   }
 };
 
+// Badge colours per account status category of the backend reference data
+const STATUS_CATEGORY_STYLES = {
+  active: { bgColor: 'bg-green-100', textColor: 'text-green-800' },
+  delinquent: { bgColor: 'bg-yellow-100', textColor: 'text-yellow-800' },
+  closed: { bgColor: 'bg-gray-100', textColor: 'text-gray-800' },
+  settled: { bgColor: 'bg-blue-100', textColor: 'text-blue-800' },
+  restructured: { bgColor: 'bg-purple-100', textColor: 'text-purple-800' },
+  writtenOff: { bgColor: 'bg-red-100', textColor: 'text-red-800' },
+  default: { bgColor: 'bg-red-100', textColor: 'text-red-800' },
+  unknown: { bgColor: 'bg-gray-100', textColor: 'text-gray-800' },
+};
+
+/**
+ * Resolve the status category of an account from the served reference data
+ * @param {Object} account - Credit account with status, statusCode and statusCategory
+ * @param {Object} referenceData - Code tables from GET /api/reference-data
+ * @returns {string} Status category, 'unknown' when neither the account nor the tables know it
+ */
+const resolveStatusCategory = (account, referenceData) => {
+  if (account.statusCategory) return account.statusCategory;
+
+  const categories = referenceData?.accountStatusCategories || {};
+  const label = categories[account.status]
+    ? account.status
+    : referenceData?.accountStatuses?.[account.statusCode]?.label;
+
+  return categories[label] || 'unknown';
+};
+
 /**
  * Get account status badge styling
- * @param {string} status - Account status
- * @returns {Object} Badge styling classes
+ * @param {Object} account - Credit account with status, statusCode and statusCategory
+ * @param {Object} referenceData - Code tables from GET /api/reference-data, for reports stored without a category
+ * @returns {Object} Badge text and styling classes
  */
-export const getAccountStatusBadge = (status) => {
-  const statusLower = status?.toLowerCase() || '';
-  
-  if (statusLower.includes('active') || statusLower.includes('current')) {
-    return {
-      text: 'Active',
-      bgColor: 'bg-green-100',
-      textColor: 'text-green-800',
-    };
-  } else if (statusLower.includes('closed')) {
-    return {
-      text: 'Closed',
-      bgColor: 'bg-gray-100',
-      textColor: 'text-gray-800',
-    };
-  } else if (statusLower.includes('settled')) {
-    return {
-      text: 'Settled',
-      bgColor: 'bg-blue-100',
-      textColor: 'text-blue-800',
-    };
-  } else if (statusLower.includes('written')) {
-    return {
-      text: 'Written Off',
-      bgColor: 'bg-red-100',
-      textColor: 'text-red-800',
-    };
-  } else {
-    return {
-      text: status || 'Unknown',
-      bgColor: 'bg-gray-100',
-      textColor: 'text-gray-800',
-    };
+export const getAccountStatusBadge = (account = {}, referenceData = null) => {
+  const category = resolveStatusCategory(account, referenceData);
+  const style = STATUS_CATEGORY_STYLES[category] || STATUS_CATEGORY_STYLES.unknown;
+  const text = account.status === 'Unknown' && account.statusCode
+    ? `Unknown (${account.statusCode})`
+    : account.status || 'Unknown';
+
+  return { text, category, ...style };
+};
+
+/**
+ * Format an account type, keeping the raw bureau code of unknown types visible
+ * @param {Object} account - Credit account with type and typeCode
+ * @param {Object} referenceData - Code tables from GET /api/reference-data, for codes added since the report was parsed
+ * @returns {string} Display account type
+ */
+export const formatAccountType = (account = {}, referenceData = null) => {
+  if ((!account.type || account.type === 'Unknown') && account.typeCode) {
+    return referenceData?.accountTypes?.[account.typeCode]?.label || `Unknown (${account.typeCode})`;
   }
+  return account.type || 'Unknown';
+};
+
+/**
+ * List derogatory flags of an account as display labels
+ * @param {Object} derogatory - Account derogatory flags
+ * @returns {Array<string>} Flag labels, most severe first
+ */
+export const getDerogatoryLabels = (derogatory) => {
+  if (!derogatory) return [];
+
+  const labels = [];
+  if (derogatory.wilfulDefault) labels.push('Wilful Default');
+  if (derogatory.suitFiled) labels.push('Suit Filed');
+  if (derogatory.writtenOff) labels.push('Written Off');
+  if (derogatory.settled) labels.push('Settled');
+  return labels;
 };
 
 /**
@@ -121,6 +208,73 @@ export const validateFile = (file) => {
   return { isValid: true, error: null };
 };
 
+/**
+ * Validate a file for batch upload: an XML report or a ZIP archive of reports
+ * @param {File} file - File to validate
+ * @returns {Object} Validation result
+ */
+export const validateBatchFile = (file) => {
+  const maxSize = 50 * 1024 * 1024; // 50MB
+  const allowedExtensions = ['.xml', '.zip'];
+
+  if (!file) {
+    return { isValid: false, error: 'No file selected' };
+  }
+
+  const fileExtension = file.name.toLowerCase().substring(file.name.lastIndexOf('.'));
+  if (!allowedExtensions.includes(fileExtension)) {
+    return { isValid: false, error: `${file.name}: only XML or ZIP files are allowed` };
+  }
+
+  if (file.size > maxSize) {
+    return { isValid: false, error: `${file.name}: file size must be less than 50MB` };
+  }
+
+  return { isValid: true, error: null };
+};
+
+// Human-readable labels for processing job stages
+const JOB_STAGE_LABELS = {
+  queued: 'Waiting in queue',
+  'checking-duplicate': 'Checking for duplicates',
+  parsing: 'Parsing XML',
+  'detecting-bureau': 'Detecting bureau',
+  'storing-file': 'Storing file',
+  transforming: 'Extracting credit data',
+  saving: 'Saving report',
+  extracting: 'Extracting archives',
+  processing: 'Processing files',
+  completed: 'Completed',
+  failed: 'Failed'
+};
+
+/**
+ * Format a processing job stage for display
+ * @param {string} stage - Job stage
+ * @returns {string} Stage label
+ */
+export const formatJobStage = (stage) => JOB_STAGE_LABELS[stage] || stage || 'Processing';
+
+// Audit log action labels
+export const AUDIT_ACTION_LABELS = {
+  'report.upload': 'Uploaded',
+  'report.view': 'Viewed',
+  'report.download': 'Downloaded XML',
+  'report.reveal': 'Revealed PII',
+  'report.delete': 'Moved to trash',
+  'report.restore': 'Restored',
+  'report.purge': 'Deleted permanently',
+  'report.legal-hold': 'Changed legal hold',
+  'report.export': 'Exported'
+};
+
+/**
+ * Format an audit log action for display
+ * @param {string} action - Audit action such as 'report.view'
+ * @returns {string} Action label
+ */
+export const formatAuditAction = (action) => AUDIT_ACTION_LABELS[action] || action;
+
 /**
  * Truncate text to specified length
  * @param {string} text - Text to truncate
@@ -171,6 +325,17 @@ export const downloadFile = (url, filename) => {
   document.body.removeChild(link);
 };
 
+/**
+ * Save a downloaded blob under a file name
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Desired filename
+ */
+export const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  downloadFile(url, filename);
+  URL.revokeObjectURL(url);
+};
+
 /**
  * Get credit score color
  * @param {number} score - Credit score
@@ -188,24 +353,59 @@ export const getCreditScoreColor = (score) => {
 };
 
 /**
- * Get account status color
- * @param {string} status - Account status
- * @returns {string} CSS color classes
+ * Format bureau id as a display name
+ * @param {string} bureau - Bureau id (experian, cibil, equifax, crif)
+ * @returns {string} Bureau display name
  */
-export const getAccountStatusColor = (status) => {
-  if (!status) return 'bg-gray-100 text-gray-800';
-  
-  const statusLower = status.toLowerCase();
-  
-  if (status === 'Active') return 'bg-green-100 text-green-800';
-  if (status === 'Active - Standard') return 'bg-blue-100 text-blue-800';
-  if (status === 'Active - Irregular') return 'bg-yellow-100 text-yellow-800';
-  if (statusLower.includes('doubtful') || statusLower.includes('loss') || statusLower.includes('written off')) {
-    return 'bg-red-100 text-red-800';
+export const formatBureauName = (bureau) => {
+  const names = {
+    experian: 'Experian',
+    cibil: 'TransUnion CIBIL',
+    equifax: 'Equifax',
+    crif: 'CRIF High Mark',
+  };
+  return names[bureau] || 'Unknown Bureau';
+};
+
+/**
+ * Format identity document type as a display label
+ * @param {string} type - Identity type (pan, passport, voterId, drivingLicence, rationCard, universalId)
+ * @returns {string} Identity document label
+ */
+export const formatIdentityType = (type) => {
+  const labels = {
+    pan: 'PAN',
+    passport: 'Passport',
+    voterId: 'Voter ID',
+    drivingLicence: 'Driving Licence',
+    rationCard: 'Ration Card',
+    universalId: 'Aadhaar / UID',
+  };
+  return labels[type] || type || 'Unknown';
+};
+
+/**
+ * Get payment history bucket styling
+ * @param {string} bucket - Delinquency bucket (current, 30, 60, 90, 120+, unknown)
+ * @returns {Object} Bucket label and colour classes
+ */
+export const getPaymentBucketStyle = (bucket) => {
+  switch (bucket) {
+    case 'current':
+      return { label: 'Current', bgColor: 'bg-green-500', textColor: 'text-white' };
+    case '1-29':
+      return { label: '1-29 DPD', bgColor: 'bg-lime-400', textColor: 'text-gray-900' };
+    case '30':
+      return { label: '30 DPD', bgColor: 'bg-yellow-400', textColor: 'text-gray-900' };
+    case '60':
+      return { label: '60 DPD', bgColor: 'bg-orange-500', textColor: 'text-white' };
+    case '90':
+      return { label: '90 DPD', bgColor: 'bg-red-500', textColor: 'text-white' };
+    case '120+':
+      return { label: '120+ DPD', bgColor: 'bg-red-800', textColor: 'text-white' };
+    default:
+      return { label: 'Unknown', bgColor: 'bg-gray-200', textColor: 'text-gray-500' };
   }
-  if (statusLower.includes('closed')) return 'bg-gray-100 text-gray-800';
-  
-  return 'bg-gray-100 text-gray-800';
 };
 
 /**